@@ -1,8 +1,15 @@
 // bridge-tests.js - Unit tests for the bridge service
 const { expect } = require('chai');
 const sinon = require('sinon');
+const http = require('http');
 const { ethers } = require('ethers');
 const DDNSBridge = require('../DDNSBridge');
+const DDNSManager = require('../DDNSManager');
+const IPFSGateway = require('./ipfs-gateway');
+const { MemoryContentStore } = require('./content-stores');
+const { encodeRecordSets } = require('./record-types');
+const { namehash } = require('./namehash');
+const { signDocument } = require('./document-signing');
 
 describe('DDNS Bridge Service', function () {
   let bridge;
@@ -10,7 +17,11 @@ describe('DDNS Bridge Service', function () {
   let mockL1Registry, mockL2Resolver;
   let mockIPFS;
 
-  beforeEach(function () {
+  // Owner of test.eth, who signs its records documents
+  const owner = new ethers.Wallet(`0x${'11'.repeat(32)}`);
+  const signing = { chainId: 1, registryAddress: '0x1234567890123456789012345678901234567890' };
+
+  beforeEach(async function () {
     // Create mock providers
     mockL1Provider = {
       getBlockNumber: sinon.stub().resolves(1000),
@@ -25,11 +36,14 @@ describe('DDNS Bridge Service', function () {
     mockL1Registry = {
       filters: {
         DomainUpdated: sinon.stub().returns({ topics: ['DomainUpdated'] }),
-        DomainRegistered: sinon.stub().returns({ topics: ['DomainRegistered'] })
+        DomainRegistered: sinon.stub().returns({ topics: ['DomainRegistered'] }),
+        DomainRenewed: sinon.stub().returns({ topics: ['DomainRenewed'] }),
+        DomainTransferred: sinon.stub().returns({ topics: ['DomainTransferred'] }),
+        ReverseClaimed: sinon.stub().returns({ topics: ['ReverseClaimed'] })
       },
       queryFilter: sinon.stub().resolves([]),
       getDomain: sinon.stub().resolves([
-        '0x1234567890123456789012345678901234567890', // owner
+        owner.address, // owner
         '0x0000000000000000000000000000000000000000000000000000000000000123', // contentHash
         Math.floor(Date.now() / 1000), // lastUpdated
         Math.floor(Date.now() / 1000) + 31536000 // expiryDate (1 year)
@@ -37,23 +51,33 @@ describe('DDNS Bridge Service', function () {
     };
 
     mockL2Resolver = {
-      setBatchRecords: sinon.stub().resolves({
+      setBatchRecordSets: sinon.stub().resolves({
+        wait: sinon.stub().resolves()
+      }),
+      setReverseName: sinon.stub().resolves({
+        wait: sinon.stub().resolves()
+      }),
+      setDomainInfo: sinon.stub().resolves({
         wait: sinon.stub().resolves()
       })
     };
 
-    // Create mock IPFS
+    // Create mock IPFS gateway
     mockIPFS = {
-      cat: sinon.stub().returns([Buffer.from(JSON.stringify({
+      fetch: sinon.stub().resolves(Buffer.from(JSON.stringify(await signDocument(owner, {
         domain: 'test.eth',
         records: {
-          A: ['192.168.1.1'],
+          A: ['192.168.1.1', '192.168.1.2'],
           AAAA: ['2001:db8::1'],
-          TXT: ['Test record']
+          TXT: ['Test record'],
+          MX: [
+            { preference: 10, exchange: 'mail1.test.eth' },
+            { preference: 20, exchange: 'mail2.test.eth' }
+          ]
         },
         ttl: 3600,
         timestamp: Math.floor(Date.now() / 1000)
-      }))])
+      }, signing))))
     };
 
     // Create mock wallet
@@ -69,7 +93,8 @@ describe('DDNS Bridge Service', function () {
       l2ResolverAddress: '0x0987654321098765432109876543210987654321',
       privateKey: '0x1234567890123456789012345678901234567890123456789012345678901234',
       pollingInterval: 1000,
-      maxRetries: 3
+      maxRetries: 3,
+      l1ChainId: 1
     });
 
     // Replace real objects with mocks
@@ -176,47 +201,253 @@ describe('DDNS Bridge Service', function () {
       expect(queueItem.type).to.equal('register');
       expect(queueItem.contentHash).to.equal('0x3333333333333333333333333333333333333333333333333333333333333333');
     });
+
+    it('should mirror owner and expiry on renewals and transfers', async function () {
+      const domainHash = '0x1111111111111111111111111111111111111111111111111111111111111111';
+      const parentHash = '0x5555555555555555555555555555555555555555555555555555555555555555';
+      const newOwner = '0x2222222222222222222222222222222222222222';
+
+      mockL1Registry.queryFilter.withArgs({ topics: ['DomainTransferred'] }, 991, 1000)
+        .resolves([{ args: { domainHash, newOwner }, blockNumber: 970 }]);
+
+      // Subdomains are mirrored with a zero expiry and their parent, like the registry stores them
+      mockL1Registry.domains = sinon.stub().withArgs(domainHash).resolves([newOwner, ethers.constants.HashZero, 0, 0]);
+      mockL1Registry.parents = sinon.stub().withArgs(domainHash).resolves(parentHash);
+
+      bridge.lastProcessedBlock = 990;
+      await bridge.processNewEvents();
+
+      const queueItem = bridge.queue.dequeue();
+      expect(queueItem).to.include({ type: 'transfer', domainHash });
+
+      await bridge.processQueueItem(queueItem);
+
+      expect(mockL2Resolver.setDomainInfo.firstCall.args.slice(0, 4)).to.deep.equal([domainHash, newOwner, 0, parentHash]);
+      expect(mockL2Resolver.setBatchRecordSets.called).to.be.false;
+      expect(bridge.stats.domainInfoSynced).to.equal(1);
+    });
+
+    it('should clear records of transferred domains unless the new owner signed them', async function () {
+      const newOwner = new ethers.Wallet(`0x${'22'.repeat(32)}`);
+      const domainHash = namehash('test.eth');
+      const contentHash = '0x2222222222222222222222222222222222222222222222222222222222222222';
+      const document = { domain: 'test.eth', records: { A: ['192.0.2.1'] }, ttl: 600 };
+
+      mockL1Registry.domains = sinon.stub().withArgs(domainHash).resolves([newOwner.address, contentHash, 0, 1900000000]);
+      mockL1Registry.parents = sinon.stub().resolves(ethers.constants.HashZero);
+      mockL1Registry.getDomain.resolves([newOwner.address, contentHash, 0, 1900000000]);
+
+      // The document on L1 is still the one signed by the previous owner
+      const getRecords = sinon.stub(bridge, 'getRecordsFromIPFS').callThrough();
+      getRecords.withArgs(contentHash).resolves(await signDocument(owner, document, signing));
+
+      await bridge.processQueueItem({ type: 'transfer', domainHash, retries: 0 });
+
+      expect(mockL2Resolver.setDomainInfo.firstCall.args.slice(0, 2)).to.deep.equal([domainHash, newOwner.address]);
+      expect(mockL2Resolver.setBatchRecordSets.callCount).to.equal(1);
+      expect(mockL2Resolver.setBatchRecordSets.firstCall.args.slice(1, 5))
+        .to.deep.equal([[], [], [], ethers.constants.HashZero]);
+      expect(bridge.stats.unauthorizedDocuments).to.equal(1);
+
+      // Records the new owner signed stay mirrored
+      getRecords.withArgs(contentHash).resolves(await signDocument(newOwner, document, signing));
+
+      await bridge.processQueueItem({ type: 'transfer', domainHash, retries: 0 });
+
+      expect(mockL2Resolver.setBatchRecordSets.callCount).to.equal(2);
+      expect(mockL2Resolver.setBatchRecordSets.secondCall.args.slice(2, 5)).to.deep.equal([[['192.0.2.1']], [600], contentHash]);
+    });
+
+    it('should mirror owner and expiry of new registrations without records', async function () {
+      const domainHash = '0x1111111111111111111111111111111111111111111111111111111111111111';
+      const owner = '0x1234567890123456789012345678901234567890';
+
+      mockL1Registry.domains = sinon.stub().resolves([owner, ethers.constants.HashZero, 0, 1900000000]);
+      mockL1Registry.parents = sinon.stub().resolves(ethers.constants.HashZero);
+
+      await bridge.processQueueItem({ type: 'register', domainHash, contentHash: ethers.constants.HashZero });
+
+      expect(mockL2Resolver.setDomainInfo.firstCall.args.slice(0, 4))
+        .to.deep.equal([domainHash, owner, 1900000000, ethers.constants.HashZero]);
+      expect(mockL2Resolver.setBatchRecordSets.called).to.be.false;
+    });
+
+    it('should drop queued updates whose content hash was replaced on L1', async function () {
+      const domainHash = namehash('test.eth');
+      const staleHash = '0x2222222222222222222222222222222222222222222222222222222222222222';
+      const currentHash = '0x3333333333333333333333333333333333333333333333333333333333333333';
+
+      mockL1Registry.domains = sinon.stub().withArgs(domainHash).resolves([owner.address, currentHash, 0, 1900000000]);
+
+      // A retried older update runs after the newer one was applied
+      await bridge.processQueueItem({ type: 'update', domainHash, contentHash: staleHash, blockNumber: 900, retries: 1 });
+
+      expect(mockIPFS.fetch.called).to.be.false;
+      expect(mockL2Resolver.setBatchRecordSets.called).to.be.false;
+      expect(bridge.stats.staleUpdatesSkipped).to.equal(1);
+
+      await bridge.processQueueItem({ type: 'update', domainHash, contentHash: currentHash, blockNumber: 950, retries: 0 });
+
+      expect(mockL2Resolver.setBatchRecordSets.firstCall.args[4]).to.equal(currentHash);
+    });
+
+    it('should mirror reverse claims to L2', async function () {
+      const reverseNode = '0x4444444444444444444444444444444444444444444444444444444444444444';
+
+      mockL1Registry.queryFilter.withArgs(
+        { topics: ['ReverseClaimed'] },
+        991,
+        1000
+      ).resolves([{ args: { reverseNode, name: 'old.eth' }, blockNumber: 960 }]);
+
+      // The current claim is synced, not the one in the event
+      mockL1Registry.reverseRecords = sinon.stub().withArgs(reverseNode)
+        .resolves(['0x1234567890123456789012345678901234567890', ethers.constants.HashZero, 'test.eth']);
+
+      bridge.lastProcessedBlock = 990;
+      await bridge.processNewEvents();
+
+      const queueItem = bridge.queue.dequeue();
+      expect(queueItem).to.include({ type: 'reverse', reverseNode });
+
+      await bridge.processQueueItem(queueItem);
+
+      expect(mockL2Resolver.setReverseName.firstCall.args.slice(0, 2)).to.deep.equal([reverseNode, 'test.eth']);
+      expect(bridge.stats.reverseSynced).to.equal(1);
+    });
   });
 
   describe('processDomainUpdate()', function () {
     it('should process domain updates and sync to L2', async function () {
-      const domainHash = '0x1111111111111111111111111111111111111111111111111111111111111111';
+      const domainHash = namehash('test.eth');
       const contentHash = '0x2222222222222222222222222222222222222222222222222222222222222222';
 
       await bridge.processDomainUpdate(domainHash, contentHash);
 
-      // Check if records were submitted to L2
-      expect(mockL2Resolver.setBatchRecords.called).to.be.true;
+      // Check if record sets were submitted to L2
+      expect(mockL2Resolver.setBatchRecordSets.called).to.be.true;
 
-      const call = mockL2Resolver.setBatchRecords.getCall(0);
+      const call = mockL2Resolver.setBatchRecordSets.getCall(0);
       expect(call.args[0]).to.equal(domainHash);
-      expect(call.args[1]).to.deep.equal(['A', 'AAAA', 'TXT']);
-      expect(call.args[2]).to.deep.equal(['192.168.1.1', '2001:db8::1', 'Test record']);
-      expect(call.args[3]).to.deep.equal([3600, 3600, 3600]);
+      expect(call.args[1]).to.deep.equal(['A', 'AAAA', 'TXT', 'MX']);
+      expect(call.args[2]).to.deep.equal([
+        ['192.168.1.1', '192.168.1.2'],
+        ['2001:db8::1'],
+        ['Test record'],
+        [
+          JSON.stringify({ preference: 10, exchange: 'mail1.test.eth' }),
+          JSON.stringify({ preference: 20, exchange: 'mail2.test.eth' })
+        ]
+      ]);
+      expect(call.args[3]).to.deep.equal([3600, 3600, 3600, 3600]);
+      expect(call.args[4]).to.equal(contentHash);
 
       expect(bridge.stats.updatesSynced).to.equal(1);
     });
 
-    it('should handle IPFS errors', async function () {
-      const domainHash = '0x1111111111111111111111111111111111111111111111111111111111111111';
+    it('should sync documents without records so L2 drops stale sets', async function () {
+      const domainHash = namehash('test.eth');
       const contentHash = '0x2222222222222222222222222222222222222222222222222222222222222222';
+      sinon.stub(bridge, 'getRecordsFromIPFS').resolves(await signDocument(owner, { domain: 'test.eth', records: {} }, signing));
 
-      // Make IPFS throw an error
-      mockIPFS.cat.throws(new Error('IPFS error'));
+      await bridge.processDomainUpdate(domainHash, contentHash);
+
+      const call = mockL2Resolver.setBatchRecordSets.getCall(0);
+      expect(call.args.slice(1, 5)).to.deep.equal([[], [], [], contentHash]);
+    });
+
+    it('should only mirror signed documents of the current owner', async function () {
+      const other = new ethers.Wallet(`0x${'22'.repeat(32)}`);
+      const domainHash = namehash('test.eth');
+      const contentHash = '0x2222222222222222222222222222222222222222222222222222222222222222';
+      const document = { domain: 'test.eth', records: { A: ['192.0.2.1'] }, ttl: 600 };
+
+      const getRecords = sinon.stub(bridge, 'getRecordsFromIPFS').resolves(await signDocument(other, document, signing));
 
-      // Should still work using mock data
       await bridge.processDomainUpdate(domainHash, contentHash);
 
-      expect(bridge.stats.ipfsRetrievalErrors).to.equal(1);
-      expect(mockL2Resolver.setBatchRecords.called).to.be.true;
+      expect(mockL2Resolver.setBatchRecordSets.called).to.be.false;
+      expect(bridge.stats.unauthorizedDocuments).to.equal(1);
+
+      getRecords.resolves(await signDocument(owner, document, signing));
+      await bridge.processDomainUpdate(domainHash, contentHash);
+
+      expect(mockL2Resolver.setBatchRecordSets.firstCall.args[2]).to.deep.equal([['192.0.2.1']]);
+    });
+
+    it('should reject unsigned documents unless signatures are optional', async function () {
+      const contentHash = '0x2222222222222222222222222222222222222222222222222222222222222222';
+      sinon.stub(bridge, 'getRecordsFromIPFS').resolves({ domain: 'test.eth', records: { A: ['192.0.2.1'] } });
+
+      await bridge.processDomainUpdate(namehash('test.eth'), contentHash);
+
+      expect(mockL2Resolver.setBatchRecordSets.called).to.be.false;
+      expect(bridge.stats.unauthorizedDocuments).to.equal(1);
+
+      // Clearing the content hash needs no document
+      await bridge.processDomainUpdate(namehash('test.eth'), ethers.constants.HashZero);
+      expect(mockL2Resolver.setBatchRecordSets.calledOnce).to.be.true;
+
+      bridge.requireSignedDocuments = false;
+      await bridge.processDomainUpdate(namehash('test.eth'), contentHash);
+      expect(mockL2Resolver.setBatchRecordSets.secondCall.args[2]).to.deep.equal([['192.0.2.1']]);
+    });
+
+    it('should reject documents with malformed records', async function () {
+      const domainHash = namehash('test.eth');
+      const contentHash = '0x2222222222222222222222222222222222222222222222222222222222222222';
+      sinon.stub(bridge, 'getRecordsFromIPFS').resolves({ domain: 'test.eth', records: { A: ['192.168.1.300'] } });
+      sinon.stub(console, 'error');
+
+      await bridge.processDomainUpdate(domainHash, contentHash);
+
+      expect(mockL2Resolver.setBatchRecordSets.called).to.be.false;
+      expect(bridge.stats.invalidDocuments).to.equal(1);
+    });
+
+    it('should clear L2 records when the content hash is cleared', async function () {
+      const domainHash = namehash('test.eth');
+
+      await bridge.processDomainUpdate(domainHash, ethers.constants.HashZero);
+
+      const call = mockL2Resolver.setBatchRecordSets.getCall(0);
+      expect(call.args.slice(1, 5)).to.deep.equal([[], [], [], ethers.constants.HashZero]);
+      expect(mockIPFS.fetch.called).to.be.false;
+    });
+
+    it('should fail without syncing when the document cannot be retrieved', async function () {
+      const domainHash = namehash('test.eth');
+      const contentHash = '0x2222222222222222222222222222222222222222222222222222222222222222';
+
+      // Make IPFS throw an error
+      mockIPFS.fetch.rejects(new Error('IPFS error'));
+
+      try {
+        await bridge.processDomainUpdate(domainHash, contentHash);
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error).to.include({ name: 'IPFSUnavailableError', contentHash });
+        expect(bridge.stats.ipfsRetrievalErrors).to.equal(1);
+        expect(bridge.stats.l2SubmissionErrors).to.equal(0);
+        expect(mockL2Resolver.setBatchRecordSets.called).to.be.false;
+      }
+    });
+
+    it('should reject documents that are not JSON without retrying', async function () {
+      mockIPFS.fetch.resolves(Buffer.from('<html>not a document</html>'));
+
+      await bridge.processDomainUpdate(namehash('test.eth'), '0x2222222222222222222222222222222222222222222222222222222222222222');
+
+      expect(mockL2Resolver.setBatchRecordSets.called).to.be.false;
+      expect(bridge.stats.invalidDocuments).to.equal(1);
     });
 
     it('should handle L2 submission errors', async function () {
-      const domainHash = '0x1111111111111111111111111111111111111111111111111111111111111111';
+      const domainHash = namehash('test.eth');
       const contentHash = '0x2222222222222222222222222222222222222222222222222222222222222222';
 
       // Make L2 submission fail
-      mockL2Resolver.setBatchRecords.rejects(new Error('L2 error'));
+      mockL2Resolver.setBatchRecordSets.rejects(new Error('L2 error'));
 
       try {
         await bridge.processDomainUpdate(domainHash, contentHash);
@@ -228,6 +459,81 @@ describe('DDNS Bridge Service', function () {
     });
   });
 
+  describe('records published by DDNSManager', function () {
+    let gateway;
+
+    afterEach(function () {
+      if (gateway) {
+        gateway.closeAllConnections();
+        gateway.close();
+        gateway = null;
+      }
+    });
+
+    it('should mirror the published document to L2', async function () {
+      const contentStore = new MemoryContentStore();
+      const manager = new DDNSManager({ signer: owner, l1RegistryAddress: bridge.l1RegistryAddress, chainId: 1, contentStore });
+      manager.l1Registry = {
+        updateDomain: sinon.stub().resolves({ wait: sinon.stub().resolves({ transactionHash: '0xabc' }) })
+      };
+
+      const { domainHash, contentHash, cid } = await manager.setRecords('test.eth', {
+        A: ['192.0.2.1', '192.0.2.2'],
+        MX: '10 mail.test.eth',
+        TXT: ['hello']
+      }, { ttl: 600, ttls: { MX: 86400 } });
+
+      // A local gateway serving the store's raw blocks by CID
+      gateway = http.createServer(async (req, res) => {
+        const block = await contentStore.get(req.url.replace(/^\/ipfs\//, '').split('?')[0]);
+        res.writeHead(block ? 200 : 404);
+        res.end(block);
+      });
+      await new Promise(resolve => gateway.listen(0, '127.0.0.1', resolve));
+
+      bridge.ipfs = new IPFSGateway({ gateways: [`http://127.0.0.1:${gateway.address().port}/ipfs/`] });
+      mockL1Registry.getDomain.resolves([owner.address, contentHash, 0, 1900000000]);
+
+      await bridge.processDomainUpdate(domainHash, contentHash);
+
+      const document = JSON.parse((await contentStore.get(cid)).toString());
+      const { recordTypes, values, ttls } = encodeRecordSets(document);
+      const call = mockL2Resolver.setBatchRecordSets.firstCall;
+      expect(call.args.slice(0, 5)).to.deep.equal([domainHash, recordTypes, values, ttls, contentHash]);
+      expect(values).to.deep.equal([['192.0.2.1', '192.0.2.2'], ['{"preference":10,"exchange":"mail.test.eth"}'], ['hello']]);
+      expect(ttls).to.deep.equal([600, 86400, 600]);
+      expect(bridge.ipfs.stats.fetches).to.equal(1);
+    });
+  });
+
+  describe('resyncDomain()', function () {
+    it('should mirror the current L1 owner and records of a domain', async function () {
+      const domainHash = namehash('test.eth');
+      const contentHash = '0x3333333333333333333333333333333333333333333333333333333333333333';
+
+      mockL1Registry.domains = sinon.stub().withArgs(domainHash).resolves([owner.address, contentHash, 0, 1900000000]);
+      mockL1Registry.parents = sinon.stub().resolves(ethers.constants.HashZero);
+
+      const result = await bridge.resyncDomain(domainHash);
+
+      expect(result).to.deep.equal({ domainHash, owner: owner.address, contentHash, recordsSynced: true });
+      expect(mockL2Resolver.setDomainInfo.firstCall.args.slice(0, 2)).to.deep.equal([domainHash, owner.address]);
+      expect(mockL2Resolver.setBatchRecordSets.firstCall.args[4]).to.equal(contentHash);
+    });
+
+    it('should reject domains that are not registered on L1', async function () {
+      mockL1Registry.domains = sinon.stub().resolves([ethers.constants.AddressZero, ethers.constants.HashZero, 0, 0]);
+
+      try {
+        await bridge.resyncDomain(namehash('test.eth'));
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.include('not registered on L1');
+        expect(mockL2Resolver.setDomainInfo.called).to.be.false;
+      }
+    });
+  });
+
   describe('stop()', function () {
     it('should stop polling', async function () {
       await bridge.start();
@@ -0,0 +1,254 @@
+// cache-stores.js - Storage backends for the client resolution cache
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * In-memory cache store
+ * Keeps entries in a Map bounded by LRU eviction
+ *
+ * Cache stores implement async get/set/delete/clear; RecordCache only
+ * relies on that interface, so any backend with the same methods can be used.
+ * An optional async keys() lets RecordCache evict all entries of one domain, and an
+ * optional async close() is called when the client shuts down.
+ */
+class MemoryCacheStore {
+  /**
+   * Constructor
+   * @param {Object} config Configuration object
+   * @param {number} [config.maxEntries] Maximum number of entries
+   */
+  constructor(config = {}) {
+    this.maxEntries = config.maxEntries || 10000;
+
+    // Map iteration order doubles as LRU order (oldest first)
+    this.entries = new Map();
+
+    this.stats = {
+      evictions: 0
+    };
+  }
+
+  /**
+   * Get an entry and mark it as most recently used
+   * @param {string} key Cache key
+   * @returns {Promise<Object|undefined>} Stored entry
+   */
+  async get(key) {
+    const entry = this.entries.get(key);
+
+    if (entry !== undefined) {
+      this.entries.delete(key);
+      this.entries.set(key, entry);
+    }
+
+    return entry;
+  }
+
+  /**
+   * Store an entry, evicting the least recently used entries beyond the limit
+   * @param {string} key Cache key
+   * @param {Object} entry Entry to store
+   */
+  async set(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+      this.stats.evictions++;
+    }
+  }
+
+  /**
+   * Remove an entry
+   * @param {string} key Cache key
+   */
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  /**
+   * Remove all entries
+   */
+  async clear() {
+    this.entries.clear();
+  }
+
+  /**
+   * List stored keys
+   * @returns {Promise<string[]>} Cache keys
+   */
+  async keys() {
+    return Array.from(this.entries.keys());
+  }
+
+  /**
+   * Number of stored entries
+   * @returns {number} Entry count
+   */
+  get size() {
+    return this.entries.size;
+  }
+}
+
+/**
+ * File-backed cache store
+ * Serves from memory and persists entries as JSON so they survive restarts
+ */
+class FileCacheStore {
+  /**
+   * Constructor
+   * @param {Object} config Configuration object
+   * @param {string} config.filePath Path of the JSON cache file
+   * @param {number} [config.maxEntries] Maximum number of entries
+   * @param {number} [config.flushInterval] Delay before writing changes to disk in milliseconds
+   */
+  constructor(config) {
+    this.filePath = config.filePath;
+    this.flushInterval = config.flushInterval !== undefined ? config.flushInterval : 5000; // Default 5 seconds
+
+    this.memory = new MemoryCacheStore({ maxEntries: config.maxEntries });
+    this.stats = this.memory.stats;
+
+    this.loading = null;
+    this.flushTimer = null;
+  }
+
+  /**
+   * Get an entry
+   * @param {string} key Cache key
+   * @returns {Promise<Object|undefined>} Stored entry
+   */
+  async get(key) {
+    await this._load();
+    return this.memory.get(key);
+  }
+
+  /**
+   * Store an entry
+   * @param {string} key Cache key
+   * @param {Object} entry Entry to store (must be JSON-serializable)
+   */
+  async set(key, entry) {
+    await this._load();
+    await this.memory.set(key, entry);
+    this._scheduleFlush();
+  }
+
+  /**
+   * Remove an entry
+   * @param {string} key Cache key
+   */
+  async delete(key) {
+    await this._load();
+    await this.memory.delete(key);
+    this._scheduleFlush();
+  }
+
+  /**
+   * Remove all entries
+   */
+  async clear() {
+    await this._load();
+    await this.memory.clear();
+    this._scheduleFlush();
+  }
+
+  /**
+   * List stored keys
+   * @returns {Promise<string[]>} Cache keys
+   */
+  async keys() {
+    await this._load();
+    return this.memory.keys();
+  }
+
+  /**
+   * Number of stored entries
+   * @returns {number} Entry count
+   */
+  get size() {
+    return this.memory.size;
+  }
+
+  /**
+   * Write all entries to disk
+   * The file is replaced atomically so a crash never leaves partial JSON behind
+   */
+  async flush() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+
+    await this._load();
+
+    const data = JSON.stringify({
+      version: 1,
+      entries: Array.from(this.memory.entries.entries())
+    });
+    const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.promises.writeFile(tmpPath, data);
+    await fs.promises.rename(tmpPath, this.filePath);
+  }
+
+  /**
+   * Flush pending changes and stop the flush timer
+   */
+  async close() {
+    await this.flush();
+  }
+
+  /**
+   * Load persisted entries once
+   * @returns {Promise<void>}
+   * @private
+   */
+  _load() {
+    if (!this.loading) {
+      this.loading = (async () => {
+        try {
+          const data = JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+
+          // Entries are saved oldest first, so replaying them restores LRU order
+          for (const [key, entry] of data.entries || []) {
+            await this.memory.set(key, entry);
+          }
+        } catch (error) {
+          if (error.code !== 'ENOENT') {
+            console.warn(`Ignoring unreadable cache file ${this.filePath}: ${error.message}`);
+          }
+        }
+      })();
+    }
+
+    return this.loading;
+  }
+
+  /**
+   * Schedule a delayed write of pending changes
+   * @private
+   */
+  _scheduleFlush() {
+    if (this.flushTimer) {
+      return;
+    }
+
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.flush().catch(error => console.error(`Failed to write cache file ${this.filePath}:`, error));
+    }, this.flushInterval);
+
+    // Do not keep the process alive just to persist the cache
+    if (this.flushTimer.unref) {
+      this.flushTimer.unref();
+    }
+  }
+}
+
+module.exports = {
+  MemoryCacheStore,
+  FileCacheStore
+};
@@ -0,0 +1,265 @@
+// cli-tests.js - Unit tests for the ddns command-line tool
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { ethers } = require('ethers');
+const { DDNSCli, parseArgs, loadSettings } = require('../cli');
+const { namehash } = require('./namehash');
+
+describe('DDNS CLI', function () {
+  let output;
+  let errors;
+  let client;
+  let manager;
+  let bridge;
+  let cli;
+
+  beforeEach(function () {
+    output = '';
+    errors = '';
+
+    client = {
+      resolveDomain: sinon.stub().resolves({
+        values: ['192.0.2.1', '192.0.2.2'],
+        value: '192.0.2.1',
+        ttl: 300,
+        source: 'l2',
+        status: 'NOERROR',
+        latency: 12
+      }),
+      close: sinon.stub().resolves()
+    };
+
+    manager = {
+      register: sinon.stub().resolves({
+        name: 'test.eth',
+        domainHash: namehash('test.eth'),
+        fee: ethers.utils.parseEther('0.01'),
+        expiryDate: 1900000000,
+        transactionHash: '0xabc'
+      }),
+      setRecords: sinon.stub().callsFake(async (name, records, options) => ({
+        name,
+        domainHash: namehash(name),
+        contentHash: '0x01',
+        cid: 'bafkreitest',
+        transactionHash: '0xdef'
+      }))
+    };
+
+    bridge = {
+      resyncDomain: sinon.stub().callsFake(async domainHash => ({
+        domainHash,
+        owner: '0x1234567890123456789012345678901234567890',
+        contentHash: ethers.constants.HashZero,
+        recordsSynced: true
+      }))
+    };
+
+    cli = new DDNSCli({
+      settings: {},
+      stdout: { write: chunk => { output += chunk; } },
+      stderr: { write: chunk => { errors += chunk; } },
+      client,
+      manager,
+      bridge
+    });
+  });
+
+  afterEach(function () {
+    sinon.restore();
+  });
+
+  it('should split positional arguments and options', function () {
+    expect(parseArgs(['resolve', 'test.eth', 'MX', '--l2', '--config=ddns.json', '--json'])).to.deep.equal({
+      args: ['resolve', 'test.eth', 'MX'],
+      options: { l2: true, config: 'ddns.json', json: true }
+    });
+
+    expect(() => parseArgs(['resolve', '--fast'])).to.throw('Unknown option: --fast');
+    expect(() => parseArgs(['set-records', '--ttl'])).to.throw('--ttl needs a value');
+  });
+
+  it('should read settings from the configuration file with environment overrides', function () {
+    const file = path.join(os.tmpdir(), `ddns-cli-config-${process.pid}.json`);
+    fs.writeFileSync(file, JSON.stringify({ l1RpcUrls: ['http://l1.example'], l2ResolverAddress: '0x01' }));
+
+    try {
+      const settings = loadSettings(file, { DDNS_L1_RPC_URL: 'http://a.example, http://b.example', DDNS_PRIVATE_KEY: '0x02' });
+
+      expect(settings).to.deep.equal({
+        l1RpcUrls: ['http://a.example', 'http://b.example'],
+        l2ResolverAddress: '0x01',
+        privateKey: '0x02'
+      });
+    } finally {
+      fs.unlinkSync(file);
+    }
+  });
+
+  it('should print records like a zone file answer and pass the layer options', async function () {
+    const exitCode = await cli.run(['resolve', 'test.eth', 'a', '--l2']);
+
+    expect(exitCode).to.equal(0);
+    expect(client.resolveDomain.firstCall.args).to.deep.equal(['test.eth', 'A', { forceL1: false, forceL2: true, verify: false }]);
+    expect(output).to.equal(
+      'test.eth\t300\tIN\tA\t192.0.2.1\n' +
+      'test.eth\t300\tIN\tA\t192.0.2.2\n' +
+      ';; status: NOERROR, source: l2, 12ms\n'
+    );
+  });
+
+  it('should print structured records in presentation form', async function () {
+    client.resolveDomain.resolves({
+      values: [{ preference: 10, exchange: 'mail.test.eth' }, { preference: 20, exchange: 'backup.test.eth' }],
+      value: { preference: 10, exchange: 'mail.test.eth' },
+      ttl: 300,
+      source: 'l2',
+      status: 'NOERROR',
+      latency: 7
+    });
+
+    const exitCode = await cli.run(['resolve', 'test.eth', 'MX']);
+
+    expect(exitCode).to.equal(0);
+    expect(output).to.equal(
+      'test.eth\t300\tIN\tMX\t10 mail.test.eth.\n' +
+      'test.eth\t300\tIN\tMX\t20 backup.test.eth.\n' +
+      ';; status: NOERROR, source: l2, 7ms\n'
+    );
+  });
+
+  it('should print JSON results and fail on unsuccessful lookups', async function () {
+    client.resolveDomain.resolves({ value: null, values: [], ttl: 0, source: 'l2', status: 'NXDOMAIN', latency: 5 });
+
+    const exitCode = await cli.run(['resolve', 'missing.eth', '--json']);
+
+    expect(exitCode).to.equal(1);
+    expect(JSON.parse(output)).to.include({ name: 'missing.eth', type: 'A', status: 'NXDOMAIN' });
+  });
+
+  it('should reject conflicting layer options with the usage text', async function () {
+    const exitCode = await cli.run(['resolve', 'test.eth', '--l1', '--l2']);
+
+    expect(exitCode).to.equal(2);
+    expect(errors).to.include('--l1 and --l2 cannot be combined');
+    expect(errors).to.include('Usage: ddns <command>');
+    expect(client.resolveDomain.called).to.be.false;
+  });
+
+  it('should write big numbers as decimal strings in JSON output', async function () {
+    const exitCode = await cli.run(['register', 'test.eth', '--json']);
+
+    expect(exitCode).to.equal(0);
+    expect(JSON.parse(output)).to.include({ name: 'test.eth', fee: '10000000000000000', expiryDate: 1900000000 });
+  });
+
+  it('should publish records read from a file with the given TTL', async function () {
+    const file = path.join(os.tmpdir(), `ddns-cli-records-${process.pid}.json`);
+    fs.writeFileSync(file, JSON.stringify({ records: { A: ['192.0.2.1'], TXT: ['hello'] }, ttl: 3600 }));
+
+    try {
+      const exitCode = await cli.run(['set-records', 'test.eth', file, '--ttl', '600']);
+
+      expect(exitCode).to.equal(0);
+      expect(manager.setRecords.firstCall.args).to.deep.equal(['test.eth', { A: ['192.0.2.1'], TXT: ['hello'] }, { ttl: 600, ttls: undefined }]);
+      expect(output).to.include('Published 2 record sets for test.eth as bafkreitest');
+    } finally {
+      fs.unlinkSync(file);
+    }
+  });
+
+  it('should convert zone files without publishing on dry runs', async function () {
+    const file = path.join(os.tmpdir(), `ddns-cli-zone-${process.pid}.zone`);
+    fs.writeFileSync(file, '$TTL 600\n@ IN A 192.0.2.1\n  3600 IN MX 10 mail\n');
+    manager.importZone = sinon.stub();
+
+    try {
+      const exitCode = await cli.run(['zone', 'import', file, '--origin', 'test.eth', '--dry-run', '--json']);
+
+      expect(exitCode).to.equal(0);
+      expect(manager.importZone.called).to.be.false;
+      expect(JSON.parse(output).documents).to.deep.equal([{
+        domain: 'test.eth',
+        records: { A: ['192.0.2.1'], MX: [{ preference: 10, exchange: 'mail.test.eth' }] },
+        ttl: 600,
+        ttls: { MX: 3600 }
+      }]);
+    } finally {
+      fs.unlinkSync(file);
+    }
+  });
+
+  it('should export the records of names as a zone file', async function () {
+    client.resolveBatch = sinon.stub().callsFake(async (name, types) => ({
+      valueSets: types.map(type => {
+        if (type === 'A') {
+          return name === 'test.eth' ? ['192.0.2.1'] : ['192.0.2.2'];
+        }
+        return type === 'MX' && name === 'test.eth' ? [{ preference: 10, exchange: 'mail.test.eth' }] : [];
+      }),
+      ttls: types.map(type => (type === 'MX' ? 86400 : 300)),
+      status: 'NOERROR'
+    }));
+
+    const exitCode = await cli.run(['zone', 'export', 'test.eth', 'mail.test.eth']);
+
+    expect(exitCode).to.equal(0);
+    expect(output).to.equal([
+      '$ORIGIN test.eth.',
+      '$TTL 300',
+      '@\t300\tIN\tA\t192.0.2.1',
+      '@\t86400\tIN\tMX\t10 mail',
+      'mail\t300\tIN\tA\t192.0.2.2',
+      ''
+    ].join('\n'));
+  });
+
+  it('should require a private key for transactions', async function () {
+    cli.manager = null;
+
+    const exitCode = await cli.run(['renew', 'test.eth']);
+
+    expect(exitCode).to.equal(1);
+    expect(errors).to.include('A private key is required');
+  });
+
+  it('should close the client once a command has run', async function () {
+    await cli.run(['resolve', 'test.eth']);
+    expect(client.close.calledOnce).to.be.true;
+
+    client.resolveDomain.rejects(new Error('RPC down'));
+    await cli.run(['resolve', 'test.eth']);
+    expect(client.close.calledTwice).to.be.true;
+  });
+
+  it('should resync a domain by its normalized name', async function () {
+    const exitCode = await cli.run(['bridge', 'resync', 'Test.eth']);
+
+    expect(exitCode).to.equal(0);
+    expect(bridge.resyncDomain.firstCall.args[0]).to.equal(namehash('test.eth'));
+    expect(output).to.include('Resynchronized test.eth');
+  });
+
+  it('should read the status of a running bridge from its metrics endpoint', async function () {
+    cli.settings = { bridge: { metricsPort: 9464 } };
+    const fetch = sinon.stub(global, 'fetch').resolves({
+      ok: true,
+      text: async () => [
+        '# TYPE ddns_bridge_updates_synced_total counter',
+        'ddns_bridge_updates_synced_total 7',
+        '# TYPE ddns_bridge_last_processed_block gauge',
+        'ddns_bridge_last_processed_block 1234',
+        'ddns_bridge_sync_latency_seconds_count{source="l2"} 7'
+      ].join('\n')
+    });
+
+    const exitCode = await cli.run(['bridge', 'status', '--json']);
+
+    expect(exitCode).to.equal(0);
+    expect(fetch.firstCall.args[0]).to.equal('http://127.0.0.1:9464/metrics');
+    expect(JSON.parse(output)).to.deep.equal({ updates_synced_total: 7, last_processed_block: 1234 });
+  });
+});
@@ -0,0 +1,789 @@
+#!/usr/bin/env node
+// cli.js - `ddns` command-line tool for lookups, domain management and bridge operations
+const fs = require('fs');
+const ethers = require('ethers');
+const DDNSClient = require('./DDNSClient');
+const DDNSBridge = require('./DDNSBridge');
+const DDNSManager = require('./DDNSManager');
+const { IPFSContentStore } = require('./content-stores');
+const { FailoverProvider } = require('./rpc-failover');
+const { STATUS } = require('./errors');
+const { RECORD_TYPES } = require('./record-types');
+const { parseZone, formatZone, formatRdata } = require('./zone-file');
+const { namehash } = require('./namehash');
+const { normalizeName } = require('./normalize');
+
+// Configuration file read when neither --config nor DDNS_CONFIG is given
+const DEFAULT_CONFIG_FILE = 'ddns.config.json';
+
+// Environment variables overriding configuration file settings
+const ENV_SETTINGS = {
+  DDNS_L1_RPC_URL: 'l1RpcUrls',
+  DDNS_L2_RPC_URL: 'l2RpcUrls',
+  DDNS_L1_REGISTRY: 'l1RegistryAddress',
+  DDNS_L2_RESOLVER: 'l2ResolverAddress',
+  DDNS_PRIVATE_KEY: 'privateKey',
+  DDNS_IPFS_API_URL: 'ipfsApiUrl'
+};
+
+// Options followed by a value; every other option is a switch
+const VALUE_OPTIONS = ['config', 'ttl', 'metrics-url', 'origin'];
+
+const USAGE = `Usage: ddns <command> [options]
+
+Commands:
+  resolve <name> [type] [--l1|--l2|--verify]   Look up records (type defaults to A)
+  register <name>                              Register a domain, paying the registration fee
+  renew <name>                                 Renew a domain for another period
+  transfer <name> <address>                    Transfer a domain to a new owner
+  set-records <name> <file> [--ttl <seconds>]  Publish records from a JSON file (- for stdin)
+  zone import <file> [--origin <name>] [--dry-run]
+                                               Publish the records of a BIND zone file
+  zone export <name>... [--origin <name>]      Print the records of names as a BIND zone file
+  bridge start                                 Run the bridge service until interrupted
+  bridge status [--metrics-url <url>]          Show the counters of a running bridge
+  bridge resync <name>                         Mirror the current L1 state of a domain to L2
+  stats                                        Show chain heads, registry settings and RPC health
+
+Options:
+  --config <file>  Configuration file (default: $DDNS_CONFIG or ./${DEFAULT_CONFIG_FILE})
+  --json           Print results as JSON
+  --help           Show this help
+
+Environment: ${Object.keys(ENV_SETTINGS).join(', ')}
+`;
+
+/**
+ * Command-line error, reported with the usage text
+ */
+class UsageError extends Error {
+  /**
+   * Constructor
+   * @param {string} message Error message
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+/**
+ * DDNS command-line interface
+ * Builds the client, manager and bridge from a configuration file and the environment,
+ * and prints each command's result as text or JSON
+ */
+class DDNSCli {
+  /**
+   * Constructor
+   * @param {Object} [config] Configuration object
+   * @param {Object} [config.settings] Settings to use instead of loading the configuration file
+   * @param {Object} [config.env] Environment variables (default: process.env)
+   * @param {Object} [config.stdout] Output stream
+   * @param {Object} [config.stderr] Error stream
+   * @param {DDNSClient} [config.client] Client to use instead of building one
+   * @param {DDNSManager} [config.manager] Manager to use instead of building one
+   * @param {DDNSBridge} [config.bridge] Bridge to use instead of building one
+   */
+  constructor(config = {}) {
+    this.settings = config.settings || null;
+    this.env = config.env || process.env;
+    this.stdout = config.stdout || process.stdout;
+    this.stderr = config.stderr || process.stderr;
+
+    // Components are built on first use, so each command only needs its own settings
+    this.client = config.client || null;
+    this.manager = config.manager || null;
+    this.bridge = config.bridge || null;
+  }
+
+  /**
+   * Run a command
+   * @param {string[]} argv Arguments (without the node and script paths)
+   * @returns {Promise<number>} Exit code (0 on success, 1 on failure, 2 on usage errors)
+   */
+  async run(argv) {
+    let options = {};
+
+    try {
+      const parsed = parseArgs(argv);
+      options = parsed.options;
+
+      const [command, ...args] = parsed.args;
+
+      if (options.help || !command) {
+        this.stdout.write(USAGE);
+        return command || options.help ? 0 : 2;
+      }
+
+      if (!this.settings) {
+        this.settings = loadSettings(options.config, this.env);
+      }
+
+      const { result, text, exitCode = 0 } = await this._dispatch(command, args, options);
+
+      this.stdout.write(options.json ? `${toJSON(result)}\n` : `${text}\n`);
+      return exitCode;
+    } catch (error) {
+      if (error.name === 'UsageError') {
+        this.stderr.write(`${error.message}\n\n${USAGE}`);
+        return 2;
+      }
+
+      if (options.json) {
+        this.stdout.write(`${toJSON({ error: error.message, errorType: error.name })}\n`);
+      } else {
+        this.stderr.write(`Error: ${error.message}\n`);
+      }
+
+      return 1;
+    } finally {
+      // Persistent cache stores write pending entries on close
+      if (this.client) {
+        await this.client.close().catch(error => this.stderr.write(`Failed to close client: ${error.message}\n`));
+      }
+    }
+  }
+
+  /**
+   * Run the handler of a command
+   * @param {string} command Command name
+   * @param {string[]} args Positional arguments after the command
+   * @param {Object} options Parsed options
+   * @returns {Promise<Object>} { result, text, exitCode }
+   * @private
+   */
+  async _dispatch(command, args, options) {
+    switch (command) {
+      case 'resolve':
+        return this.resolve(requireArgs(args, 1, 2, 'resolve <name> [type]'), options);
+      case 'register':
+        return this.register(...requireArgs(args, 1, 1, 'register <name>'));
+      case 'renew':
+        return this.renew(...requireArgs(args, 1, 1, 'renew <name>'));
+      case 'transfer':
+        return this.transfer(...requireArgs(args, 2, 2, 'transfer <name> <address>'));
+      case 'set-records':
+        return this.setRecords(...requireArgs(args, 2, 2, 'set-records <name> <file>'), options);
+      case 'zone':
+        return this._dispatchZone(args, options);
+      case 'bridge':
+        return this._dispatchBridge(args, options);
+      case 'stats':
+        requireArgs(args, 0, 0, 'stats');
+        return this.stats();
+      default:
+        throw new UsageError(`Unknown command: ${command}`);
+    }
+  }
+
+  /**
+   * Run a zone file subcommand
+   * @param {string[]} args Subcommand and its arguments
+   * @param {Object} options Parsed options
+   * @returns {Promise<Object>} { result, text, exitCode }
+   * @private
+   */
+  async _dispatchZone([subcommand, ...args], options) {
+    switch (subcommand) {
+      case 'import':
+        return this.zoneImport(...requireArgs(args, 1, 1, 'zone import <file>'), options);
+      case 'export':
+        if (args.length === 0) {
+          throw new UsageError('Usage: ddns zone export <name>...');
+        }
+        return this.zoneExport(args, options);
+      default:
+        throw new UsageError(subcommand ? `Unknown zone command: ${subcommand}` : 'Missing zone command');
+    }
+  }
+
+  /**
+   * Run a bridge subcommand
+   * @param {string[]} args Subcommand and its arguments
+   * @param {Object} options Parsed options
+   * @returns {Promise<Object>} { result, text, exitCode }
+   * @private
+   */
+  async _dispatchBridge([subcommand, ...args], options) {
+    switch (subcommand) {
+      case 'start':
+        requireArgs(args, 0, 0, 'bridge start');
+        return this.bridgeStart();
+      case 'status':
+        requireArgs(args, 0, 0, 'bridge status');
+        return this.bridgeStatus(options);
+      case 'resync':
+        return this.bridgeResync(...requireArgs(args, 1, 1, 'bridge resync <name>'));
+      default:
+        throw new UsageError(subcommand ? `Unknown bridge command: ${subcommand}` : 'Missing bridge command');
+    }
+  }
+
+  /**
+   * Look up the records of a name
+   * @param {string[]} args Name and optional record type
+   * @param {Object} options Parsed options (l1, l2, verify)
+   * @returns {Promise<Object>} { result, text, exitCode }
+   */
+  async resolve([domainName, recordType = 'A'], options) {
+    if (options.l1 && options.l2) {
+      throw new UsageError('--l1 and --l2 cannot be combined');
+    }
+
+    const type = recordType.toUpperCase();
+    const result = await this._getClient().resolveDomain(domainName, type, {
+      forceL1: Boolean(options.l1),
+      forceL2: Boolean(options.l2),
+      verify: Boolean(options.verify)
+    });
+
+    return {
+      result: { name: domainName, type, ...result },
+      text: formatResolution(domainName, type, result),
+      exitCode: result.status === STATUS.NOERROR ? 0 : 1
+    };
+  }
+
+  /**
+   * Register a domain
+   * @param {string} domainName Domain name
+   * @returns {Promise<Object>} { result, text }
+   */
+  async register(domainName) {
+    const result = await this._getManager().register(domainName);
+
+    return {
+      result,
+      text: `Registered ${result.name} until ${formatDate(result.expiryDate)} ` +
+        `(fee ${ethers.utils.formatEther(result.fee)} ETH, transaction ${result.transactionHash})`
+    };
+  }
+
+  /**
+   * Renew a domain
+   * @param {string} domainName Domain name
+   * @returns {Promise<Object>} { result, text }
+   */
+  async renew(domainName) {
+    const result = await this._getManager().renew(domainName);
+
+    return {
+      result,
+      text: `Renewed ${result.name} until ${formatDate(result.expiryDate)} ` +
+        `(fee ${ethers.utils.formatEther(result.fee)} ETH, transaction ${result.transactionHash})`
+    };
+  }
+
+  /**
+   * Transfer a domain
+   * @param {string} domainName Domain name
+   * @param {string} newOwner Address of the new owner
+   * @returns {Promise<Object>} { result, text }
+   */
+  async transfer(domainName, newOwner) {
+    const result = await this._getManager().transfer(domainName, newOwner);
+
+    return {
+      result,
+      text: `Transferred ${result.name} to ${result.newOwner} (transaction ${result.transactionHash})`
+    };
+  }
+
+  /**
+   * Publish the records of a domain from a JSON file
+   * The file holds either the records by type or a whole document with `records` and `ttl`
+   * @param {string} domainName Domain name
+   * @param {string} file File path, or - for standard input
+   * @param {Object} options Parsed options (ttl)
+   * @returns {Promise<Object>} { result, text }
+   */
+  async setRecords(domainName, file, options) {
+    let document;
+    try {
+      document = JSON.parse(readInput(file));
+    } catch (error) {
+      throw new Error(`Cannot read records from ${file}: ${error.message}`);
+    }
+
+    const records = document.records || document;
+    const ttl = options.ttl !== undefined ? parseTTL(options.ttl) : document.ttl;
+
+    // --ttl applies to every set; otherwise per-type TTLs of the document are kept
+    const ttls = options.ttl === undefined && document.records ? document.ttls : undefined;
+
+    const result = await this._getManager().setRecords(domainName, records, { ttl, ttls });
+
+    return {
+      result,
+      text: `Published ${Object.keys(records).length} record sets for ${result.name} as ${result.cid} ` +
+        `(transaction ${result.transactionHash}); the bridge mirrors them to L2 shortly`
+    };
+  }
+
+  /**
+   * Publish the records of a BIND zone file, one records document per owner name
+   * @param {string} file Zone file path, or - for standard input
+   * @param {Object} options Parsed options (origin, dry-run prints the documents without publishing)
+   * @returns {Promise<Object>} { result, text, exitCode }
+   */
+  async zoneImport(file, options) {
+    let text;
+    try {
+      text = readInput(file);
+    } catch (error) {
+      throw new Error(`Cannot read zone file ${file}: ${error.message}`);
+    }
+
+    if (options['dry-run']) {
+      const result = parseZone(text, { origin: options.origin });
+
+      return {
+        result,
+        text: [...result.warnings.map(warning => `Warning: ${warning}`), JSON.stringify(result.documents, null, 2)].join('\n')
+      };
+    }
+
+    const result = await this._getManager().importZone(text, { origin: options.origin });
+    const failed = result.results.filter(entry => entry.error);
+
+    const lines = result.warnings.map(warning => `Warning: ${warning}`);
+    for (const entry of result.results) {
+      lines.push(entry.error ?
+        `Failed ${entry.name}: ${entry.error}` :
+        `Published ${entry.name} as ${entry.cid} (transaction ${entry.transactionHash})`);
+    }
+    lines.push(`${result.results.length - failed.length} of ${result.results.length} names published`);
+
+    return { result, text: lines.join('\n'), exitCode: failed.length > 0 ? 1 : 0 };
+  }
+
+  /**
+   * Print the current records of names as a BIND zone file
+   * @param {string[]} names Domain names
+   * @param {Object} options Parsed options (origin)
+   * @returns {Promise<Object>} { result, text }
+   */
+  async zoneExport(names, options) {
+    const client = this._getClient();
+    const types = Object.keys(RECORD_TYPES);
+    const documents = [];
+    const skipped = [];
+
+    for (const domainName of names) {
+      const name = normalizeName(domainName);
+      const result = await client.resolveBatch(name, types);
+
+      if (result.status === STATUS.SERVFAIL) {
+        throw new Error(`Cannot export ${name}: ${result.error || 'resolution failed'}`);
+      }
+
+      // Names answered from their parent's wildcard have no records of their own
+      const records = {};
+      const ttls = {};
+
+      if (!result.wildcard) {
+        types.forEach((type, i) => {
+          if (result.valueSets[i].length > 0) {
+            records[type] = result.valueSets[i];
+            ttls[type] = result.ttls[i];
+          }
+        });
+      }
+
+      if (Object.keys(records).length === 0) {
+        this.stderr.write(`Warning: ${name} has no records (${result.status})\n`);
+        skipped.push(name);
+        continue;
+      }
+
+      documents.push({ domain: name, records, ttl: Object.values(ttls)[0], ttls });
+    }
+
+    return {
+      result: { documents, skipped },
+      text: formatZone(documents, { origin: options.origin }).trimEnd()
+    };
+  }
+
+  /**
+   * Start the bridge service and keep it running until SIGINT or SIGTERM
+   * @returns {Promise<Object>} { result, text }
+   */
+  async bridgeStart() {
+    const bridge = this._getBridge();
+
+    if (!await bridge.start()) {
+      throw new Error('Bridge service failed to start');
+    }
+
+    const shutdown = () => {
+      bridge.stop();
+      process.exit(0);
+    };
+    process.once('SIGINT', shutdown);
+    process.once('SIGTERM', shutdown);
+
+    return {
+      result: { started: true, lastProcessedBlock: bridge.lastProcessedBlock, metricsPort: bridge.metricsPort },
+      text: `Bridge running from block ${bridge.lastProcessedBlock}; press Ctrl+C to stop`
+    };
+  }
+
+  /**
+   * Read the counters and gauges of a running bridge from its metrics endpoint
+   * @param {Object} options Parsed options (metrics-url)
+   * @returns {Promise<Object>} { result, text }
+   */
+  async bridgeStatus(options) {
+    const bridgeSettings = { ...this.settings, ...this.settings.bridge };
+    const url = options['metrics-url'] || (bridgeSettings.metricsPort !== undefined && bridgeSettings.metricsPort !== null ?
+      `http://127.0.0.1:${bridgeSettings.metricsPort}/metrics` : null);
+
+    if (!url) {
+      throw new UsageError('bridge status needs --metrics-url or a bridge metricsPort in the configuration');
+    }
+
+    let response;
+    try {
+      response = await fetch(url);
+    } catch (error) {
+      throw new Error(`Bridge is not reachable at ${url}: ${error.message}`);
+    }
+
+    if (!response.ok) {
+      throw new Error(`Bridge metrics endpoint ${url} answered HTTP ${response.status}`);
+    }
+
+    const result = parseMetrics(await response.text(), 'ddns_bridge_');
+
+    return {
+      result,
+      text: Object.entries(result).map(([name, value]) => `${name}: ${formatField(value)}`).join('\n')
+    };
+  }
+
+  /**
+   * Mirror the current L1 state of a domain to L2
+   * @param {string} domainName Domain name
+   * @returns {Promise<Object>} { result, text, exitCode }
+   */
+  async bridgeResync(domainName) {
+    const name = normalizeName(domainName);
+    const result = { name, ...await this._getBridge().resyncDomain(namehash(name)) };
+
+    return {
+      result,
+      text: result.recordsSynced ?
+        `Resynchronized ${name} (owner ${result.owner}, content hash ${result.contentHash})` :
+        `Mirrored the owner of ${name}, but its records document was rejected`,
+      exitCode: result.recordsSynced ? 0 : 1
+    };
+  }
+
+  /**
+   * Show chain heads, registry settings and the health of the configured RPC endpoints
+   * @returns {Promise<Object>} { result, text }
+   */
+  async stats() {
+    const client = this._getClient();
+
+    const [l1Block, l2Block, registrationFee, renewalPeriod] = await Promise.all([
+      client.l1Provider.getBlockNumber(),
+      client.l2Provider.getBlockNumber(),
+      client.l1Registry.registrationFee(),
+      client.l1Registry.renewalPeriod()
+    ]);
+
+    const result = {
+      l1Block,
+      l2Block,
+      registrationFee,
+      renewalPeriod: Number(renewalPeriod.toString()),
+      rpc: client.getStats().rpc
+    };
+
+    const lines = [
+      `L1 block: ${l1Block}`,
+      `L2 block: ${l2Block}`,
+      `Registration fee: ${ethers.utils.formatEther(registrationFee)} ETH`,
+      `Renewal period: ${result.renewalPeriod / 86400} days`
+    ];
+
+    for (const [layer, endpoints] of Object.entries(result.rpc)) {
+      for (const endpoint of endpoints) {
+        lines.push(`${layer.toUpperCase()} #${endpoint.index} ${endpoint.host}: ${endpoint.state}${endpoint.lagging ? ' (lagging)' : ''}, ` +
+          `${endpoint.requests} requests, ${endpoint.errors} errors, ${Math.round(endpoint.avgLatency)}ms avg`);
+      }
+    }
+
+    return { result, text: lines.join('\n') };
+  }
+
+  /**
+   * Get the client, building it from the settings on first use
+   * @returns {DDNSClient} Client
+   * @private
+   */
+  _getClient() {
+    if (!this.client) {
+      this.client = new DDNSClient({ ...this.settings, ...this.settings.client });
+    }
+
+    return this.client;
+  }
+
+  /**
+   * Get the manager, building it from the settings on first use
+   * @returns {DDNSManager} Manager
+   * @private
+   */
+  _getManager() {
+    if (!this.manager) {
+      const settings = { ...this.settings, ...this.settings.manager };
+      const privateKey = requirePrivateKey(settings);
+      const provider = new FailoverProvider(settings.l1RpcUrls || settings.l1RpcUrl, settings.rpcFailover);
+
+      this.manager = new DDNSManager({
+        ...settings,
+        signer: new ethers.Wallet(privateKey, provider),
+        contentStore: new IPFSContentStore({ apiUrl: settings.ipfsApiUrl, ...settings.contentStore })
+      });
+    }
+
+    return this.manager;
+  }
+
+  /**
+   * Get the bridge, building it from the settings on first use
+   * @returns {DDNSBridge} Bridge
+   * @private
+   */
+  _getBridge() {
+    if (!this.bridge) {
+      const settings = { ...this.settings, ...this.settings.bridge };
+      this.bridge = new DDNSBridge({ ...settings, privateKey: requirePrivateKey(settings) });
+    }
+
+    return this.bridge;
+  }
+}
+
+/**
+ * Split arguments into positionals and options
+ * @param {string[]} argv Arguments
+ * @returns {Object} { args, options }
+ */
+function parseArgs(argv) {
+  const args = [];
+  const options = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (!arg.startsWith('--')) {
+      args.push(arg);
+      continue;
+    }
+
+    const [key, inlineValue] = arg.slice(2).split(/=(.*)/s);
+
+    if (VALUE_OPTIONS.includes(key)) {
+      const value = inlineValue !== undefined ? inlineValue : argv[++i];
+      if (value === undefined) {
+        throw new UsageError(`Option --${key} needs a value`);
+      }
+      options[key] = value;
+    } else if (['json', 'l1', 'l2', 'verify', 'dry-run', 'help'].includes(key) && inlineValue === undefined) {
+      options[key] = true;
+    } else {
+      throw new UsageError(`Unknown option: ${arg}`);
+    }
+  }
+
+  return { args, options };
+}
+
+/**
+ * Load settings from the configuration file and the environment
+ * The file holds the configuration shared by the client, manager and bridge, with optional
+ * `client`, `manager`, `bridge` and `contentStore` sections for component-specific settings
+ * @param {string} [configFile] Configuration file path
+ * @param {Object} env Environment variables
+ * @returns {Object} Settings
+ */
+function loadSettings(configFile, env) {
+  const file = configFile || env.DDNS_CONFIG || (fs.existsSync(DEFAULT_CONFIG_FILE) ? DEFAULT_CONFIG_FILE : null);
+  let settings = {};
+
+  if (file) {
+    try {
+      settings = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      throw new Error(`Cannot read configuration file ${file}: ${error.message}`);
+    }
+  }
+
+  for (const [variable, key] of Object.entries(ENV_SETTINGS)) {
+    if (env[variable]) {
+      // RPC variables take a comma-separated endpoint list
+      settings[key] = key.endsWith('Urls') ? env[variable].split(',').map(url => url.trim()) : env[variable];
+    }
+  }
+
+  return settings;
+}
+
+/**
+ * Check the number of positional arguments
+ * @param {string[]} args Positional arguments
+ * @param {number} min Minimum count
+ * @param {number} max Maximum count
+ * @param {string} usage Command usage
+ * @returns {string[]} Arguments
+ */
+function requireArgs(args, min, max, usage) {
+  if (args.length < min || args.length > max) {
+    throw new UsageError(`Usage: ddns ${usage}`);
+  }
+
+  return args;
+}
+
+/**
+ * Read a command input file
+ * @param {string} file File path, or - for standard input
+ * @returns {string} File contents
+ */
+function readInput(file) {
+  return fs.readFileSync(file === '-' ? 0 : file, 'utf8');
+}
+
+/**
+ * Get the private key of the settings
+ * @param {Object} settings Settings
+ * @returns {string} Private key
+ */
+function requirePrivateKey(settings) {
+  if (!settings.privateKey) {
+    throw new Error('A private key is required: set privateKey in the configuration file or DDNS_PRIVATE_KEY');
+  }
+
+  return settings.privateKey;
+}
+
+/**
+ * Parse a --ttl value
+ * @param {string} value Option value
+ * @returns {number} TTL in seconds
+ */
+function parseTTL(value) {
+  const ttl = Number(value);
+
+  if (!Number.isInteger(ttl) || ttl <= 0) {
+    throw new UsageError(`Invalid TTL: ${value}`);
+  }
+
+  return ttl;
+}
+
+/**
+ * Format a resolution result like a zone file answer section
+ * @param {string} domainName Queried name
+ * @param {string} recordType Record type
+ * @param {Object} result Resolution result
+ * @returns {string} Text
+ */
+function formatResolution(domainName, recordType, result) {
+  const lines = (result.cname || [])
+    .map(alias => `${alias.name}\t${alias.ttl}\tIN\tCNAME\t${formatRdata('CNAME', alias.target)}`);
+  const owner = result.name || domainName;
+
+  // Structured values (MX, SRV, CAA, CONTENTHASH) are written like zone file rdata
+  for (const value of result.values || []) {
+    lines.push(`${owner}\t${result.ttl}\tIN\t${recordType}\t${formatRdata(recordType, value)}`);
+  }
+
+  const details = [`status: ${result.status}`, `source: ${result.source}`];
+  if (result.verification) {
+    details.push(`verification: ${result.verification}`);
+  }
+  if (result.routing) {
+    details.push(`answered by: ${result.routing.answeredBy}`);
+  }
+  if (result.signedBy) {
+    details.push(`signed by: ${result.signedBy}`);
+  }
+  if (result.error) {
+    details.push(`error: ${result.error}`);
+  }
+  details.push(`${result.latency}ms`);
+
+  lines.push(`;; ${details.join(', ')}`);
+  return lines.join('\n');
+}
+
+/**
+ * Format an expiry timestamp
+ * @param {number|Object} timestamp Seconds since the epoch (number or BigNumber)
+ * @returns {string} ISO date, or "unknown"
+ */
+function formatDate(timestamp) {
+  if (timestamp === null || timestamp === undefined) {
+    return 'unknown';
+  }
+
+  return new Date(Number(timestamp.toString()) * 1000).toISOString();
+}
+
+/**
+ * Read the unlabeled samples of a Prometheus exposition
+ * @param {string} text Exposition text
+ * @param {string} prefix Metric name prefix to strip
+ * @returns {Object} Values by metric name
+ */
+function parseMetrics(text, prefix) {
+  const values = {};
+
+  for (const line of text.split('\n')) {
+    const match = /^([a-zA-Z_:][a-zA-Z0-9_:]*) (\S+)$/.exec(line.trim());
+
+    if (match && match[1].startsWith(prefix)) {
+      values[match[1].slice(prefix.length)] = Number(match[2]);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Serialize a result as JSON, writing big numbers as decimal strings
+ * @param {Object} result Result
+ * @param {number} [indent] Indentation (0 for a single line)
+ * @returns {string} JSON text
+ */
+function toJSON(result, indent = 2) {
+  return JSON.stringify(result, function (key, value) {
+    return ethers.BigNumber.isBigNumber(this[key]) ? this[key].toString() : value;
+  }, indent || undefined);
+}
+
+/**
+ * Format a result field for text output, writing nested values as one-line JSON
+ * @param {*} value Field value
+ * @returns {string} Text
+ */
+function formatField(value) {
+  return value !== null && typeof value === 'object' ? toJSON(value, 0) : String(value);
+}
+
+if (require.main === module) {
+  new DDNSCli().run(process.argv.slice(2)).then(exitCode => {
+    process.exitCode = exitCode;
+  });
+}
+
+module.exports = {
+  DDNSCli,
+  parseArgs,
+  loadSettings
+};
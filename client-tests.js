@@ -3,13 +3,31 @@ const { expect } = require('chai');
 const sinon = require('sinon');
 const { ethers } = require('ethers');
 const DDNSClient = require('../DDNSClient');
+const { namehash } = require('./namehash');
+const { signDocument } = require('./document-signing');
 
 describe('DDNS Client Adapter', function () {
   let client;
   let mockL1Provider, mockL2Provider;
   let mockL1Registry, mockL2Resolver;
 
-  beforeEach(function () {
+  // L1 content hash the mocked L2 record sets were synced from
+  const syncedContentHash = '0x0000000000000000000000000000000000000000000000000000000000000123';
+
+  // Owner of test.eth, who signs its records documents
+  const owner = new ethers.Wallet(`0x${'11'.repeat(32)}`);
+  const signing = { chainId: 1, registryAddress: '0x1234567890123456789012345678901234567890' };
+
+  /**
+   * Sign a records document as the owner of test.eth
+   * @param {Object} document Records document
+   * @returns {Promise<Object>} Signed document
+   */
+  function signed(document) {
+    return signDocument(owner, document, signing);
+  }
+
+  beforeEach(async function () {
     // Create mock providers
     mockL1Provider = {
       getBlockNumber: sinon.stub().resolves(1000)
@@ -22,7 +40,7 @@ describe('DDNS Client Adapter', function () {
     // Create mock contracts
     mockL1Registry = {
       getDomain: sinon.stub().resolves([
-        '0x1234567890123456789012345678901234567890', // owner
+        owner.address, // owner
         '0x0000000000000000000000000000000000000000000000000000000000000123', // contentHash
         Math.floor(Date.now() / 1000), // lastUpdated
         Math.floor(Date.now() / 1000) + 31536000 // expiryDate (1 year)
@@ -30,11 +48,13 @@ describe('DDNS Client Adapter', function () {
     };
 
     mockL2Resolver = {
-      getRecord: sinon.stub().resolves(['192.168.1.1', 3600, Math.floor(Date.now() / 1000)]),
-      getBatchRecords: sinon.stub().resolves([
-        ['192.168.1.1', '2001:db8::1', 'Test record'],
+      getRecordSet: sinon.stub().resolves([['192.168.1.1'], 3600, Math.floor(Date.now() / 1000), syncedContentHash]),
+      getDomainInfo: sinon.stub().resolves([ethers.constants.AddressZero, 0]), // Not mirrored
+      getBatchRecordSets: sinon.stub().resolves([
+        [['192.168.1.1'], ['2001:db8::1'], ['Test record']],
         [3600, 3600, 7200],
-        [Math.floor(Date.now() / 1000), Math.floor(Date.now() / 1000), Math.floor(Date.now() / 1000)]
+        [Math.floor(Date.now() / 1000), Math.floor(Date.now() / 1000), Math.floor(Date.now() / 1000)],
+        [syncedContentHash, syncedContentHash, syncedContentHash]
       ])
     };
 
@@ -46,7 +66,8 @@ describe('DDNS Client Adapter', function () {
       l2ResolverAddress: '0x0987654321098765432109876543210987654321',
       preferL2: true,
       useCache: true,
-      cacheTTL: 300
+      cacheTTL: 300,
+      l1ChainId: 1
     });
 
     // Replace real objects with mocks
@@ -56,7 +77,7 @@ describe('DDNS Client Adapter', function () {
     client.l2Resolver = mockL2Resolver;
 
     // Mock _getRecordsFromIPFS
-    sinon.stub(client, '_getRecordsFromIPFS').resolves({
+    sinon.stub(client, '_getRecordsFromIPFS').resolves(await signed({
       domain: 'test.eth',
       records: {
         A: '192.168.1.1',
@@ -65,7 +86,7 @@ describe('DDNS Client Adapter', function () {
       },
       ttl: 3600,
       timestamp: Math.floor(Date.now() / 1000)
-    });
+    }));
   });
 
   afterEach(function () {
@@ -80,7 +101,7 @@ describe('DDNS Client Adapter', function () {
       expect(result.value).to.equal('192.168.1.1');
       expect(result.ttl).to.equal(3600);
       expect(result.source).to.equal('l2');
-      expect(mockL2Resolver.getRecord.called).to.be.true;
+      expect(mockL2Resolver.getRecordSet.called).to.be.true;
       expect(mockL1Registry.getDomain.called).to.be.false;
       expect(client.stats.l2Queries).to.equal(1);
     });
@@ -92,7 +113,7 @@ describe('DDNS Client Adapter', function () {
       expect(result.ttl).to.equal(3600);
       expect(result.source).to.equal('l1');
       expect(mockL1Registry.getDomain.called).to.be.true;
-      expect(mockL2Resolver.getRecord.called).to.be.false;
+      expect(mockL2Resolver.getRecordSet.called).to.be.false;
       expect(client.stats.l1Queries).to.equal(1);
     });
 
@@ -140,29 +161,560 @@ describe('DDNS Client Adapter', function () {
         contentHash: '0x123'
       });
 
+      sinon.stub(console, 'warn');
       const result = await client.resolveDomain('test.eth', 'A', { verify: true });
 
       // Should use L1 result due to mismatch
       expect(result.value).to.equal('192.168.1.2');
       expect(result.source).to.equal('l1');
+      expect(result.verification).to.equal('stale');
+      expect(result.l2ContentHash).to.equal('0x123');
+      expect(client.stats.staleL2Results).to.equal(1);
       expect(client._resolveFromL1.called).to.be.true;
       expect(client._resolveFromL2.called).to.be.true;
     });
 
+    it('should report verified when L2 was synced from the current L1 content hash', async function () {
+      const result = await client.resolveDomain('test.eth', 'A', { verify: true });
+
+      expect(result.source).to.equal('l2');
+      expect(result.verification).to.equal('verified');
+      expect(result.contentHash).to.equal(syncedContentHash);
+      expect(mockL1Registry.getDomain.calledOnce).to.be.true;
+    });
+
+    it('should verify against the L1 content hash without retrieving the document', async function () {
+      client._getRecordsFromIPFS.rejects(new Error('IPFS unavailable'));
+
+      const result = await client.resolveDomain('test.eth', 'A', { verify: true });
+      const batch = await client.resolveBatch('test.eth', ['A', 'AAAA'], { verify: true, skipCache: true });
+
+      expect(result).to.include({ source: 'l2', verification: 'verified', value: '192.168.1.1' });
+      expect(batch).to.include({ source: 'l2', verification: 'verified' });
+      expect(client._getRecordsFromIPFS.called).to.be.false;
+    });
+
+    it('should only answer verified lookups from verified cache entries', async function () {
+      await client.resolveDomain('test.eth', 'A');
+
+      const verified = await client.resolveDomain('test.eth', 'A', { verify: true });
+      expect(verified).to.include({ source: 'l2', verification: 'verified' });
+      expect(mockL1Registry.getDomain.calledOnce).to.be.true;
+
+      const cached = await client.resolveDomain('test.eth', 'A', { verify: true });
+      expect(cached).to.include({ source: 'cache', verification: 'verified' });
+      expect(mockL1Registry.getDomain.calledOnce).to.be.true;
+    });
+
+    it('should verify empty L2 record sets against the synced document', async function () {
+      mockL2Resolver.getRecordSet.resolves([[], 0, 0, syncedContentHash]);
+
+      const result = await client.resolveDomain('test.eth', 'SRV', { verify: true });
+
+      expect(result.values).to.deep.equal([]);
+      expect(result.verification).to.equal('verified');
+    });
+
     it('should fall back to L1 on L2 failure', async function () {
       // Make L2 fail
-      mockL2Resolver.getRecord.rejects(new Error('L2 error'));
+      mockL2Resolver.getRecordSet.rejects(new Error('L2 error'));
 
       const result = await client.resolveDomain('test.eth', 'A');
 
       expect(result.value).to.equal('192.168.1.1');
       expect(result.source).to.equal('l1');
-      expect(mockL2Resolver.getRecord.called).to.be.true;
+      expect(mockL2Resolver.getRecordSet.called).to.be.true;
       expect(mockL1Registry.getDomain.called).to.be.true;
       expect(client.stats.l2Errors).to.equal(1);
     });
   });
 
+  describe('multi-value records', function () {
+    it('should return every value of an L2 record set', async function () {
+      mockL2Resolver.getRecordSet.resolves([['192.168.1.1', '192.168.1.2'], 3600, Math.floor(Date.now() / 1000)]);
+
+      const result = await client.resolveDomain('test.eth', 'A');
+
+      expect(result.value).to.equal('192.168.1.1');
+      expect(result.values).to.deep.equal(['192.168.1.1', '192.168.1.2']);
+    });
+
+    it('should decode typed values and drop malformed ones', async function () {
+      mockL2Resolver.getRecordSet.resolves([
+        ['{"priority":1,"weight":5,"port":5060,"target":"sip.test.eth"}', '1 5 sip.test.eth'],
+        3600,
+        Math.floor(Date.now() / 1000)
+      ]);
+      sinon.stub(console, 'warn');
+
+      const result = await client.resolveDomain('_sip._udp.test.eth', 'SRV');
+
+      expect(result.values).to.deep.equal([{ priority: 1, weight: 5, port: 5060, target: 'sip.test.eth' }]);
+      expect(client.stats.invalidRecords).to.equal(1);
+    });
+
+    it('should decode MX record sets into structured values', async function () {
+      mockL2Resolver.getRecordSet.resolves([[
+        JSON.stringify({ preference: 10, exchange: 'mail1.test.eth' }),
+        '20 mail2.test.eth'
+      ], 3600, Math.floor(Date.now() / 1000)]);
+
+      const result = await client.resolveDomain('test.eth', 'MX');
+
+      expect(result.values).to.deep.equal([
+        { preference: 10, exchange: 'mail1.test.eth' },
+        { preference: 20, exchange: 'mail2.test.eth' }
+      ]);
+    });
+
+    it('should return every value of an L1 record set', async function () {
+      client._getRecordsFromIPFS.resolves(await signed({
+        domain: 'test.eth',
+        records: {
+          A: ['192.168.1.1', '192.168.1.2'],
+          MX: [{ preference: 10, exchange: 'mail.test.eth' }]
+        },
+        ttl: 3600
+      }));
+
+      const result = await client.resolveBatch('test.eth', ['A', 'MX', 'TXT'], { forceL1: true });
+
+      expect(result.values).to.deep.equal(['192.168.1.1', { preference: 10, exchange: 'mail.test.eth' }, null]);
+      expect(result.valueSets).to.deep.equal([
+        ['192.168.1.1', '192.168.1.2'],
+        [{ preference: 10, exchange: 'mail.test.eth' }],
+        []
+      ]);
+    });
+
+    it('should apply per-type TTLs of L1 documents', async function () {
+      client._getRecordsFromIPFS.resolves(await signed({
+        domain: 'test.eth',
+        records: { A: ['192.168.1.1'], MX: [{ preference: 10, exchange: 'mail.test.eth' }] },
+        ttl: 600,
+        ttls: { MX: 86400 }
+      }));
+
+      const result = await client.resolveBatch('test.eth', ['A', 'MX'], { forceL1: true });
+
+      expect(result.ttls).to.deep.equal([600, 86400]);
+    });
+  });
+
+  describe('caching', function () {
+    it('should cache empty answers negatively', async function () {
+      mockL2Resolver.getRecordSet.resolves([[], 0, 0]);
+
+      const result1 = await client.resolveDomain('missing.eth', 'A');
+      expect(result1.source).to.equal('l2');
+      expect(result1.value).to.be.null;
+
+      const result2 = await client.resolveDomain('missing.eth', 'A');
+      expect(result2.source).to.equal('cache');
+      expect(result2.value).to.be.null;
+
+      // The A lookup and the CNAME check are each made once
+      expect(mockL2Resolver.getRecordSet.callCount).to.equal(2);
+    });
+
+    it('should serve stale entries while refreshing in the background', async function () {
+      const clock = sinon.useFakeTimers({ now: Date.now(), toFake: ['Date'] });
+
+      await client.resolveDomain('test.eth', 'A');
+      mockL2Resolver.getRecordSet.resolves([['192.168.1.9'], 3600, Math.floor(Date.now() / 1000)]);
+
+      // Past the 300 second cacheTTL but inside the stale window
+      clock.tick(310 * 1000);
+
+      const stale = await client.resolveDomain('test.eth', 'A');
+      expect(stale.source).to.equal('cache');
+      expect(stale.stale).to.be.true;
+      expect(stale.value).to.equal('192.168.1.1');
+
+      // Let the background refresh settle
+      await new Promise(resolve => setImmediate(resolve));
+
+      const refreshed = await client.resolveDomain('test.eth', 'A');
+      expect(refreshed.value).to.equal('192.168.1.9');
+      expect(refreshed.stale).to.be.false;
+      expect(client.stats.backgroundRefreshes).to.equal(1);
+    });
+
+    it('should read and write through a custom cache store', async function () {
+      const entries = new Map();
+      const store = {
+        get: sinon.stub().callsFake(async key => entries.get(key)),
+        set: sinon.stub().callsFake(async (key, entry) => { entries.set(key, entry); }),
+        delete: sinon.stub().callsFake(async key => { entries.delete(key); }),
+        clear: sinon.stub().callsFake(async () => entries.clear())
+      };
+      client.cache.store = store;
+
+      await client.resolveDomain('test.eth', 'A');
+      const cached = await client.resolveDomain('test.eth', 'A');
+      expect(cached.source).to.equal('cache');
+      expect(store.set.calledOnce).to.be.true;
+
+      await client.clearCache();
+      expect(store.clear.calledOnce).to.be.true;
+      expect(entries.size).to.equal(0);
+    });
+
+    it('should bound the number of cached entries', async function () {
+      client.cache.store.maxEntries = 2;
+
+      await client.resolveDomain('a.eth', 'A');
+      await client.resolveDomain('b.eth', 'A');
+      await client.resolveDomain('c.eth', 'A');
+
+      expect(client.getStats().cache.size).to.equal(2);
+      expect(client.getStats().cache.evictions).to.equal(1);
+    });
+  });
+
+  describe('event invalidation', function () {
+    const domainHash = namehash('test.eth');
+
+    /**
+     * Emit a mocked contract event to the subscribed listener
+     * @param {Object} contract Mock contract
+     * @param {string} eventName Event name
+     * @param {...*} args Event arguments
+     */
+    async function emit(contract, eventName, ...args) {
+      const call = contract.on.getCalls().find(c => c.args[0] === eventName);
+      await call.args[1](...args, { event: eventName });
+    }
+
+    beforeEach(function () {
+      sinon.stub(console, 'log');
+      mockL1Registry.on = sinon.stub();
+      mockL1Registry.off = sinon.stub();
+      mockL2Resolver.on = sinon.stub();
+      mockL2Resolver.off = sinon.stub();
+      expect(client.subscribe()).to.be.true;
+    });
+
+    it('should evict a record type on RecordSet', async function () {
+      await client.resolveDomain('test.eth', 'A');
+      await client.resolveDomain('test.eth', 'TXT');
+
+      mockL2Resolver.getRecordSet.resolves([['10.0.0.9'], 3600, Math.floor(Date.now() / 1000)]);
+      await emit(mockL2Resolver, 'RecordSet', domainHash, 'A', ['10.0.0.9'], 3600);
+
+      const a = await client.resolveDomain('test.eth', 'A');
+      const txt = await client.resolveDomain('test.eth', 'TXT');
+
+      expect(a.source).to.equal('l2');
+      expect(a.value).to.equal('10.0.0.9');
+      expect(txt.source).to.equal('cache');
+    });
+
+    it('should evict every record type of a domain on L1 events', async function () {
+      await client.resolveDomain('test.eth', 'A');
+      await client.resolveDomain('test.eth', 'TXT');
+      await client.resolveDomain('other.eth', 'A');
+
+      await emit(mockL1Registry, 'DomainTransferred', domainHash, '0x1', '0x2');
+
+      expect((await client.resolveDomain('test.eth', 'A')).source).to.equal('l2');
+      expect((await client.resolveDomain('test.eth', 'TXT')).source).to.equal('l2');
+      expect((await client.resolveDomain('other.eth', 'A')).source).to.equal('cache');
+      expect(client.stats.invalidatedEntries).to.equal(2);
+    });
+
+    it('should not cache lookups that were in flight during an invalidation', async function () {
+      let release;
+      mockL2Resolver.getRecordSet.onFirstCall().returns(new Promise(resolve => {
+        release = () => resolve([['192.168.1.1'], 3600, Math.floor(Date.now() / 1000)]);
+      }));
+
+      const pending = client.resolveDomain('test.eth', 'A');
+      while (!mockL2Resolver.getRecordSet.called) {
+        await new Promise(resolve => setImmediate(resolve));
+      }
+      await emit(mockL1Registry, 'DomainUpdated', domainHash, '0x' + '44'.repeat(32));
+      release();
+      await pending;
+
+      expect((await client.resolveDomain('test.eth', 'A')).source).to.equal('l2');
+    });
+
+    it('should not cache batch lookups that were in flight during an invalidation', async function () {
+      let release;
+      mockL2Resolver.getBatchRecordSets.onFirstCall().returns(new Promise(resolve => {
+        release = () => resolve([[['192.168.1.1']], [3600], [Math.floor(Date.now() / 1000)], [syncedContentHash]]);
+      }));
+
+      const pending = client.resolveBatch('test.eth', ['A']);
+      while (!mockL2Resolver.getBatchRecordSets.called) {
+        await new Promise(resolve => setImmediate(resolve));
+      }
+      await emit(mockL1Registry, 'DomainUpdated', domainHash, '0x' + '44'.repeat(32));
+      release();
+      await pending;
+
+      expect((await client.resolveDomain('test.eth', 'A')).source).to.equal('l2');
+    });
+
+    it('should remove its listeners on unsubscribe', function () {
+      client.unsubscribe();
+
+      expect(mockL2Resolver.off.callCount).to.equal(mockL2Resolver.on.callCount);
+      expect(mockL1Registry.off.callCount).to.equal(mockL1Registry.on.callCount);
+      expect(client.subscriptions).to.be.null;
+    });
+  });
+
+  describe('request coalescing', function () {
+    it('should share one upstream lookup between concurrent identical queries', async function () {
+      let release;
+      mockL2Resolver.getRecordSet.returns(new Promise(resolve => {
+        release = () => resolve([['192.168.1.1'], 3600, Math.floor(Date.now() / 1000)]);
+      }));
+
+      const pending = Array.from({ length: 500 }, () => client.resolveDomain('example.eth', 'A'));
+      release();
+      const results = await Promise.all(pending);
+
+      expect(mockL2Resolver.getRecordSet.calledOnce).to.be.true;
+      expect(results.every(result => result.value === '192.168.1.1')).to.be.true;
+      expect(client.stats.coalescedQueries).to.equal(499);
+      expect(client.inflight.size).to.equal(0);
+    });
+
+    it('should not share lookups that force a layer', async function () {
+      await Promise.all([
+        client.resolveDomain('example.eth', 'A', { skipCache: true }),
+        client.resolveDomain('example.eth', 'A', { forceL1: true })
+      ]);
+
+      expect(mockL2Resolver.getRecordSet.calledOnce).to.be.true;
+      expect(mockL1Registry.getDomain.calledOnce).to.be.true;
+      expect(client.stats.coalescedQueries).to.equal(0);
+    });
+
+    it('should propagate a shared failure to every waiting caller', async function () {
+      sinon.stub(console, 'error');
+      sinon.stub(console, 'warn');
+      mockL2Resolver.getRecordSet.rejects(new Error('L2 error'));
+      mockL1Registry.getDomain.rejects(new Error('L1 error'));
+
+      const results = await Promise.all([
+        client.resolveDomain('example.eth', 'A'),
+        client.resolveDomain('example.eth', 'A')
+      ]);
+
+      expect(results.map(result => result.source)).to.deep.equal(['error', 'error']);
+      expect(mockL2Resolver.getRecordSet.calledOnce).to.be.true;
+      expect(client.inflight.size).to.equal(0);
+    });
+  });
+
+  describe('status codes', function () {
+    beforeEach(function () {
+      sinon.stub(console, 'error');
+      sinon.stub(console, 'warn');
+    });
+
+    it('should report NOERROR for names with records', async function () {
+      const result = await client.resolveDomain('test.eth', 'A');
+
+      expect(result.status).to.equal('NOERROR');
+    });
+
+    it('should report NODATA when a synced name lacks the type', async function () {
+      mockL2Resolver.getRecordSet.resolves([[], 0, 0, syncedContentHash]);
+
+      const result = await client.resolveDomain('test.eth', 'TXT');
+
+      expect(result.status).to.equal('NODATA');
+    });
+
+    it('should report NXDOMAIN for unregistered names', async function () {
+      mockL1Registry.getDomain.resolves([ethers.constants.AddressZero, ethers.constants.HashZero, 0, 0]);
+
+      const result = await client.resolveDomain('missing.eth', 'A', { forceL1: true });
+
+      expect(result.status).to.equal('NXDOMAIN');
+      expect(result.error).to.be.undefined;
+    });
+
+    it('should report EXPIRED for expired registrations', async function () {
+      mockL1Registry.getDomain.resolves([
+        '0x1234567890123456789012345678901234567890',
+        syncedContentHash,
+        0,
+        Math.floor(Date.now() / 1000) - 60
+      ]);
+
+      const result = await client.resolveBatch('test.eth', ['A', 'TXT'], { forceL1: true });
+
+      expect(result.status).to.equal('EXPIRED');
+    });
+
+    it('should apply mirrored expiry on L2 after the grace period', async function () {
+      const owner = '0x1234567890123456789012345678901234567890';
+      const now = Math.floor(Date.now() / 1000);
+
+      mockL2Resolver.getDomainInfo.resolves([owner, now - 600]); // Within the default 1 hour grace
+      const grace = await client.resolveDomain('test.eth', 'A', { skipCache: true });
+      expect(grace).to.include({ source: 'l2', status: 'NOERROR', value: '192.168.1.1', owner });
+
+      mockL2Resolver.getDomainInfo.resolves([owner, now - 7200]);
+      const expired = await client.resolveDomain('test.eth', 'A', { skipCache: true });
+      expect(expired).to.include({ source: 'l2', status: 'EXPIRED', value: null });
+      expect(mockL1Registry.getDomain.called).to.be.false;
+    });
+
+    it('should report SERVFAIL with the error type when every layer fails', async function () {
+      mockL2Resolver.getRecordSet.rejects(new Error('connection refused'));
+      mockL1Registry.getDomain.rejects(new Error('connection refused'));
+
+      const result = await client.resolveDomain('test.eth', 'A');
+
+      expect(result).to.include({ source: 'error', status: 'SERVFAIL', errorType: 'RPCUnavailableError' });
+      expect(result.error).to.equal('L1 RPC unavailable: connection refused');
+    });
+
+    it('should only serve L1 documents signed by the current owner', async function () {
+      const other = new ethers.Wallet(`0x${'22'.repeat(32)}`);
+      const document = { domain: 'test.eth', records: { A: ['192.0.2.1'] }, ttl: 600 };
+
+      client._getRecordsFromIPFS.resolves(await signDocument(other, document, signing));
+
+      const forged = await client.resolveDomain('test.eth', 'A', { forceL1: true, skipCache: true });
+      expect(forged).to.include({ status: 'SERVFAIL', errorType: 'DocumentSignatureError', value: null });
+      expect(client.stats.unauthorizedDocuments).to.equal(1);
+
+      client._getRecordsFromIPFS.resolves(document);
+
+      const unsigned = await client.resolveDomain('test.eth', 'A', { forceL1: true, skipCache: true });
+      expect(unsigned).to.include({ status: 'SERVFAIL', errorType: 'DocumentSignatureError' });
+      expect(unsigned.error).to.include('the document is not signed');
+
+      client._getRecordsFromIPFS.resolves(await signed(document));
+
+      const result = await client.resolveDomain('test.eth', 'A', { forceL1: true, skipCache: true });
+      expect(result).to.include({ status: 'NOERROR', value: '192.0.2.1', signedBy: owner.address });
+    });
+
+    it('should throw typed errors in strict mode', async function () {
+      mockL1Registry.getDomain.resolves([ethers.constants.AddressZero, ethers.constants.HashZero, 0, 0]);
+
+      const missing = await client.resolveDomain('missing.eth', 'A', { forceL1: true, strict: true }).catch(error => error);
+      expect(missing).to.include({ name: 'NameNotFoundError', status: 'NXDOMAIN', domainName: 'missing.eth' });
+
+      mockL1Registry.getDomain.resolves(['0x1234567890123456789012345678901234567890', syncedContentHash, 0, 1]);
+
+      const expired = await client.resolveDomain('old.eth', 'A', { forceL1: true, strict: true }).catch(error => error);
+      expect(expired).to.include({ name: 'DomainExpiredError', status: 'EXPIRED' });
+    });
+
+    it('should keep the status of cached results', async function () {
+      mockL2Resolver.getRecordSet.resolves([[], 0, 0, syncedContentHash]);
+
+      await client.resolveDomain('test.eth', 'TXT');
+      const result = await client.resolveDomain('test.eth', 'TXT');
+
+      expect(result).to.include({ source: 'cache', status: 'NODATA' });
+    });
+  });
+
+  describe('CNAME chasing', function () {
+    const hash = namehash;
+    const recordSet = values => [values, 3600, Math.floor(Date.now() / 1000), syncedContentHash];
+
+    beforeEach(function () {
+      mockL2Resolver.getRecordSet.resolves(recordSet([]));
+    });
+
+    it('should follow aliases to the target records and return the chain', async function () {
+      mockL2Resolver.getRecordSet.withArgs(hash('www.foo.eth'), 'CNAME').resolves(recordSet(['alias.foo.eth.']));
+      mockL2Resolver.getRecordSet.withArgs(hash('alias.foo.eth'), 'CNAME').resolves(recordSet(['foo.eth']));
+      mockL2Resolver.getRecordSet.withArgs(hash('foo.eth'), 'A').resolves(recordSet(['192.168.1.1']));
+
+      const result = await client.resolveDomain('www.foo.eth', 'A');
+
+      expect(result.values).to.deep.equal(['192.168.1.1']);
+      expect(result.name).to.equal('foo.eth');
+      expect(result.cname.map(hop => [hop.name, hop.target])).to.deep.equal([
+        ['www.foo.eth', 'alias.foo.eth'],
+        ['alias.foo.eth', 'foo.eth']
+      ]);
+    });
+
+    it('should not chase when the name has records of the requested type', async function () {
+      mockL2Resolver.getRecordSet.withArgs(hash('foo.eth'), 'A').resolves(recordSet(['192.168.1.1']));
+
+      const result = await client.resolveDomain('foo.eth', 'A');
+
+      expect(result.cname).to.be.undefined;
+      expect(mockL2Resolver.getRecordSet.calledWith(hash('foo.eth'), 'CNAME')).to.be.false;
+    });
+
+    it('should detect alias loops', async function () {
+      mockL2Resolver.getRecordSet.withArgs(hash('a.eth'), 'CNAME').resolves(recordSet(['b.eth']));
+      mockL2Resolver.getRecordSet.withArgs(hash('b.eth'), 'CNAME').resolves(recordSet(['A.eth.']));
+
+      const result = await client.resolveDomain('a.eth', 'A');
+
+      expect(result.source).to.equal('error');
+      expect(result.error).to.equal('CNAME loop detected: a.eth -> b.eth -> a.eth');
+    });
+
+    it('should stop at the configured depth limit', async function () {
+      client.maxCnameDepth = 1;
+      mockL2Resolver.getRecordSet.withArgs(hash('a.eth'), 'CNAME').resolves(recordSet(['b.eth']));
+      mockL2Resolver.getRecordSet.withArgs(hash('b.eth'), 'CNAME').resolves(recordSet(['c.eth']));
+
+      const result = await client.resolveDomain('a.eth', 'A');
+
+      expect(result.source).to.equal('error');
+      expect(result.error).to.include('exceeds 1 hops');
+    });
+  });
+
+  describe('wildcard records', function () {
+    const recordSet = (values, contentHash) => [values, 3600, Math.floor(Date.now() / 1000), contentHash];
+
+    beforeEach(function () {
+      // Names that were never synced report no content hash
+      mockL2Resolver.getRecordSet.resolves(recordSet([], ethers.constants.HashZero));
+      mockL2Resolver.getRecordSet.withArgs(namehash('*.example.eth'), 'A').resolves(recordSet(['10.0.0.1'], syncedContentHash));
+    });
+
+    it('should fall back to the parent wildcard when the name does not exist', async function () {
+      const result = await client.resolveDomain('shop.example.eth', 'A');
+
+      expect(result.values).to.deep.equal(['10.0.0.1']);
+      expect(result.wildcard).to.equal('*.example.eth');
+    });
+
+    it('should not apply the wildcard to names that exist', async function () {
+      mockL2Resolver.getRecordSet.withArgs(namehash('mail.example.eth'), 'A').resolves(recordSet([], syncedContentHash));
+
+      const result = await client.resolveDomain('mail.example.eth', 'A');
+
+      expect(result.values).to.deep.equal([]);
+      expect(result.wildcard).to.be.undefined;
+    });
+
+    it('should fall back to the parent wildcard in batch lookups', async function () {
+      mockL2Resolver.getBatchRecordSets.withArgs(namehash('shop.example.eth')).resolves([
+        [[], []], [0, 0], [0, 0], [ethers.constants.HashZero, ethers.constants.HashZero]
+      ]);
+      mockL2Resolver.getBatchRecordSets.withArgs(namehash('*.example.eth')).resolves([
+        [['10.0.0.1'], []], [3600, 0], [0, 0], [syncedContentHash, syncedContentHash]
+      ]);
+
+      const result = await client.resolveBatch('shop.example.eth', ['A', 'TXT']);
+
+      expect(result.valueSets).to.deep.equal([['10.0.0.1'], []]);
+      expect(result.wildcard).to.equal('*.example.eth');
+    });
+  });
+
   describe('resolveBatch()', function () {
     it('should batch resolve from L2 by default', async function () {
       const result = await client.resolveBatch('test.eth', ['A', 'AAAA', 'TXT']);
@@ -170,7 +722,7 @@ describe('DDNS Client Adapter', function () {
       expect(result.values).to.deep.equal(['192.168.1.1', '2001:db8::1', 'Test record']);
       expect(result.ttls).to.deep.equal([3600, 3600, 7200]);
       expect(result.source).to.equal('l2');
-      expect(mockL2Resolver.getBatchRecords.called).to.be.true;
+      expect(mockL2Resolver.getBatchRecordSets.called).to.be.true;
       expect(mockL1Registry.getDomain.called).to.be.false;
       expect(client.stats.l2Queries).to.equal(1);
     });
@@ -181,24 +733,127 @@ describe('DDNS Client Adapter', function () {
       expect(result.values).to.deep.equal(['192.168.1.1', '2001:db8::1', 'Test record']);
       expect(result.source).to.equal('l1');
       expect(mockL1Registry.getDomain.called).to.be.true;
-      expect(mockL2Resolver.getBatchRecords.called).to.be.false;
+      expect(mockL2Resolver.getBatchRecordSets.called).to.be.false;
       expect(client.stats.l1Queries).to.equal(1);
     });
 
+    it('should report stale batches when any L2 set lags L1', async function () {
+      const outdated = '0x0000000000000000000000000000000000000000000000000000000000000099';
+      mockL2Resolver.getBatchRecordSets.resolves([
+        [['192.168.1.7'], ['2001:db8::1'], ['Test record']],
+        [3600, 3600, 7200],
+        [0, 0, 0],
+        [outdated, syncedContentHash, syncedContentHash]
+      ]);
+      sinon.stub(console, 'warn');
+
+      const result = await client.resolveBatch('test.eth', ['A', 'AAAA', 'TXT'], { verify: true });
+
+      expect(result.values).to.deep.equal(['192.168.1.1', '2001:db8::1', 'Test record']);
+      expect(result.source).to.equal('l1');
+      expect(result.verification).to.equal('stale');
+      expect(result.l2ContentHashes[0]).to.equal(outdated);
+    });
+
     it('should handle L2 batch errors', async function () {
       // Make L2 fail
-      mockL2Resolver.getBatchRecords.rejects(new Error('L2 error'));
+      mockL2Resolver.getBatchRecordSets.rejects(new Error('L2 error'));
 
       const result = await client.resolveBatch('test.eth', ['A', 'AAAA', 'TXT']);
 
       expect(result.values).to.deep.equal(['192.168.1.1', '2001:db8::1', 'Test record']);
       expect(result.source).to.equal('l1');
-      expect(mockL2Resolver.getBatchRecords.called).to.be.true;
+      expect(mockL2Resolver.getBatchRecordSets.called).to.be.true;
       expect(mockL1Registry.getDomain.called).to.be.true;
       expect(client.stats.l2Errors).to.equal(1);
     });
   });
 
+  describe('resolveMany()', function () {
+    const now = Math.floor(Date.now() / 1000);
+    const addresses = {
+      [namehash('a.eth')]: '10.0.0.1',
+      [namehash('b.eth')]: '10.0.0.2',
+      [namehash('c.eth')]: '10.0.0.3'
+    };
+
+    beforeEach(function () {
+      // Answer every A lookup of a known name; unknown names were never synced
+      mockL2Resolver.getManyRecordSets = sinon.spy(async (domainHashes, recordTypes) => [
+        domainHashes.map((hash, i) => (recordTypes[i] === 'A' && addresses[hash] ? [addresses[hash]] : [])),
+        domainHashes.map(() => 600),
+        domainHashes.map(() => now),
+        domainHashes.map(hash => (addresses[hash] ? syncedContentHash : ethers.constants.HashZero)),
+        domainHashes.map(() => ethers.constants.AddressZero),
+        domainHashes.map(() => 0)
+      ]);
+    });
+
+    it('should resolve many names with one L2 call', async function () {
+      const results = await client.resolveMany([
+        { name: 'a.eth', type: 'A' },
+        { name: 'B.eth', type: 'A' },
+        { name: 'c.eth', type: 'A' }
+      ]);
+
+      expect(results.map(result => result.value)).to.deep.equal(['10.0.0.1', '10.0.0.2', '10.0.0.3']);
+      expect(results.every(result => result.source === 'l2' && result.status === 'NOERROR')).to.be.true;
+      expect(mockL2Resolver.getManyRecordSets.calledOnce).to.be.true;
+      expect(mockL2Resolver.getRecordSet.called).to.be.false;
+      expect(client.stats).to.include({ totalQueries: 3, l2Queries: 1, bulkCalls: 1, bulkLookups: 3 });
+    });
+
+    it('should only read names that are not cached', async function () {
+      await client.resolveDomain('a.eth', 'A');
+
+      const results = await client.resolveMany([{ name: 'a.eth', type: 'A' }, { name: 'b.eth', type: 'A' }]);
+
+      expect(results.map(result => result.source)).to.deep.equal(['cache', 'l2']);
+      expect(mockL2Resolver.getManyRecordSets.firstCall.args[0]).to.deep.equal([namehash('b.eth')]);
+
+      const again = await client.resolveMany([{ name: 'b.eth', type: 'A' }]);
+      expect(again[0].source).to.equal('cache');
+      expect(mockL2Resolver.getManyRecordSets.calledOnce).to.be.true;
+    });
+
+    it('should split large requests into batches', async function () {
+      client.bulkBatchSize = 2;
+
+      const results = await client.resolveMany(['a.eth', 'b.eth', 'c.eth'].map(name => ({ name, type: 'A' })));
+
+      expect(results).to.have.length(3);
+      expect(mockL2Resolver.getManyRecordSets.callCount).to.equal(2);
+    });
+
+    it('should report per-name statuses and errors', async function () {
+      sinon.stub(console, 'error');
+
+      // Wildcard and CNAME follow-ups find nothing either
+      mockL2Resolver.getRecordSet.resolves([[], 0, 0, ethers.constants.HashZero]);
+
+      const results = await client.resolveMany([
+        { name: 'a.eth', type: 'TXT' },
+        { name: 'www.missing.eth', type: 'A' },
+        { name: 'bad name.eth', type: 'A' }
+      ]);
+
+      expect(results.map(result => result.status)).to.deep.equal(['NODATA', 'NXDOMAIN', 'NXDOMAIN']);
+      expect(results[2].source).to.equal('error');
+      expect(mockL2Resolver.getRecordSet.calledWith(namehash('*.missing.eth'), 'A')).to.be.true;
+    });
+
+    it('should resolve names one by one when the bulk call fails', async function () {
+      mockL2Resolver.getManyRecordSets = sinon.stub().rejects(new Error('call reverted'));
+      sinon.stub(console, 'warn');
+
+      const results = await client.resolveMany([{ name: 'a.eth', type: 'A' }, { name: 'b.eth', type: 'A' }]);
+
+      expect(results.map(result => result.value)).to.deep.equal(['192.168.1.1', '192.168.1.1']);
+      expect(mockL2Resolver.getRecordSet.callCount).to.equal(2);
+      expect(client.stats.l2Errors).to.equal(1);
+    });
+  });
+
   describe('getStats()', function () {
     it('should calculate performance statistics', async function () {
       // Set up some test data
@@ -232,7 +887,7 @@ describe('DDNS Client Adapter', function () {
       expect(cachedResult.source).to.equal('cache');
 
       // Clear cache
-      client.clearCache();
+      await client.clearCache();
 
       // Third query should miss cache
       const uncachedResult = await client.resolveDomain('test.eth', 'A');
@@ -243,4 +898,16 @@ describe('DDNS Client Adapter', function () {
       expect(client.stats.totalQueries).to.equal(3);
     });
   });
+
+  describe('close()', function () {
+    it('should unsubscribe and close the cache store', async function () {
+      client.cache.store.close = sinon.stub().resolves();
+      client.subscriptions = [];
+
+      await client.close();
+
+      expect(client.cache.store.close.calledOnce).to.be.true;
+      expect(client.subscriptions).to.be.null;
+    });
+  });
 });
\ No newline at end of file
@@ -2,6 +2,23 @@
 const ethers = require('ethers');
 const DDNSRegistryABI = require('./abis/DDNSRegistry.json');
 const DDNSResolverABI = require('./abis/DDNSResolver.json');
+const RecordCache = require('./record-cache');
+const { StorageProver, proveRecordSet, proveDomainInfo } = require('./proof');
+const IPFSGateway = require('./ipfs-gateway');
+const { FailoverProvider, getRpcStats } = require('./rpc-failover');
+const LayerRouter = require('./layer-router');
+const { createLatencyHistograms, summarizeLatency, endpointMetrics, renderMetrics } = require('./metrics');
+const { namehash, wildcardName } = require('./namehash');
+const { normalizeName } = require('./normalize');
+const { parseReverseTarget, sameIp } = require('./reverse');
+const { isSupportedType, decodeRecord, recordSetTTL } = require('./record-types');
+const { verifyDocumentSignature } = require('./document-signing');
+const { STATUS, IPFSUnavailableError, RPCUnavailableError, ResolutionError, statusOf, errorForResult } = require('./errors');
+
+// L1 contract that anchors L2 state roots (e.g. a rollup output oracle adapter)
+const STATE_ROOT_ORACLE_ABI = [
+  'function latestStateRoot() view returns (uint256 blockNumber, bytes32 stateRoot)'
+];
 
 /**
  * DDNS Client Adapter
@@ -14,21 +31,74 @@ class DDNSClient {
    */
   constructor(config) {
     // Configuration parameters
-    this.l1Provider = new ethers.providers.JsonRpcProvider(config.l1RpcUrl);
-    this.l2Provider = new ethers.providers.JsonRpcProvider(config.l2RpcUrl);
+    // Each layer accepts a list of RPC endpoints (l1RpcUrls/l2RpcUrls) in priority order
+    this.l1Provider = new FailoverProvider(config.l1RpcUrls || config.l1RpcUrl, config.rpcFailover);
+    this.l2Provider = new FailoverProvider(config.l2RpcUrls || config.l2RpcUrl, config.rpcFailover);
     this.l1RegistryAddress = config.l1RegistryAddress;
     this.l2ResolverAddress = config.l2ResolverAddress;
     this.useCache = config.useCache !== undefined ? config.useCache : true;
-    this.cacheTTL = config.cacheTTL || 300; // Default cache for 5 minutes
+    this.cacheTTL = config.cacheTTL || 300; // Upper bound on cached record lifetime, default 5 minutes
     this.preferL2 = config.preferL2 !== undefined ? config.preferL2 : true;
+
+    // Always uses the preferred layer (falling back to the other one on errors) unless
+    // routing.adaptive is set, which picks the layer per query from observed latency and errors
+    this.router = new LayerRouter({ preferL2: this.preferL2, adaptive: false, ...config.routing });
+
     this.verifyWithL1 = config.verifyWithL1 !== undefined ? config.verifyWithL1 : false;
 
+    // Light-client mode: L2 reads are checked with storage proofs against a trusted state root
+    this.lightClient = config.lightClient || false;
+    this.getL2StateRoot = config.getL2StateRoot || null;
+
+    // CNAME chasing: aliases are followed to their target up to this many hops (0 disables)
+    this.maxCnameDepth = config.maxCnameDepth !== undefined ? config.maxCnameDepth : 8;
+
+    // Names without records fall back to their parent's wildcard (*.example.eth)
+    this.wildcards = config.wildcards !== undefined ? config.wildcards : true;
+
+    // L2 keeps resolving a name this long (seconds) past its mirrored expiry, so renewals
+    // still on their way through the bridge do not interrupt resolution
+    this.expiryGracePeriod = config.expiryGracePeriod !== undefined ? config.expiryGracePeriod : 3600;
+
+    // Documents read on L1 must be signed by the domain's current owner; unsigned documents
+    // are accepted only when requireSignedDocuments is turned off
+    this.requireSignedDocuments = config.requireSignedDocuments !== undefined ? config.requireSignedDocuments : true;
+    this.l1ChainId = config.l1ChainId || null; // Detected from the L1 provider when not set
+
+    // resolveMany() reads up to this many record sets per L2 call, keeping each call under RPC gas caps
+    this.bulkBatchSize = config.bulkBatchSize || 200;
+
     // Initialize contract interfaces
     this.l1Registry = new ethers.Contract(this.l1RegistryAddress, DDNSRegistryABI, this.l1Provider);
     this.l2Resolver = new ethers.Contract(this.l2ResolverAddress, DDNSResolverABI, this.l2Provider);
+    this.stateRootOracle = config.stateRootOracleAddress ?
+      new ethers.Contract(config.stateRootOracleAddress, STATE_ROOT_ORACLE_ABI, this.l1Provider) :
+      null;
 
     // Initialize cache
-    this.cache = {};
+    this.cache = new RecordCache({
+      store: config.cacheStore,
+      maxEntries: config.cacheMaxEntries,
+      minTTL: config.cacheMinTTL,
+      maxTTL: this.cacheTTL,
+      negativeTTL: config.negativeCacheTTL,
+      staleTTL: config.cacheStaleTTL
+    });
+
+    // Record documents referenced by L1 content hashes
+    this.ipfs = new IPFSGateway({
+      gateways: config.ipfsGateways,
+      timeout: config.ipfsTimeout
+    });
+
+    // Upstream lookups in flight, keyed like the cache
+    this.inflight = new Map();
+
+    // Bumped on every event-driven eviction so in-flight lookups do not cache superseded data
+    this.cacheEpoch = 0;
+
+    // Contract event listeners while subscribed
+    this.subscriptions = null;
 
     // Performance statistics
     this.stats = {
@@ -39,15 +109,36 @@ class DDNSClient {
       l1LatencySum: 0,
       l2LatencySum: 0,
       l1Errors: 0,
-      l2Errors: 0
+      l2Errors: 0,
+      backgroundRefreshes: 0,
+      coalescedQueries: 0,
+      staleL2Results: 0,
+      provenQueries: 0,
+      proofFailures: 0,
+      invalidationEvents: 0,
+      invalidatedEntries: 0,
+      reverseQueries: 0,
+      reverseUnverified: 0,
+      invalidRecords: 0,
+      unauthorizedDocuments: 0,
+      bulkCalls: 0,
+      bulkLookups: 0,
+      reroutedQueries: 0,
+      hedgedQueries: 0,
+      hedgeWins: 0,
+      probeQueries: 0
     };
+
+    // Latency distribution per resolution source
+    this.latency = createLatencyHistograms(['l1', 'l2', 'cache', 'ipfs']);
   }
 
   /**
    * Resolve domain
+   * Every result carries a `status` (see errors.js): NOERROR, NXDOMAIN, NODATA, SERVFAIL or EXPIRED
    * @param {string} domainName Domain name
    * @param {string} recordType Record type
-   * @param {Object} options Options
+   * @param {Object} options Options (with `strict`, unsuccessful lookups throw the matching typed error)
    * @returns {Promise<Object>} Resolution result
    */
   async resolveDomain(domainName, recordType, options = {}) {
@@ -59,83 +150,190 @@ class DDNSClient {
       const opts = {
         forceL1: options.forceL1 || false,
         forceL2: options.forceL2 || false,
-        skipCache: options.skipCache || false,
-        verify: options.verify || this.verifyWithL1
+        skipCache: options.skipCache || Boolean(options.stateRoot),
+        verify: options.verify || this.verifyWithL1,
+        prove: options.prove || this.lightClient,
+        stateRoot: options.stateRoot || null
       };
 
-      // Calculate domain hash
-      const domainHash = ethers.utils.keccak256(ethers.utils.toUtf8Bytes(domainName));
+      // Equivalent spellings resolve the same domain; invalid names are rejected here
+      const name = normalizeName(domainName);
 
-      // Cache key
-      const cacheKey = `${domainHash}-${recordType}`;
+      const result = await this._followUp(name, recordType, opts, options,
+        await this._resolveRecordSet(name, recordType, opts));
 
-      // Check cache
-      if (this.useCache && !opts.skipCache && this.cache[cacheKey]) {
-        const cachedResult = this.cache[cacheKey];
+      if (options.strict && result.status !== STATUS.NOERROR) {
+        throw errorForResult(result, result.name || name, recordType);
+      }
 
-        // Check if cache is still valid
-        if (cachedResult.timestamp + (cachedResult.ttl * 1000) > Date.now()) {
-          this.stats.cacheHits++;
-          return {
-            ...cachedResult,
-            source: 'cache',
-            latency: Date.now() - startTime
-          };
-        }
+      return {
+        ...result,
+        latency: Date.now() - startTime
+      };
+    } catch (error) {
+      if (options.strict) {
+        throw error;
       }
 
-      // Resolution logic
-      let result;
+      console.error(`Failed to resolve domain ${domainName} (${recordType}):`, error);
+      return { ...errorResult(error), latency: Date.now() - startTime };
+    }
+  }
+
+  /**
+   * Batch resolve domain records
+   * The `status` is NOERROR when any of the types has records
+   * @param {string} domainName Domain name
+   * @param {string[]} recordTypes Array of record types
+   * @param {Object} options Options (with `strict`, unsuccessful lookups throw the matching typed error)
+   * @returns {Promise<Object>} Resolution result
+   */
+  async resolveBatch(domainName, recordTypes, options = {}) {
+    const startTime = Date.now();
+    this.stats.totalQueries++;
 
-      // Force use of L1
-      if (opts.forceL1) {
-        result = await this._resolveFromL1(domainHash, recordType);
-      }
-      // Force use of L2
-      else if (opts.forceL2) {
-        result = await this._resolveFromL2(domainHash, recordType);
-      }
-      // Prefer L2
-      else if (this.preferL2) {
-        try {
-          result = await this._resolveFromL2(domainHash, recordType);
-
-          // If verification is needed, compare with L1
-          if (opts.verify && result.value) {
-            const l1Result = await this._resolveFromL1(domainHash, recordType);
-
-            // If content hashes don't match, use L1 result
-            if (l1Result.contentHash !== result.contentHash) {
-              console.warn(`L1 and L2 records inconsistent: ${domainName} (${recordType})`);
-              result = l1Result;
-            }
-          }
-        } catch (error) {
-          console.warn(`L2 resolution failed, falling back to L1: ${error.message}`);
-          result = await this._resolveFromL1(domainHash, recordType);
+    try {
+      // Parse options
+      const opts = {
+        forceL1: options.forceL1 || false,
+        forceL2: options.forceL2 || false,
+        skipCache: options.skipCache || Boolean(options.stateRoot),
+        verify: options.verify || this.verifyWithL1,
+        prove: options.prove || this.lightClient,
+        stateRoot: options.stateRoot || null
+      };
+
+      // Equivalent spellings resolve the same domain; invalid names are rejected here
+      const name = normalizeName(domainName);
+
+      let results = await this._resolveBatchRecordSets(name, recordTypes, opts);
+
+      // Fall back to the parent's wildcard when the exact name does not exist
+      const wildcard = this.wildcards ? wildcardName(name) : null;
+
+      if (wildcard && isMissingName(results)) {
+        const wildcardResults = await this._resolveBatchRecordSets(wildcard, recordTypes, opts);
+
+        if (!isMissingName(wildcardResults)) {
+          results = { ...wildcardResults, wildcard };
         }
       }
-      // Prefer L1
-      else {
-        result = await this._resolveFromL1(domainHash, recordType);
+
+      if (options.strict && results.status !== STATUS.NOERROR) {
+        throw errorForResult(results, name, recordTypes.join(', '));
       }
 
-      // Cache result
-      if (this.useCache && result.value) {
-        this.cache[cacheKey] = {
-          ...result,
-          timestamp: Date.now()
-        };
+      return {
+        ...results,
+        latency: Date.now() - startTime
+      };
+    } catch (error) {
+      if (options.strict) {
+        throw error;
       }
 
+      console.error(`Failed to batch resolve domain ${domainName}:`, error);
       return {
-        ...result,
+        values: Array(recordTypes.length).fill(null),
+        valueSets: recordTypes.map(() => []),
+        ttls: Array(recordTypes.length).fill(0),
+        source: 'error',
+        status: statusOf(error),
+        error: error.message,
+        errorType: error.name,
         latency: Date.now() - startTime
       };
+    }
+  }
+
+  /**
+   * Resolve many names at once
+   * Cached entries are answered from the cache and the rest are read from L2 with one
+   * `getManyRecordSets` call per `bulkBatchSize` lookups. Lookups that force L1, verify or prove
+   * are resolved one by one, like resolveDomain does.
+   * @param {Object[]} queries Lookups ({ name, type })
+   * @param {Object} options Options (as for resolveDomain; failures are reported per result, never thrown)
+   * @returns {Promise<Object[]>} Resolution results in query order
+   */
+  async resolveMany(queries, options = {}) {
+    const results = [];
+
+    for (let start = 0; start < queries.length; start += this.bulkBatchSize) {
+      const chunk = queries.slice(start, start + this.bulkBatchSize);
+      results.push(...await this._resolveManyChunk(chunk, { ...options, strict: false }));
+    }
+
+    return results;
+  }
+
+  /**
+   * Resolve the domain name claimed for an address or IP
+   * Claims are only trusted after a forward check: an address must own the claimed domain on L1,
+   * and an IP must appear in the domain's A/AAAA records. Unverified claims are reported in
+   * `claimedName` but never as `name`.
+   * @param {string} target Ethereum address, IPv4 or IPv6 address
+   * @param {Object} options Options (forceL1, forceL2, skipCache)
+   * @returns {Promise<Object>} { name, claimedName, reverseName, verified, ttl, source, latency }
+   */
+  async reverseResolve(target, options = {}) {
+    const startTime = Date.now();
+    this.stats.totalQueries++;
+    this.stats.reverseQueries++;
+
+    try {
+      const { kind, value, reverseName } = parseReverseTarget(target);
+      const reverseNode = namehash(reverseName);
+      const cacheKey = `${reverseNode}-PTR`;
+
+      if (this.useCache && !options.skipCache && !options.forceL1 && !options.forceL2) {
+        const cached = await this.cache.get(cacheKey);
+
+        if (cached) {
+          this.stats.cacheHits++;
+          this.latency.cache.observe(Date.now() - startTime);
+
+          return { ...cached.result, ttl: cached.ttl, source: 'cache', latency: Date.now() - startTime };
+        }
+      }
+
+      const epoch = this.cacheEpoch;
+      const { claimedName, source } = await this._getReverseClaim(reverseNode, options);
+
+      let name = null;
+      let ttl = 0;
+
+      if (claimedName) {
+        ({ name, ttl } = await this._forwardCheck(claimedName, kind, value, options));
+      }
+
+      if (claimedName && !name) {
+        this.stats.reverseUnverified++;
+      }
+
+      const result = {
+        name,
+        value: name,
+        values: name ? [name] : [],
+        claimedName: claimedName || null,
+        reverseName,
+        verified: Boolean(name),
+        ttl,
+        source
+      };
+
+      if (this.useCache && epoch === this.cacheEpoch) {
+        await this.cache.set(cacheKey, result);
+      }
+
+      return { ...result, latency: Date.now() - startTime };
     } catch (error) {
-      console.error(`Failed to resolve domain ${domainName} (${recordType}):`, error);
+      console.error(`Failed to reverse resolve ${target}:`, error);
       return {
+        name: null,
         value: null,
+        values: [],
+        claimedName: null,
+        verified: false,
         ttl: 0,
         source: 'error',
         error: error.message,
@@ -145,97 +343,661 @@ class DDNSClient {
   }
 
   /**
-   * Batch resolve domain records
-   * @param {string} domainName Domain name
-   * @param {string[]} recordTypes Array of record types
+   * Read the name claimed for a reverse name, from L2 with fallback to the L1 registry
+   * @param {string} reverseNode Reverse name hash
+   * @param {Object} options Options (forceL1, forceL2)
+   * @returns {Promise<Object>} { claimedName, source }
+   * @private
+   */
+  async _getReverseClaim(reverseNode, options) {
+    if (!options.forceL1) {
+      try {
+        const claimedName = await this.l2Resolver.reverseNames(reverseNode);
+
+        if (claimedName || options.forceL2) {
+          return { claimedName, source: 'l2' };
+        }
+      } catch (error) {
+        if (options.forceL2) {
+          throw error;
+        }
+
+        console.warn(`L2 reverse lookup failed, falling back to L1: ${error.message}`);
+        this.stats.l2Errors++;
+      }
+    }
+
+    // Not synced to L2 yet (or L2 unavailable)
+    const [claimant, domainHash, claimedName] = await this.l1Registry.reverseRecords(reverseNode);
+    return { claimedName, source: 'l1' };
+  }
+
+  /**
+   * Check that a claimed name points back at the address or IP it was claimed for
+   * @param {string} claimedName Claimed domain name
+   * @param {string} kind Target kind ('address', 'ipv4' or 'ipv6')
+   * @param {string} value Target address or IP
+   * @param {Object} options Options (forceL1, forceL2)
+   * @returns {Promise<Object>} { name, ttl }, with a null name if the check fails
+   * @private
+   */
+  async _forwardCheck(claimedName, kind, value, options) {
+    let name;
+
+    try {
+      name = normalizeName(claimedName);
+    } catch (error) {
+      return { name: null, ttl: 0 };
+    }
+
+    if (kind === 'address') {
+      const [owner, contentHash, lastUpdated, expiryDate] = await this.l1Registry.getDomain(namehash(name));
+      const active = owner === value && expiryDate > Math.floor(Date.now() / 1000);
+
+      return { name: active ? name : null, ttl: active ? this.cacheTTL : 0 };
+    }
+
+    const forward = await this.resolveDomain(name, kind === 'ipv4' ? 'A' : 'AAAA', {
+      forceL1: options.forceL1,
+      forceL2: options.forceL2,
+      skipCache: options.skipCache
+    });
+    const matches = !forward.error && forward.values.some(address => sameIp(address, value));
+
+    return { name: matches ? name : null, ttl: matches ? Number(forward.ttl) || 0 : 0 };
+  }
+
+  /**
+   * Resolve one chunk of resolveMany() lookups
+   * @param {Object[]} queries Lookups ({ name, type })
    * @param {Object} options Options
-   * @returns {Promise<Object>} Resolution result
+   * @returns {Promise<Object[]>} Resolution results in query order
+   * @private
    */
-  async resolveBatch(domainName, recordTypes, options = {}) {
+  async _resolveManyChunk(queries, options) {
     const startTime = Date.now();
-    this.stats.totalQueries++;
+    const opts = {
+      forceL1: options.forceL1 || false,
+      forceL2: options.forceL2 || false,
+      skipCache: options.skipCache || Boolean(options.stateRoot),
+      verify: options.verify || this.verifyWithL1,
+      prove: options.prove || this.lightClient,
+      stateRoot: options.stateRoot || null
+    };
 
-    try {
-      // Parse options
-      const opts = {
-        forceL1: options.forceL1 || false,
-        forceL2: options.forceL2 || false,
-        skipCache: options.skipCache || false,
-        verify: options.verify || this.verifyWithL1
-      };
+    // Only plain L2 reads can be combined, and only while the router would send them to L2
+    if (opts.forceL1 || opts.verify || opts.prove || (!opts.forceL2 && this.router.route().primary !== 'l2')) {
+      return Promise.all(queries.map(({ name, type }) => this.resolveDomain(name, type, options)));
+    }
 
-      // Calculate domain hash
-      const domainHash = ethers.utils.keccak256(ethers.utils.toUtf8Bytes(domainName));
+    const results = new Array(queries.length);
+    const misses = [];
+    const final = new Set(); // Indexes answered in full by resolveDomain
 
-      // Resolution logic
-      let results;
+    await Promise.all(queries.map(async ({ name, type }, i) => {
+      let normalized;
 
-      // Force use of L1
-      if (opts.forceL1) {
-        results = await this._resolveBatchFromL1(domainHash, recordTypes);
+      try {
+        normalized = normalizeName(name);
+      } catch (error) {
+        // Invalid names get resolveDomain's error result
+        results[i] = await this.resolveDomain(name, type, options);
+        final.add(i);
+        return;
       }
-      // Force use of L2
-      else if (opts.forceL2) {
-        results = await this._resolveBatchFromL2(domainHash, recordTypes);
+
+      this.stats.totalQueries++;
+
+      const domainHash = namehash(normalized);
+      const cached = await this._getCachedRecordSet(normalized, domainHash, type, opts);
+
+      if (cached) {
+        results[i] = cached;
+      } else {
+        misses.push({ index: i, name: normalized, domainHash, type });
       }
-      // Prefer L2
-      else if (this.preferL2) {
+    }));
+
+    if (misses.length > 0) {
+      await this._bulkLookup(misses, opts, results);
+    }
+
+    // Wildcard and CNAME follow-ups are resolved per name, reusing the entries cached above
+    return Promise.all(queries.map(async ({ name, type }, i) => {
+      const result = results[i];
+
+      if (final.has(i) || result.source === 'error') {
+        return { ...result, latency: result.latency !== undefined ? result.latency : Date.now() - startTime };
+      }
+
+      try {
+        const followed = await this._followUp(normalizeName(name), type, opts, options, result);
+        return { ...followed, latency: Date.now() - startTime };
+      } catch (error) {
+        console.error(`Failed to resolve domain ${name} (${type}):`, error);
+        return { ...errorResult(error), latency: Date.now() - startTime };
+      }
+    }));
+  }
+
+  /**
+   * Read many record sets from L2 in one call and cache them
+   * Falls back to one lookup per record set if the call fails
+   * @param {Object[]} lookups Lookups ({ index, name, domainHash, type })
+   * @param {Object} opts Parsed resolution options
+   * @param {Object[]} results Results by query index, filled in place
+   * @private
+   */
+  async _bulkLookup(lookups, opts, results) {
+    const startTime = Date.now();
+    const epoch = this.cacheEpoch;
+    let response;
+
+    try {
+      this.stats.l2Queries++;
+      this.stats.bulkCalls++;
+      response = await this._rpc('l2', () => this.l2Resolver.getManyRecordSets(
+        lookups.map(lookup => lookup.domainHash),
+        lookups.map(lookup => lookup.type)
+      ));
+    } catch (error) {
+      this.stats.l2Errors++;
+      console.warn(`L2 bulk resolution failed, resolving ${lookups.length} names one by one: ${error.message}`);
+
+      await Promise.all(lookups.map(async ({ index, name, domainHash, type }) => {
         try {
-          results = await this._resolveBatchFromL2(domainHash, recordTypes);
-
-          // If verification is needed, compare with L1
-          if (opts.verify) {
-            const l1Results = await this._resolveBatchFromL1(domainHash, recordTypes);
-
-            // Compare content hashes
-            if (l1Results.contentHash !== results.contentHash) {
-              console.warn(`L1 and L2 records inconsistent: ${domainName}`);
-              results = l1Results;
-            }
-          }
-        } catch (error) {
-          console.warn(`L2 batch resolution failed, falling back to L1: ${error.message}`);
-          results = await this._resolveBatchFromL1(domainHash, recordTypes);
+          results[index] = await this._lookup(name, domainHash, type, opts);
+        } catch (lookupError) {
+          results[index] = errorResult(lookupError);
         }
+      }));
+      return;
+    }
+
+    const latency = Date.now() - startTime;
+    this.stats.l2LatencySum += latency;
+    this.stats.bulkLookups += lookups.length;
+    this.latency.l2.observe(latency);
+
+    const [valueSets, ttls, timestamps, contentHashes, owners, expiryDates] = response;
+
+    await Promise.all(lookups.map(async ({ index, domainHash, type }, i) => {
+      const result = this._l2Result(
+        type,
+        [valueSets[i], ttls[i], timestamps[i], contentHashes[i]],
+        [owners[i], expiryDates[i]]
+      );
+
+      if (this.useCache && epoch === this.cacheEpoch) {
+        await this.cache.set(`${domainHash}-${type}`, result);
+      }
+
+      results[index] = result;
+    }));
+  }
+
+  /**
+   * Apply wildcard fallback and CNAME chasing to the result for a name
+   * @param {string} name Queried domain name (normalized)
+   * @param {string} recordType Record type
+   * @param {Object} opts Parsed resolution options
+   * @param {Object} options Caller options (noFollow disables CNAME chasing)
+   * @param {Object} result Result for the exact name
+   * @returns {Promise<Object>} Final result
+   * @private
+   */
+  async _followUp(name, recordType, opts, options, result) {
+    let queried = name;
+
+    // Fall back to the parent's wildcard when the exact name does not exist
+    const wildcard = this.wildcards ? wildcardName(name) : null;
+
+    if (wildcard && isMissingName(result)) {
+      const wildcardResult = await this._resolveRecordSet(wildcard, recordType, opts);
+
+      if (!isMissingName(wildcardResult)) {
+        result = { ...wildcardResult, wildcard };
+        queried = wildcard;
+      }
+    }
+
+    // Follow aliases when the name has no records of the requested type
+    if (recordType !== 'CNAME' && this.maxCnameDepth > 0 && !options.noFollow) {
+      result = await this._chaseCname(queried, recordType, opts, result);
+    }
+
+    return result;
+  }
+
+  /**
+   * Resolve several record sets of a name, from cache when every set is fresh
+   * @param {string} domainName Domain name
+   * @param {string[]} recordTypes Array of record types
+   * @param {Object} opts Parsed resolution options
+   * @returns {Promise<Object>} Resolution result
+   * @private
+   */
+  async _resolveBatchRecordSets(domainName, recordTypes, opts) {
+    const startTime = Date.now();
+
+    // Calculate domain hash
+    const domainHash = namehash(domainName);
+
+    // Answer from cache only when every requested type is fresh
+    if (this.useCache && !opts.skipCache) {
+      const cached = await Promise.all(recordTypes.map(type => this.cache.get(`${domainHash}-${type}`)));
+
+      if (cached.every(entry => entry && !entry.stale && this._isTrusted(entry.result, opts))) {
+        this.stats.cacheHits++;
+        this.latency.cache.observe(Date.now() - startTime);
+
+        const valueSets = cached.map(entry => entry.result.values || []);
+        const exists = cached.some(entry => entry.result.status !== STATUS.NXDOMAIN);
+
+        return {
+          values: cached.map(entry => entry.result.value),
+          valueSets,
+          ttls: cached.map(entry => entry.ttl),
+          contentHashes: cached.map(entry => entry.result.contentHash),
+          source: 'cache',
+          status: lookupStatus(valueSets, exists)
+        };
       }
-      // Prefer L1
-      else {
+    }
+
+    // Resolution logic
+    const epoch = this.cacheEpoch;
+    let results;
+
+    // Force use of L1
+    if (opts.forceL1) {
+      results = await this._resolveBatchFromL1(domainHash, recordTypes);
+    }
+    // Force use of L2
+    else if (opts.forceL2) {
+      results = await this._resolveBatchFromL2(domainHash, recordTypes, opts);
+    }
+    // Verify L2: check every set was synced from the current L1 document
+    else if (opts.verify && this.preferL2) {
+      let l2Results;
+      let l1ContentHash;
+      try {
+        l2Results = await this._resolveBatchFromL2(domainHash, recordTypes, opts);
+        l1ContentHash = await this._getL1ContentHash(domainHash);
+      } catch (error) {
+        console.warn(`L2 batch verification failed, falling back to L1: ${error.message}`);
+        l2Results = null;
+      }
+
+      if (!l2Results) {
         results = await this._resolveBatchFromL1(domainHash, recordTypes);
+      } else if (l2Results.contentHashes.every(contentHash => this._isSyncedFrom(contentHash, l1ContentHash))) {
+        results = { ...l2Results, verification: 'verified' };
+      } else {
+        // L2 is behind L1, so answer from the L1 document
+        this.stats.staleL2Results++;
+        console.warn(`L2 records stale for ${domainName}: L1 content hash is ${l1ContentHash}`);
+        const l1Results = await this._resolveBatchFromL1(domainHash, recordTypes);
+        results = { ...l1Results, verification: 'stale', l2ContentHashes: l2Results.contentHashes };
       }
+    }
+    // Otherwise the router picks the layer
+    else {
+      results = await this._routed(
+        domainName,
+        () => this._resolveBatchFromL1(domainHash, recordTypes),
+        () => this._resolveBatchFromL2(domainHash, recordTypes, opts)
+      );
+    }
+
+    // Cache results (empty record sets are cached negatively) unless an event invalidated them meanwhile
+    if (this.useCache && epoch === this.cacheEpoch) {
+      await Promise.all(recordTypes.map((type, i) => this.cache.set(`${domainHash}-${type}`, {
+        value: results.values[i],
+        values: results.valueSets[i],
+        ttl: results.ttls[i],
+        contentHash: results.contentHashes ? results.contentHashes[i] : results.contentHash,
+        status: results.status === STATUS.NOERROR ? lookupStatus([results.valueSets[i]], true) : results.status,
+        owner: results.owner,
+        verification: results.verification,
+        proven: results.proven,
+        source: results.source
+      })));
+    }
+
+    return results;
+  }
+
+  /**
+   * Resolve a record without consulting the cache
+   * @param {string} domainName Domain name
+   * @param {string} domainHash Domain hash
+   * @param {string} recordType Record type
+   * @param {Object} opts Parsed resolution options
+   * @returns {Promise<Object>} Resolution result
+   * @private
+   */
+  async _resolveUncached(domainName, domainHash, recordType, opts) {
+    // Force use of L1
+    if (opts.forceL1) {
+      return this._resolveFromL1(domainHash, recordType);
+    }
+
+    // Force use of L2
+    if (opts.forceL2) {
+      return this._resolveFromL2(domainHash, recordType, opts);
+    }
+
+    // Otherwise the router picks the layer
+    if (!opts.verify || !this.preferL2) {
+      return this._routed(
+        `${domainName} (${recordType})`,
+        () => this._resolveFromL1(domainHash, recordType),
+        () => this._resolveFromL2(domainHash, recordType, opts)
+      );
+    }
+
+    // Verify L2: check the set was synced from the current L1 content hash; only a stale
+    // set needs the L1 document, so verification keeps working while IPFS is unavailable
+    let result;
+    let l1ContentHash;
+    try {
+      result = await this._resolveFromL2(domainHash, recordType, opts);
+      l1ContentHash = await this._getL1ContentHash(domainHash);
+    } catch (error) {
+      console.warn(`L2 verification failed, falling back to L1: ${error.message}`);
+      return this._resolveFromL1(domainHash, recordType);
+    }
+
+    if (this._isSyncedFrom(result.contentHash, l1ContentHash)) {
+      return { ...result, verification: 'verified' };
+    }
+
+    // L2 is behind L1, so answer from L1
+    this.stats.staleL2Results++;
+    console.warn(`L2 records stale for ${domainName} (${recordType}): synced from ${result.contentHash}, L1 has ${l1ContentHash}`);
+    const l1Result = await this._resolveFromL1(domainHash, recordType);
+    return { ...l1Result, verification: 'stale', l2ContentHash: result.contentHash };
+  }
+
+  /**
+   * Resolve one record set of a name, from cache when possible
+   * @param {string} domainName Domain name
+   * @param {string} recordType Record type
+   * @param {Object} opts Parsed resolution options
+   * @returns {Promise<Object>} Resolution result
+   * @private
+   */
+  async _resolveRecordSet(domainName, recordType, opts) {
+    // Calculate domain hash
+    const domainHash = namehash(domainName);
 
-      // Cache results
-      if (this.useCache) {
-        for (let i = 0; i < recordTypes.length; i++) {
-          const cacheKey = `${domainHash}-${recordTypes[i]}`;
-
-          if (results.values[i]) {
-            this.cache[cacheKey] = {
-              value: results.values[i],
-              ttl: results.ttls[i],
-              contentHash: results.contentHash,
-              source: results.source,
-              timestamp: Date.now()
-            };
-          }
+    const cached = await this._getCachedRecordSet(domainName, domainHash, recordType, opts);
+    if (cached) {
+      return cached;
+    }
+
+    return this._lookup(domainName, domainHash, recordType, opts);
+  }
+
+  /**
+   * Get a record set from cache, refreshing stale entries in the background
+   * @param {string} domainName Domain name
+   * @param {string} domainHash Domain hash
+   * @param {string} recordType Record type
+   * @param {Object} opts Parsed resolution options
+   * @returns {Promise<Object|null>} Cached result, or null if there is no usable entry
+   * @private
+   */
+  async _getCachedRecordSet(domainName, domainHash, recordType, opts) {
+    const startTime = Date.now();
+
+    // Cache key
+    const cacheKey = `${domainHash}-${recordType}`;
+
+    // Check cache
+    if (this.useCache && !opts.skipCache) {
+      const cached = await this.cache.get(cacheKey);
+
+      if (cached && this._isTrusted(cached.result, opts)) {
+        this.stats.cacheHits++;
+
+        // Serve expired entries while refreshing them in the background
+        if (cached.stale) {
+          this._refreshInBackground(domainName, domainHash, recordType, opts);
         }
+
+        this.latency.cache.observe(Date.now() - startTime);
+
+        return {
+          ...cached.result,
+          ttl: cached.ttl,
+          source: 'cache',
+          stale: cached.stale
+        };
       }
+    }
 
-      return {
-        ...results,
-        latency: Date.now() - startTime
-      };
+    return null;
+  }
+
+  /**
+   * Follow CNAME records from a name without records of the requested type
+   * Each alias is resolved like any other record set, so hops are cached and verified individually
+   * @param {string} domainName Queried domain name (normalized)
+   * @param {string} recordType Requested record type
+   * @param {Object} opts Parsed resolution options
+   * @param {Object} result Result for the queried name
+   * @returns {Promise<Object>} Result for the final target, with the alias chain in `cname`
+   * @private
+   */
+  async _chaseCname(domainName, recordType, opts, result) {
+    const chain = [];
+    const visited = new Set([domainName]);
+    let current = domainName;
+
+    while (!hasRecords(result) && !result.error) {
+      const alias = await this._resolveRecordSet(current, 'CNAME', opts);
+
+      if (alias.error || !hasRecords(alias)) {
+        break;
+      }
+
+      const target = normalizeName(String(alias.values[0]).trim());
+      chain.push({ name: current, target, ttl: Number(alias.ttl) || 0, source: alias.source });
+
+      if (visited.has(target)) {
+        throw new ResolutionError(`CNAME loop detected: ${chain.map(hop => hop.name).join(' -> ')} -> ${target}`);
+      }
+
+      if (chain.length > this.maxCnameDepth) {
+        throw new ResolutionError(`CNAME chain for ${domainName} exceeds ${this.maxCnameDepth} hops`);
+      }
+
+      visited.add(target);
+      current = target;
+      result = await this._resolveRecordSet(target, recordType, opts);
+    }
+
+    return chain.length > 0 ? { ...result, name: current, cname: chain } : result;
+  }
+
+  /**
+   * Resolve and cache a record, sharing the upstream lookup between concurrent callers
+   * Lookups that force a layer or verification are never shared
+   * @param {string} domainName Domain name
+   * @param {string} domainHash Domain hash
+   * @param {string} recordType Record type
+   * @param {Object} opts Parsed resolution options
+   * @returns {Promise<Object>} Resolution result
+   * @private
+   */
+  _lookup(domainName, domainHash, recordType, opts) {
+    const cacheKey = `${domainHash}-${recordType}`;
+    const coalesce = !opts.forceL1 && !opts.forceL2 && !opts.verify && !opts.stateRoot && opts.prove === this.lightClient;
+
+    // Join an identical lookup that is already in flight
+    if (coalesce && this.inflight.has(cacheKey)) {
+      this.stats.coalescedQueries++;
+      return this.inflight.get(cacheKey);
+    }
+
+    const epoch = this.cacheEpoch;
+
+    const pending = (async () => {
+      const result = await this._resolveUncached(domainName, domainHash, recordType, opts);
+
+      // Cache result (empty results are cached negatively) unless an event invalidated it meanwhile;
+      // the routing decision only describes this lookup
+      if (this.useCache && epoch === this.cacheEpoch) {
+        await this.cache.set(cacheKey, { ...result, routing: undefined });
+      }
+
+      return result;
+    })();
+
+    if (coalesce) {
+      this.inflight.set(cacheKey, pending);
+
+      const release = () => this.inflight.delete(cacheKey);
+      pending.then(release, release);
+    }
+
+    return pending;
+  }
+
+  /**
+   * Re-resolve a stale cache entry without blocking the caller
+   * @param {string} domainName Domain name
+   * @param {string} domainHash Domain hash
+   * @param {string} recordType Record type
+   * @param {Object} opts Parsed resolution options
+   * @private
+   */
+  _refreshInBackground(domainName, domainHash, recordType, opts) {
+    // A lookup for this key is already refreshing the entry
+    if (this.inflight.has(`${domainHash}-${recordType}`)) {
+      return;
+    }
+
+    this.stats.backgroundRefreshes++;
+
+    this._lookup(domainName, domainHash, recordType, {
+      ...opts,
+      forceL1: false,
+      forceL2: false,
+      verify: false,
+      prove: this.lightClient,
+      stateRoot: null
+    })
+      .catch(error => console.warn(`Background refresh failed for ${domainName} (${recordType}): ${error.message}`));
+  }
+
+  /**
+   * Run a contract call, reporting failures as RPCUnavailableError
+   * The outcome feeds the router's latency and health figures for the layer
+   * @param {string} layer Layer ('l1' or 'l2')
+   * @param {Function} call Function returning the call's promise
+   * @returns {Promise<*>} Call result
+   * @private
+   */
+  async _rpc(layer, call) {
+    const startTime = Date.now();
+
+    try {
+      const result = await call();
+      this.router.record(layer, Date.now() - startTime);
+      return result;
+    } catch (error) {
+      this.router.record(layer, Date.now() - startTime, true);
+      throw new RPCUnavailableError(layer, error);
+    }
+  }
+
+  /**
+   * Answer a lookup from the layer the router picks
+   * L2 calls slower than the hedge delay race a second call on L1, and a failed layer falls
+   * back to the other one. A layer that lost on cost is probed in the background now and then.
+   * The decision is reported in the result's `routing` field.
+   * @param {string} label Lookup description for log messages
+   * @param {Function} fromL1 Function resolving on L1
+   * @param {Function} fromL2 Function resolving on L2
+   * @returns {Promise<Object>} Resolution result
+   * @private
+   */
+  async _routed(label, fromL1, fromL2) {
+    const { primary, reason, hedgeDelay } = this.router.route();
+    const secondary = primary === 'l2' ? 'l1' : 'l2';
+    const resolvers = { l1: fromL1, l2: fromL2 };
+    const routing = { primary, reason, hedged: false };
+
+    if (primary !== (this.preferL2 ? 'l2' : 'l1')) {
+      this.stats.reroutedQueries++;
+    }
+
+    const pending = resolvers[primary]();
+
+    // The probe only feeds the router; its answer and errors are discarded
+    const probe = this.router.nextProbe({ primary, reason });
+    if (probe) {
+      this.stats.probeQueries++;
+      resolvers[probe]().catch(() => {});
+    }
+    let timer = null;
+
+    try {
+      // Hedge only once the primary has been slow for hedgeDelay
+      const hedge = hedgeDelay === null ? null : new Promise(resolve => {
+        timer = setTimeout(resolve, hedgeDelay);
+      });
+
+      const first = await Promise.race([pending, ...(hedge ? [hedge.then(() => null)] : [])]);
+
+      if (first) {
+        return { ...first, routing: { ...routing, answeredBy: primary } };
+      }
+    } catch (error) {
+      console.warn(`${primary.toUpperCase()} resolution failed for ${label}, falling back to ${secondary.toUpperCase()}: ${error.message}`);
+      const result = await resolvers[secondary]();
+      return { ...result, routing: { ...routing, answeredBy: secondary, fallback: true } };
+    } finally {
+      clearTimeout(timer);
+    }
+
+    // The primary is slow: the first layer to answer wins, the other keeps feeding the router
+    this.stats.hedgedQueries++;
+
+    const hedged = resolvers[secondary]();
+    const answers = [
+      pending.then(result => ({ result, layer: primary })),
+      hedged.then(result => ({ result, layer: secondary }))
+    ];
+
+    try {
+      const { result, layer } = await Promise.any(answers);
+
+      if (layer === secondary) {
+        this.stats.hedgeWins++;
+      }
+
+      return { ...result, routing: { ...routing, hedged: true, answeredBy: layer } };
     } catch (error) {
-      console.error(`Failed to batch resolve domain ${domainName}:`, error);
-      return {
-        values: Array(recordTypes.length).fill(null),
-        ttls: Array(recordTypes.length).fill(0),
-        source: 'error',
-        error: error.message,
-        latency: Date.now() - startTime
-      };
+      // Both failed; report the fallback layer's error like an unhedged lookup would
+      throw error.errors[1];
     }
   }
 
+  /**
+   * Check whether a mirrored expiry date has passed, including the grace period
+   * @param {number|Object} expiryDate Expiry timestamp in seconds (number or BigNumber); 0 if unknown
+   * @returns {boolean} True if the name should no longer resolve from L2
+   * @private
+   */
+  _isExpiredOnL2(expiryDate) {
+    const expiry = Number(expiryDate.toString());
+    return expiry > 0 && expiry + this.expiryGracePeriod < Math.floor(Date.now() / 1000);
+  }
+
   /**
    * Resolve domain from L1
    * @param {string} domainHash Domain hash
@@ -249,47 +1011,47 @@ class DDNSClient {
 
     try {
       // Get domain record from L1
-      const [owner, contentHash, lastUpdated, expiryDate] = await this.l1Registry.getDomain(domainHash);
+      const [owner, contentHash, lastUpdated, expiryDate] = await this._rpc('l1', () => this.l1Registry.getDomain(domainHash));
 
       // Check if domain exists
       if (owner === ethers.constants.AddressZero) {
-        return { value: null, ttl: 0, source: 'l1', contentHash: null };
+        return { value: null, values: [], ttl: 0, source: 'l1', contentHash: null, status: STATUS.NXDOMAIN };
       }
 
       // Check if domain has expired
       if (expiryDate < Math.floor(Date.now() / 1000)) {
-        return { value: null, ttl: 0, source: 'l1', contentHash, error: 'Domain expired' };
+        return {
+          value: null,
+          values: [],
+          ttl: 0,
+          source: 'l1',
+          contentHash,
+          expiryDate,
+          status: STATUS.EXPIRED,
+          error: 'Domain expired'
+        };
       }
 
-      // Get complete records from IPFS
+      // Get complete records from IPFS, signed by the owner
       const records = await this._getRecordsFromIPFS(contentHash);
+      const signedBy = await this._checkDocumentSignature(domainHash, contentHash, records, owner);
 
-      // Find requested record type
-      let recordValue = null;
-      let recordTTL = 0;
-
-      if (records && records.records && records.records[recordType]) {
-        const recordData = records.records[recordType];
-
-        if (Array.isArray(recordData)) {
-          // For multi-value records, return the first one
-          recordValue = recordData[0];
-        } else {
-          recordValue = recordData;
-        }
-
-        recordTTL = records.ttl || 3600; // Default 1 hour
-      }
+      // Find requested record set
+      const { values, ttl } = this._extractRecordSet(records, recordType);
 
       const latency = Date.now() - startTime;
       this.stats.l1LatencySum += latency;
+      this.latency.l1.observe(latency);
 
       return {
-        value: recordValue,
-        ttl: recordTTL,
+        value: values.length > 0 ? values[0] : null,
+        values,
+        ttl,
         source: 'l1',
+        status: lookupStatus([values], true),
         contentHash,
         owner,
+        signedBy,
         lastUpdated,
         expiryDate
       };
@@ -304,31 +1066,30 @@ class DDNSClient {
    * Resolve domain from L2
    * @param {string} domainHash Domain hash
    * @param {string} recordType Record type
+   * @param {Object} [opts] Parsed resolution options
    * @returns {Promise<Object>} Resolution result
    * @private
    */
-  async _resolveFromL2(domainHash, recordType) {
+  async _resolveFromL2(domainHash, recordType, opts = {}) {
+    if (opts.prove) {
+      return this._resolveFromL2Proven(domainHash, recordType, opts);
+    }
+
     const startTime = Date.now();
     this.stats.l2Queries++;
 
     try {
-      // Get record from L2
-      const [value, ttl, timestamp] = await this.l2Resolver.getRecord(domainHash, recordType);
+      // Get record set and mirrored registration from L2 (one router sample for the lookup)
+      const [[rawValues, ttl, timestamp, contentHash], info] = await this._rpc('l2', () => Promise.all([
+        this.l2Resolver.getRecordSet(domainHash, recordType),
+        this.l2Resolver.getDomainInfo(domainHash)
+      ]));
 
       const latency = Date.now() - startTime;
       this.stats.l2LatencySum += latency;
+      this.latency.l2.observe(latency);
 
-      // If no record, return empty result
-      if (!value) {
-        return { value: null, ttl: 0, source: 'l2' };
-      }
-
-      return {
-        value: value,
-        ttl: ttl,
-        source: 'l2',
-        timestamp
-      };
+      return this._l2Result(recordType, [rawValues, ttl, timestamp, contentHash], info);
     } catch (error) {
       console.error(`L2 resolution failed: ${error.message}`);
       this.stats.l2Errors++;
@@ -336,6 +1097,48 @@ class DDNSClient {
     }
   }
 
+  /**
+   * Build the result for a record set read from L2
+   * @param {string} recordType Record type
+   * @param {Array} recordSet Record set as returned by getRecordSet (values, ttl, timestamp, contentHash)
+   * @param {Array} info Mirrored registration as returned by getDomainInfo (owner, expiryDate)
+   * @returns {Object} Resolution result
+   * @private
+   */
+  _l2Result(recordType, [rawValues, ttl, timestamp, contentHash], info) {
+    const registration = mirroredRegistration(info);
+
+    if (registration && this._isExpiredOnL2(registration.expiryDate)) {
+      return expiredResult({ value: null, values: [], ttl: 0, source: 'l2', contentHash, ...registration });
+    }
+
+    // If no record, return empty result
+    if (!rawValues || rawValues.length === 0) {
+      return {
+        value: null,
+        values: [],
+        ttl: 0,
+        source: 'l2',
+        contentHash,
+        ...registration,
+        status: lookupStatus([], Boolean(registration) || isSynced(contentHash))
+      };
+    }
+
+    const values = this._decodeRecordValues(recordType, rawValues);
+
+    return {
+      value: values.length > 0 ? values[0] : null,
+      values,
+      ttl: ttl,
+      source: 'l2',
+      status: lookupStatus([values], true),
+      timestamp,
+      contentHash,
+      ...registration
+    };
+  }
+
   /**
    * Batch resolve domain from L1
    * @param {string} domainHash Domain hash
@@ -349,15 +1152,17 @@ class DDNSClient {
 
     try {
       // Get domain record from L1
-      const [owner, contentHash, lastUpdated, expiryDate] = await this.l1Registry.getDomain(domainHash);
+      const [owner, contentHash, lastUpdated, expiryDate] = await this._rpc('l1', () => this.l1Registry.getDomain(domainHash));
 
       // Check if domain exists
       if (owner === ethers.constants.AddressZero) {
         return {
           values: Array(recordTypes.length).fill(null),
+          valueSets: recordTypes.map(() => []),
           ttls: Array(recordTypes.length).fill(0),
           source: 'l1',
-          contentHash: null
+          contentHash: null,
+          status: STATUS.NXDOMAIN
         };
       }
 
@@ -365,50 +1170,47 @@ class DDNSClient {
       if (expiryDate < Math.floor(Date.now() / 1000)) {
         return {
           values: Array(recordTypes.length).fill(null),
+          valueSets: recordTypes.map(() => []),
           ttls: Array(recordTypes.length).fill(0),
           source: 'l1',
           contentHash,
+          expiryDate,
+          status: STATUS.EXPIRED,
           error: 'Domain expired'
         };
       }
 
-      // Get complete records from IPFS
+      // Get complete records from IPFS, signed by the owner
       const records = await this._getRecordsFromIPFS(contentHash);
+      const signedBy = await this._checkDocumentSignature(domainHash, contentHash, records, owner);
 
       // Prepare return arrays
       const values = new Array(recordTypes.length);
+      const valueSets = new Array(recordTypes.length);
       const ttls = new Array(recordTypes.length);
 
-      // Fill in record values
+      // Fill in record sets
       for (let i = 0; i < recordTypes.length; i++) {
-        const type = recordTypes[i];
-
-        if (records && records.records && records.records[type]) {
-          const recordData = records.records[type];
-
-          if (Array.isArray(recordData)) {
-            // For multi-value records, return the first one
-            values[i] = recordData[0];
-          } else {
-            values[i] = recordData;
-          }
-
-          ttls[i] = records.ttl || 3600; // Default 1 hour
-        } else {
-          values[i] = null;
-          ttls[i] = 0;
-        }
+        const recordSet = this._extractRecordSet(records, recordTypes[i]);
+
+        valueSets[i] = recordSet.values;
+        values[i] = recordSet.values.length > 0 ? recordSet.values[0] : null;
+        ttls[i] = recordSet.ttl;
       }
 
       const latency = Date.now() - startTime;
       this.stats.l1LatencySum += latency;
+      this.latency.l1.observe(latency);
 
       return {
         values,
+        valueSets,
         ttls,
         source: 'l1',
+        status: lookupStatus(valueSets, true),
         contentHash,
         owner,
+        signedBy,
         lastUpdated,
         expiryDate
       };
@@ -419,29 +1221,140 @@ class DDNSClient {
     }
   }
 
+  /**
+   * Resolve domain from L2 storage proofs instead of trusting the L2 RPC
+   * @param {string} domainHash Domain hash
+   * @param {string} recordType Record type
+   * @param {Object} opts Parsed resolution options
+   * @returns {Promise<Object>} Resolution result marked as proven
+   * @private
+   */
+  async _resolveFromL2Proven(domainHash, recordType, opts) {
+    const startTime = Date.now();
+    this.stats.l2Queries++;
+
+    try {
+      const anchor = await this._getTrustedStateRoot(opts);
+      const prover = new StorageProver(this.l2Provider, this.l2ResolverAddress);
+      const [recordSet, info] = await Promise.all([
+        proveRecordSet(prover, domainHash, recordType, anchor),
+        proveDomainInfo(prover, domainHash, anchor)
+      ]);
+
+      const latency = Date.now() - startTime;
+      this.stats.l2LatencySum += latency;
+      this.latency.l2.observe(latency);
+      this.router.record('l2', latency);
+      this.stats.provenQueries++;
+
+      const registration = mirroredRegistration(info);
+      const proof = { proven: true, blockNumber: anchor.blockNumber, stateRoot: anchor.stateRoot };
+
+      if (registration && this._isExpiredOnL2(registration.expiryDate)) {
+        return expiredResult({ value: null, values: [], ttl: 0, source: 'l2', contentHash: recordSet.contentHash, ...registration, ...proof });
+      }
+
+      const values = this._decodeRecordValues(recordType, recordSet.values);
+
+      return {
+        value: values.length > 0 ? values[0] : null,
+        values,
+        ttl: values.length > 0 ? recordSet.ttl : 0,
+        source: 'l2',
+        status: lookupStatus([values], Boolean(registration) || isSynced(recordSet.contentHash)),
+        timestamp: recordSet.timestamp,
+        contentHash: recordSet.contentHash,
+        ...registration,
+        proven: true,
+        blockNumber: anchor.blockNumber,
+        stateRoot: anchor.stateRoot
+      };
+    } catch (error) {
+      console.error(`L2 proof verification failed: ${error.message}`);
+      this.router.record('l2', Date.now() - startTime, true);
+      this.stats.l2Errors++;
+      this.stats.proofFailures++;
+      throw error;
+    }
+  }
+
+  /**
+   * Get the L2 state root that storage proofs are checked against
+   * Uses, in order: the per-call root, the configured callback, then the L1 oracle
+   * @param {Object} opts Parsed resolution options
+   * @returns {Promise<Object>} State root and the L2 block number it belongs to
+   * @private
+   */
+  async _getTrustedStateRoot(opts) {
+    let anchor = opts.stateRoot;
+
+    if (!anchor && this.getL2StateRoot) {
+      anchor = await this.getL2StateRoot();
+    }
+
+    if (!anchor && this.stateRootOracle) {
+      const [blockNumber, stateRoot] = await this.stateRootOracle.latestStateRoot();
+      anchor = { blockNumber, stateRoot };
+    }
+
+    if (!anchor || !anchor.stateRoot || anchor.blockNumber === undefined) {
+      throw new Error('No trusted L2 state root available for proof verification');
+    }
+
+    return { stateRoot: anchor.stateRoot, blockNumber: Number(anchor.blockNumber.toString()) };
+  }
+
   /**
    * Batch resolve domain from L2
    * @param {string} domainHash Domain hash
    * @param {string[]} recordTypes Array of record types
+   * @param {Object} [opts] Parsed resolution options
    * @returns {Promise<Object>} Resolution result
    * @private
    */
-  async _resolveBatchFromL2(domainHash, recordTypes) {
+  async _resolveBatchFromL2(domainHash, recordTypes, opts = {}) {
+    if (opts.prove) {
+      return this._resolveBatchFromL2Proven(domainHash, recordTypes, opts);
+    }
+
     const startTime = Date.now();
     this.stats.l2Queries++;
 
     try {
-      // Batch get records from L2
-      const [values, ttls, timestamps] = await this.l2Resolver.getBatchRecords(domainHash, recordTypes);
+      // Batch get record sets from L2 (one router sample for the lookup)
+      const [[rawValueSets, ttls, timestamps, contentHashes], info] = await this._rpc('l2', () => Promise.all([
+        this.l2Resolver.getBatchRecordSets(domainHash, recordTypes),
+        this.l2Resolver.getDomainInfo(domainHash)
+      ]));
 
       const latency = Date.now() - startTime;
       this.stats.l2LatencySum += latency;
+      this.latency.l2.observe(latency);
+
+      const registration = mirroredRegistration(info);
+
+      if (registration && this._isExpiredOnL2(registration.expiryDate)) {
+        return expiredResult({
+          values: Array(recordTypes.length).fill(null),
+          valueSets: recordTypes.map(() => []),
+          ttls: Array(recordTypes.length).fill(0),
+          source: 'l2',
+          contentHashes,
+          ...registration
+        });
+      }
+
+      const valueSets = rawValueSets.map((rawValues, i) => this._decodeRecordValues(recordTypes[i], rawValues));
 
       return {
-        values,
+        values: valueSets.map(values => (values.length > 0 ? values[0] : null)),
+        valueSets,
         ttls,
         source: 'l2',
-        timestamps
+        status: lookupStatus(valueSets, Boolean(registration) || contentHashes.some(isSynced)),
+        timestamps,
+        contentHashes,
+        ...registration
       };
     } catch (error) {
       console.error(`L2 batch resolution failed: ${error.message}`);
@@ -450,6 +1363,145 @@ class DDNSClient {
     }
   }
 
+  /**
+   * Batch resolve domain from L2 storage proofs
+   * @param {string} domainHash Domain hash
+   * @param {string[]} recordTypes Array of record types
+   * @param {Object} opts Parsed resolution options
+   * @returns {Promise<Object>} Resolution result marked as proven
+   * @private
+   */
+  async _resolveBatchFromL2Proven(domainHash, recordTypes, opts) {
+    // Prove every set against the same state root
+    const anchor = await this._getTrustedStateRoot(opts);
+    const results = await Promise.all(recordTypes.map(type =>
+      this._resolveFromL2Proven(domainHash, type, { ...opts, stateRoot: anchor })));
+
+    if (results.some(result => result.status === STATUS.EXPIRED)) {
+      return expiredResult({
+        values: results.map(() => null),
+        valueSets: results.map(() => []),
+        ttls: results.map(() => 0),
+        source: 'l2',
+        contentHashes: results.map(result => result.contentHash),
+        owner: results[0].owner,
+        expiryDate: results[0].expiryDate,
+        proven: true,
+        blockNumber: anchor.blockNumber,
+        stateRoot: anchor.stateRoot
+      });
+    }
+
+    return {
+      values: results.map(result => result.value),
+      valueSets: results.map(result => result.values),
+      ttls: results.map(result => result.ttl),
+      source: 'l2',
+      status: lookupStatus(results.map(result => result.values), results.some(result => isSynced(result.contentHash))),
+      timestamps: results.map(result => result.timestamp),
+      contentHashes: results.map(result => result.contentHash),
+      proven: true,
+      blockNumber: anchor.blockNumber,
+      stateRoot: anchor.stateRoot
+    };
+  }
+
+  /**
+   * Check whether a cached result satisfies the requested trust level
+   * Proof-checked lookups only reuse proven L2 results or L1 results, and verified
+   * lookups only reuse verified L2 results or L1 results
+   * @param {Object} result Cached resolution result
+   * @param {Object} opts Parsed resolution options
+   * @returns {boolean} True if the result can be served
+   * @private
+   */
+  _isTrusted(result, opts) {
+    if (result.source === 'l1') {
+      return true;
+    }
+
+    return (!opts.prove || result.proven === true) && (!opts.verify || result.verification === 'verified');
+  }
+
+  /**
+   * Read the current L1 content hash of a domain without retrieving its document
+   * @param {string} domainHash Domain hash
+   * @returns {Promise<string|null>} Content hash, or null for unregistered domains
+   * @private
+   */
+  async _getL1ContentHash(domainHash) {
+    this.stats.l1Queries++;
+
+    try {
+      const [owner, contentHash] = await this._rpc('l1', () => this.l1Registry.getDomain(domainHash));
+      return owner === ethers.constants.AddressZero ? null : contentHash;
+    } catch (error) {
+      this.stats.l1Errors++;
+      throw error;
+    }
+  }
+
+  /**
+   * Check whether an L2 record set was synced from the given L1 content hash
+   * Unregistered domains have no L1 content hash and match L2 sets that were never synced
+   * @param {string} l2ContentHash Content hash stored with the L2 record set
+   * @param {string|null} l1ContentHash Current L1 content hash
+   * @returns {boolean} True if L2 reflects the L1 document
+   * @private
+   */
+  _isSyncedFrom(l2ContentHash, l1ContentHash) {
+    const expected = (l1ContentHash || ethers.constants.HashZero).toLowerCase();
+    return Boolean(l2ContentHash) && l2ContentHash.toLowerCase() === expected;
+  }
+
+  /**
+   * Extract one record set from a records document
+   * @param {Object} records DNS records object
+   * @param {string} recordType Record type
+   * @returns {Object} Decoded values and TTL
+   * @private
+   */
+  _extractRecordSet(records, recordType) {
+    if (!records || !records.records || !records.records[recordType]) {
+      return { values: [], ttl: 0 };
+    }
+
+    const recordData = records.records[recordType];
+    const values = this._decodeRecordValues(recordType, Array.isArray(recordData) ? recordData : [recordData]);
+
+    return {
+      values,
+      ttl: recordSetTTL(records, recordType)
+    };
+  }
+
+  /**
+   * Decode stored record values into their typed form (see record-types.js)
+   * Malformed values are dropped; values of types without a codec are returned as stored
+   * @param {string} recordType Record type
+   * @param {Array} rawValues Stored record values (L2 strings or document values)
+   * @returns {Array} Decoded values
+   * @private
+   */
+  _decodeRecordValues(recordType, rawValues) {
+    if (!isSupportedType(recordType)) {
+      return Array.from(rawValues);
+    }
+
+    const values = [];
+
+    for (const value of rawValues) {
+      try {
+        values.push(decodeRecord(recordType, value));
+      } catch (error) {
+        console.warn(`Dropping record: ${error.message}`);
+        this.stats.invalidRecords++;
+      }
+    }
+
+    return values;
+  }
+
   /**
    * Get DNS records from IPFS
    * @param {string} contentHash Content hash
@@ -457,55 +1509,162 @@ class DDNSClient {
    * @private
    */
   async _getRecordsFromIPFS(contentHash) {
+    // Domains without a records document have no records
+    if (!contentHash || contentHash === ethers.constants.HashZero) {
+      return { records: {} };
+    }
+
+    const startTime = Date.now();
+
     try {
-      // In a production system, this would implement actual IPFS querying
-      // For simplicity, using mock data here
+      const document = await this.ipfs.fetch(contentHash);
+      this.latency.ipfs.observe(Date.now() - startTime);
+      this.router.record('ipfs', Date.now() - startTime);
+
+      return JSON.parse(document.toString('utf8'));
+    } catch (error) {
+      this.router.record('ipfs', Date.now() - startTime, true);
+      console.error('Error retrieving records from IPFS:', error.message);
+      throw new IPFSUnavailableError(contentHash, error);
+    }
+  }
+
+  /**
+   * Check that a records document read on L1 is signed by the current owner of its domain
+   * @param {string} domainHash Domain hash
+   * @param {string} contentHash Content hash the document was read for
+   * @param {Object} document Records document
+   * @param {string} owner Current L1 owner
+   * @returns {Promise<string|null>} Signer address, or null for an allowed unsigned (or absent) document
+   * @throws {DocumentSignatureError} If the document is not signed by the owner (or unsigned when required)
+   * @private
+   */
+  async _checkDocumentSignature(domainHash, contentHash, document, owner) {
+    // Domains without a records document have nothing to verify
+    if (!contentHash || contentHash === ethers.constants.HashZero) {
+      return null;
+    }
 
-      // Simulate delay (IPFS queries typically take some time)
-      await new Promise(resolve => setTimeout(resolve, 100));
+    try {
+      if (!this.l1ChainId && document.signature) {
+        this.l1ChainId = (await this.l1Provider.getNetwork()).chainId;
+      }
 
-      // Use mock data
-      return this._getMockRecordsFromHash(contentHash);
+      return verifyDocumentSignature(document, {
+        domainHash,
+        owner,
+        chainId: this.l1ChainId,
+        registryAddress: this.l1RegistryAddress,
+        required: this.requireSignedDocuments
+      });
     } catch (error) {
-      console.error('Error retrieving records from IPFS:', error);
+      if (error.name === 'DocumentSignatureError') {
+        console.warn(error.message);
+        this.stats.unauthorizedDocuments++;
+      }
       throw error;
     }
   }
 
   /**
-   * Generate mock records from content hash (for testing only)
-   * @param {string} contentHash Content hash
-   * @returns {Object} Mock DNS records object
+   * Subscribe to contract events and evict affected cache entries as soon as they are emitted
+   * L2: RecordSet, RecordRemoved, RecordsSynced; L1: DomainUpdated, DomainTransferred,
+   * DomainRegistered, DomainRenewed; reverse names on ReverseNameSet (L2) and ReverseClaimed (L1)
+   * @returns {boolean} True if subscribed
+   */
+  subscribe() {
+    if (this.subscriptions) {
+      return true;
+    }
+
+    try {
+      const evictType = (domainHash, recordType) => this._invalidate(domainHash, recordType);
+      const evictDomain = domainHash => this._invalidate(domainHash);
+      const evictReverse = reverseNode => this._invalidate(reverseNode, 'PTR');
+
+      this.subscriptions = [
+        [this.l2Resolver, 'RecordSet', evictType],
+        [this.l2Resolver, 'RecordRemoved', evictType],
+        [this.l2Resolver, 'RecordsSynced', evictDomain],
+        [this.l2Resolver, 'ReverseNameSet', evictReverse],
+        [this.l1Registry, 'DomainUpdated', evictDomain],
+        [this.l1Registry, 'DomainTransferred', evictDomain],
+        [this.l1Registry, 'DomainRegistered', evictDomain],
+        [this.l1Registry, 'DomainRenewed', evictDomain],
+        [this.l1Registry, 'ReverseClaimed', evictReverse]
+      ];
+
+      for (const [contract, eventName, listener] of this.subscriptions) {
+        contract.on(eventName, listener);
+      }
+
+      console.log('Subscribed to DDNS contract events for cache invalidation');
+      return true;
+    } catch (error) {
+      console.error('Failed to subscribe to contract events:', error);
+      this.unsubscribe();
+      return false;
+    }
+  }
+
+  /**
+   * Stop listening to contract events
+   */
+  unsubscribe() {
+    if (!this.subscriptions) {
+      return;
+    }
+
+    for (const [contract, eventName, listener] of this.subscriptions) {
+      contract.off(eventName, listener);
+    }
+
+    this.subscriptions = null;
+  }
+
+  /**
+   * Evict cache entries affected by a contract event
+   * @param {string} domainHash Domain hash
+   * @param {string} [recordType] Record type; all types of the domain when omitted
+   * @returns {Promise<void>}
    * @private
    */
-  _getMockRecordsFromHash(contentHash) {
-    const hash = contentHash.toString().substring(2, 10);
-    const ipPart = parseInt(hash, 16) % 255;
+  async _invalidate(domainHash, recordType) {
+    this.stats.invalidationEvents++;
+    this.cacheEpoch++;
 
-    return {
-      domain: `example-${hash}.eth`,
-      records: {
-        A: [`192.168.1.${ipPart}`],
-        AAAA: [`2001:db8::${ipPart}`],
-        TXT: [`This is a demo record for hash ${hash}`],
-        MX: [
-          { preference: 10, exchange: `mail1.example-${hash}.eth` },
-          { preference: 20, exchange: `mail2.example-${hash}.eth` }
-        ]
-      },
-      ttl: 3600,
-      timestamp: Math.floor(Date.now() / 1000)
-    };
+    try {
+      if (recordType) {
+        await this.cache.delete(`${domainHash}-${recordType}`);
+        this.stats.invalidatedEntries++;
+      } else {
+        const removed = await this.cache.deleteDomain(domainHash);
+        this.stats.invalidatedEntries += Math.max(removed, 0);
+      }
+    } catch (error) {
+      console.error(`Failed to invalidate cache for ${domainHash}:`, error);
+    }
   }
 
   /**
    * Clear cache
+   * @returns {Promise<void>}
    */
-  clearCache() {
-    this.cache = {};
+  async clearCache() {
+    await this.cache.clear();
     console.log('Client cache cleared');
   }
 
+  /**
+   * Stop listening to contract events and close the cache store
+   * Persistent cache stores only write pending entries to disk on close, so call this before exiting
+   * @returns {Promise<void>}
+   */
+  async close() {
+    this.unsubscribe();
+    await this.cache.close();
+  }
+
   /**
    * Get performance statistics
    * @returns {Object} Performance statistics object
@@ -520,10 +1679,142 @@ class DDNSClient {
       l1AvgLatency,
       l2AvgLatency,
       cacheHitRate,
+      cache: this.cache.getStats(),
+      ipfs: this.ipfs.stats,
+      rpc: getRpcStats(this.l1Provider, this.l2Provider),
+      latency: summarizeLatency(this.latency),
+      routing: this.router.getStats(),
       latencyReduction: l1AvgLatency > 0 && l2AvgLatency > 0 ?
         ((l1AvgLatency - l2AvgLatency) / l1AvgLatency) * 100 : 0
     };
   }
+
+  /**
+   * Get counters and latency histograms in the Prometheus text format
+   * @returns {string} Exposition text
+   */
+  getMetrics() {
+    const cache = this.cache.getStats();
+    const rpc = endpointMetrics(getRpcStats(this.l1Provider, this.l2Provider));
+
+    // Latency sums are covered by the histograms
+    const counters = Object.fromEntries(Object.entries(this.stats).filter(([name]) => !name.endsWith('LatencySum')));
+
+    return renderMetrics('ddns_client', {
+      counters: {
+        ...counters,
+        cacheLookupHits: cache.hits,
+        cacheLookupMisses: cache.misses,
+        cacheStaleHits: cache.staleHits,
+        cacheNegativeHits: cache.negativeHits,
+        cacheEvictions: cache.evictions || 0,
+        ipfsFetches: this.ipfs.stats.fetches,
+        ipfsFailures: this.ipfs.stats.failures,
+        ipfsTimeouts: this.ipfs.stats.timeouts,
+        ipfsHashMismatches: this.ipfs.stats.hashMismatches,
+        ...rpc.counters
+      },
+      gauges: {
+        cacheEntries: cache.size || 0,
+        ...rpc.gauges
+      },
+      histograms: {
+        resolutionLatency: this.latency
+      }
+    });
+  }
+}
+
+/**
+ * Get the status of a lookup from the record sets it found
+ * @param {Array[]} valueSets Record sets found
+ * @param {boolean} exists Whether the name exists
+ * @returns {string} NOERROR, NODATA or NXDOMAIN
+ */
+function lookupStatus(valueSets, exists) {
+  if (valueSets.some(values => values && values.length > 0)) {
+    return STATUS.NOERROR;
+  }
+
+  return exists ? STATUS.NODATA : STATUS.NXDOMAIN;
+}
+
+/**
+ * Get the registration mirrored to L2 by the bridge
+ * @param {Array} info Owner and expiry date from DDNSResolver.getDomainInfo
+ * @returns {Object|null} { owner, expiryDate }, or null if the domain was not mirrored
+ */
+function mirroredRegistration(info) {
+  const [owner, expiryDate] = info;
+
+  if (!owner || owner === ethers.constants.AddressZero) {
+    return null;
+  }
+
+  return { owner, expiryDate };
+}
+
+/**
+ * Mark an empty result as expired
+ * @param {Object} result Empty single or batch result
+ * @returns {Object} Result with EXPIRED status
+ */
+function expiredResult(result) {
+  return { ...result, status: STATUS.EXPIRED, error: 'Domain expired' };
+}
+
+/**
+ * Check whether an L2 content hash shows that the domain was synced from an L1 document
+ * @param {string} contentHash Content hash stored on L2
+ * @returns {boolean} True if the hash is set
+ */
+function isSynced(contentHash) {
+  return Boolean(contentHash) && contentHash !== ethers.constants.HashZero;
+}
+
+/**
+ * Build the result reported for a failed lookup
+ * @param {Error} error Error
+ * @returns {Object} Empty result with the error's status
+ */
+function errorResult(error) {
+  return {
+    value: null,
+    values: [],
+    ttl: 0,
+    source: 'error',
+    status: statusOf(error),
+    error: error.message,
+    errorType: error.name
+  };
+}
+
+/**
+ * Check whether a result carries at least one record
+ * @param {Object} result Resolution result
+ * @returns {boolean} True if the record set is not empty
+ */
+function hasRecords(result) {
+  return (result.values && result.values.length > 0) || (result.value !== null && result.value !== undefined);
+}
+
+/**
+ * Check whether a result shows that the name itself does not exist (as opposed to lacking a type)
+ * L1 reports an owner for registered names; L2 reports the content hash the domain was synced from
+ * @param {Object} result Single or batch resolution result
+ * @returns {boolean} True if the name has no records and no registration or sync
+ */
+function isMissingName(result) {
+  if (result.error || (result.owner && result.owner !== ethers.constants.AddressZero)) {
+    return false;
+  }
+
+  const empty = result.valueSets ?
+    result.valueSets.every(values => !values || values.length === 0) :
+    !hasRecords(result);
+  const contentHashes = result.contentHashes || [result.contentHash];
+
+  return empty && contentHashes.every(contentHash => !contentHash || contentHash === ethers.constants.HashZero);
 }
 
 module.exports = DDNSClient;
\ No newline at end of file
@@ -0,0 +1,245 @@
+// content-hash.js - EIP-1577 content hash and CID encoding for record documents
+const crypto = require('crypto');
+
+// Multicodec codes
+const IPFS_NAMESPACE = 0xe3;
+const CODEC_RAW = 0x55;
+const CODEC_DAG_PB = 0x70;
+const SHA2_256 = 0x12;
+
+const BASE32_ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567';
+
+/**
+ * Decode an on-chain content hash
+ * A bytes32 value is the sha2-256 digest of the record document stored as a raw block;
+ * longer values are EIP-1577 ipfs-ns content hashes wrapping a CIDv1.
+ * @param {string} contentHash Content hash (hex)
+ * @returns {Object} CID string, codec name and sha2-256 digest
+ */
+function decodeContentHash(contentHash) {
+  const bytes = Buffer.from(String(contentHash).replace(/^0x/, ''), 'hex');
+
+  if (bytes.length === 32) {
+    return toCid(CODEC_RAW, bytes);
+  }
+
+  let offset = 0;
+  const read = () => {
+    const [value, length] = readVarint(bytes, offset);
+    offset += length;
+    return value;
+  };
+
+  if (read() !== IPFS_NAMESPACE) {
+    throw new Error(`Unsupported content hash namespace: ${contentHash}`);
+  }
+  if (read() !== 1) {
+    throw new Error('Only CIDv1 content hashes are supported');
+  }
+
+  const codec = read();
+  if (codec !== CODEC_RAW && codec !== CODEC_DAG_PB) {
+    throw new Error(`Unsupported content codec 0x${codec.toString(16)}`);
+  }
+  if (read() !== SHA2_256 || read() !== 32 || bytes.length - offset !== 32) {
+    throw new Error('Only sha2-256 content hashes are supported');
+  }
+
+  return toCid(codec, bytes.subarray(offset));
+}
+
+/**
+ * Compute the on-chain content hash of a record document
+ * @param {Buffer|string|Object} document Document bytes, string or JSON object
+ * @returns {string} bytes32 content hash
+ */
+function encodeContentHash(document) {
+  return `0x${sha256(toBytes(document)).toString('hex')}`;
+}
+
+/**
+ * Encode a record document as an EIP-1577 ipfs-ns content hash
+ * @param {Buffer|string|Object} document Document bytes, string or JSON object
+ * @returns {string} EIP-1577 content hash
+ */
+function encodeEIP1577(document) {
+  const digest = sha256(toBytes(document));
+  return `0x${Buffer.concat([Buffer.from([IPFS_NAMESPACE, 0x01, 0x01, CODEC_RAW, SHA2_256, 32]), digest]).toString('hex')}`;
+}
+
+/**
+ * Check that a retrieved block hashes to its CID
+ * @param {Object} decoded Decoded content hash
+ * @param {Buffer} block Raw block bytes
+ * @returns {boolean} True if the block matches
+ */
+function verifyBlock(decoded, block) {
+  return sha256(block).equals(decoded.digest);
+}
+
+/**
+ * Extract the document bytes from a verified block
+ * @param {Object} decoded Decoded content hash
+ * @param {Buffer} block Raw block bytes
+ * @returns {Buffer} Document bytes
+ */
+function extractDocument(decoded, block) {
+  if (decoded.codec === 'raw') {
+    return block;
+  }
+
+  // dag-pb node (PBNode): field 1 Data, field 2 Links
+  const node = readProtobuf(block);
+  if (node.some(field => field.number === 2)) {
+    throw new Error(`Record document ${decoded.cid} spans several blocks`);
+  }
+
+  const data = node.find(field => field.number === 1);
+  if (!data) {
+    return Buffer.alloc(0);
+  }
+
+  // UnixFS Data: field 1 Type (2 = File, 0 = Raw), field 2 Data
+  const unixfs = readProtobuf(data.value);
+  const type = unixfs.find(field => field.number === 1);
+  if (!type || (type.value !== 0 && type.value !== 2)) {
+    throw new Error(`Record document ${decoded.cid} is not a file`);
+  }
+
+  const content = unixfs.find(field => field.number === 2);
+  return content ? content.value : Buffer.alloc(0);
+}
+
+/**
+ * Build a CIDv1 for a sha2-256 digest
+ * @param {number} codec Multicodec code
+ * @param {Buffer} digest sha2-256 digest
+ * @returns {Object} Decoded content hash
+ */
+function toCid(codec, digest) {
+  const binary = Buffer.concat([Buffer.from([0x01, codec, SHA2_256, 32]), digest]);
+
+  return {
+    cid: `b${base32(binary)}`,
+    codec: codec === CODEC_RAW ? 'raw' : 'dag-pb',
+    digest: Buffer.from(digest)
+  };
+}
+
+/**
+ * Encode bytes as lowercase unpadded RFC 4648 base32 (multibase "b")
+ * @param {Buffer} bytes Bytes
+ * @returns {string} Encoded string
+ */
+function base32(bytes) {
+  let output = '';
+  let buffer = 0;
+  let bits = 0;
+
+  for (const byte of bytes) {
+    buffer = (buffer << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(buffer >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(buffer << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+/**
+ * Read an unsigned varint
+ * @param {Buffer} bytes Input bytes
+ * @param {number} offset Start offset
+ * @returns {number[]} Value and number of bytes read
+ */
+function readVarint(bytes, offset) {
+  let value = 0;
+  let shift = 0;
+  let length = 0;
+
+  for (;;) {
+    if (offset + length >= bytes.length || shift > 28) {
+      throw new Error('Malformed varint');
+    }
+
+    const byte = bytes[offset + length++];
+    value += (byte & 0x7f) * 2 ** shift;
+    shift += 7;
+
+    if ((byte & 0x80) === 0) {
+      return [value, length];
+    }
+  }
+}
+
+/**
+ * Read the top-level fields of a protobuf message
+ * @param {Buffer} bytes Message bytes
+ * @returns {Object[]} Fields with number and value (number or Buffer)
+ */
+function readProtobuf(bytes) {
+  const fields = [];
+  let offset = 0;
+
+  while (offset < bytes.length) {
+    const [key, keyLength] = readVarint(bytes, offset);
+    offset += keyLength;
+
+    const number = Math.floor(key / 8);
+    const wireType = key % 8;
+
+    if (wireType === 0) {
+      const [value, length] = readVarint(bytes, offset);
+      offset += length;
+      fields.push({ number, value });
+    } else if (wireType === 2) {
+      const [size, length] = readVarint(bytes, offset);
+      offset += length;
+      if (offset + size > bytes.length) {
+        throw new Error('Malformed protobuf message');
+      }
+      fields.push({ number, value: bytes.subarray(offset, offset + size) });
+      offset += size;
+    } else {
+      throw new Error(`Unsupported protobuf wire type ${wireType}`);
+    }
+  }
+
+  return fields;
+}
+
+/**
+ * Convert a document to bytes
+ * @param {Buffer|string|Object} document Document
+ * @returns {Buffer} Document bytes
+ */
+function toBytes(document) {
+  if (Buffer.isBuffer(document)) {
+    return document;
+  }
+
+  return Buffer.from(typeof document === 'string' ? document : JSON.stringify(document));
+}
+
+/**
+ * sha2-256 digest
+ * @param {Buffer} bytes Input bytes
+ * @returns {Buffer} Digest
+ */
+function sha256(bytes) {
+  return crypto.createHash('sha256').update(bytes).digest();
+}
+
+module.exports = {
+  decodeContentHash,
+  encodeContentHash,
+  encodeEIP1577,
+  verifyBlock,
+  extractDocument
+};
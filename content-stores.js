@@ -0,0 +1,103 @@
+// content-stores.js - Storage backends for published record documents
+const { encodeContentHash, decodeContentHash } = require('./content-hash');
+
+// Largest record document accepted, as for gateway retrieval
+const MAX_DOCUMENT_SIZE = 1024 * 1024;
+
+/**
+ * In-memory content store
+ * Keeps documents by CID; useful for tests and local development
+ *
+ * Content stores implement async put(bytes) returning the CID of the stored raw block;
+ * DDNSManager only relies on that method, so any backend (an IPFS node, a pinning
+ * service) that stores the document as a single raw sha2-256 block can be used.
+ */
+class MemoryContentStore {
+  /**
+   * Constructor
+   */
+  constructor() {
+    this.blocks = new Map();
+  }
+
+  /**
+   * Store a document
+   * @param {Buffer} bytes Document bytes
+   * @returns {Promise<string>} CID
+   */
+  async put(bytes) {
+    const { cid } = decodeContentHash(encodeContentHash(bytes));
+    this.blocks.set(cid, Buffer.from(bytes));
+    return cid;
+  }
+
+  /**
+   * Get a stored document
+   * @param {string} cid CID
+   * @returns {Promise<Buffer|undefined>} Document bytes
+   */
+  async get(cid) {
+    return this.blocks.get(cid);
+  }
+}
+
+/**
+ * IPFS content store
+ * Adds documents as raw blocks through the HTTP RPC API of an IPFS node (Kubo) and pins them
+ */
+class IPFSContentStore {
+  /**
+   * Constructor
+   * @param {Object} [config] Configuration object
+   * @param {string} [config.apiUrl] RPC API base URL (e.g. http://127.0.0.1:5001)
+   * @param {Object} [config.headers] Extra request headers (e.g. pinning service authorization)
+   * @param {number} [config.timeout] Request timeout in milliseconds
+   */
+  constructor(config = {}) {
+    this.apiUrl = (config.apiUrl || 'http://127.0.0.1:5001').replace(/\/$/, '');
+    this.headers = config.headers || {};
+    this.timeout = config.timeout || 30000; // Default 30 seconds
+  }
+
+  /**
+   * Store a document as a pinned raw block
+   * @param {Buffer} bytes Document bytes
+   * @returns {Promise<string>} CID reported by the node
+   */
+  async put(bytes) {
+    if (bytes.length > MAX_DOCUMENT_SIZE) {
+      throw new Error(`Record document exceeds ${MAX_DOCUMENT_SIZE} bytes`);
+    }
+
+    const form = new FormData();
+    form.append('file', new Blob([bytes]));
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeout);
+
+    try {
+      const response = await fetch(`${this.apiUrl}/api/v0/block/put?cid-codec=raw&mhtype=sha2-256&pin=true`, {
+        method: 'POST',
+        headers: this.headers,
+        body: form,
+        signal: controller.signal
+      });
+
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${await response.text()}`);
+      }
+
+      const { Key } = await response.json();
+      return Key;
+    } catch (error) {
+      throw new Error(`Failed to store record document on ${this.apiUrl}: ${error.message}`);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+module.exports = {
+  MemoryContentStore,
+  IPFSContentStore
+};
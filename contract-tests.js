@@ -1,10 +1,11 @@
 // contract-tests.js - Smart contract tests
 const { expect } = require('chai');
 const { ethers } = require('hardhat');
-const { deployContracts, createMockIPFSRecords, calculateDomainHash } = require('./test-utils');
+const { deployContracts, createMockIPFSRecords, calculateDomainHash, calculateLabelHash } = require('./test-utils');
 
 describe('Layer 2 Enhanced DDNS System - Contracts', function () {
   let registry, resolver, owner, bridgeWallet, user1, user2;
+  const testDomain = 'test.eth';
   let testDomainHash, testContentHash;
 
   before(async function () {
@@ -18,7 +19,6 @@ describe('Layer 2 Enhanced DDNS System - Contracts', function () {
     user2 = contracts.user2;
 
     // Prepare test data
-    const testDomain = 'test.eth';
     testDomainHash = calculateDomainHash(testDomain);
 
     // Create mock records
@@ -36,7 +36,7 @@ describe('Layer 2 Enhanced DDNS System - Contracts', function () {
       // Register a domain with 0.01 ETH
       const registrationFee = await registry.registrationFee();
 
-      const tx = await registry.connect(user1).registerDomain(testDomainHash, {
+      const tx = await registry.connect(user1).registerDomain(testDomain, {
         value: registrationFee
       });
 
@@ -54,7 +54,7 @@ describe('Layer 2 Enhanced DDNS System - Contracts', function () {
       const registrationFee = await registry.registrationFee();
 
       await expect(
-        registry.connect(user2).registerDomain(testDomainHash, {
+        registry.connect(user2).registerDomain(testDomain, {
           value: registrationFee
         })
       ).to.be.revertedWith('DDNSRegistry: domain already registered');
@@ -95,6 +95,131 @@ describe('Layer 2 Enhanced DDNS System - Contracts', function () {
       const noDomainsOwned = await registry.getUserDomains(user1.address);
       expect(noDomainsOwned).to.not.include(testDomainHash);
     });
+
+    it('should calculate EIP-137 namehashes', async function () {
+      expect(await registry.calculateDomainHash('www.test.eth')).to.equal(calculateDomainHash('www.test.eth'));
+      expect(await registry.calculateDomainHash('*.test.eth')).to.equal(calculateDomainHash('*.test.eth'));
+      expect(await registry.calculateDomainHash('')).to.equal(ethers.constants.HashZero);
+    });
+
+    it('should let domain owners create subdomains that expire with the parent', async function () {
+      const subdomainHash = calculateDomainHash('www.test.eth');
+
+      const tx = await registry.connect(user2).registerSubdomain(testDomainHash, calculateLabelHash('www'), user1.address);
+
+      await expect(tx)
+        .to.emit(registry, 'SubdomainRegistered')
+        .withArgs(testDomainHash, calculateLabelHash('www'), subdomainHash, user1.address);
+
+      const [owner, contentHash, lastUpdated, expiryDate] = await registry.getDomain(subdomainHash);
+      const [parentOwner, parentContentHash, parentLastUpdated, parentExpiryDate] = await registry.getDomain(testDomainHash);
+      expect(owner).to.equal(user1.address);
+      expect(expiryDate).to.equal(parentExpiryDate);
+      expect(await registry.parents(subdomainHash)).to.equal(testDomainHash);
+
+      await expect(
+        registry.connect(user1).renewDomain(subdomainHash, { value: await registry.registrationFee() })
+      ).to.be.revertedWith('DDNSRegistry: subdomains expire with their parent');
+    });
+
+    it('should prevent creating subdomains under domains owned by others', async function () {
+      await expect(
+        registry.connect(user1).registerSubdomain(testDomainHash, calculateLabelHash('*'), user1.address)
+      ).to.be.revertedWith('DDNSRegistry: caller is not the domain owner');
+    });
+
+    it('should not register names under a registered domain directly', async function () {
+      const registrationFee = await registry.registrationFee();
+
+      await expect(
+        registry.connect(user1).registerDomain('api.test.eth', { value: registrationFee })
+      ).to.be.revertedWith('DDNSRegistry: name is under a registered domain');
+      await expect(
+        registry.connect(user1).registerDomain('a.b.test.eth', { value: registrationFee })
+      ).to.be.revertedWith('DDNSRegistry: name is under a registered domain');
+    });
+
+    it('should not let the owner of a parent take over names registered on their own', async function () {
+      const registrationFee = await registry.registrationFee();
+      const labelHash = calculateLabelHash('owned');
+      const ownedHash = calculateDomainHash('owned.parent.eth');
+      const parentHash = calculateDomainHash('parent.eth');
+
+      await expect(
+        registry.connect(user2).registerDomain('eth', { value: registrationFee })
+      ).to.be.revertedWith('DDNSRegistry: top-level labels cannot be registered');
+
+      // owned.parent.eth is registered before anyone holds parent.eth
+      await registry.connect(user1).registerDomain('owned.parent.eth', { value: registrationFee });
+      await registry.connect(user1).updateDomain(ownedHash, testContentHash);
+      await registry.connect(user2).registerDomain('parent.eth', { value: registrationFee });
+
+      await expect(
+        registry.connect(user2).registerSubdomain(parentHash, labelHash, user2.address)
+      ).to.be.revertedWith('DDNSRegistry: name registered independently');
+
+      const [owner, contentHash] = await registry.getDomain(ownedHash);
+      expect(owner).to.equal(user1.address);
+      expect(contentHash).to.equal(testContentHash);
+    });
+
+    it('should limit how deep subdomains are nested', async function () {
+      const maxDepth = (await registry.MAX_DOMAIN_DEPTH()).toNumber();
+      let parentHash = testDomainHash;
+
+      // test.eth is the first level
+      for (let depth = 2; depth <= maxDepth; depth++) {
+        await registry.connect(user2).registerSubdomain(parentHash, calculateLabelHash('deep'), user2.address);
+        parentHash = ethers.utils.keccak256(ethers.utils.concat([parentHash, calculateLabelHash('deep')]));
+      }
+
+      await expect(
+        registry.connect(user2).registerSubdomain(parentHash, calculateLabelHash('deep'), user2.address)
+      ).to.be.revertedWith('DDNSRegistry: domain nested too deeply');
+    });
+
+    it('should allow wildcard subdomains', async function () {
+      const wildcardHash = calculateDomainHash('*.test.eth');
+
+      await registry.connect(user2).registerSubdomain(testDomainHash, calculateLabelHash('*'), user2.address);
+      await registry.connect(user2).updateDomain(wildcardHash, testContentHash);
+
+      const [owner, contentHash] = await registry.getDomain(wildcardHash);
+      expect(owner).to.equal(user2.address);
+      expect(contentHash).to.equal(testContentHash);
+    });
+
+    it('should let owners point their address reverse name at their domain', async function () {
+      const reverseNode = calculateDomainHash(`${user2.address.slice(2).toLowerCase()}.addr.reverse`);
+      expect(await registry.reverseNodeOf(user2.address)).to.equal(reverseNode);
+
+      await expect(registry.connect(user2).setReverseName('test.eth'))
+        .to.emit(registry, 'ReverseClaimed')
+        .withArgs(reverseNode, user2.address, 'test.eth');
+
+      const [claimant, domainHash, name] = await registry.reverseRecords(reverseNode);
+      expect(claimant).to.equal(user2.address);
+      expect(domainHash).to.equal(testDomainHash);
+      expect(name).to.equal('test.eth');
+
+      await expect(
+        registry.connect(user1).setReverseName('test.eth')
+      ).to.be.revertedWith('DDNSRegistry: caller is not the domain owner');
+    });
+
+    it('should protect IP reverse claims of active domain owners', async function () {
+      const reverseName = '10.2.0.192.in-addr.arpa';
+
+      await registry.connect(user2).claimReverse(reverseName, 'test.eth');
+
+      await expect(
+        registry.connect(user1).claimReverse(reverseName, 'www.test.eth')
+      ).to.be.revertedWith('DDNSRegistry: reverse name claimed by another owner');
+
+      await expect(
+        registry.connect(user2).claimReverse('10.2.0.192.test.eth', 'test.eth')
+      ).to.be.revertedWith('DDNSRegistry: not an IP reverse name');
+    });
   });
 
   describe('Layer 2 Resolver', function () {
@@ -114,7 +239,7 @@ describe('Layer 2 Enhanced DDNS System - Contracts', function () {
 
       await expect(tx)
         .to.emit(resolver, 'RecordSet')
-        .withArgs(testDomainHash, 'A', '192.168.1.1', 3600);
+        .withArgs(testDomainHash, 'A', ['192.168.1.1'], 3600);
 
       const [value, ttl, timestamp] = await resolver.getRecord(testDomainHash, 'A');
       expect(value).to.equal('192.168.1.1');
@@ -152,6 +277,69 @@ describe('Layer 2 Enhanced DDNS System - Contracts', function () {
       expect(ttls[2]).to.equal(7200);
     });
 
+    it('should allow bridge to set multi-value record sets', async function () {
+      // Synced documents replace every set of a domain, so use a separate one
+      const syncedDomainHash = calculateDomainHash('synced.eth');
+      const mxValues = [
+        JSON.stringify({ preference: 10, exchange: 'mail1.example.com' }),
+        JSON.stringify({ preference: 20, exchange: 'mail2.example.com' })
+      ];
+
+      await resolver.connect(bridgeWallet).setBatchRecordSets(
+        syncedDomainHash,
+        ['A', 'MX'],
+        [['192.168.1.1', '192.168.1.2'], mxValues],
+        [3600, 3600],
+        testContentHash
+      );
+
+      const [values, ttl, timestamp, contentHash] = await resolver.getRecordSet(syncedDomainHash, 'A');
+      expect(values).to.deep.equal(['192.168.1.1', '192.168.1.2']);
+      expect(ttl).to.equal(3600);
+      expect(contentHash).to.equal(testContentHash);
+
+      const [valueSets, ttls, timestamps, contentHashes] = await resolver.getBatchRecordSets(syncedDomainHash, ['A', 'MX']);
+      expect(valueSets[1]).to.deep.equal(mxValues);
+      expect(contentHashes).to.deep.equal([testContentHash, testContentHash]);
+    });
+
+    it('should drop record sets missing from a synced document', async function () {
+      const syncedDomainHash = calculateDomainHash('synced.eth');
+      const newContentHash = ethers.utils.keccak256(ethers.utils.toUtf8Bytes('updated records'));
+
+      const tx = await resolver.connect(bridgeWallet).setBatchRecordSets(
+        syncedDomainHash,
+        ['A'],
+        [['192.168.1.5']],
+        [3600],
+        newContentHash
+      );
+
+      await expect(tx)
+        .to.emit(resolver, 'RecordsSynced')
+        .withArgs(syncedDomainHash, newContentHash);
+
+      expect(await resolver.getAllRecordTypes(syncedDomainHash)).to.deep.equal(['A']);
+      expect(await resolver.contentHashes(syncedDomainHash)).to.equal(newContentHash);
+
+      // Missing sets report the document they were dropped by
+      const [values, ttl, timestamp, contentHash] = await resolver.getRecordSet(syncedDomainHash, 'MX');
+      expect(values).to.deep.equal([]);
+      expect(contentHash).to.equal(newContentHash);
+    });
+
+    it('should collect repeated types in a flat batch into one record set', async function () {
+      await resolver.connect(bridgeWallet).setBatchRecords(
+        testDomainHash,
+        ['A', 'A'],
+        ['192.168.1.1', '192.168.1.3'],
+        [3600, 3600]
+      );
+
+      const [values, ttl, timestamp] = await resolver.getRecordSet(testDomainHash, 'A');
+      expect(values).to.deep.equal(['192.168.1.1', '192.168.1.3']);
+    });
+
     it('should allow retrieving all record types', async function () {
       const types = await resolver.getAllRecordTypes(testDomainHash);
 
@@ -176,6 +364,72 @@ describe('Layer 2 Enhanced DDNS System - Contracts', function () {
       expect(types).to.not.include('MX');
     });
 
+    it('should allow bridge to set reverse names', async function () {
+      const reverseNode = calculateDomainHash('10.2.0.192.in-addr.arpa');
+
+      await expect(resolver.connect(bridgeWallet).setReverseName(reverseNode, 'test.eth'))
+        .to.emit(resolver, 'ReverseNameSet')
+        .withArgs(reverseNode, 'test.eth');
+
+      expect(await resolver.reverseNames(reverseNode)).to.equal('test.eth');
+
+      await expect(
+        resolver.connect(user1).setReverseName(reverseNode, 'other.eth')
+      ).to.be.revertedWith('DDNSResolver: caller is not the bridge');
+    });
+
+    it('should allow bridge to mirror owner and expiry', async function () {
+      const subDomainHash = calculateDomainHash('www.test.eth');
+      const expiryDate = 1900000000;
+
+      await expect(resolver.connect(bridgeWallet).setDomainInfo(testDomainHash, user1.address, expiryDate, ethers.constants.HashZero))
+        .to.emit(resolver, 'DomainInfoSet')
+        .withArgs(testDomainHash, user1.address, expiryDate, ethers.constants.HashZero);
+      await resolver.connect(bridgeWallet).setDomainInfo(subDomainHash, user2.address, 0, testDomainHash);
+
+      // Subdomains expire with their top-level domain
+      const [owner, subExpiry] = await resolver.getDomainInfo(subDomainHash);
+      expect(owner).to.equal(user2.address);
+      expect(subExpiry).to.equal(expiryDate);
+
+      await expect(
+        resolver.connect(user1).setDomainInfo(testDomainHash, user1.address, 0, ethers.constants.HashZero)
+      ).to.be.revertedWith('DDNSResolver: caller is not the bridge');
+    });
+
+    it('should stop following mirrored parents past the maximum depth', async function () {
+      const maxDepth = (await resolver.MAX_DOMAIN_DEPTH()).toNumber();
+      const chain = Array.from({ length: maxDepth + 1 }, (_, i) => ethers.utils.id(`deep-${i}`));
+
+      await resolver.connect(bridgeWallet).setDomainInfo(chain[0], user1.address, 1900000000, ethers.constants.HashZero);
+      for (let i = 1; i < chain.length; i++) {
+        await resolver.connect(bridgeWallet).setDomainInfo(chain[i], user1.address, 0, chain[i - 1]);
+      }
+
+      const [, expiryDate] = await resolver.getDomainInfo(chain[maxDepth - 1]);
+      expect(expiryDate).to.equal(1900000000);
+      await expect(resolver.getDomainInfo(chain[maxDepth])).to.be.revertedWith('DDNSResolver: domain nested too deeply');
+    });
+
+    it('should return record sets of many domains in one call', async function () {
+      const otherDomainHash = calculateDomainHash('other.eth');
+
+      await resolver.connect(bridgeWallet).setRecord(testDomainHash, 'A', '192.168.1.1', 3600);
+      await resolver.connect(bridgeWallet).setDomainInfo(testDomainHash, user1.address, 1900000000, ethers.constants.HashZero);
+
+      const [values, ttls, , , owners, expiryDates] = await resolver.getManyRecordSets(
+        [testDomainHash, otherDomainHash],
+        ['A', 'A']
+      );
+
+      expect(values).to.deep.equal([['192.168.1.1'], []]);
+      expect(ttls[0]).to.equal(3600);
+      expect(owners).to.deep.equal([user1.address, ethers.constants.AddressZero]);
+      expect(expiryDates[0]).to.equal(1900000000);
+
+      await expect(resolver.getManyRecordSets([testDomainHash], [])).to.be.revertedWith('DDNSResolver: array length mismatch');
+    });
+
     it('should allow bridge to update bridge address', async function () {
       const tx = await resolver.connect(bridgeWallet).updateBridgeAddress(user1.address);
 
@@ -1,9 +1,15 @@
 // DDNSBridge.js - Cross-layer bridge service
+const http = require('http');
 const ethers = require('ethers');
-const IPFS = require('ipfs-http-client');
 const DDNSRegistryABI = require('./abis/DDNSRegistry.json');
 const DDNSResolverABI = require('./abis/DDNSResolver.json');
 const { Queue } = require('./utils/Queue');
+const IPFSGateway = require('./ipfs-gateway');
+const { encodeRecordSets } = require('./record-types');
+const { verifyDocumentSignature } = require('./document-signing');
+const { IPFSUnavailableError } = require('./errors');
+const { FailoverProvider, getRpcStats } = require('./rpc-failover');
+const { createLatencyHistograms, summarizeLatency, endpointMetrics, renderMetrics, createMetricsHandler } = require('./metrics');
 
 /**
  * Cross-layer bridge service
@@ -16,16 +22,21 @@ class DDNSBridge {
    */
   constructor(config) {
     // Configuration parameters
-    this.l1Provider = new ethers.providers.JsonRpcProvider(config.l1RpcUrl);
-    this.l2Provider = new ethers.providers.JsonRpcProvider(config.l2RpcUrl);
+    // Each layer accepts a list of RPC endpoints (l1RpcUrls/l2RpcUrls) in priority order
+    this.l1Provider = new FailoverProvider(config.l1RpcUrls || config.l1RpcUrl, config.rpcFailover);
+    this.l2Provider = new FailoverProvider(config.l2RpcUrls || config.l2RpcUrl, config.rpcFailover);
     this.l1RegistryAddress = config.l1RegistryAddress;
     this.l2ResolverAddress = config.l2ResolverAddress;
     this.privateKey = config.privateKey;
-    this.ipfsGateway = config.ipfsGateway || 'https://ipfs.io/ipfs/';
-    this.ipfsApiUrl = config.ipfsApiUrl || 'http://localhost:5001';
     this.pollingInterval = config.pollingInterval || 30000; // Default 30 seconds
     this.maxRetries = config.maxRetries || 5;
     this.confirmations = config.confirmations || 3;
+    this.metricsPort = config.metricsPort !== undefined ? config.metricsPort : null; // Prometheus endpoint, disabled by default
+
+    // Documents are only mirrored when the domain's current L1 owner signed them; unsigned
+    // documents are accepted only when requireSignedDocuments is turned off
+    this.requireSignedDocuments = config.requireSignedDocuments !== undefined ? config.requireSignedDocuments : true;
+    this.l1ChainId = config.l1ChainId || null; // Detected from the L1 provider when not set
 
     // Initialize wallets
     this.l1Wallet = new ethers.Wallet(this.privateKey, this.l1Provider);
@@ -35,8 +46,12 @@ class DDNSBridge {
     this.l1Registry = new ethers.Contract(this.l1RegistryAddress, DDNSRegistryABI, this.l1Wallet);
     this.l2Resolver = new ethers.Contract(this.l2ResolverAddress, DDNSResolverABI, this.l2Wallet);
 
-    // Initialize IPFS client
-    this.ipfs = IPFS.create(this.ipfsApiUrl);
+    // Records documents are fetched through IPFS gateways and checked against their content hash,
+    // the same CIDs DDNSManager publishes and DDNSClient reads (ipfsGateway is a single-gateway shorthand)
+    this.ipfs = new IPFSGateway({
+      gateways: config.ipfsGateways || (config.ipfsGateway ? [config.ipfsGateway] : undefined),
+      timeout: config.ipfsTimeout
+    });
 
     // Processing queue
     this.queue = new Queue();
@@ -49,9 +64,19 @@ class DDNSBridge {
       eventsProcessed: 0,
       updatesSynced: 0,
       errors: 0,
+      reverseSynced: 0,
+      domainInfoSynced: 0,
       ipfsRetrievalErrors: 0,
+      invalidDocuments: 0,
+      unauthorizedDocuments: 0,
+      staleUpdatesSkipped: 0,
       l2SubmissionErrors: 0
     };
+
+    // Latency distribution of event queries (l1), document retrieval (ipfs) and confirmed submissions (l2)
+    this.latency = createLatencyHistograms(['l1', 'ipfs', 'l2']);
+
+    this.metricsServer = null;
   }
 
   /**
@@ -72,6 +97,11 @@ class DDNSBridge {
       // Start queue processing
       this.startQueueProcessing();
 
+      // Expose metrics for scraping
+      if (this.metricsPort !== null) {
+        await this.startMetricsServer();
+      }
+
       return true;
     } catch (error) {
       console.error('Failed to start bridge service:', error);
@@ -79,6 +109,24 @@ class DDNSBridge {
     }
   }
 
+  /**
+   * Start the Prometheus metrics listener
+   * @returns {Promise<void>}
+   */
+  async startMetricsServer() {
+    this.metricsServer = http.createServer(createMetricsHandler([this]));
+
+    await new Promise((resolve, reject) => {
+      this.metricsServer.once('error', reject);
+      this.metricsServer.listen(this.metricsPort, () => {
+        this.metricsServer.removeListener('error', reject);
+        resolve();
+      });
+    });
+
+    console.log(`Metrics available on port ${this.metricsServer.address().port}/metrics`);
+  }
+
   /**
    * Start event polling
    */
@@ -136,6 +184,8 @@ class DDNSBridge {
 
     console.log(`Processing events from block ${this.lastProcessedBlock + 1} to ${currentBlock}`);
 
+    const startTime = Date.now();
+
     // Query domain update events
     const updateEvents = await this.l1Registry.queryFilter(
       this.l1Registry.filters.DomainUpdated(),
@@ -150,6 +200,28 @@ class DDNSBridge {
       currentBlock
     );
 
+    // Query renewals and transfers, which change the expiry or owner mirrored on L2
+    const renewEvents = await this.l1Registry.queryFilter(
+      this.l1Registry.filters.DomainRenewed(),
+      this.lastProcessedBlock + 1,
+      currentBlock
+    );
+
+    const transferEvents = await this.l1Registry.queryFilter(
+      this.l1Registry.filters.DomainTransferred(),
+      this.lastProcessedBlock + 1,
+      currentBlock
+    );
+
+    // Query reverse name claims
+    const reverseEvents = await this.l1Registry.queryFilter(
+      this.l1Registry.filters.ReverseClaimed(),
+      this.lastProcessedBlock + 1,
+      currentBlock
+    );
+
+    this.latency.l1.observe(Date.now() - startTime);
+
     // Update last processed block
     this.lastProcessedBlock = currentBlock;
 
@@ -166,22 +238,51 @@ class DDNSBridge {
     }
 
     for (const event of registerEvents) {
-      // For registration events, we only need to check if there's an initial content hash
+      // New registrations mirror their owner and expiry, plus any initial content hash
       const [owner, contentHash, lastUpdated, expiryDate] = await this.l1Registry.getDomain(event.args.domainHash);
 
-      if (contentHash !== ethers.constants.HashZero) {
-        this.queue.enqueue({
-          type: 'register',
-          domainHash: event.args.domainHash,
-          contentHash: contentHash,
-          blockNumber: event.blockNumber,
-          retries: 0
-        });
-        this.stats.eventsProcessed++;
-      }
+      this.queue.enqueue({
+        type: 'register',
+        domainHash: event.args.domainHash,
+        contentHash: contentHash,
+        blockNumber: event.blockNumber,
+        retries: 0
+      });
+      this.stats.eventsProcessed++;
+    }
+
+    for (const event of renewEvents) {
+      this.queue.enqueue({
+        type: 'domainInfo',
+        domainHash: event.args.domainHash,
+        blockNumber: event.blockNumber,
+        retries: 0
+      });
+      this.stats.eventsProcessed++;
+    }
+
+    for (const event of transferEvents) {
+      this.queue.enqueue({
+        type: 'transfer',
+        domainHash: event.args.domainHash,
+        blockNumber: event.blockNumber,
+        retries: 0
+      });
+      this.stats.eventsProcessed++;
     }
 
-    console.log(`Added ${updateEvents.length + registerEvents.length} events to processing queue`);
+    for (const event of reverseEvents) {
+      this.queue.enqueue({
+        type: 'reverse',
+        reverseNode: event.args.reverseNode,
+        blockNumber: event.blockNumber,
+        retries: 0
+      });
+      this.stats.eventsProcessed++;
+    }
+
+    const added = updateEvents.length + registerEvents.length + renewEvents.length + transferEvents.length + reverseEvents.length;
+    console.log(`Added ${added} events to processing queue`);
   }
 
   /**
@@ -189,11 +290,131 @@ class DDNSBridge {
    * @param {Object} item Queue item
    */
   async processQueueItem(item) {
-    console.log(`Processing queue item: ${item.type}, domain hash: ${item.domainHash}`);
+    console.log(`Processing queue item: ${item.type}, node: ${item.domainHash || item.reverseNode}`);
+
+    // Registration or renewal
+    if (item.type === 'register' || item.type === 'domainInfo') {
+      await this.processDomainInfo(item.domainHash);
+    }
+
+    // Transfer
+    if (item.type === 'transfer') {
+      await this.processTransfer(item.domainHash);
+    }
 
     // Domain update
-    if (item.type === 'update' || item.type === 'register') {
-      await this.processDomainUpdate(item.domainHash, item.contentHash);
+    if (item.type === 'update' || (item.type === 'register' && item.contentHash !== ethers.constants.HashZero)) {
+      // Retried items go back on the end of the queue, so a newer update may already have been applied
+      const [, currentContentHash] = await this.l1Registry.domains(item.domainHash);
+
+      if (currentContentHash !== item.contentHash) {
+        console.log(`Skipping stale update of ${item.domainHash}: L1 content hash is now ${currentContentHash}`);
+        this.stats.staleUpdatesSkipped++;
+      } else {
+        await this.processDomainUpdate(item.domainHash, item.contentHash);
+      }
+    }
+
+    // Reverse name claim
+    if (item.type === 'reverse') {
+      await this.processReverseClaim(item.reverseNode);
+    }
+  }
+
+  /**
+   * Mirror the current L1 owner, expiry and parent of a domain to L2
+   * Raw registry entries are mirrored (subdomains keep a zero expiry), so renewing a parent
+   * extends its subdomains on L2 as well
+   * @param {string} domainHash Domain hash
+   */
+  async processDomainInfo(domainHash) {
+    try {
+      const [owner, contentHash, lastUpdated, expiryDate] = await this.l1Registry.domains(domainHash);
+      const parent = await this.l1Registry.parents(domainHash);
+
+      const startTime = Date.now();
+      const tx = await this.l2Resolver.setDomainInfo(domainHash, owner, expiryDate, parent, { gasLimit: 500000 });
+
+      await tx.wait(this.confirmations);
+      this.latency.l2.observe(Date.now() - startTime);
+
+      console.log(`L2 domain info updated successfully: ${tx.hash}`);
+      this.stats.domainInfoSynced++;
+    } catch (error) {
+      console.error(`Error processing domain info ${domainHash}:`, error);
+      this.stats.l2SubmissionErrors++;
+      throw error; // Rethrow to trigger retry mechanism
+    }
+  }
+
+  /**
+   * Mirror the new owner of a transferred domain and re-check its records against that owner
+   * Records the new owner has not signed are cleared from L2 rather than served under their name
+   * @param {string} domainHash Domain hash
+   */
+  async processTransfer(domainHash) {
+    await this.processDomainInfo(domainHash);
+
+    const [, contentHash] = await this.l1Registry.domains(domainHash);
+
+    if (contentHash === ethers.constants.HashZero) {
+      return;
+    }
+
+    const updatesSynced = this.stats.updatesSynced;
+
+    await this.processDomainUpdate(domainHash, contentHash);
+
+    // Documents that fail validation are skipped rather than thrown
+    if (this.stats.updatesSynced === updatesSynced) {
+      console.log(`Clearing L2 records of ${domainHash}: document ${contentHash} is not valid for the new owner`);
+      await this.processDomainUpdate(domainHash, ethers.constants.HashZero);
+    }
+  }
+
+  /**
+   * Resynchronize one domain from its current L1 state without waiting for an event
+   * Mirrors the owner, expiry and parent, then replaces the L2 records with the current document
+   * @param {string} domainHash Domain hash
+   * @returns {Promise<Object>} { domainHash, owner, contentHash, recordsSynced }
+   */
+  async resyncDomain(domainHash) {
+    const [owner, contentHash] = await this.l1Registry.domains(domainHash);
+
+    if (owner === ethers.constants.AddressZero) {
+      throw new Error(`Domain ${domainHash} is not registered on L1`);
+    }
+
+    const updatesSynced = this.stats.updatesSynced;
+
+    await this.processDomainInfo(domainHash);
+    await this.processDomainUpdate(domainHash, contentHash);
+
+    // Documents that fail validation are skipped rather than thrown
+    return { domainHash, owner, contentHash, recordsSynced: this.stats.updatesSynced > updatesSynced };
+  }
+
+  /**
+   * Mirror the current L1 claim of a reverse name to L2
+   * The registry is read instead of the event payload, so replayed or reordered events converge
+   * @param {string} reverseNode Reverse name hash
+   */
+  async processReverseClaim(reverseNode) {
+    try {
+      const [claimant, domainHash, name] = await this.l1Registry.reverseRecords(reverseNode);
+
+      const startTime = Date.now();
+      const tx = await this.l2Resolver.setReverseName(reverseNode, name, { gasLimit: 500000 });
+
+      await tx.wait(this.confirmations);
+      this.latency.l2.observe(Date.now() - startTime);
+
+      console.log(`L2 reverse name updated successfully: ${tx.hash}`);
+      this.stats.reverseSynced++;
+    } catch (error) {
+      console.error(`Error processing reverse claim ${reverseNode}:`, error);
+      this.stats.l2SubmissionErrors++;
+      throw error; // Rethrow to trigger retry mechanism
     }
   }
 
@@ -209,126 +430,136 @@ class DDNSBridge {
       // Get DNS records from IPFS
       const records = await this.getRecordsFromIPFS(contentHash);
 
+      // The bytes were checked against the content hash, so a malformed document is not retried
       if (!records || !records.records) {
-        console.error('Invalid IPFS record format:', records);
-        this.stats.ipfsRetrievalErrors++;
+        console.error(`Rejected records document ${contentHash} for ${domainHash}: not a records document`);
+        this.stats.invalidDocuments++;
         return;
       }
 
-      // Prepare record data
-      const recordTypes = [];
-      const values = [];
-      const ttls = [];
-
-      // Process all record types
-      for (const [type, recordValues] of Object.entries(records.records)) {
-        if (Array.isArray(recordValues)) {
-          // Handle multi-value records, like multiple A records
-          for (const value of recordValues) {
-            recordTypes.push(type);
-            values.push(typeof value === 'object' ? JSON.stringify(value) : value);
-            ttls.push(records.ttl || 3600); // Default 1 hour
+      // Validate every record and encode one canonical set per record type
+      let recordSets;
+      try {
+        recordSets = encodeRecordSets(records);
+      } catch (error) {
+        // A malformed document stays malformed, so it is rejected without retrying
+        console.error(`Rejected records document ${contentHash} for ${domainHash}: ${error.message}`);
+        this.stats.invalidDocuments++;
+        return;
+      }
+
+      // Anyone who can get bytes served under the CID could otherwise publish records for the domain
+      if (contentHash && contentHash !== ethers.constants.HashZero) {
+        try {
+          await this.checkDocumentSignature(domainHash, records);
+        } catch (error) {
+          if (error.name !== 'DocumentSignatureError') {
+            throw error;
           }
-        } else {
-          // Handle single-value record
-          recordTypes.push(type);
-          values.push(typeof recordValues === 'object' ? JSON.stringify(recordValues) : recordValues);
-          ttls.push(records.ttl || 3600);
+
+          console.error(`Rejected records document ${contentHash} for ${domainHash}: ${error.message}`);
+          this.stats.unauthorizedDocuments++;
+          return;
         }
       }
 
-      // Batch update L2 resolver
-      if (recordTypes.length > 0) {
-        console.log(`Submitting ${recordTypes.length} records to L2`);
+      const { recordTypes, values, ttls } = recordSets;
 
-        const tx = await this.l2Resolver.setBatchRecords(
-          domainHash,
-          recordTypes,
-          values,
-          ttls,
-          { gasLimit: 3000000 } // Set a sufficiently large gas limit
-        );
+      // Replace the domain's L2 record sets with this document, tagged with its L1 content hash
+      console.log(`Submitting ${recordTypes.length} record sets to L2`);
 
-        // Wait for transaction confirmation
-        await tx.wait(this.confirmations);
+      const startTime = Date.now();
+      const tx = await this.l2Resolver.setBatchRecordSets(
+        domainHash,
+        recordTypes,
+        values,
+        ttls,
+        contentHash,
+        { gasLimit: 3000000 } // Set a sufficiently large gas limit
+      );
 
-        console.log(`L2 records updated successfully: ${tx.hash}`);
-        this.stats.updatesSynced++;
-      } else {
-        console.log('No records found to update');
-      }
+      // Wait for transaction confirmation
+      await tx.wait(this.confirmations);
+      this.latency.l2.observe(Date.now() - startTime);
+
+      console.log(`L2 records updated successfully: ${tx.hash}`);
+      this.stats.updatesSynced++;
     } catch (error) {
       console.error(`Error processing domain update ${domainHash}:`, error);
-      this.stats.l2SubmissionErrors++;
+      if (error.name !== 'IPFSUnavailableError') {
+        this.stats.l2SubmissionErrors++;
+      }
       throw error; // Rethrow to trigger retry mechanism
     }
   }
 
   /**
-   * Get DNS records from IPFS
-   * @param {string} contentHash IPFS content hash
-   * @returns {Object} DNS records object
+   * Check that a records document is signed by the current L1 owner of its domain
+   * @param {string} domainHash Domain hash
+   * @param {Object} document Records document
+   * @returns {Promise<string|null>} Signer address, or null for an allowed unsigned document
+   * @throws {DocumentSignatureError} If the document is not signed by the owner (or unsigned when required)
    */
-  async getRecordsFromIPFS(contentHash) {
-    try {
-      // Extract IPFS CID from content hash
-      let ipfsCid = contentHash;
-
-      // Handle Ethereum contentHash format
-      if (contentHash.startsWith('0x')) {
-        // Extract IPFS CID from Ethereum contentHash format
-        // Implement parsing logic based on specific encoding format
-        // For example, for ipfs-ns format: 0xe3010170122029f2d17be6139079dc48696d1f582a8530eb9805b561eda517e22a892c7e3f1f
-
-        // Simplified handling - actual implementation would need more rigorous parsing
-        ipfsCid = `Qm${contentHash.substring(10, 50)}`;
-      }
-
-      console.log(`Fetching content from IPFS: ${ipfsCid}`);
+  async checkDocumentSignature(domainHash, document) {
+    // Unsigned documents are decided without any lookups
+    if (!document.signature) {
+      return verifyDocumentSignature(document, { domainHash, required: this.requireSignedDocuments });
+    }
 
-      // Get data from IPFS
-      const chunks = [];
-      for await (const chunk of this.ipfs.cat(ipfsCid)) {
-        chunks.push(chunk);
-      }
+    const [owner] = await this.l1Registry.getDomain(domainHash);
 
-      // Parse JSON data
-      const data = Buffer.concat(chunks).toString();
-      return JSON.parse(data);
-    } catch (error) {
-      console.error('Error retrieving records from IPFS:', error);
-      this.stats.ipfsRetrievalErrors++;
+    return verifyDocumentSignature(document, {
+      domainHash,
+      owner,
+      chainId: await this.getL1ChainId(),
+      registryAddress: this.l1RegistryAddress,
+      required: this.requireSignedDocuments
+    });
+  }
 
-      // For demonstration, return mock data
-      // In production, should throw error or return null
-      console.log('Using mock data as fallback');
-      return this.getMockRecordsFromHash(contentHash);
+  /**
+   * Get the L1 chain ID that document signatures are bound to
+   * @returns {Promise<number>} Chain ID
+   */
+  async getL1ChainId() {
+    if (!this.l1ChainId) {
+      this.l1ChainId = (await this.l1Provider.getNetwork()).chainId;
     }
+
+    return this.l1ChainId;
   }
 
   /**
-   * Generate mock records from content hash (for testing only)
-   * @param {string} contentHash Content hash
-   * @returns {Object} Mock DNS records object
+   * Get DNS records from IPFS
+   * @param {string} contentHash On-chain content hash (bytes32 digest or EIP-1577)
+   * @returns {Promise<Object|null>} DNS records object, or null if the document is not JSON
+   * @throws {IPFSUnavailableError} If no gateway serves the document
    */
-  getMockRecordsFromHash(contentHash) {
-    const hash = contentHash.toString().substring(2, 10);
-    const ipPart = parseInt(hash, 16) % 255;
+  async getRecordsFromIPFS(contentHash) {
+    // A cleared content hash (e.g. a subdomain taken over by its parent) means no records
+    if (!contentHash || contentHash === ethers.constants.HashZero) {
+      return { records: {} };
+    }
 
-    return {
-      domain: `example-${hash}.eth`,
-      records: {
-        A: [`192.168.1.${ipPart}`],
-        AAAA: [`2001:db8::${ipPart}`],
-        TXT: [`This is a demo record for hash ${hash}`],
-        MX: [
-          { preference: 10, exchange: `mail1.example-${hash}.eth` },
-          { preference: 20, exchange: `mail2.example-${hash}.eth` }
-        ]
-      },
-      ttl: 3600,
-      timestamp: Math.floor(Date.now() / 1000)
-    };
+    let document;
+    try {
+      console.log(`Fetching records document from IPFS: ${contentHash}`);
+
+      // Only blocks that hash to the content hash are accepted
+      const startTime = Date.now();
+      document = await this.ipfs.fetch(contentHash);
+      this.latency.ipfs.observe(Date.now() - startTime);
+    } catch (error) {
+      console.error(`Error retrieving records from IPFS: ${error.message}`);
+      this.stats.ipfsRetrievalErrors++;
+      throw new IPFSUnavailableError(contentHash, error);
+    }
+
+    try {
+      return JSON.parse(document.toString('utf8'));
+    } catch (error) {
+      return null;
+    }
   }
 
   /**
@@ -340,10 +571,36 @@ class DDNSBridge {
       ...this.stats,
       lastProcessedBlock: this.lastProcessedBlock,
       queueSize: this.queue.size(),
-      uptime: process.uptime()
+      uptime: process.uptime(),
+      rpc: getRpcStats(this.l1Provider, this.l2Provider),
+      latency: summarizeLatency(this.latency)
     };
   }
 
+  /**
+   * Get counters and latency histograms in the Prometheus text format
+   * @returns {string} Exposition text
+   */
+  getMetrics() {
+    const rpc = endpointMetrics(getRpcStats(this.l1Provider, this.l2Provider));
+
+    return renderMetrics('ddns_bridge', {
+      counters: {
+        ...this.stats,
+        ...rpc.counters
+      },
+      gauges: {
+        lastProcessedBlock: this.lastProcessedBlock,
+        queueSize: this.queue.size(),
+        uptimeSeconds: process.uptime(),
+        ...rpc.gauges
+      },
+      histograms: {
+        syncLatency: this.latency
+      }
+    });
+  }
+
   /**
    * Stop the bridge service
    */
@@ -354,6 +611,11 @@ class DDNSBridge {
       clearInterval(this.pollingInterval);
     }
 
+    if (this.metricsServer) {
+      this.metricsServer.close();
+      this.metricsServer = null;
+    }
+
     return true;
   }
 }
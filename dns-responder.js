@@ -0,0 +1,306 @@
+// dns-responder.js - Builds DNS responses from DDNS records
+const dnsPacket = require('dns-packet');
+const rcodes = require('dns-packet/rcodes');
+const { STATUS } = require('./errors');
+const { normalizeName } = require('./normalize');
+
+// Record types that can be answered from DDNS record documents
+const SUPPORTED_TYPES = ['A', 'AAAA', 'TXT', 'MX', 'CNAME'];
+
+// Maximum length of a single TXT character-string (RFC 1035 3.3)
+const MAX_TXT_CHUNK = 255;
+
+/**
+ * DNS responder
+ * Answers decoded DNS queries for DDNS zones by resolving through a DDNSClient
+ */
+class DNSResponder {
+  /**
+   * Constructor
+   * @param {Object} config Configuration object
+   * @param {DDNSClient} config.client Client used to resolve records
+   * @param {string[]} [config.zones] Zones this responder is authoritative for
+   * @param {number} [config.negativeTTL] TTL for negative answers (SOA minimum)
+   */
+  constructor(config) {
+    this.client = config.client;
+    this.zones = (config.zones || ['eth']).map(zone => normalizeName(zone));
+    this.negativeTTL = config.negativeTTL || 300; // Default 5 minutes
+    this.udpPayloadSize = config.udpPayloadSize || 1232;
+
+    // Response statistics by rcode
+    this.stats = {
+      queries: 0,
+      responses: {}
+    };
+  }
+
+  /**
+   * Answer a decoded DNS query
+   * @param {Object} query Decoded query packet (dns-packet format)
+   * @returns {Promise<Object>} Response packet and the source it was resolved from
+   */
+  async respond(query) {
+    this.stats.queries++;
+
+    const response = {
+      id: query.id,
+      type: 'response',
+      flags: (query.flags || 0) & dnsPacket.RECURSION_DESIRED,
+      questions: query.questions || [],
+      answers: [],
+      authorities: [],
+      additionals: []
+    };
+
+    // Echo EDNS support back to clients that sent an OPT record
+    if ((query.additionals || []).some(record => record.type === 'OPT')) {
+      response.additionals.push({
+        name: '.',
+        type: 'OPT',
+        udpPayloadSize: this.udpPayloadSize,
+        flags: 0,
+        options: []
+      });
+    }
+
+    if (query.opcode && query.opcode !== 'QUERY') {
+      return this._finish(response, 'NOTIMP');
+    }
+
+    if (response.questions.length !== 1) {
+      return this._finish(response, 'FORMERR');
+    }
+
+    const question = response.questions[0];
+    let name;
+
+    try {
+      name = normalizeName(question.name);
+    } catch (error) {
+      name = null;
+    }
+
+    // Names that cannot be normalized do not exist, in our zones at least
+    const zone = this._findZone(name || String(question.name || '').toLowerCase());
+
+    // Not authoritative for names outside our zones
+    if (!zone || (question.class && question.class !== 'IN')) {
+      return this._finish(response, 'REFUSED');
+    }
+
+    if (!name) {
+      response.flags |= dnsPacket.AUTHORITATIVE_ANSWER;
+      response.authorities.push(this._buildSOA(zone));
+      return this._finish(response, 'NXDOMAIN');
+    }
+
+    response.flags |= dnsPacket.AUTHORITATIVE_ANSWER;
+
+    // The zone apex itself only carries the synthesized SOA
+    if (name === zone) {
+      if (question.type === 'SOA') {
+        response.answers.push(this._buildSOA(zone));
+      } else {
+        response.authorities.push(this._buildSOA(zone));
+      }
+      return this._finish(response, 'NOERROR');
+    }
+
+    let result;
+    try {
+      if (question.type === 'ANY') {
+        result = await this._answerAll(name, question, response);
+      } else if (SUPPORTED_TYPES.includes(question.type)) {
+        result = await this._answerType(name, question, response);
+      } else {
+        result = { source: null };
+      }
+    } catch (error) {
+      console.error(`DNS query failed for ${name} (${question.type}):`, error);
+      return this._finish(response, 'SERVFAIL');
+    }
+
+    // The status decides: errors with NXDOMAIN or EXPIRED (invalid or expired names) are answered
+    // like unregistered names, and only errors without a status fall back to SERVFAIL
+    if (result.status ? result.status === STATUS.SERVFAIL : Boolean(result.error)) {
+      return this._finish(response, 'SERVFAIL', result.source);
+    }
+
+    if (response.answers.length > 0) {
+      return this._finish(response, 'NOERROR', result.source);
+    }
+
+    // Negative answer: distinguish missing type (NODATA) from missing name (NXDOMAIN)
+    let exists = result.exists;
+    if (result.status) {
+      exists = result.status === STATUS.NODATA;
+    } else if (exists === undefined) {
+      exists = await this._nameExists(name);
+    }
+    response.authorities.push(this._buildSOA(zone));
+
+    return this._finish(response, exists ? 'NOERROR' : 'NXDOMAIN', result.source);
+  }
+
+  /**
+   * Answer a single record type
+   * @param {string} name Query name
+   * @param {Object} question Question section entry
+   * @param {Object} response Response packet being built
+   * @returns {Promise<Object>} Resolution summary
+   * @private
+   */
+  async _answerType(name, question, response) {
+    const result = await this.client.resolveDomain(name, question.type);
+
+    if (result.source === 'error') {
+      return { source: result.source, status: result.status, error: result.error };
+    }
+
+    // Aliases the client followed come first, then the target's records under the target's name
+    let owner = question.name;
+    for (const hop of result.cname || []) {
+      response.answers.push(this._buildAnswer(owner, 'CNAME', hop.target, hop.ttl));
+      owner = hop.target;
+    }
+
+    for (const value of result.values || []) {
+      response.answers.push(this._buildAnswer(owner, question.type, value, result.ttl));
+    }
+
+    return { source: result.source, status: result.status, error: result.error };
+  }
+
+  /**
+   * Answer an ANY query with every supported record type
+   * @param {string} name Query name
+   * @param {Object} question Question section entry
+   * @param {Object} response Response packet being built
+   * @returns {Promise<Object>} Resolution summary
+   * @private
+   */
+  async _answerAll(name, question, response) {
+    const results = await this.client.resolveBatch(name, SUPPORTED_TYPES);
+
+    if (results.source === 'error') {
+      return { source: results.source, status: results.status, error: results.error };
+    }
+
+    for (let i = 0; i < SUPPORTED_TYPES.length; i++) {
+      for (const value of results.valueSets[i] || []) {
+        response.answers.push(this._buildAnswer(question.name, SUPPORTED_TYPES[i], value, results.ttls[i]));
+      }
+    }
+
+    return { source: results.source, status: results.status, error: results.error, exists: response.answers.length > 0 };
+  }
+
+  /**
+   * Check whether a name has any supported records
+   * @param {string} name Domain name
+   * @returns {Promise<boolean>} True if at least one record exists
+   * @private
+   */
+  async _nameExists(name) {
+    const results = await this.client.resolveBatch(name, SUPPORTED_TYPES);
+    return (results.valueSets || []).some(values => values.length > 0);
+  }
+
+  /**
+   * Build an answer resource record
+   * @param {string} name Owner name as asked
+   * @param {string} type Record type
+   * @param {*} value Record value returned by the client
+   * @param {number|Object} ttl TTL returned by the client (number or BigNumber)
+   * @returns {Object} Resource record
+   * @private
+   */
+  _buildAnswer(name, type, value, ttl) {
+    return {
+      name,
+      type,
+      class: 'IN',
+      ttl: Number(ttl) || 0,
+      data: toRecordData(type, value)
+    };
+  }
+
+  /**
+   * Build the synthesized SOA record for a zone
+   * @param {string} zone Zone name
+   * @returns {Object} SOA resource record
+   * @private
+   */
+  _buildSOA(zone) {
+    return {
+      name: zone,
+      type: 'SOA',
+      class: 'IN',
+      ttl: this.negativeTTL,
+      data: {
+        mname: `ns.${zone}`,
+        rname: `hostmaster.${zone}`,
+        serial: Math.floor(Date.now() / 1000),
+        refresh: 3600,
+        retry: 600,
+        expiration: 604800,
+        minimum: this.negativeTTL
+      }
+    };
+  }
+
+  /**
+   * Find the zone a name belongs to
+   * @param {string} name Normalized domain name
+   * @returns {string|null} Matching zone
+   * @private
+   */
+  _findZone(name) {
+    return this.zones.find(zone => name === zone || name.endsWith(`.${zone}`)) || null;
+  }
+
+  /**
+   * Set the response code and record statistics
+   * @param {Object} response Response packet
+   * @param {string} rcode Response code name
+   * @param {string} [source] Resolution source
+   * @returns {Object} Response packet and source
+   * @private
+   */
+  _finish(response, rcode, source = null) {
+    response.flags |= rcodes.toRcode(rcode);
+    this.stats.responses[rcode] = (this.stats.responses[rcode] || 0) + 1;
+
+    return { response, rcode, source };
+  }
+}
+
+/**
+ * Convert a client record value into dns-packet record data
+ * @param {string} type Record type
+ * @param {*} value Decoded record value
+ * @returns {*} Record data
+ */
+function toRecordData(type, value) {
+  switch (type) {
+    case 'MX':
+      return { preference: Number(value.preference), exchange: value.exchange };
+    case 'TXT': {
+      // Long TXT values are split into 255-byte character-strings
+      const bytes = Buffer.from(String(value));
+      const chunks = [];
+      for (let i = 0; i < bytes.length; i += MAX_TXT_CHUNK) {
+        chunks.push(bytes.slice(i, i + MAX_TXT_CHUNK));
+      }
+      return chunks.length > 0 ? chunks : [Buffer.alloc(0)];
+    }
+    default:
+      return String(value);
+  }
+}
+
+module.exports = {
+  DNSResponder,
+  SUPPORTED_TYPES
+};
@@ -0,0 +1,274 @@
+// dns-server-tests.js - Unit tests for the DNS server and responder
+const { expect } = require('chai');
+const sinon = require('sinon');
+const dgram = require('dgram');
+const net = require('net');
+const dnsPacket = require('dns-packet');
+const DNSServer = require('./dns-server');
+const { DNSResponder, SUPPORTED_TYPES } = require('./dns-responder');
+
+describe('DDNS DNS Server', function () {
+  let mockClient;
+  let responder;
+
+  /**
+   * Build a decoded query packet
+   * @param {string} name Query name
+   * @param {string} type Query type
+   * @returns {Object} Query packet
+   */
+  function buildQuery(name, type) {
+    return dnsPacket.decode(dnsPacket.encode({
+      id: 4242,
+      type: 'query',
+      flags: dnsPacket.RECURSION_DESIRED,
+      questions: [{ name, type, class: 'IN' }]
+    }));
+  }
+
+  beforeEach(function () {
+    mockClient = {
+      resolveDomain: sinon.stub().resolves({ value: null, values: [], ttl: 0, source: 'l2' }),
+      resolveBatch: sinon.stub().resolves({
+        values: SUPPORTED_TYPES.map(() => null),
+        valueSets: SUPPORTED_TYPES.map(() => []),
+        ttls: SUPPORTED_TYPES.map(() => 0),
+        source: 'l2'
+      })
+    };
+
+    responder = new DNSResponder({ client: mockClient });
+  });
+
+  afterEach(function () {
+    sinon.restore();
+  });
+
+  describe('DNSResponder.respond()', function () {
+    it('should answer A queries with the client TTL', async function () {
+      mockClient.resolveDomain.withArgs('test.eth', 'A').resolves({
+        value: '192.168.1.1',
+        values: ['192.168.1.1'],
+        ttl: 1800,
+        source: 'l2'
+      });
+
+      const { response, rcode, source } = await responder.respond(buildQuery('test.eth', 'A'));
+
+      expect(rcode).to.equal('NOERROR');
+      expect(source).to.equal('l2');
+      expect(response.id).to.equal(4242);
+      expect(response.flags & dnsPacket.AUTHORITATIVE_ANSWER).to.not.equal(0);
+      expect(response.answers).to.have.length(1);
+      expect(response.answers[0]).to.include({ name: 'test.eth', type: 'A', ttl: 1800, data: '192.168.1.1' });
+    });
+
+    it('should answer the alias chain before the target records', async function () {
+      mockClient.resolveDomain.withArgs('www.test.eth', 'A').resolves({
+        value: '192.168.1.1',
+        values: ['192.168.1.1'],
+        ttl: 1800,
+        source: 'l2',
+        cname: [{ name: 'www.test.eth', target: 'test.eth', ttl: 600, source: 'l2' }]
+      });
+
+      const { response, rcode } = await responder.respond(buildQuery('www.test.eth', 'A'));
+
+      expect(rcode).to.equal('NOERROR');
+      expect(response.answers[0]).to.include({ name: 'www.test.eth', type: 'CNAME', ttl: 600, data: 'test.eth' });
+      expect(response.answers[1]).to.include({ name: 'test.eth', type: 'A', ttl: 1800, data: '192.168.1.1' });
+    });
+
+    it('should answer every value of a multi-value record set', async function () {
+      const mx = [
+        { preference: 10, exchange: 'mail1.test.eth' },
+        { preference: 20, exchange: 'mail2.test.eth' }
+      ];
+      mockClient.resolveDomain.resolves({ value: mx[0], values: mx, ttl: 3600, source: 'l2' });
+
+      const { response } = await responder.respond(buildQuery('test.eth', 'MX'));
+
+      expect(response.answers.map(answer => answer.data)).to.deep.equal(mx);
+    });
+
+    it('should return NXDOMAIN for unregistered names', async function () {
+      const { response, rcode } = await responder.respond(buildQuery('missing.eth', 'A'));
+
+      expect(rcode).to.equal('NXDOMAIN');
+      expect(response.answers).to.have.length(0);
+      expect(response.authorities[0].type).to.equal('SOA');
+    });
+
+    it('should return NODATA when the name exists without the requested type', async function () {
+      mockClient.resolveBatch.resolves({
+        values: ['192.168.1.1', null, null, null],
+        valueSets: [['192.168.1.1'], [], [], []],
+        ttls: [3600, 0, 0, 0],
+        source: 'l2'
+      });
+
+      const { response, rcode } = await responder.respond(buildQuery('test.eth', 'AAAA'));
+
+      expect(rcode).to.equal('NOERROR');
+      expect(response.answers).to.have.length(0);
+      expect(response.authorities[0].type).to.equal('SOA');
+    });
+
+    it('should answer expired names with NXDOMAIN', async function () {
+      mockClient.resolveDomain.resolves({
+        value: null, values: [], ttl: 0, source: 'l1', status: 'EXPIRED', error: 'Domain expired'
+      });
+
+      const { rcode } = await responder.respond(buildQuery('test.eth', 'A'));
+
+      expect(rcode).to.equal('NXDOMAIN');
+      expect(mockClient.resolveBatch.called).to.be.false;
+    });
+
+    it('should answer invalid names with NXDOMAIN', async function () {
+      mockClient.resolveDomain.resolves({
+        value: null, values: [], ttl: 0, source: 'error', status: 'NXDOMAIN', error: 'Invalid domain name', errorType: 'InvalidNameError'
+      });
+
+      expect((await responder.respond(buildQuery('test.eth', 'A'))).rcode).to.equal('NXDOMAIN');
+
+      // Names the responder cannot normalize never reach the client
+      mockClient.resolveDomain.resetHistory();
+      const { response, rcode } = await responder.respond(buildQuery('a_b.test.eth', 'A'));
+
+      expect(rcode).to.equal('NXDOMAIN');
+      expect(response.authorities[0].type).to.equal('SOA');
+      expect(mockClient.resolveDomain.called).to.be.false;
+      expect((await responder.respond(buildQuery('a_b.example.com', 'A'))).rcode).to.equal('REFUSED');
+    });
+
+    it('should return SERVFAIL when resolution fails', async function () {
+      mockClient.resolveDomain.resolves({ value: null, values: [], ttl: 0, source: 'error', error: 'RPC down' });
+
+      const { rcode } = await responder.respond(buildQuery('test.eth', 'A'));
+
+      expect(rcode).to.equal('SERVFAIL');
+    });
+
+    it('should refuse names outside its zones', async function () {
+      const { response, rcode } = await responder.respond(buildQuery('example.com', 'A'));
+
+      expect(rcode).to.equal('REFUSED');
+      expect(response.flags & dnsPacket.AUTHORITATIVE_ANSWER).to.equal(0);
+      expect(mockClient.resolveDomain.called).to.be.false;
+    });
+  });
+
+  describe('transports', function () {
+    let server;
+
+    beforeEach(async function () {
+      mockClient.resolveDomain.withArgs('test.eth', 'A').resolves({
+        value: '192.168.1.1',
+        values: ['192.168.1.1'],
+        ttl: 3600,
+        source: 'l2'
+      });
+      mockClient.resolveDomain.withArgs('long.eth', 'TXT').resolves({
+        value: 'x'.repeat(600),
+        values: ['x'.repeat(600)],
+        ttl: 3600,
+        source: 'l2'
+      });
+
+      server = new DNSServer({ client: mockClient, port: 0, host: '127.0.0.1' });
+      sinon.stub(console, 'log');
+      expect(await server.start()).to.be.true;
+    });
+
+    afterEach(function () {
+      server.stop();
+    });
+
+    /**
+     * Send a query over UDP and decode the reply
+     * @param {string} name Query name
+     * @param {string} type Query type
+     * @returns {Promise<Object>} Decoded response
+     */
+    function queryUdp(name, type) {
+      return new Promise((resolve, reject) => {
+        const socket = dgram.createSocket('udp4');
+        socket.on('message', message => {
+          socket.close();
+          resolve(dnsPacket.decode(message));
+        });
+        socket.on('error', reject);
+        socket.send(dnsPacket.encode({
+          id: 1,
+          type: 'query',
+          questions: [{ name, type, class: 'IN' }]
+        }), server.udpSocket.address().port, '127.0.0.1');
+      });
+    }
+
+    it('should answer queries over UDP', async function () {
+      const response = await queryUdp('test.eth', 'A');
+
+      expect(response.rcode).to.equal('NOERROR');
+      expect(response.answers[0].data).to.equal('192.168.1.1');
+      expect(server.getStats().udpQueries).to.equal(1);
+    });
+
+    it('should truncate oversized UDP responses', async function () {
+      const response = await queryUdp('long.eth', 'TXT');
+
+      expect(response.flag_tc).to.be.true;
+      expect(response.answers).to.have.length(0);
+      expect(server.getStats().truncatedResponses).to.equal(1);
+    });
+
+    /**
+     * Send a length-prefixed query over TCP and decode the reply
+     * @param {string} name Query name
+     * @param {string} type Query type
+     * @returns {Promise<Object>} Decoded response
+     */
+    function queryTcp(name, type) {
+      return new Promise((resolve, reject) => {
+        const socket = net.connect(server.tcpServer.address().port, '127.0.0.1', () => {
+          socket.write(dnsPacket.streamEncode({
+            id: 2,
+            type: 'query',
+            questions: [{ name, type, class: 'IN' }]
+          }));
+        });
+
+        let buffer = Buffer.alloc(0);
+        socket.on('data', data => {
+          buffer = Buffer.concat([buffer, data]);
+          const decoded = dnsPacket.streamDecode(buffer);
+          if (decoded) {
+            socket.end();
+            resolve(decoded);
+          }
+        });
+        socket.on('error', reject);
+      });
+    }
+
+    it('should answer length-prefixed queries over TCP', async function () {
+      const response = await queryTcp('long.eth', 'TXT');
+
+      expect(response.rcode).to.equal('NOERROR');
+      expect(Buffer.concat(response.answers[0].data).toString()).to.equal('x'.repeat(600));
+    });
+
+    it('should answer SERVFAIL on both transports when answering throws', async function () {
+      sinon.stub(server.responder, 'respond').rejects(new Error('encode failed'));
+      sinon.stub(console, 'error');
+
+      const udp = await queryUdp('test.eth', 'A');
+      const tcp = await queryTcp('test.eth', 'A');
+
+      expect(udp).to.include({ id: 1, rcode: 'SERVFAIL' });
+      expect(tcp).to.include({ id: 2, rcode: 'SERVFAIL' });
+      expect(server.getStats().failedQueries).to.equal(2);
+    });
+  });
+});
@@ -0,0 +1,272 @@
+// dns-server.js - Authoritative DNS server (UDP/TCP) backed by DDNSClient
+const dgram = require('dgram');
+const net = require('net');
+const dnsPacket = require('dns-packet');
+const rcodes = require('dns-packet/rcodes');
+const { DNSResponder } = require('./dns-responder');
+
+// Classic DNS UDP payload limit without EDNS (RFC 1035 4.2.1)
+const DEFAULT_UDP_PAYLOAD = 512;
+
+/**
+ * DNS server
+ * Serves DDNS names to ordinary resolvers over RFC 1035 UDP and TCP transports
+ */
+class DNSServer {
+  /**
+   * Constructor
+   * @param {Object} config Configuration object
+   * @param {DDNSClient} config.client Client used to resolve records
+   */
+  constructor(config) {
+    // Configuration parameters
+    this.port = config.port !== undefined ? config.port : 53;
+    this.host = config.host || '0.0.0.0';
+    this.tcpIdleTimeout = config.tcpIdleTimeout || 10000; // Default 10 seconds
+
+    // Query answering is shared with other transports
+    this.responder = config.responder || new DNSResponder(config);
+
+    this.udpSocket = null;
+    this.tcpServer = null;
+
+    // Transport statistics
+    this.stats = {
+      udpQueries: 0,
+      tcpQueries: 0,
+      truncatedResponses: 0,
+      malformedQueries: 0,
+      failedQueries: 0
+    };
+  }
+
+  /**
+   * Start listening on UDP and TCP
+   * @returns {Promise<boolean>} True if both transports are listening
+   */
+  async start() {
+    console.log(`Starting DNS server on ${this.host}:${this.port}...`);
+
+    try {
+      await this._startUdp();
+      await this._startTcp();
+
+      console.log(`DNS server listening (udp ${this.udpSocket.address().port}, tcp ${this.tcpServer.address().port})`);
+      return true;
+    } catch (error) {
+      console.error('Failed to start DNS server:', error);
+      this.stop();
+      return false;
+    }
+  }
+
+  /**
+   * Bind the UDP socket
+   * @returns {Promise<void>}
+   * @private
+   */
+  _startUdp() {
+    return new Promise((resolve, reject) => {
+      const type = net.isIPv6(this.host) ? 'udp6' : 'udp4';
+      const socket = dgram.createSocket(type);
+      this.udpSocket = socket;
+
+      socket.on('message', async (message, rinfo) => {
+        this.stats.udpQueries++;
+
+        try {
+          const reply = await this.handleMessage(message, 'udp');
+          if (reply && this.udpSocket === socket) {
+            socket.send(reply, rinfo.port, rinfo.address);
+          }
+        } catch (error) {
+          console.error('DNS UDP query failed:', error);
+          this.stats.failedQueries++;
+
+          const reply = this._errorResponse(message, 'SERVFAIL');
+          if (reply && this.udpSocket === socket) {
+            socket.send(reply, rinfo.port, rinfo.address);
+          }
+        }
+      });
+
+      this.udpSocket.once('error', reject);
+      this.udpSocket.bind(this.port, this.host, () => {
+        this.udpSocket.removeListener('error', reject);
+        this.udpSocket.on('error', error => console.error('DNS UDP socket error:', error));
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Start the TCP listener
+   * @returns {Promise<void>}
+   * @private
+   */
+  _startTcp() {
+    return new Promise((resolve, reject) => {
+      this.tcpServer = net.createServer(socket => this._handleConnection(socket));
+
+      this.tcpServer.once('error', reject);
+      this.tcpServer.listen(this.port, this.host, () => {
+        this.tcpServer.removeListener('error', reject);
+        this.tcpServer.on('error', error => console.error('DNS TCP server error:', error));
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Handle a TCP connection carrying length-prefixed messages (RFC 1035 4.2.2)
+   * @param {net.Socket} socket Client connection
+   * @private
+   */
+  _handleConnection(socket) {
+    let buffer = Buffer.alloc(0);
+
+    socket.setTimeout(this.tcpIdleTimeout, () => socket.destroy());
+    socket.on('error', () => socket.destroy());
+
+    socket.on('data', async data => {
+      buffer = Buffer.concat([buffer, data]);
+
+      // Process every complete message in the buffer
+      while (buffer.length >= 2) {
+        const length = buffer.readUInt16BE(0);
+        if (buffer.length < length + 2) {
+          break;
+        }
+
+        const message = buffer.slice(2, length + 2);
+        buffer = buffer.slice(length + 2);
+        this.stats.tcpQueries++;
+
+        let reply;
+        try {
+          reply = await this.handleMessage(message, 'tcp');
+        } catch (error) {
+          console.error('DNS TCP query failed:', error);
+          this.stats.failedQueries++;
+          reply = this._errorResponse(message, 'SERVFAIL');
+        }
+
+        if (reply && !socket.destroyed) {
+          const prefix = Buffer.alloc(2);
+          prefix.writeUInt16BE(reply.length);
+          socket.write(Buffer.concat([prefix, reply]));
+        }
+      }
+    });
+  }
+
+  /**
+   * Decode a raw query, answer it and encode the response
+   * @param {Buffer} message Raw DNS message
+   * @param {string} transport 'udp' or 'tcp'
+   * @returns {Promise<Buffer|null>} Encoded response, or null to drop the message
+   */
+  async handleMessage(message, transport) {
+    let query;
+    try {
+      query = dnsPacket.decode(message);
+    } catch (error) {
+      this.stats.malformedQueries++;
+      return this._errorResponse(message, 'FORMERR');
+    }
+
+    // Never answer responses
+    if (query.type === 'response') {
+      return null;
+    }
+
+    const { response } = await this.responder.respond(query);
+    let encoded = dnsPacket.encode(response);
+
+    // Truncate oversized UDP responses so the client retries over TCP
+    if (transport === 'udp') {
+      const limit = this._udpLimit(query);
+
+      if (encoded.length > limit) {
+        this.stats.truncatedResponses++;
+        encoded = dnsPacket.encode({
+          ...response,
+          flags: response.flags | dnsPacket.TRUNCATED_RESPONSE,
+          answers: [],
+          authorities: []
+        });
+      }
+    }
+
+    return encoded;
+  }
+
+  /**
+   * Maximum UDP response size the client accepts
+   * @param {Object} query Decoded query packet
+   * @returns {number} Payload size in bytes
+   * @private
+   */
+  _udpLimit(query) {
+    const opt = (query.additionals || []).find(record => record.type === 'OPT');
+    if (!opt) {
+      return DEFAULT_UDP_PAYLOAD;
+    }
+
+    return Math.max(DEFAULT_UDP_PAYLOAD, Math.min(opt.udpPayloadSize, this.responder.udpPayloadSize));
+  }
+
+  /**
+   * Build a header-only error response for a message that could not be answered
+   * @param {Buffer} message Raw DNS message
+   * @param {string} rcode Response code name (FORMERR for undecodable queries, SERVFAIL for failures)
+   * @returns {Buffer|null} Encoded response, or null if there is no usable header
+   * @private
+   */
+  _errorResponse(message, rcode) {
+    if (message.length < 2) {
+      return null;
+    }
+
+    return dnsPacket.encode({
+      id: message.readUInt16BE(0),
+      type: 'response',
+      flags: rcodes.toRcode(rcode),
+      questions: [],
+      answers: []
+    });
+  }
+
+  /**
+   * Get server statistics
+   * @returns {Object} Statistics object
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      ...this.responder.stats
+    };
+  }
+
+  /**
+   * Stop the DNS server
+   * The client is left open; whoever created it closes it
+   */
+  stop() {
+    console.log('Stopping DNS server...');
+
+    if (this.udpSocket) {
+      this.udpSocket.close();
+      this.udpSocket = null;
+    }
+
+    if (this.tcpServer) {
+      this.tcpServer.close();
+      this.tcpServer = null;
+    }
+
+    return true;
+  }
+}
+
+module.exports = DNSServer;
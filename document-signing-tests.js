@@ -0,0 +1,69 @@
+// document-signing-tests.js - Unit tests for owner-signed records documents
+const { expect } = require('chai');
+const { ethers } = require('ethers');
+const { signDocument, recoverDocumentSigner, verifyDocumentSignature } = require('./document-signing');
+const { namehash } = require('./namehash');
+
+describe('Document signing', function () {
+  const owner = new ethers.Wallet(`0x${'11'.repeat(32)}`);
+  const other = new ethers.Wallet(`0x${'22'.repeat(32)}`);
+  const signing = { chainId: 1, registryAddress: '0x1234567890123456789012345678901234567890' };
+  const document = {
+    domain: 'test.eth',
+    records: { A: ['192.0.2.1'], MX: [{ preference: 10, exchange: 'mail.test.eth' }] },
+    ttl: 600,
+    timestamp: 1700000000
+  };
+
+  /**
+   * Verify a document read for test.eth, owned by `owner`
+   * @param {Object} signed Document
+   * @param {Object} [context] Context overrides
+   * @returns {string|null} Signer
+   */
+  function verify(signed, context = {}) {
+    return verifyDocumentSignature(signed, { ...signing, domainHash: namehash('test.eth'), owner: owner.address, ...context });
+  }
+
+  it('should sign documents so the owner can be recovered', async function () {
+    const signed = await signDocument(owner, document, signing);
+
+    expect(signed.signature).to.match(/^0x[0-9a-f]{130}$/);
+    expect(recoverDocumentSigner(signed, signing)).to.equal(owner.address);
+    expect(verify(signed)).to.equal(owner.address);
+  });
+
+  it('should cover the canonical records rather than their JSON form', async function () {
+    const signed = await signDocument(owner, document, signing);
+
+    // The same records written in presentation form still match
+    expect(verify({ ...signed, records: { A: ['192.0.2.1'], MX: ['10 mail.test.eth'] } })).to.equal(owner.address);
+    expect(() => verify({ ...signed, records: { A: ['192.0.2.66'] } })).to.throw('but the domain is owned by');
+    expect(() => verify({ ...signed, ttls: { A: 1 } })).to.throw('but the domain is owned by');
+  });
+
+  it('should reject documents signed by someone other than the owner', async function () {
+    const signed = await signDocument(other, document, signing);
+
+    try {
+      verify(signed);
+      expect.fail('Should have thrown an error');
+    } catch (error) {
+      expect(error).to.include({ name: 'DocumentSignatureError', status: 'SERVFAIL' });
+      expect(error.message).to.include(`signed by ${other.address}`);
+    }
+  });
+
+  it('should reject documents signed for another domain, registry or chain', async function () {
+    const signed = await signDocument(owner, { ...document, domain: 'other.eth' }, signing);
+    expect(() => verify(signed)).to.throw('it was signed for other.eth');
+
+    const resigned = await signDocument(owner, document, { ...signing, chainId: 5 });
+    expect(() => verify(resigned)).to.throw(`signed by`);
+  });
+
+  it('should allow unsigned documents unless signatures are required', function () {
+    expect(verify(document)).to.be.null;
+    expect(() => verify(document, { required: true })).to.throw('the document is not signed');
+  });
+});
@@ -0,0 +1,150 @@
+// document-signing.js - EIP-712 owner signatures on records documents
+const ethers = require('ethers');
+const { encodeRecordSets } = require('./record-types');
+const { namehash } = require('./namehash');
+const { normalizeName } = require('./normalize');
+const { STATUS, DDNSError } = require('./errors');
+
+// EIP-712 types of a records document; values are signed in their canonical L2 encoding,
+// so the signature covers exactly what the bridge stores and not the JSON formatting
+const RECORD_DOCUMENT_TYPES = {
+  RecordDocument: [
+    { name: 'domain', type: 'string' },
+    { name: 'recordSets', type: 'RecordSet[]' },
+    { name: 'timestamp', type: 'uint256' }
+  ],
+  RecordSet: [
+    { name: 'recordType', type: 'string' },
+    { name: 'ttl', type: 'uint256' },
+    { name: 'values', type: 'string[]' }
+  ]
+};
+
+/**
+ * Error thrown for records documents that are not signed by the owner of their domain
+ */
+class DocumentSignatureError extends DDNSError {
+  /**
+   * Constructor
+   * @param {string} domain Domain name or hash the document was read for
+   * @param {string} reason Why the document was rejected
+   */
+  constructor(domain, reason) {
+    super(`Records document for ${domain} rejected: ${reason}`, STATUS.SERVFAIL);
+    this.name = 'DocumentSignatureError';
+    this.domain = domain;
+  }
+}
+
+/**
+ * Get the EIP-712 domain separator fields for records documents
+ * Signatures are bound to one registry on one chain
+ * @param {number} chainId L1 chain ID
+ * @param {string} registryAddress DDNSRegistry address
+ * @returns {Object} EIP-712 domain
+ */
+function signingDomain(chainId, registryAddress) {
+  return {
+    name: 'DDNS',
+    version: '1',
+    chainId,
+    verifyingContract: registryAddress
+  };
+}
+
+/**
+ * Build the EIP-712 message of a records document
+ * @param {Object} document Records document ({ domain, records, ttl, ttls, timestamp })
+ * @returns {Object} RecordDocument message
+ * @throws {InvalidDocumentError} If any record is malformed
+ */
+function toTypedDocument(document) {
+  const { recordTypes, values, ttls } = encodeRecordSets(document);
+
+  return {
+    domain: normalizeName(document.domain),
+    recordSets: recordTypes.map((recordType, i) => ({ recordType, ttl: ttls[i], values: values[i] })),
+    timestamp: document.timestamp || 0
+  };
+}
+
+/**
+ * Sign a records document as the owner of its domain
+ * @param {Object} signer ethers Signer supporting EIP-712 (_signTypedData)
+ * @param {Object} document Records document
+ * @param {Object} context Signing context
+ * @param {number} context.chainId L1 chain ID
+ * @param {string} context.registryAddress DDNSRegistry address
+ * @returns {Promise<Object>} The document with its `signature`
+ */
+async function signDocument(signer, document, { chainId, registryAddress }) {
+  const unsigned = { ...document };
+  delete unsigned.signature;
+
+  return {
+    ...unsigned,
+    signature: await signer._signTypedData(signingDomain(chainId, registryAddress), RECORD_DOCUMENT_TYPES, toTypedDocument(unsigned))
+  };
+}
+
+/**
+ * Recover the address that signed a records document
+ * @param {Object} document Signed records document
+ * @param {Object} context Signing context ({ chainId, registryAddress })
+ * @returns {string} Signer address
+ */
+function recoverDocumentSigner(document, { chainId, registryAddress }) {
+  return ethers.utils.verifyTypedData(
+    signingDomain(chainId, registryAddress),
+    RECORD_DOCUMENT_TYPES,
+    toTypedDocument(document),
+    document.signature
+  );
+}
+
+/**
+ * Check that a records document read for a domain was signed by the domain's current owner
+ * @param {Object} document Records document
+ * @param {Object} context Verification context
+ * @param {string} context.domainHash Hash of the domain whose content hash points at the document
+ * @param {string} context.owner Current L1 owner of the domain
+ * @param {number} context.chainId L1 chain ID
+ * @param {string} context.registryAddress DDNSRegistry address
+ * @param {boolean} [context.required] Reject unsigned documents
+ * @returns {string|null} Signer address, or null for an allowed unsigned document
+ * @throws {DocumentSignatureError} If the document is unsigned (when required), signed for another domain or by someone else
+ */
+function verifyDocumentSignature(document, { domainHash, owner, chainId, registryAddress, required }) {
+  if (!document.signature) {
+    if (required) {
+      throw new DocumentSignatureError(domainHash, 'the document is not signed');
+    }
+    return null;
+  }
+
+  let signer;
+  try {
+    // The signed name is checked too, so an owner's document cannot be replayed for another of their domains
+    if (namehash(normalizeName(document.domain)) !== domainHash.toLowerCase()) {
+      throw new Error(`it was signed for ${document.domain}`);
+    }
+
+    signer = recoverDocumentSigner(document, { chainId, registryAddress });
+  } catch (error) {
+    throw new DocumentSignatureError(domainHash, error.message);
+  }
+
+  if (signer.toLowerCase() !== String(owner).toLowerCase()) {
+    throw new DocumentSignatureError(document.domain, `signed by ${signer}, but the domain is owned by ${owner}`);
+  }
+
+  return signer;
+}
+
+module.exports = {
+  RECORD_DOCUMENT_TYPES,
+  DocumentSignatureError,
+  signDocument,
+  recoverDocumentSigner,
+  verifyDocumentSignature
+};
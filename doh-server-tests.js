@@ -0,0 +1,116 @@
+// doh-server-tests.js - Unit tests for the DNS-over-HTTPS endpoint
+const { expect } = require('chai');
+const sinon = require('sinon');
+const http = require('http');
+const dnsPacket = require('dns-packet');
+const DoHServer = require('./doh-server');
+
+describe('DDNS DoH Server', function () {
+  let server;
+  let mockClient;
+
+  /**
+   * Send an HTTP request to the test server
+   * @param {string} method HTTP method
+   * @param {string} path Request path with query string
+   * @param {Object} [headers] Request headers
+   * @param {Buffer} [body] Request body
+   * @returns {Promise<Object>} Status, headers and body
+   */
+  function request(method, path, headers = {}, body = null) {
+    return new Promise((resolve, reject) => {
+      const req = http.request({
+        host: '127.0.0.1',
+        port: server.server.address().port,
+        method,
+        path,
+        headers
+      }, res => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) }));
+      });
+      req.on('error', reject);
+      req.end(body);
+    });
+  }
+
+  beforeEach(async function () {
+    mockClient = {
+      resolveDomain: sinon.stub().resolves({ value: null, values: [], ttl: 0, source: 'l2' }),
+      resolveBatch: sinon.stub().resolves({
+        values: [null, null, null, null],
+        valueSets: [[], [], [], []],
+        ttls: [0, 0, 0, 0],
+        source: 'l2'
+      })
+    };
+    mockClient.resolveDomain.withArgs('test.eth', 'A').resolves({
+      value: '192.168.1.1',
+      values: ['192.168.1.1'],
+      ttl: 600,
+      source: 'cache'
+    });
+
+    sinon.stub(console, 'log');
+    server = new DoHServer({ client: mockClient, port: 0, host: '127.0.0.1' });
+    expect(await server.start()).to.be.true;
+  });
+
+  afterEach(function () {
+    server.stop();
+    sinon.restore();
+  });
+
+  const query = dnsPacket.encode({
+    id: 0,
+    type: 'query',
+    flags: dnsPacket.RECURSION_DESIRED,
+    questions: [{ name: 'test.eth', type: 'A', class: 'IN' }]
+  });
+
+  it('should answer GET requests with a base64url dns parameter', async function () {
+    const encoded = query.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    const res = await request('GET', `/dns-query?dns=${encoded}`);
+
+    expect(res.status).to.equal(200);
+    expect(res.headers['content-type']).to.equal('application/dns-message');
+    expect(res.headers['cache-control']).to.equal('max-age=600');
+    expect(res.headers['x-ddns-source']).to.equal('cache');
+    expect(dnsPacket.decode(res.body).answers[0].data).to.equal('192.168.1.1');
+  });
+
+  it('should answer POST requests with application/dns-message bodies', async function () {
+    const res = await request('POST', '/dns-query', { 'Content-Type': 'application/dns-message' }, query);
+
+    expect(res.status).to.equal(200);
+    expect(dnsPacket.decode(res.body).answers[0].data).to.equal('192.168.1.1');
+  });
+
+  it('should answer JSON queries', async function () {
+    const res = await request('GET', '/dns-query?name=test.eth&type=A');
+    const json = JSON.parse(res.body.toString());
+
+    expect(res.headers['content-type']).to.equal('application/dns-json');
+    expect(json.Status).to.equal(0);
+    expect(json.Answer).to.deep.equal([{ name: 'test.eth', type: 1, TTL: 600, data: '192.168.1.1' }]);
+  });
+
+  it('should report NXDOMAIN in JSON responses', async function () {
+    const res = await request('GET', '/dns-query?name=missing.eth&type=A');
+    const json = JSON.parse(res.body.toString());
+
+    expect(json.Status).to.equal(3);
+    expect(json.Answer).to.deep.equal([]);
+    expect(json.Authority[0].type).to.equal(6);
+  });
+
+  it('should reject unsupported content types and malformed messages', async function () {
+    const wrongType = await request('POST', '/dns-query', { 'Content-Type': 'text/plain' }, query);
+    const malformed = await request('GET', '/dns-query?dns=AAAA');
+
+    expect(wrongType.status).to.equal(415);
+    expect(malformed.status).to.equal(400);
+    expect(server.getStats().badRequests).to.equal(2);
+  });
+});
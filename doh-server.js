@@ -0,0 +1,357 @@
+// doh-server.js - DNS-over-HTTPS (RFC 8484) endpoint backed by DDNSClient
+const http = require('http');
+const https = require('https');
+const { URL } = require('url');
+const dnsPacket = require('dns-packet');
+const types = require('dns-packet/types');
+const rcodes = require('dns-packet/rcodes');
+const { DNSResponder } = require('./dns-responder');
+
+// Largest DNS message accepted in a POST body
+const MAX_MESSAGE_SIZE = 65535;
+
+/**
+ * DNS-over-HTTPS server
+ * Serves wire-format (application/dns-message) and JSON (?name=&type=) queries
+ */
+class DoHServer {
+  /**
+   * Constructor
+   * @param {Object} config Configuration object
+   * @param {DDNSClient} config.client Client used to resolve records
+   * @param {Object} [config.tls] TLS options (key, cert); plain HTTP when omitted
+   */
+  constructor(config) {
+    // Configuration parameters
+    this.port = config.port !== undefined ? config.port : 443;
+    this.host = config.host || '0.0.0.0';
+    this.path = config.path || '/dns-query';
+    this.tls = config.tls || null;
+    this.corsOrigin = config.corsOrigin !== undefined ? config.corsOrigin : '*';
+
+    // Query answering is shared with the UDP/TCP server
+    this.responder = config.responder || new DNSResponder(config);
+
+    this.server = null;
+
+    // Request statistics
+    this.stats = {
+      httpRequests: 0,
+      wireQueries: 0,
+      jsonQueries: 0,
+      badRequests: 0
+    };
+  }
+
+  /**
+   * Start the HTTP(S) listener
+   * @returns {Promise<boolean>} True if listening
+   */
+  async start() {
+    console.log(`Starting DoH server on ${this.host}:${this.port}${this.path}...`);
+
+    try {
+      const handler = (req, res) => this.handleRequest(req, res);
+      this.server = this.tls ? https.createServer(this.tls, handler) : http.createServer(handler);
+
+      await new Promise((resolve, reject) => {
+        this.server.once('error', reject);
+        this.server.listen(this.port, this.host, () => {
+          this.server.removeListener('error', reject);
+          resolve();
+        });
+      });
+
+      console.log(`DoH server listening on port ${this.server.address().port}`);
+      return true;
+    } catch (error) {
+      console.error('Failed to start DoH server:', error);
+      this.server = null;
+      return false;
+    }
+  }
+
+  /**
+   * Handle an HTTP request
+   * @param {http.IncomingMessage} req Request
+   * @param {http.ServerResponse} res Response
+   */
+  async handleRequest(req, res) {
+    this.stats.httpRequests++;
+
+    if (this.corsOrigin) {
+      res.setHeader('Access-Control-Allow-Origin', this.corsOrigin);
+      res.setHeader('Access-Control-Expose-Headers', 'X-DDNS-Source');
+    }
+
+    try {
+      const url = new URL(req.url, 'http://localhost');
+
+      if (url.pathname !== this.path) {
+        return this._sendError(res, 404, 'Not found');
+      }
+
+      if (req.method === 'OPTIONS') {
+        res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+        res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Accept');
+        res.writeHead(204);
+        return res.end();
+      }
+
+      if (req.method === 'GET' && url.searchParams.has('dns')) {
+        const message = decodeBase64Url(url.searchParams.get('dns'));
+        return await this._answerWire(message, res);
+      }
+
+      if (req.method === 'GET' && url.searchParams.has('name')) {
+        return await this._answerJson(url.searchParams, res);
+      }
+
+      if (req.method === 'POST') {
+        if ((req.headers['content-type'] || '').split(';')[0].trim() !== 'application/dns-message') {
+          return this._sendError(res, 415, 'Unsupported content type');
+        }
+
+        const message = await readBody(req, MAX_MESSAGE_SIZE);
+        return await this._answerWire(message, res);
+      }
+
+      if (req.method !== 'GET') {
+        return this._sendError(res, 405, 'Method not allowed');
+      }
+
+      return this._sendError(res, 400, 'Missing dns or name parameter');
+    } catch (error) {
+      console.error('DoH request failed:', error);
+      return this._sendError(res, error.statusCode || 500, error.statusCode ? error.message : 'Internal error');
+    }
+  }
+
+  /**
+   * Answer a wire-format query
+   * @param {Buffer} message Raw DNS message
+   * @param {http.ServerResponse} res Response
+   * @private
+   */
+  async _answerWire(message, res) {
+    let query;
+    try {
+      query = dnsPacket.decode(message);
+    } catch (error) {
+      return this._sendError(res, 400, 'Malformed DNS message');
+    }
+
+    this.stats.wireQueries++;
+
+    const { response, source } = await this.responder.respond(query);
+    const body = dnsPacket.encode(response);
+
+    this._setResolutionHeaders(res, response, source);
+    res.writeHead(200, {
+      'Content-Type': 'application/dns-message',
+      'Content-Length': body.length
+    });
+    res.end(body);
+  }
+
+  /**
+   * Answer a JSON query (?name=&type=)
+   * @param {URLSearchParams} params Query parameters
+   * @param {http.ServerResponse} res Response
+   * @private
+   */
+  async _answerJson(params, res) {
+    const name = params.get('name');
+    const type = parseType(params.get('type') || 'A');
+
+    if (!name || !type) {
+      return this._sendError(res, 400, 'Invalid name or type');
+    }
+
+    this.stats.jsonQueries++;
+
+    const query = {
+      id: 0,
+      type: 'query',
+      flags: dnsPacket.RECURSION_DESIRED,
+      questions: [{ name, type, class: 'IN' }],
+      additionals: []
+    };
+
+    const { response, source } = await this.responder.respond(query);
+    const body = JSON.stringify(toJsonResponse(response));
+
+    this._setResolutionHeaders(res, response, source);
+    res.writeHead(200, {
+      'Content-Type': 'application/dns-json',
+      'Content-Length': Buffer.byteLength(body)
+    });
+    res.end(body);
+  }
+
+  /**
+   * Set caching and source headers for a DNS response
+   * @param {http.ServerResponse} res Response
+   * @param {Object} response Response packet
+   * @param {string|null} source Resolution source (l1/l2/cache)
+   * @private
+   */
+  _setResolutionHeaders(res, response, source) {
+    // Freshness is bounded by the smallest TTL in the message (RFC 8484 5.1)
+    const ttls = [...response.answers, ...response.authorities].map(record => record.ttl);
+    if (ttls.length > 0) {
+      res.setHeader('Cache-Control', `max-age=${Math.min(...ttls)}`);
+    }
+
+    if (source) {
+      res.setHeader('X-DDNS-Source', source);
+    }
+  }
+
+  /**
+   * Send an error response
+   * @param {http.ServerResponse} res Response
+   * @param {number} statusCode HTTP status code
+   * @param {string} message Error message
+   * @private
+   */
+  _sendError(res, statusCode, message) {
+    this.stats.badRequests++;
+
+    if (res.headersSent) {
+      return res.end();
+    }
+
+    res.writeHead(statusCode, { 'Content-Type': 'text/plain' });
+    res.end(message);
+  }
+
+  /**
+   * Get server statistics
+   * @returns {Object} Statistics object
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      ...this.responder.stats
+    };
+  }
+
+  /**
+   * Stop the DoH server
+   */
+  stop() {
+    console.log('Stopping DoH server...');
+
+    if (this.server) {
+      this.server.close();
+      this.server = null;
+    }
+
+    return true;
+  }
+}
+
+/**
+ * Decode unpadded base64url (RFC 4648 5)
+ * @param {string} value Encoded value
+ * @returns {Buffer} Decoded bytes
+ */
+function decodeBase64Url(value) {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  return Buffer.from(base64 + '='.repeat((4 - (base64.length % 4)) % 4), 'base64');
+}
+
+/**
+ * Read a request body up to a size limit
+ * @param {http.IncomingMessage} req Request
+ * @param {number} limit Maximum body size in bytes
+ * @returns {Promise<Buffer>} Body bytes
+ */
+function readBody(req, limit) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > limit) {
+        const error = new Error('Payload too large');
+        error.statusCode = 413;
+        req.destroy();
+        reject(error);
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Parse a record type given by name or number
+ * @param {string} value Type parameter
+ * @returns {string|null} Record type name
+ */
+function parseType(value) {
+  const type = /^\d+$/.test(value) ? types.toString(parseInt(value, 10)) : value.toUpperCase();
+  return types.toType(type) ? type : null;
+}
+
+/**
+ * Convert a response packet to the JSON DoH format
+ * @param {Object} response Response packet
+ * @returns {Object} JSON response
+ */
+function toJsonResponse(response) {
+  const toJsonRecord = record => ({
+    name: record.name,
+    type: types.toType(record.type),
+    TTL: record.ttl,
+    data: formatRecordData(record)
+  });
+
+  const json = {
+    Status: response.flags & 0xf,
+    TC: Boolean(response.flags & dnsPacket.TRUNCATED_RESPONSE),
+    RD: Boolean(response.flags & dnsPacket.RECURSION_DESIRED),
+    RA: false,
+    AD: false,
+    CD: false,
+    Question: response.questions.map(question => ({ name: question.name, type: types.toType(question.type) })),
+    Answer: response.answers.map(toJsonRecord)
+  };
+
+  if (response.authorities.length > 0) {
+    json.Authority = response.authorities.map(toJsonRecord);
+  }
+
+  if (json.Status !== 0) {
+    json.Comment = rcodes.toString(json.Status);
+  }
+
+  return json;
+}
+
+/**
+ * Render record data in presentation format
+ * @param {Object} record Resource record
+ * @returns {string} Presentation-format data
+ */
+function formatRecordData(record) {
+  const data = record.data;
+
+  switch (record.type) {
+    case 'MX':
+      return `${data.preference} ${data.exchange}.`;
+    case 'TXT':
+      return data.map(chunk => JSON.stringify(chunk.toString())).join(' ');
+    case 'SOA':
+      return `${data.mname}. ${data.rname}. ${data.serial} ${data.refresh} ${data.retry} ${data.expiration} ${data.minimum}`;
+    default:
+      return String(data);
+  }
+}
+
+module.exports = DoHServer;
@@ -0,0 +1,177 @@
+// errors.js - Typed resolution errors and DNS-style result status codes
+const { InvalidNameError } = require('./normalize');
+
+// Result status codes, named after the DNS rcodes they map to (EXPIRED is answered as NXDOMAIN)
+const STATUS = Object.freeze({
+  NOERROR: 'NOERROR',   // Records found
+  NXDOMAIN: 'NXDOMAIN', // Name not registered
+  NODATA: 'NODATA',     // Name exists, but has no records of the requested type
+  SERVFAIL: 'SERVFAIL', // Resolution failed (RPC or IPFS unavailable, bad data, alias loops)
+  EXPIRED: 'EXPIRED'    // Registration expired
+});
+
+/**
+ * Base class of resolution errors
+ */
+class DDNSError extends Error {
+  /**
+   * Constructor
+   * @param {string} message Error message
+   * @param {string} status Result status the error maps to
+   * @param {Error} [cause] Underlying error
+   */
+  constructor(message, status, cause) {
+    super(message);
+    this.name = 'DDNSError';
+    this.status = status;
+
+    if (cause) {
+      this.cause = cause;
+    }
+  }
+}
+
+/**
+ * The name is not registered
+ */
+class NameNotFoundError extends DDNSError {
+  /**
+   * Constructor
+   * @param {string} domainName Domain name
+   */
+  constructor(domainName) {
+    super(`Domain ${domainName} is not registered`, STATUS.NXDOMAIN);
+    this.name = 'NameNotFoundError';
+    this.domainName = domainName;
+  }
+}
+
+/**
+ * The name is registered but has no records of the requested type
+ */
+class RecordNotFoundError extends DDNSError {
+  /**
+   * Constructor
+   * @param {string} domainName Domain name
+   * @param {string} recordType Record type
+   */
+  constructor(domainName, recordType) {
+    super(`Domain ${domainName} has no ${recordType} records`, STATUS.NODATA);
+    this.name = 'RecordNotFoundError';
+    this.domainName = domainName;
+    this.recordType = recordType;
+  }
+}
+
+/**
+ * The registration has expired
+ */
+class DomainExpiredError extends DDNSError {
+  /**
+   * Constructor
+   * @param {string} domainName Domain name
+   * @param {number} [expiryDate] Expiry timestamp (seconds)
+   */
+  constructor(domainName, expiryDate) {
+    super(`Domain ${domainName} expired`, STATUS.EXPIRED);
+    this.name = 'DomainExpiredError';
+    this.domainName = domainName;
+    this.expiryDate = expiryDate;
+  }
+}
+
+/**
+ * The records document behind a content hash could not be retrieved
+ */
+class IPFSUnavailableError extends DDNSError {
+  /**
+   * Constructor
+   * @param {string} contentHash Content hash
+   * @param {Error} cause Underlying error
+   */
+  constructor(contentHash, cause) {
+    super(`Records document ${contentHash} unavailable: ${cause.message}`, STATUS.SERVFAIL, cause);
+    this.name = 'IPFSUnavailableError';
+    this.contentHash = contentHash;
+  }
+}
+
+/**
+ * A contract call failed on every RPC endpoint of a layer
+ */
+class RPCUnavailableError extends DDNSError {
+  /**
+   * Constructor
+   * @param {string} layer Layer ('l1' or 'l2')
+   * @param {Error} cause Underlying error
+   */
+  constructor(layer, cause) {
+    super(`${layer.toUpperCase()} RPC unavailable: ${cause.message}`, STATUS.SERVFAIL, cause);
+    this.name = 'RPCUnavailableError';
+    this.layer = layer;
+  }
+}
+
+/**
+ * Resolution could not complete, e.g. because of an alias loop
+ */
+class ResolutionError extends DDNSError {
+  /**
+   * Constructor
+   * @param {string} message Error message
+   */
+  constructor(message) {
+    super(message, STATUS.SERVFAIL);
+    this.name = 'ResolutionError';
+  }
+}
+
+/**
+ * Get the result status for an error
+ * Invalid names can never be registered, so they are reported as NXDOMAIN
+ * @param {Error} error Error
+ * @returns {string} Result status
+ */
+function statusOf(error) {
+  if (error instanceof InvalidNameError) {
+    return STATUS.NXDOMAIN;
+  }
+
+  return error && STATUS[error.status] ? error.status : STATUS.SERVFAIL;
+}
+
+/**
+ * Get the typed error for an unsuccessful result
+ * @param {Object} result Resolution result with a status
+ * @param {string} domainName Domain name
+ * @param {string} [recordType] Record type
+ * @returns {Error|null} Error, or null for NOERROR results
+ */
+function errorForResult(result, domainName, recordType) {
+  switch (result.status) {
+    case STATUS.NOERROR:
+      return null;
+    case STATUS.NXDOMAIN:
+      return new NameNotFoundError(domainName);
+    case STATUS.NODATA:
+      return new RecordNotFoundError(domainName, recordType);
+    case STATUS.EXPIRED:
+      return new DomainExpiredError(domainName, result.expiryDate);
+    default:
+      return new ResolutionError(result.error || `Resolution of ${domainName} failed`);
+  }
+}
+
+module.exports = {
+  STATUS,
+  DDNSError,
+  NameNotFoundError,
+  RecordNotFoundError,
+  DomainExpiredError,
+  IPFSUnavailableError,
+  RPCUnavailableError,
+  ResolutionError,
+  InvalidNameError,
+  statusOf,
+  errorForResult
+};
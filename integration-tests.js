@@ -49,7 +49,7 @@ describe('Layer 2 Enhanced DDNS System - Integration', function () {
       // Register domain
       const registrationFee = await registry.registrationFee();
 
-      const tx = await registry.connect(user1).registerDomain(testDomainHash, {
+      const tx = await registry.connect(user1).registerDomain(testDomain, {
         value: registrationFee
       });
 
@@ -0,0 +1,164 @@
+// ipfs-gateway-tests.js - Unit tests for content hash decoding and gateway retrieval
+const { expect } = require('chai');
+const sinon = require('sinon');
+const http = require('http');
+const DDNSClient = require('../DDNSClient');
+const IPFSGateway = require('./ipfs-gateway');
+const { decodeContentHash, encodeContentHash, encodeEIP1577, extractDocument } = require('./content-hash');
+
+describe('DDNS IPFS Retrieval', function () {
+  const document = {
+    domain: 'test.eth',
+    records: {
+      A: ['192.168.1.1', '192.168.1.2'],
+      TXT: ['Test record']
+    },
+    ttl: 3600
+  };
+  const documentBytes = Buffer.from(JSON.stringify(document));
+
+  /**
+   * Start a local HTTP server standing in for an IPFS gateway
+   * @param {Function} handler Request handler returning the response body, or null for 404
+   * @returns {Promise<Object>} Server, base URL and requested paths
+   */
+  async function startGateway(handler) {
+    const requests = [];
+    const server = http.createServer(async (req, res) => {
+      requests.push(req.url);
+      const body = await handler(req);
+      if (body === null) {
+        res.writeHead(404);
+        return res.end();
+      }
+      res.writeHead(200, { 'Content-Type': 'application/vnd.ipld.raw' });
+      res.end(body);
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return { server, requests, url: `http://127.0.0.1:${server.address().port}/ipfs/` };
+  }
+
+  const gateways = [];
+
+  afterEach(function () {
+    gateways.forEach(gateway => {
+      gateway.server.closeAllConnections();
+      gateway.server.close();
+    });
+    gateways.length = 0;
+    sinon.restore();
+  });
+
+  describe('content hashes', function () {
+    it('should decode a bytes32 digest to a raw CIDv1', function () {
+      const contentHash = encodeContentHash('hello world');
+      const decoded = decodeContentHash(contentHash);
+
+      expect(decoded.cid).to.equal('bafkreifzjut3te2nhyekklss27nh3k72ysco7y32koao5eei66wof36n5e');
+      expect(decoded.codec).to.equal('raw');
+    });
+
+    it('should decode EIP-1577 ipfs-ns content hashes', function () {
+      const decoded = decodeContentHash(encodeEIP1577('hello world'));
+
+      expect(decoded.cid).to.equal('bafkreifzjut3te2nhyekklss27nh3k72ysco7y32koao5eei66wof36n5e');
+      expect(() => decodeContentHash('0xe40101551220' + '00'.repeat(32))).to.throw('Unsupported content hash namespace');
+    });
+
+    it('should extract file data from single-block dag-pb nodes', function () {
+      // PBNode { Data: UnixFS { Type: File, Data: "hi" } }
+      const unixfs = Buffer.from([0x08, 0x02, 0x12, 0x02, 0x68, 0x69, 0x18, 0x02]);
+      const node = Buffer.concat([Buffer.from([0x0a, unixfs.length]), unixfs]);
+
+      expect(extractDocument({ codec: 'dag-pb', cid: 'test' }, node).toString()).to.equal('hi');
+    });
+  });
+
+  describe('IPFSGateway.fetch()', function () {
+    it('should fetch and verify a raw block', async function () {
+      const gateway = await startGateway(() => documentBytes);
+      gateways.push(gateway);
+
+      const ipfs = new IPFSGateway({ gateways: [gateway.url] });
+      const result = await ipfs.fetch(encodeContentHash(documentBytes));
+
+      expect(JSON.parse(result.toString())).to.deep.equal(document);
+      expect(gateway.requests[0]).to.equal(`/ipfs/${decodeContentHash(encodeContentHash(documentBytes)).cid}?format=raw`);
+    });
+
+    it('should reject content that does not hash to the CID', async function () {
+      const forged = await startGateway(() => Buffer.from(JSON.stringify({ records: { A: ['6.6.6.6'] } })));
+      gateways.push(forged);
+
+      const ipfs = new IPFSGateway({ gateways: [forged.url] });
+
+      try {
+        await ipfs.fetch(encodeContentHash(documentBytes));
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.include('content does not match the CID');
+        expect(ipfs.stats.hashMismatches).to.equal(1);
+      }
+    });
+
+    it('should race gateways and ignore slow or failing ones', async function () {
+      const slow = await startGateway(() => new Promise(resolve => setTimeout(() => resolve(documentBytes), 1000)));
+      const missing = await startGateway(() => null);
+      const fast = await startGateway(() => documentBytes);
+      gateways.push(slow, missing, fast);
+
+      const ipfs = new IPFSGateway({ gateways: [slow.url, missing.url, fast.url], timeout: 500 });
+      const started = Date.now();
+      const result = await ipfs.fetch(encodeContentHash(documentBytes));
+
+      expect(result.equals(documentBytes)).to.be.true;
+      expect(Date.now() - started).to.be.below(500);
+      expect(ipfs.stats.wins).to.deep.equal({ [fast.url]: 1 });
+    });
+
+    it('should time out when no gateway answers', async function () {
+      const slow = await startGateway(() => new Promise(resolve => setTimeout(() => resolve(documentBytes), 1000)));
+      gateways.push(slow);
+
+      const ipfs = new IPFSGateway({ gateways: [slow.url], timeout: 50 });
+
+      try {
+        await ipfs.fetch(encodeContentHash(documentBytes));
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.include('timed out after 50ms');
+        expect(ipfs.stats.timeouts).to.equal(1);
+      }
+    });
+  });
+
+  describe('DDNSClient L1 resolution', function () {
+    it('should resolve records from the document behind the L1 content hash', async function () {
+      const gateway = await startGateway(() => documentBytes);
+      gateways.push(gateway);
+
+      const client = new DDNSClient({
+        l1RpcUrl: 'http://fake-l1-url',
+        l2RpcUrl: 'http://fake-l2-url',
+        l1RegistryAddress: '0x1234567890123456789012345678901234567890',
+        l2ResolverAddress: '0x0987654321098765432109876543210987654321',
+        ipfsGateways: [gateway.url],
+        requireSignedDocuments: false
+      });
+      client.l1Registry = {
+        getDomain: sinon.stub().resolves([
+          '0x1234567890123456789012345678901234567890',
+          encodeContentHash(documentBytes),
+          Math.floor(Date.now() / 1000),
+          Math.floor(Date.now() / 1000) + 31536000
+        ])
+      };
+
+      const result = await client.resolveDomain('test.eth', 'A', { forceL1: true });
+
+      expect(result.source).to.equal('l1');
+      expect(result.values).to.deep.equal(['192.168.1.1', '192.168.1.2']);
+    });
+  });
+});
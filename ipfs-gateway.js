@@ -0,0 +1,116 @@
+// ipfs-gateway.js - Verified record document retrieval through HTTP IPFS gateways
+const { decodeContentHash, verifyBlock, extractDocument } = require('./content-hash');
+
+// Largest record document block accepted from a gateway
+const MAX_BLOCK_SIZE = 1024 * 1024;
+
+/**
+ * IPFS gateway client
+ * Races a list of gateways and only accepts blocks that hash to the requested CID,
+ * so a single slow or dishonest gateway cannot delay or forge records
+ */
+class IPFSGateway {
+  /**
+   * Constructor
+   * @param {Object} config Configuration object
+   * @param {string[]} [config.gateways] Gateway base URLs (e.g. https://ipfs.io/ipfs/)
+   * @param {number} [config.timeout] Per-gateway timeout in milliseconds
+   */
+  constructor(config = {}) {
+    this.gateways = (config.gateways || [
+      'https://ipfs.io/ipfs/',
+      'https://dweb.link/ipfs/',
+      'https://cloudflare-ipfs.com/ipfs/'
+    ]).map(gateway => (gateway.endsWith('/') ? gateway : `${gateway}/`));
+    this.timeout = config.timeout || 5000; // Default 5 seconds
+
+    // Retrieval statistics
+    this.stats = {
+      fetches: 0,
+      failures: 0,
+      timeouts: 0,
+      hashMismatches: 0,
+      wins: {}
+    };
+  }
+
+  /**
+   * Fetch and verify the document behind a content hash
+   * @param {string} contentHash On-chain content hash
+   * @returns {Promise<Buffer>} Document bytes
+   */
+  async fetch(contentHash) {
+    const decoded = decodeContentHash(contentHash);
+    const controllers = this.gateways.map(() => new AbortController());
+
+    this.stats.fetches++;
+
+    try {
+      const { gateway, block } = await Promise.any(this.gateways.map((gateway, i) =>
+        this._fetchBlock(gateway, decoded, controllers[i])));
+
+      this.stats.wins[gateway] = (this.stats.wins[gateway] || 0) + 1;
+      return extractDocument(decoded, block);
+    } catch (error) {
+      this.stats.failures++;
+
+      const reasons = error.errors ? error.errors.map(reason => reason.message).join('; ') : error.message;
+      throw new Error(`Failed to retrieve ${decoded.cid}: ${reasons}`);
+    } finally {
+      // Cancel the gateways that lost the race
+      controllers.forEach(controller => controller.abort());
+    }
+  }
+
+  /**
+   * Fetch the raw block for a CID from one gateway
+   * @param {string} gateway Gateway base URL
+   * @param {Object} decoded Decoded content hash
+   * @param {AbortController} controller Abort controller for the request
+   * @returns {Promise<Object>} Gateway and verified block bytes
+   * @private
+   */
+  async _fetchBlock(gateway, decoded, controller) {
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, this.timeout);
+
+    try {
+      // Ask for the block itself so it can be hashed (trustless gateway response)
+      const response = await fetch(`${gateway}${decoded.cid}?format=raw`, {
+        headers: { Accept: 'application/vnd.ipld.raw' },
+        signal: controller.signal
+      });
+
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+
+      const block = Buffer.from(await response.arrayBuffer());
+
+      if (block.length > MAX_BLOCK_SIZE) {
+        throw new Error(`block exceeds ${MAX_BLOCK_SIZE} bytes`);
+      }
+
+      if (!verifyBlock(decoded, block)) {
+        this.stats.hashMismatches++;
+        throw new Error('content does not match the CID');
+      }
+
+      return { gateway, block };
+    } catch (error) {
+      if (timedOut) {
+        this.stats.timeouts++;
+        throw new Error(`${gateway} timed out after ${this.timeout}ms`);
+      }
+
+      throw new Error(`${gateway} ${error.message}`);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+module.exports = IPFSGateway;
@@ -0,0 +1,263 @@
+// layer-router-tests.js - Unit tests for adaptive layer routing
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { ethers } = require('ethers');
+const DDNSClient = require('../DDNSClient');
+const LayerRouter = require('./layer-router');
+
+describe('DDNS Layer Routing', function () {
+  beforeEach(function () {
+    sinon.stub(console, 'log');
+    sinon.stub(console, 'warn');
+    sinon.stub(console, 'error');
+  });
+
+  afterEach(function () {
+    sinon.restore();
+  });
+
+  /**
+   * Record the same outcome several times
+   * @param {LayerRouter} router Router
+   * @param {string} path Path
+   * @param {number} count Number of outcomes
+   * @param {number} latency Latency in milliseconds
+   * @param {boolean} [failed] Whether the calls failed
+   */
+  function recordMany(router, path, count, latency, failed = false) {
+    for (let i = 0; i < count; i++) {
+      router.record(path, latency, failed);
+    }
+  }
+
+  describe('LayerRouter', function () {
+    it('should use the preferred layer until there are enough samples', function () {
+      const router = new LayerRouter({ minSamples: 5 });
+      recordMany(router, 'l1', 4, 10);
+      recordMany(router, 'l2', 4, 500);
+
+      expect(router.route()).to.deep.equal({ primary: 'l2', reason: 'preferred', hedgeDelay: 1000 });
+    });
+
+    it('should switch to the layer that is clearly cheaper', function () {
+      const router = new LayerRouter({ minSamples: 5 });
+      recordMany(router, 'l1', 5, 40);
+      recordMany(router, 'ipfs', 5, 60);
+      recordMany(router, 'l2', 5, 90);
+
+      // L1 costs 100ms with IPFS, which is not enough of a gain over 90ms
+      expect(router.route().primary).to.equal('l2');
+
+      recordMany(router, 'l2', 5, 1000);
+
+      expect(router.route()).to.deep.equal({ primary: 'l1', reason: 'l1 faster', hedgeDelay: null });
+    });
+
+    it('should probe the layer that lost on cost once per probe interval', function () {
+      const clock = sinon.useFakeTimers({ now: 1000000, toFake: ['Date'] });
+      const router = new LayerRouter({ minSamples: 5, probeInterval: 10000 });
+      recordMany(router, 'l1', 5, 40);
+      recordMany(router, 'l2', 5, 1000);
+
+      const decision = router.route();
+      expect(decision.primary).to.equal('l1');
+      expect(router.nextProbe(decision)).to.equal('l2');
+      expect(router.nextProbe(decision)).to.be.null;
+
+      clock.tick(10000);
+      expect(router.nextProbe(decision)).to.equal('l2');
+
+      // Layers avoided for their health recover through the recovery timeout instead
+      clock.tick(10000);
+      expect(router.nextProbe({ primary: 'l1', reason: 'l2 unhealthy' })).to.be.null;
+      expect(new LayerRouter({ probeInterval: 0 }).nextProbe(decision)).to.be.null;
+    });
+
+    it('should hedge after the L2 p95 latency', function () {
+      const router = new LayerRouter({ minSamples: 5 });
+      recordMany(router, 'l2', 19, 20);
+      router.record('l2', 300);
+
+      expect(router.route().hedgeDelay).to.equal(50); // Never below the minimum
+
+      recordMany(router, 'l2', 2, 300);
+
+      expect(router.route().hedgeDelay).to.equal(300);
+      expect(new LayerRouter({ hedgeDelay: 0 }).route().hedgeDelay).to.be.null;
+    });
+
+    it('should avoid a layer after repeated errors until it recovers', function () {
+      const clock = sinon.useFakeTimers({ now: 1000000, toFake: ['Date'] });
+      const router = new LayerRouter({ failureThreshold: 3, recoveryTimeout: 30000 });
+
+      recordMany(router, 'l2', 2, 5000, true);
+      expect(router.route().primary).to.equal('l2');
+
+      router.record('l2', 5000, true);
+      expect(router.route()).to.deep.equal({ primary: 'l1', reason: 'l2 unhealthy', hedgeDelay: null });
+      expect(router.getStats().l2).to.include({ healthy: false, consecutiveErrors: 3, errorRate: 1, unhealthyMarks: 1 });
+
+      // Retried once the recovery timeout has passed, and healthy again after a success
+      clock.tick(30000);
+      expect(router.route().primary).to.equal('l2');
+
+      router.record('l2', 20);
+      expect(router.getStats().l2.healthy).to.be.true;
+    });
+
+    it('should treat an unhealthy IPFS path as an unhealthy L1 layer', function () {
+      const router = new LayerRouter({ preferL2: false });
+      recordMany(router, 'ipfs', 3, 100, true);
+
+      expect(router.route()).to.include({ primary: 'l2', reason: 'l1 unhealthy' });
+    });
+
+    it('should always use the preferred layer when not adaptive', function () {
+      const router = new LayerRouter({ adaptive: false });
+      recordMany(router, 'l2', 5, 100, true);
+
+      expect(router.route()).to.deep.equal({ primary: 'l2', reason: 'fixed', hedgeDelay: null });
+    });
+  });
+
+  describe('DDNSClient routing', function () {
+    const syncedContentHash = '0x0000000000000000000000000000000000000000000000000000000000000123';
+    let client;
+
+    beforeEach(function () {
+      client = new DDNSClient({
+        l1RpcUrl: 'http://fake-l1-url',
+        l2RpcUrl: 'http://fake-l2-url',
+        l1RegistryAddress: '0x1234567890123456789012345678901234567890',
+        l2ResolverAddress: '0x0987654321098765432109876543210987654321',
+        useCache: false,
+        wildcards: false,
+        maxCnameDepth: 0,
+        requireSignedDocuments: false,
+        routing: { adaptive: true, hedgeDelay: 20 }
+      });
+
+      client.l1Registry = {
+        getDomain: sinon.stub().resolves([
+          '0x1234567890123456789012345678901234567890',
+          syncedContentHash,
+          0,
+          Math.floor(Date.now() / 1000) + 3600
+        ])
+      };
+      client.l2Resolver = {
+        getRecordSet: sinon.stub().resolves([['192.168.1.1'], 3600, 0, syncedContentHash]),
+        getDomainInfo: sinon.stub().resolves([ethers.constants.AddressZero, 0])
+      };
+      sinon.stub(client, '_getRecordsFromIPFS').resolves({ records: { A: ['10.0.0.1'] }, ttl: 600 });
+    });
+
+    it('should report the routing decision', async function () {
+      const result = await client.resolveDomain('test.eth', 'A');
+
+      expect(result.source).to.equal('l2');
+      expect(result.routing).to.deep.equal({ primary: 'l2', reason: 'preferred', hedged: false, answeredBy: 'l2' });
+      expect(client.l1Registry.getDomain.called).to.be.false;
+    });
+
+    it('should hedge slow L2 calls with L1', async function () {
+      client.l2Resolver.getRecordSet = sinon.stub().callsFake(() =>
+        new Promise(resolve => setTimeout(() => resolve([['192.168.1.1'], 3600, 0, syncedContentHash]), 200)));
+
+      const result = await client.resolveDomain('test.eth', 'A');
+
+      expect(result.source).to.equal('l1');
+      expect(result.values).to.deep.equal(['10.0.0.1']);
+      expect(result.routing).to.include({ primary: 'l2', hedged: true, answeredBy: 'l1' });
+      expect(client.stats).to.include({ hedgedQueries: 1, hedgeWins: 1 });
+    });
+
+    it('should stop waiting for L2 once it is unhealthy', async function () {
+      client.l2Resolver.getRecordSet.rejects(new Error('sequencer down'));
+      client.l2Resolver.getDomainInfo.rejects(new Error('sequencer down'));
+
+      // Each lookup counts as one failed L2 call, whatever the number of reads behind it
+      for (let i = 0; i < 3; i++) {
+        expect(client.getStats().routing.l2.healthy).to.be.true;
+
+        const result = await client.resolveDomain('test.eth', 'A');
+        expect(result.routing).to.include({ answeredBy: 'l1', fallback: true });
+      }
+
+      client.l2Resolver.getRecordSet.resetHistory();
+      const result = await client.resolveDomain('test.eth', 'A');
+
+      expect(result.source).to.equal('l1');
+      expect(result.routing).to.deep.equal({ primary: 'l1', reason: 'l2 unhealthy', hedged: false, answeredBy: 'l1' });
+      expect(client.l2Resolver.getRecordSet.called).to.be.false;
+      expect(client.stats.reroutedQueries).to.equal(1);
+      expect(client.getStats().routing.l2.healthy).to.be.false;
+    });
+
+    it('should keep sampling L2 while L1 is faster so L2 can win back', async function () {
+      recordMany(client.router, 'l1', 10, 10);
+      recordMany(client.router, 'l2', 10, 1000);
+
+      const result = await client.resolveDomain('test.eth', 'A');
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(result.source).to.equal('l1');
+      expect(result.routing).to.include({ primary: 'l1', reason: 'l1 faster', answeredBy: 'l1' });
+      expect(client.l2Resolver.getRecordSet.calledOnce).to.be.true;
+      expect(client.getStats().routing.l2.samples).to.equal(11);
+      expect(client.stats.probeQueries).to.equal(1);
+
+      // Fast L2 samples eventually bring L2 back
+      recordMany(client.router, 'l2', 100, 5);
+      expect(client.router.route().primary).to.equal('l2');
+    });
+
+    it('should route batch lookups', async function () {
+      client.router.record('l2', 0, true);
+      client.router.record('l2', 0, true);
+      client.router.record('l2', 0, true);
+
+      const result = await client.resolveBatch('test.eth', ['A']);
+
+      expect(result.source).to.equal('l1');
+      expect(result.routing).to.include({ primary: 'l1', reason: 'l2 unhealthy' });
+    });
+
+    it('should keep bulk lookups off an unhealthy L2', async function () {
+      client.l2Resolver.getManyRecordSets = sinon.stub().rejects(new Error('sequencer down'));
+      client.router.record('l2', 0, true);
+      client.router.record('l2', 0, true);
+      client.router.record('l2', 0, true);
+
+      const results = await client.resolveMany([{ name: 'test.eth', type: 'A' }, { name: 'other.eth', type: 'A' }]);
+
+      expect(results.map(result => result.source)).to.deep.equal(['l1', 'l1']);
+      expect(client.l2Resolver.getManyRecordSets.called).to.be.false;
+    });
+
+    it('should stay on the preferred layer unless adaptive routing is enabled', async function () {
+      client = new DDNSClient({
+        l1RpcUrl: 'http://fake-l1-url',
+        l2RpcUrl: 'http://fake-l2-url',
+        l1RegistryAddress: '0x1234567890123456789012345678901234567890',
+        l2ResolverAddress: '0x0987654321098765432109876543210987654321',
+        useCache: false,
+        preferL2: false,
+        requireSignedDocuments: false
+      });
+      client.l1Registry = { getDomain: sinon.stub().rejects(new Error('L1 down')) };
+      client.l2Resolver = {
+        getRecordSet: sinon.stub().resolves([['192.168.1.1'], 3600, 0, syncedContentHash]),
+        getDomainInfo: sinon.stub().resolves([ethers.constants.AddressZero, 0])
+      };
+
+      for (let i = 0; i < 3; i++) {
+        const result = await client.resolveDomain('test.eth', 'A');
+        expect(result.routing).to.deep.equal({ primary: 'l1', reason: 'fixed', hedged: false, answeredBy: 'l2', fallback: true });
+      }
+
+      expect(client.getStats().routing.l1.healthy).to.be.false;
+      expect(client.router.route().primary).to.equal('l1');
+    });
+  });
+});
@@ -0,0 +1,235 @@
+// layer-router.js - Adaptive choice between the L1 and L2 resolution paths
+
+// Resolution paths whose outcomes are tracked (L1 answers also need IPFS)
+const PATHS = ['l1', 'l2', 'ipfs'];
+
+/**
+ * Layer router
+ * Keeps a rolling window of latency and errors per path, marks a path unhealthy after repeated
+ * errors and decides per query which layer answers first and when a slow L2 call is hedged with L1
+ */
+class LayerRouter {
+  /**
+   * Constructor
+   * @param {Object} [config] Configuration object
+   * @param {boolean} [config.preferL2] Layer used when the numbers do not favor the other one
+   * @param {boolean} [config.adaptive] Route on observed latency and health (false always uses the preferred layer)
+   * @param {number} [config.windowSize] Outcomes kept per path
+   * @param {number} [config.minSamples] Outcomes needed before a path's numbers are trusted
+   * @param {number} [config.failureThreshold] Consecutive errors that mark a path unhealthy
+   * @param {number} [config.recoveryTimeout] Time an unhealthy path is avoided before it is tried again in milliseconds
+   * @param {number|null} [config.hedgeDelay] Delay before a slow L2 call is hedged with L1 in milliseconds
+   *   (null follows the L2 p95 latency, 0 disables hedging)
+   * @param {number} [config.errorPenalty] Latency charged for each failed call when comparing paths in milliseconds
+   * @param {number} [config.probeInterval] Time between background samples of a layer that lost on cost in milliseconds
+   *   (0 disables probing)
+   */
+  constructor(config = {}) {
+    this.preferL2 = config.preferL2 !== undefined ? config.preferL2 : true;
+    this.adaptive = config.adaptive !== undefined ? config.adaptive : true;
+    this.windowSize = config.windowSize || 100;
+    this.minSamples = config.minSamples || 10;
+    this.failureThreshold = config.failureThreshold || 3;
+    this.recoveryTimeout = config.recoveryTimeout || 30000; // Default 30 seconds
+    this.hedgeDelay = config.hedgeDelay !== undefined ? config.hedgeDelay : null;
+    this.defaultHedgeDelay = config.defaultHedgeDelay || 1000; // Until L2 has enough samples
+    this.minHedgeDelay = config.minHedgeDelay || 50;
+    this.errorPenalty = config.errorPenalty || 5000;
+    this.probeInterval = config.probeInterval !== undefined ? config.probeInterval : 10000; // Default 10 seconds
+    this.lastProbe = 0;
+
+    // The other layer must be this much cheaper before it replaces the preferred one
+    this.switchMargin = config.switchMargin || 0.8;
+
+    this.paths = Object.fromEntries(PATHS.map(path => [path, {
+      outcomes: [],
+      consecutiveErrors: 0,
+      unhealthySince: 0,
+      unhealthyMarks: 0
+    }]));
+  }
+
+  /**
+   * Record the outcome of a call on a path
+   * @param {string} path Path ('l1', 'l2' or 'ipfs')
+   * @param {number} latency Call latency in milliseconds
+   * @param {boolean} [failed] Whether the call failed
+   */
+  record(path, latency, failed = false) {
+    const state = this.paths[path];
+
+    state.outcomes.push({ latency, failed });
+    if (state.outcomes.length > this.windowSize) {
+      state.outcomes.shift();
+    }
+
+    if (!failed) {
+      if (state.unhealthySince) {
+        console.log(`Resolution path ${path.toUpperCase()} recovered`);
+      }
+      state.consecutiveErrors = 0;
+      state.unhealthySince = 0;
+      return;
+    }
+
+    state.consecutiveErrors++;
+
+    // A failure while recovering marks the path unhealthy again right away
+    if (state.consecutiveErrors >= this.failureThreshold) {
+      if (!state.unhealthySince) {
+        state.unhealthyMarks++;
+        console.warn(`Resolution path ${path.toUpperCase()} unhealthy after ${state.consecutiveErrors} consecutive errors`);
+      }
+      state.unhealthySince = Date.now();
+    }
+  }
+
+  /**
+   * Check whether a path may be used
+   * Unhealthy paths are tried again once their recovery timeout has passed
+   * @param {string} path Path
+   * @returns {boolean} True if the path is healthy or due for a retry
+   */
+  isHealthy(path) {
+    const state = this.paths[path];
+    return !state.unhealthySince || Date.now() - state.unhealthySince >= this.recoveryTimeout;
+  }
+
+  /**
+   * Decide how to answer the next query
+   * @returns {Object} { primary: 'l1'|'l2', reason, hedgeDelay } (hedgeDelay is null without hedging)
+   */
+  route() {
+    const preferred = this.preferL2 ? 'l2' : 'l1';
+
+    if (!this.adaptive) {
+      return { primary: preferred, reason: 'fixed', hedgeDelay: null };
+    }
+
+    // L1 answers are only complete with the records document from IPFS
+    const l1Healthy = this.isHealthy('l1') && this.isHealthy('ipfs');
+    const l2Healthy = this.isHealthy('l2');
+
+    if (l1Healthy && !l2Healthy) {
+      return { primary: 'l1', reason: 'l2 unhealthy', hedgeDelay: null };
+    }
+
+    if (l2Healthy && !l1Healthy) {
+      return { primary: 'l2', reason: 'l1 unhealthy', hedgeDelay: null };
+    }
+
+    if (!l1Healthy && !l2Healthy) {
+      return { primary: preferred, reason: 'all layers unhealthy', hedgeDelay: null };
+    }
+
+    let primary = preferred;
+    let reason = 'preferred';
+
+    const other = preferred === 'l2' ? 'l1' : 'l2';
+    const preferredCost = this._cost(preferred);
+    const otherCost = this._cost(other);
+
+    if (preferredCost !== null && otherCost !== null && otherCost < preferredCost * this.switchMargin) {
+      primary = other;
+      reason = `${other} faster`;
+    }
+
+    return { primary, reason, hedgeDelay: primary === 'l2' ? this._hedgeDelay() : null };
+  }
+
+  /**
+   * Claim a background sample of the layer a query is not routed to
+   * A layer that lost on cost gets no other samples, so without probes its window would never recover
+   * @param {Object} decision Routing decision from route()
+   * @returns {string|null} Layer to sample alongside the query, or null
+   */
+  nextProbe(decision) {
+    if (!this.probeInterval || decision.reason !== `${decision.primary} faster`) {
+      return null;
+    }
+
+    if (Date.now() - this.lastProbe < this.probeInterval) {
+      return null;
+    }
+
+    this.lastProbe = Date.now();
+    return decision.primary === 'l2' ? 'l1' : 'l2';
+  }
+
+  /**
+   * Get latency, error rate and health per path
+   * @returns {Object} Stats by path
+   */
+  getStats() {
+    return Object.fromEntries(PATHS.map(path => {
+      const state = this.paths[path];
+      const latencies = state.outcomes.map(outcome => outcome.latency);
+      const errors = state.outcomes.filter(outcome => outcome.failed).length;
+
+      return [path, {
+        samples: state.outcomes.length,
+        avgLatency: latencies.length > 0 ? latencies.reduce((sum, latency) => sum + latency, 0) / latencies.length : 0,
+        p95Latency: percentile(latencies, 0.95),
+        errorRate: state.outcomes.length > 0 ? errors / state.outcomes.length : 0,
+        consecutiveErrors: state.consecutiveErrors,
+        healthy: !state.unhealthySince,
+        unhealthyMarks: state.unhealthyMarks
+      }];
+    }));
+  }
+
+  /**
+   * Expected cost of answering from a layer: average latency plus a penalty for errors
+   * @param {string} layer Layer ('l1' or 'l2')
+   * @returns {number|null} Cost in milliseconds, or null without enough samples
+   * @private
+   */
+  _cost(layer) {
+    const paths = layer === 'l1' ? ['l1', 'ipfs'] : ['l2'];
+    const stats = this.getStats();
+
+    if (stats[layer].samples < this.minSamples) {
+      return null;
+    }
+
+    // IPFS is only consulted by L1; without IPFS samples the L1 numbers stand alone
+    return paths
+      .filter(path => stats[path].samples >= this.minSamples)
+      .reduce((cost, path) => cost + stats[path].avgLatency + stats[path].errorRate * this.errorPenalty, 0);
+  }
+
+  /**
+   * Delay before hedging an L2 call with L1
+   * @returns {number|null} Delay in milliseconds, or null if hedging is disabled
+   * @private
+   */
+  _hedgeDelay() {
+    if (this.hedgeDelay !== null) {
+      return this.hedgeDelay > 0 ? this.hedgeDelay : null;
+    }
+
+    const l2 = this.paths.l2.outcomes.filter(outcome => !outcome.failed).map(outcome => outcome.latency);
+    if (l2.length < this.minSamples) {
+      return this.defaultHedgeDelay;
+    }
+
+    return Math.max(this.minHedgeDelay, percentile(l2, 0.95));
+  }
+}
+
+/**
+ * Get a percentile of a list of latencies (nearest rank)
+ * @param {number[]} latencies Latencies in milliseconds
+ * @param {number} quantile Quantile between 0 and 1
+ * @returns {number} Percentile (0 for an empty list)
+ */
+function percentile(latencies, quantile) {
+  if (latencies.length === 0) {
+    return 0;
+  }
+
+  const sorted = [...latencies].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.ceil(quantile * sorted.length) - 1)];
+}
+
+module.exports = LayerRouter;
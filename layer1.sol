@@ -11,12 +11,31 @@ contract DDNSRegistry {
         address owner;           // Domain owner
         bytes32 contentHash;     // IPFS hash pointing to complete records
         uint256 lastUpdated;     // Last update timestamp
-        uint256 expiryDate;      // Expiration date
+        uint256 expiryDate;      // Expiration date (0 for subdomains, which follow their parent)
     }
 
-    // Mapping from domain hash to record
+    // Mapping from domain hash (EIP-137 namehash) to record
     mapping(bytes32 => DomainRecord) public domains;
 
+    // Mapping from subdomain hash to its parent domain hash (zero for top-level domains)
+    mapping(bytes32 => bytes32) public parents;
+
+    // Reverse record structure
+    struct ReverseRecord {
+        address claimant;        // Account that claimed the reverse name
+        bytes32 domainHash;      // Hash of the claimed domain
+        string name;             // Claimed domain name (forward-checked by resolvers)
+    }
+
+    // Deepest subdomain chain, counting the top-level domain (matches the resolver and proof.js)
+    uint256 public constant MAX_DOMAIN_DEPTH = 32;
+
+    // namehash("addr.reverse"), parent of <lowercase hex address>.addr.reverse
+    bytes32 public constant ADDR_REVERSE_NODE = 0x91d1777781884d03a6757a803996e38de2a42967fb37eeaca72729271025a9e2;
+
+    // Mapping from reverse name hash (e.g. namehash("4.3.2.1.in-addr.arpa")) to reverse record
+    mapping(bytes32 => ReverseRecord) public reverseRecords;
+
     // Mapping from address to list of domain hashes (for querying domains owned by a user)
     mapping(address => bytes32[]) private userDomains;
 
@@ -34,6 +53,8 @@ contract DDNSRegistry {
     event DomainRenewed(bytes32 indexed domainHash, uint256 newExpiryDate);
     event DomainTransferred(bytes32 indexed domainHash, address indexed oldOwner, address indexed newOwner);
     event DomainUpdated(bytes32 indexed domainHash, bytes32 contentHash);
+    event SubdomainRegistered(bytes32 indexed parentHash, bytes32 indexed labelHash, bytes32 indexed domainHash, address owner);
+    event ReverseClaimed(bytes32 indexed reverseNode, address indexed claimant, string name);
     event RegistrationFeeChanged(uint256 newFee);
     event RenewalPeriodChanged(uint256 newPeriod);
 
@@ -55,9 +76,16 @@ contract DDNSRegistry {
 
     /**
      * @dev Register a new domain
-     * @param domainHash The hash of the domain
+     * Names under a registered domain belong to its owner and are created with registerSubdomain,
+     * so the name is taken as a string and none of its parents may be registered. Top-level labels
+     * (e.g. "eth") cannot be registered, as their owner would hold every name under them.
+     * @param domainName Normalized domain name with at least two labels (e.g. "example.eth")
+     * @return domainHash The namehash of the domain
      */
-    function registerDomain(bytes32 domainHash) public payable {
+    function registerDomain(string calldata domainName) public payable returns (bytes32 domainHash) {
+        require(bytes(domainName).length > 0, "DDNSRegistry: empty name");
+        domainHash = _namehash(domainName, true);
+
         // Verify domain is not already registered
         require(domains[domainHash].owner == address(0), "DDNSRegistry: domain already registered");
 
@@ -94,7 +122,7 @@ contract DDNSRegistry {
      */
     function updateDomain(bytes32 domainHash, bytes32 newContentHash) public onlyDomainOwner(domainHash) {
         // Verify domain has not expired
-        require(block.timestamp < domains[domainHash].expiryDate, "DDNSRegistry: domain expired");
+        require(block.timestamp < _expiryOf(domainHash), "DDNSRegistry: domain expired");
 
         // Update content hash and timestamp
         domains[domainHash].contentHash = newContentHash;
@@ -109,6 +137,9 @@ contract DDNSRegistry {
      * @param domainHash The hash of the domain
      */
     function renewDomain(bytes32 domainHash) public payable onlyDomainOwner(domainHash) {
+        // Subdomains are renewed together with their parent
+        require(parents[domainHash] == bytes32(0), "DDNSRegistry: subdomains expire with their parent");
+
         // Verify payment
         require(msg.value >= registrationFee, "DDNSRegistry: insufficient renewal fee");
 
@@ -131,7 +162,7 @@ contract DDNSRegistry {
      */
     function transferDomain(bytes32 domainHash, address newOwner) public onlyDomainOwner(domainHash) {
         // Verify domain has not expired
-        require(block.timestamp < domains[domainHash].expiryDate, "DDNSRegistry: domain expired");
+        require(block.timestamp < _expiryOf(domainHash), "DDNSRegistry: domain expired");
 
         // Verify new owner is not zero address
         require(newOwner != address(0), "DDNSRegistry: new owner is the zero address");
@@ -153,17 +184,134 @@ contract DDNSRegistry {
         emit DomainTransferred(domainHash, oldOwner, newOwner);
     }
 
+    /**
+     * @dev Create a subdomain, or reassign it, under a domain owned by the caller (no fee)
+     * Names registered with registerDomain keep their own owner and cannot be taken over.
+     * Subdomains expire together with their parent.
+     * @param parentHash The hash of the parent domain
+     * @param labelHash keccak256 of the subdomain label (e.g. keccak256("www"), or keccak256("*") for a wildcard)
+     * @param subdomainOwner The owner of the subdomain
+     * @return domainHash The namehash of the subdomain
+     */
+    function registerSubdomain(bytes32 parentHash, bytes32 labelHash, address subdomainOwner)
+        public
+        onlyDomainOwner(parentHash)
+        returns (bytes32 domainHash)
+    {
+        // Verify parent has not expired
+        require(block.timestamp < _expiryOf(parentHash), "DDNSRegistry: domain expired");
+
+        // Verify new owner is not zero address
+        require(subdomainOwner != address(0), "DDNSRegistry: new owner is the zero address");
+
+        domainHash = keccak256(abi.encodePacked(parentHash, labelHash));
+        DomainRecord storage record = domains[domainHash];
+        address oldOwner = record.owner;
+
+        // Only subdomains follow their parent; a registered domain has its own expiry date
+        require(record.expiryDate == 0, "DDNSRegistry: name registered independently");
+
+        if (oldOwner != address(0)) {
+            _removeFromUserDomains(oldOwner, domainHash);
+        }
+
+        record.owner = subdomainOwner;
+        record.lastUpdated = block.timestamp;
+        record.expiryDate = 0; // Follows the parent, see _expiryOf
+        parents[domainHash] = parentHash;
+
+        // Also rejects subdomains nested deeper than MAX_DOMAIN_DEPTH
+        uint256 expiryDate = _expiryOf(domainHash);
+
+        // Add to new owner's domain list
+        userDomains[subdomainOwner].push(domainHash);
+
+        // Emit events
+        emit SubdomainRegistered(parentHash, labelHash, domainHash, subdomainOwner);
+
+        if (oldOwner == address(0)) {
+            emit DomainRegistered(domainHash, subdomainOwner, expiryDate);
+        } else if (oldOwner != subdomainOwner) {
+            emit DomainTransferred(domainHash, oldOwner, subdomainOwner);
+        }
+    }
+
+    /**
+     * @dev Point the caller's address reverse name (<hex address>.addr.reverse) at a domain it owns
+     * @param name Normalized domain name, or "" to clear the reverse name
+     * @return reverseNode The namehash of the address reverse name
+     */
+    function setReverseName(string calldata name) public returns (bytes32 reverseNode) {
+        reverseNode = reverseNodeOf(msg.sender);
+        _setReverse(reverseNode, name);
+    }
+
+    /**
+     * @dev Claim the reverse name of an IP address (e.g. "4.3.2.1.in-addr.arpa") for a domain owned by the caller
+     * IP ownership cannot be proven on chain, so resolvers only trust a claim when the domain's
+     * address records contain the IP. A claim can be replaced by its claimant, or by anyone once
+     * the claimant no longer owns the claimed domain.
+     * @param reverseName Normalized reverse name under in-addr.arpa or ip6.arpa
+     * @param name Normalized domain name, or "" to release the claim
+     * @return reverseNode The namehash of the reverse name
+     */
+    function claimReverse(string calldata reverseName, string calldata name) public returns (bytes32 reverseNode) {
+        require(
+            _endsWith(bytes(reverseName), ".in-addr.arpa") || _endsWith(bytes(reverseName), ".ip6.arpa"),
+            "DDNSRegistry: not an IP reverse name"
+        );
+
+        reverseNode = calculateDomainHash(reverseName);
+        ReverseRecord storage record = reverseRecords[reverseNode];
+
+        require(
+            record.claimant == address(0) ||
+            record.claimant == msg.sender ||
+            !_isActiveOwner(record.domainHash, record.claimant),
+            "DDNSRegistry: reverse name claimed by another owner"
+        );
+
+        _setReverse(reverseNode, name);
+    }
+
+    /**
+     * @dev Clear a disputed reverse claim (only contract owner)
+     * @param reverseNode The namehash of the reverse name
+     */
+    function clearReverse(bytes32 reverseNode) public onlyOwner {
+        delete reverseRecords[reverseNode];
+        emit ReverseClaimed(reverseNode, address(0), "");
+    }
+
+    /**
+     * @dev Get the namehash of an address reverse name
+     * @param addr The address
+     * @return namehash of <lowercase hex address>.addr.reverse
+     */
+    function reverseNodeOf(address addr) public pure returns (bytes32) {
+        bytes memory label = new bytes(40);
+        bytes16 digits = "0123456789abcdef";
+        uint160 value = uint160(addr);
+
+        for (uint256 i = 40; i > 0; i--) {
+            label[i - 1] = digits[value & 0xf];
+            value >>= 4;
+        }
+
+        return keccak256(abi.encodePacked(ADDR_REVERSE_NODE, keccak256(label)));
+    }
+
     /**
      * @dev Get domain information
      * @param domainHash The hash of the domain
      * @return owner The owner address
      * @return contentHash The content hash
      * @return lastUpdated The last update timestamp
-     * @return expiryDate The expiration date
+     * @return expiryDate The expiration date (a subdomain's is its top-level domain's)
      */
     function getDomain(bytes32 domainHash) public view returns (address, bytes32, uint256, uint256) {
         DomainRecord memory record = domains[domainHash];
-        return (record.owner, record.contentHash, record.lastUpdated, record.expiryDate);
+        return (record.owner, record.contentHash, record.lastUpdated, _expiryOf(domainHash));
     }
 
     /**
@@ -175,6 +323,63 @@ contract DDNSRegistry {
         return userDomains[user];
     }
 
+    /**
+     * @dev Get the effective expiry date of a domain, walking up to its top-level domain
+     * @param domainHash The domain hash
+     * @return The expiration date
+     */
+    function _expiryOf(bytes32 domainHash) private view returns (uint256) {
+        for (uint256 depth = 1; parents[domainHash] != bytes32(0); depth++) {
+            require(depth < MAX_DOMAIN_DEPTH, "DDNSRegistry: domain nested too deeply");
+            domainHash = parents[domainHash];
+        }
+
+        return domains[domainHash].expiryDate;
+    }
+
+    /**
+     * @dev Check whether an account owns a domain that has not expired
+     * @param domainHash The domain hash
+     * @param account The account
+     * @return True if the account is the active owner
+     */
+    function _isActiveOwner(bytes32 domainHash, address account) private view returns (bool) {
+        return domains[domainHash].owner == account && block.timestamp < _expiryOf(domainHash);
+    }
+
+    /**
+     * @dev Store or clear the reverse record of a reverse name on behalf of the caller
+     * @param reverseNode The namehash of the reverse name
+     * @param name Domain name, or "" to clear
+     */
+    function _setReverse(bytes32 reverseNode, string calldata name) private {
+        if (bytes(name).length == 0) {
+            delete reverseRecords[reverseNode];
+            emit ReverseClaimed(reverseNode, msg.sender, "");
+            return;
+        }
+
+        bytes32 domainHash = calculateDomainHash(name);
+        require(_isActiveOwner(domainHash, msg.sender), "DDNSRegistry: caller is not the domain owner");
+
+        reverseRecords[reverseNode] = ReverseRecord({ claimant: msg.sender, domainHash: domainHash, name: name });
+        emit ReverseClaimed(reverseNode, msg.sender, name);
+    }
+
+    /**
+     * @dev Check whether a name ends with a suffix
+     * @param name The name
+     * @param suffix The suffix
+     * @return True if name ends with suffix
+     */
+    function _endsWith(bytes calldata name, bytes memory suffix) private pure returns (bool) {
+        if (name.length <= suffix.length) {
+            return false;
+        }
+
+        return keccak256(name[name.length - suffix.length:]) == keccak256(suffix);
+    }
+
     /**
      * @dev Remove a domain from a user's domain list
      * @param user The user address
@@ -220,10 +425,42 @@ contract DDNSRegistry {
 
     /**
      * @dev Calculate domain hash utility method (can be called from frontend)
+     * EIP-137 namehash: namehash(label.parent) = keccak256(namehash(parent), keccak256(label)).
+     * The name is hashed as given; callers pass normalized names.
+     * @param domainName Domain name string (e.g. "www.example.eth")
+     * @return namehash of the domain
+     */
+    function calculateDomainHash(string calldata domainName) public view returns (bytes32) {
+        return _namehash(domainName, false);
+    }
+
+    /**
+     * @dev EIP-137 namehash of a domain name
      * @param domainName Domain name string
-     * @return keccak256 hash of the domain
+     * @param unregisteredParents Require every parent of the name to be unregistered
+     * @return node namehash of the domain
      */
-    function calculateDomainHash(string calldata domainName) public pure returns (bytes32) {
-        return keccak256(abi.encodePacked(domainName));
+    function _namehash(string calldata domainName, bool unregisteredParents) private view returns (bytes32 node) {
+        bytes calldata name = bytes(domainName);
+        uint256 end = name.length;
+
+        // Hash labels from the right, so each node is derived from its parent
+        for (uint256 i = name.length; i > 0; i--) {
+            if (name[i - 1] == ".") {
+                require(end > i, "DDNSRegistry: empty label");
+                node = keccak256(abi.encodePacked(node, keccak256(name[i:end])));
+                require(
+                    !unregisteredParents || domains[node].owner == address(0),
+                    "DDNSRegistry: name is under a registered domain"
+                );
+                end = i - 1;
+            }
+        }
+
+        if (name.length > 0) {
+            require(end > 0, "DDNSRegistry: empty label");
+            require(!unregisteredParents || end < name.length, "DDNSRegistry: top-level labels cannot be registered");
+            node = keccak256(abi.encodePacked(node, keccak256(name[0:end])));
+        }
     }
 }
\ No newline at end of file
@@ -6,27 +6,50 @@ pragma solidity ^0.8.17;
  * @dev Layer 2 domain resolver contract for efficient DNS record queries
  */
 contract DDNSResolver {
-    // DNS record structure
+    // DNS record set structure (all values of one type share a TTL)
     struct DNSRecord {
         string recordType;   // Record type ("A", "AAAA", "TXT", etc.)
-        string value;        // Record value
+        string[] values;     // Record values
         uint256 ttl;         // Time to live (seconds)
         uint256 timestamp;   // Update timestamp
+        bytes32 contentHash; // L1 content hash the set was synced from (zero if set directly)
     }
 
-    // Domain hash -> Record type -> Record
+    // Registration data mirrored from the L1 registry
+    struct DomainInfo {
+        address owner;       // Domain owner
+        uint256 expiryDate;  // Expiration date (0 for subdomains, which follow their parent)
+        bytes32 parent;      // Parent domain hash (zero for top-level domains)
+    }
+
+    // Domain hash -> Record type -> Record set
     mapping(bytes32 => mapping(string => DNSRecord)) public records;
 
     // Domain hash -> Record types list (for iterating all records)
     mapping(bytes32 => string[]) private recordTypes;
 
+    // Domain hash -> L1 content hash of the last synced records document
+    mapping(bytes32 => bytes32) public contentHashes;
+
     // Bridge contract address (authorized to update records)
     address public bridgeAddress;
 
+    // Reverse name hash -> claimed domain name, mirrored from the L1 registry
+    mapping(bytes32 => string) public reverseNames;
+
+    // Domain hash -> owner, expiry and parent, mirrored from the L1 registry
+    mapping(bytes32 => DomainInfo) public domains;
+
+    // Deepest subdomain chain followed when looking up the top-level expiry (as on L1)
+    uint256 public constant MAX_DOMAIN_DEPTH = 32;
+
     // Events
-    event RecordSet(bytes32 indexed domainHash, string recordType, string value, uint256 ttl);
+    event RecordSet(bytes32 indexed domainHash, string recordType, string[] values, uint256 ttl);
     event RecordRemoved(bytes32 indexed domainHash, string recordType);
+    event RecordsSynced(bytes32 indexed domainHash, bytes32 contentHash);
     event BridgeAddressUpdated(address indexed oldBridge, address indexed newBridge);
+    event ReverseNameSet(bytes32 indexed reverseNode, string name);
+    event DomainInfoSet(bytes32 indexed domainHash, address owner, uint256 expiryDate, bytes32 parent);
 
     // Only bridge contract can call modifier
     modifier onlyBridge() {
@@ -39,7 +62,7 @@ contract DDNSResolver {
     }
 
     /**
-     * @dev Set DNS record (only bridge contract can call)
+     * @dev Set a single-value DNS record, replacing any existing values of that type (only bridge contract can call)
      * @param domainHash The hash of the domain
      * @param recordType Record type ("A", "AAAA", "TXT", etc.)
      * @param value Record value
@@ -51,28 +74,31 @@ contract DDNSResolver {
         string calldata value,
         uint256 ttl
     ) external onlyBridge {
-        // Check if record type already exists
-        bool exists = bytes(records[domainHash][recordType].value).length > 0;
-
-        // Store record
-        records[domainHash][recordType] = DNSRecord({
-            recordType: recordType,
-            value: value,
-            ttl: ttl,
-            timestamp: block.timestamp
-        });
+        string[] memory values = new string[](1);
+        values[0] = value;
 
-        // If it's a new record type, add to types list
-        if (!exists) {
-            recordTypes[domainHash].push(recordType);
-        }
+        _setRecordSet(domainHash, recordType, values, ttl, bytes32(0));
+    }
 
-        // Emit event
-        emit RecordSet(domainHash, recordType, value, ttl);
+    /**
+     * @dev Set all values of a DNS record type (only bridge contract can call)
+     * @param domainHash The hash of the domain
+     * @param recordType Record type ("A", "AAAA", "TXT", etc.)
+     * @param values Record values
+     * @param ttl Time to live (seconds)
+     */
+    function setRecordSet(
+        bytes32 domainHash,
+        string calldata recordType,
+        string[] calldata values,
+        uint256 ttl
+    ) external onlyBridge {
+        _setRecordSet(domainHash, recordType, values, ttl, bytes32(0));
     }
 
     /**
      * @dev Batch set DNS records (only bridge contract can call)
+     * Repeated record types within one batch are collected into a single record set
      * @param domainHash The hash of the domain
      * @param _recordTypes Array of record types
      * @param values Array of record values
@@ -90,12 +116,76 @@ contract DDNSResolver {
             "DDNSResolver: array lengths do not match"
         );
 
-        // Batch set records
         for (uint256 i = 0; i < _recordTypes.length; i++) {
-            setRecord(domainHash, _recordTypes[i], values[i], ttls[i]);
+            // Check whether this type already appeared earlier in the batch
+            bool repeated = false;
+            for (uint256 j = 0; j < i && !repeated; j++) {
+                repeated = keccak256(bytes(_recordTypes[j])) == keccak256(bytes(_recordTypes[i]));
+            }
+
+            if (!repeated) {
+                // First value of this type replaces the existing set
+                string[] memory initial = new string[](1);
+                initial[0] = values[i];
+                _setRecordSet(domainHash, _recordTypes[i], initial, ttls[i], bytes32(0));
+            } else {
+                // Later values of the same type extend the set
+                DNSRecord storage record = records[domainHash][_recordTypes[i]];
+                record.values.push(values[i]);
+                emit RecordSet(domainHash, _recordTypes[i], record.values, record.ttl);
+            }
         }
     }
 
+    /**
+     * @dev Replace all record sets of a domain with an L1 records document (only bridge contract can call)
+     * Record types missing from the document are removed, so L2 mirrors the document exactly
+     * @param domainHash The hash of the domain
+     * @param _recordTypes Array of record types
+     * @param values Array of record value arrays, one per record type
+     * @param ttls Array of TTLs
+     * @param contentHash L1 content hash of the synced document
+     */
+    function setBatchRecordSets(
+        bytes32 domainHash,
+        string[] calldata _recordTypes,
+        string[][] calldata values,
+        uint256[] calldata ttls,
+        bytes32 contentHash
+    ) external onlyBridge {
+        // Verify arrays have the same length
+        require(
+            _recordTypes.length == values.length && _recordTypes.length == ttls.length,
+            "DDNSResolver: array lengths do not match"
+        );
+
+        // Batch set record sets
+        for (uint256 i = 0; i < _recordTypes.length; i++) {
+            _setRecordSet(domainHash, _recordTypes[i], values[i], ttls[i], contentHash);
+        }
+
+        // Drop record sets that were not part of this document
+        string[] storage types = recordTypes[domainHash];
+        for (uint256 i = types.length; i > 0; i--) {
+            string memory recordType = types[i - 1];
+
+            bool synced = false;
+            for (uint256 j = 0; j < _recordTypes.length && !synced; j++) {
+                synced = keccak256(bytes(_recordTypes[j])) == keccak256(bytes(recordType));
+            }
+
+            if (!synced) {
+                delete records[domainHash][recordType];
+                types[i - 1] = types[types.length - 1];
+                types.pop();
+                emit RecordRemoved(domainHash, recordType);
+            }
+        }
+
+        contentHashes[domainHash] = contentHash;
+        emit RecordsSynced(domainHash, contentHash);
+    }
+
     /**
      * @dev Remove DNS record (only bridge contract can call)
      * @param domainHash The hash of the domain
@@ -103,7 +193,7 @@ contract DDNSResolver {
      */
     function removeRecord(bytes32 domainHash, string calldata recordType) external onlyBridge {
         // Ensure record exists
-        require(bytes(records[domainHash][recordType].value).length > 0, "DDNSResolver: record does not exist");
+        require(records[domainHash][recordType].values.length > 0, "DDNSResolver: record does not exist");
 
         // Delete record
         delete records[domainHash][recordType];
@@ -116,7 +206,7 @@ contract DDNSResolver {
     }
 
     /**
-     * @dev Get single DNS record
+     * @dev Get single DNS record (first value of the record set)
      * @param domainHash The hash of the domain
      * @param recordType Record type
      * @return value Record value
@@ -125,12 +215,30 @@ contract DDNSResolver {
      */
     function getRecord(bytes32 domainHash, string calldata recordType)
         external view returns (string memory value, uint256 ttl, uint256 timestamp) {
-        DNSRecord memory record = records[domainHash][recordType];
-        return (record.value, record.ttl, record.timestamp);
+        DNSRecord storage record = records[domainHash][recordType];
+        if (record.values.length > 0) {
+            value = record.values[0];
+        }
+        return (value, record.ttl, record.timestamp);
+    }
+
+    /**
+     * @dev Get all values of a DNS record type
+     * @param domainHash The hash of the domain
+     * @param recordType Record type
+     * @return values Record values
+     * @return ttl Time to live
+     * @return timestamp Update timestamp
+     * @return contentHash L1 content hash the set was synced from
+     */
+    function getRecordSet(bytes32 domainHash, string calldata recordType)
+        external view returns (string[] memory values, uint256 ttl, uint256 timestamp, bytes32 contentHash) {
+        DNSRecord storage record = records[domainHash][recordType];
+        return (record.values, record.ttl, record.timestamp, _syncedContentHash(domainHash, record));
     }
 
     /**
-     * @dev Batch get DNS records
+     * @dev Batch get DNS records (first value of each record set)
      * @param domainHash The hash of the domain
      * @param _recordTypes Array of record types
      * @return values Array of record values
@@ -145,8 +253,10 @@ contract DDNSResolver {
         timestamps = new uint256[](_recordTypes.length);
 
         for (uint256 i = 0; i < _recordTypes.length; i++) {
-            DNSRecord memory record = records[domainHash][_recordTypes[i]];
-            values[i] = record.value;
+            DNSRecord storage record = records[domainHash][_recordTypes[i]];
+            if (record.values.length > 0) {
+                values[i] = record.values[0];
+            }
             ttls[i] = record.ttl;
             timestamps[i] = record.timestamp;
         }
@@ -154,6 +264,79 @@ contract DDNSResolver {
         return (values, ttls, timestamps);
     }
 
+    /**
+     * @dev Batch get DNS record sets
+     * @param domainHash The hash of the domain
+     * @param _recordTypes Array of record types
+     * @return values Array of record value arrays
+     * @return ttls Array of TTLs
+     * @return timestamps Array of update timestamps
+     * @return contentHashes_ Array of L1 content hashes the sets were synced from
+     */
+    function getBatchRecordSets(bytes32 domainHash, string[] calldata _recordTypes)
+        external view returns (
+            string[][] memory values,
+            uint256[] memory ttls,
+            uint256[] memory timestamps,
+            bytes32[] memory contentHashes_
+        ) {
+
+        values = new string[][](_recordTypes.length);
+        ttls = new uint256[](_recordTypes.length);
+        timestamps = new uint256[](_recordTypes.length);
+        contentHashes_ = new bytes32[](_recordTypes.length);
+
+        for (uint256 i = 0; i < _recordTypes.length; i++) {
+            DNSRecord storage record = records[domainHash][_recordTypes[i]];
+            values[i] = record.values;
+            ttls[i] = record.ttl;
+            timestamps[i] = record.timestamp;
+            contentHashes_[i] = _syncedContentHash(domainHash, record);
+        }
+
+        return (values, ttls, timestamps, contentHashes_);
+    }
+
+    /**
+     * @dev Get one record set each of many domains, with their mirrored registration
+     * Lets clients resolve many names in a single call
+     * @param domainHashes Array of domain hashes
+     * @param _recordTypes Array of record types, one per domain hash
+     * @return values Array of record value arrays
+     * @return ttls Array of TTLs
+     * @return timestamps Array of update timestamps
+     * @return contentHashes_ Array of L1 content hashes the sets were synced from
+     * @return owners Array of mirrored owners (zero if not mirrored)
+     * @return expiryDates Array of effective expiry dates
+     */
+    function getManyRecordSets(bytes32[] calldata domainHashes, string[] calldata _recordTypes)
+        external view returns (
+            string[][] memory values,
+            uint256[] memory ttls,
+            uint256[] memory timestamps,
+            bytes32[] memory contentHashes_,
+            address[] memory owners,
+            uint256[] memory expiryDates
+        ) {
+        require(domainHashes.length == _recordTypes.length, "DDNSResolver: array length mismatch");
+
+        values = new string[][](domainHashes.length);
+        ttls = new uint256[](domainHashes.length);
+        timestamps = new uint256[](domainHashes.length);
+        contentHashes_ = new bytes32[](domainHashes.length);
+        owners = new address[](domainHashes.length);
+        expiryDates = new uint256[](domainHashes.length);
+
+        for (uint256 i = 0; i < domainHashes.length; i++) {
+            DNSRecord storage record = records[domainHashes[i]][_recordTypes[i]];
+            values[i] = record.values;
+            ttls[i] = record.ttl;
+            timestamps[i] = record.timestamp;
+            contentHashes_[i] = _syncedContentHash(domainHashes[i], record);
+            (owners[i], expiryDates[i]) = _domainInfo(domainHashes[i]);
+        }
+    }
+
     /**
      * @dev Get all record types for a domain
      * @param domainHash The hash of the domain
@@ -167,26 +350,65 @@ contract DDNSResolver {
      * @dev Get all records for a domain
      * @param domainHash The hash of the domain
      * @return types Array of record types
-     * @return values Array of record values
+     * @return values Array of record value arrays
      * @return ttls Array of TTLs
      */
     function getAllRecords(bytes32 domainHash)
-        external view returns (string[] memory types, string[] memory values, uint256[] memory ttls) {
+        external view returns (string[] memory types, string[][] memory values, uint256[] memory ttls) {
 
         string[] memory _recordTypes = recordTypes[domainHash];
 
-        values = new string[](_recordTypes.length);
+        values = new string[][](_recordTypes.length);
         ttls = new uint256[](_recordTypes.length);
 
         for (uint256 i = 0; i < _recordTypes.length; i++) {
-            DNSRecord memory record = records[domainHash][_recordTypes[i]];
-            values[i] = record.value;
+            DNSRecord storage record = records[domainHash][_recordTypes[i]];
+            values[i] = record.values;
             ttls[i] = record.ttl;
         }
 
         return (_recordTypes, values, ttls);
     }
 
+    /**
+     * @dev Set the domain name claimed for a reverse name (only bridge contract can call)
+     * @param reverseNode The namehash of the reverse name (e.g. <hex address>.addr.reverse)
+     * @param name Claimed domain name, or "" to clear
+     */
+    function setReverseName(bytes32 reverseNode, string calldata name) external onlyBridge {
+        if (bytes(name).length == 0) {
+            delete reverseNames[reverseNode];
+        } else {
+            reverseNames[reverseNode] = name;
+        }
+
+        emit ReverseNameSet(reverseNode, name);
+    }
+
+    /**
+     * @dev Mirror the owner, expiry and parent of a domain from L1 (only bridge contract can call)
+     * @param domainHash The hash of the domain
+     * @param owner The domain owner
+     * @param expiryDate The expiration date (0 for subdomains)
+     * @param parent The parent domain hash (zero for top-level domains)
+     */
+    function setDomainInfo(bytes32 domainHash, address owner, uint256 expiryDate, bytes32 parent) external onlyBridge {
+        domains[domainHash] = DomainInfo({ owner: owner, expiryDate: expiryDate, parent: parent });
+
+        emit DomainInfoSet(domainHash, owner, expiryDate, parent);
+    }
+
+    /**
+     * @dev Get the mirrored owner and effective expiry date of a domain
+     * A zero owner means the domain has not been mirrored from L1
+     * @param domainHash The hash of the domain
+     * @return owner The domain owner
+     * @return expiryDate The expiration date (a subdomain's is its top-level domain's)
+     */
+    function getDomainInfo(bytes32 domainHash) external view returns (address owner, uint256 expiryDate) {
+        return _domainInfo(domainHash);
+    }
+
     /**
      * @dev Update bridge contract address (only current bridge can call)
      * @param newBridgeAddress The new bridge contract address
@@ -200,6 +422,74 @@ contract DDNSResolver {
         emit BridgeAddressUpdated(oldBridge, newBridgeAddress);
     }
 
+    /**
+     * @dev Get the mirrored owner and effective expiry date of a domain
+     * @param domainHash The hash of the domain
+     * @return owner The domain owner
+     * @return expiryDate The expiration date of the domain or its top-level domain
+     */
+    function _domainInfo(bytes32 domainHash) private view returns (address owner, uint256 expiryDate) {
+        owner = domains[domainHash].owner;
+
+        // Subdomains expire with their top-level domain, like on L1
+        for (uint256 depth = 1; domains[domainHash].parent != bytes32(0); depth++) {
+            require(depth < MAX_DOMAIN_DEPTH, "DDNSResolver: domain nested too deeply");
+            domainHash = domains[domainHash].parent;
+        }
+
+        expiryDate = domains[domainHash].expiryDate;
+    }
+
+    /**
+     * @dev Store a record set and track its type
+     * @param domainHash The hash of the domain
+     * @param recordType Record type
+     * @param values Record values
+     * @param ttl Time to live (seconds)
+     * @param contentHash L1 content hash the set was synced from
+     */
+    function _setRecordSet(
+        bytes32 domainHash,
+        string memory recordType,
+        string[] memory values,
+        uint256 ttl,
+        bytes32 contentHash
+    ) private {
+        require(values.length > 0, "DDNSResolver: empty record set");
+
+        DNSRecord storage record = records[domainHash][recordType];
+
+        // If it's a new record type, add to types list
+        if (record.values.length == 0) {
+            recordTypes[domainHash].push(recordType);
+        }
+
+        // Replace the stored values
+        delete record.values;
+        for (uint256 i = 0; i < values.length; i++) {
+            record.values.push(values[i]);
+        }
+
+        record.recordType = recordType;
+        record.ttl = ttl;
+        record.timestamp = block.timestamp;
+        record.contentHash = contentHash;
+
+        // Emit event
+        emit RecordSet(domainHash, recordType, values, ttl);
+    }
+
+    /**
+     * @dev Content hash of the document a record set reflects
+     * Missing record sets reflect the last synced document of the domain
+     * @param domainHash The hash of the domain
+     * @param record Stored record set
+     * @return L1 content hash
+     */
+    function _syncedContentHash(bytes32 domainHash, DNSRecord storage record) private view returns (bytes32) {
+        return record.values.length > 0 ? record.contentHash : contentHashes[domainHash];
+    }
+
     /**
      * @dev Remove a record type from the types list
      * @param domainHash The hash of the domain
@@ -0,0 +1,148 @@
+// manager-tests.js - Unit tests for the write-side domain manager
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { ethers } = require('ethers');
+const DDNSManager = require('../DDNSManager');
+const { MemoryContentStore } = require('./content-stores');
+const { decodeContentHash } = require('./content-hash');
+const { namehash } = require('./namehash');
+const { recoverDocumentSigner } = require('./document-signing');
+
+describe('DDNS Manager', function () {
+  const signer = new ethers.Wallet(`0x${'11'.repeat(32)}`);
+  const ownerAddress = signer.address;
+  const fee = ethers.utils.parseEther('0.01');
+  let manager;
+  let contentStore;
+  let mockL1Registry;
+
+  /**
+   * Mock a sent transaction
+   * @param {Object[]} [events] Events of the receipt
+   * @returns {Object} Transaction
+   */
+  function sentTx(events = []) {
+    return { wait: sinon.stub().resolves({ transactionHash: '0xabc', events }) };
+  }
+
+  beforeEach(function () {
+    contentStore = new MemoryContentStore();
+
+    manager = new DDNSManager({
+      signer,
+      l1RegistryAddress: '0x1234567890123456789012345678901234567890',
+      chainId: 1,
+      contentStore
+    });
+
+    mockL1Registry = {
+      registrationFee: sinon.stub().resolves(fee),
+      registerDomain: sinon.stub().resolves(sentTx([{ event: 'DomainRegistered', args: { expiryDate: 1900000000 } }])),
+      updateDomain: sinon.stub().resolves(sentTx()),
+      renewDomain: sinon.stub().resolves(sentTx([{ event: 'DomainRenewed', args: { newExpiryDate: 1930000000 } }])),
+      transferDomain: sinon.stub().resolves(sentTx()),
+      getUserDomains: sinon.stub().resolves([namehash('test.eth')]),
+      getDomain: sinon.stub().resolves([ownerAddress, ethers.constants.HashZero, 1700000000, 1000])
+    };
+    manager.l1Registry = mockL1Registry;
+  });
+
+  afterEach(function () {
+    sinon.restore();
+  });
+
+  it('should register normalized names paying the registration fee', async function () {
+    const result = await manager.register('Test.eth');
+
+    expect(mockL1Registry.registerDomain.firstCall.args).to.deep.equal(['test.eth', { value: fee }]);
+    expect(result).to.include({ name: 'test.eth', expiryDate: 1900000000, transactionHash: '0xabc' });
+  });
+
+  it('should upload the records document and point the domain at it', async function () {
+    const result = await manager.setRecords('test.eth', { A: ['192.0.2.1'], MX: '10 mail.test.eth' }, { ttl: 600 });
+
+    const [domainHash, contentHash] = mockL1Registry.updateDomain.firstCall.args;
+    expect(domainHash).to.equal(namehash('test.eth'));
+    expect(contentHash).to.equal(result.contentHash);
+    expect(result.cid).to.equal(decodeContentHash(contentHash).cid);
+
+    const document = JSON.parse((await contentStore.get(result.cid)).toString());
+    expect(document).to.include({ domain: 'test.eth', ttl: 600 });
+    expect(document).to.not.have.property('ttls');
+    expect(document.records).to.deep.equal({ A: ['192.0.2.1'], MX: '10 mail.test.eth' });
+  });
+
+  it('should sign the records document as the domain owner', async function () {
+    const result = await manager.setRecords('test.eth', { A: ['192.0.2.1'] });
+
+    const document = JSON.parse((await contentStore.get(result.cid)).toString());
+    const signing = { chainId: 1, registryAddress: manager.l1RegistryAddress };
+    expect(recoverDocumentSigner(document, signing)).to.equal(signer.address);
+
+    manager.signDocuments = false;
+    const unsigned = await manager.setRecords('test.eth', { A: ['192.0.2.1'] });
+    expect(JSON.parse((await contentStore.get(unsigned.cid)).toString())).to.not.have.property('signature');
+  });
+
+  it('should publish one document per owner name of a zone file', async function () {
+    mockL1Registry.updateDomain.onSecondCall().rejects(new Error('DDNSRegistry: not the domain owner'));
+
+    const result = await manager.importZone([
+      '$ORIGIN test.eth.',
+      '$TTL 600',
+      '@     IN A  192.0.2.1',
+      '      IN MX 10 mail',
+      '      86400 IN NS ns1.other.eth.',
+      'mail  IN A  192.0.2.2'
+    ].join('\n'));
+
+    expect(result.origin).to.equal('test.eth');
+    expect(result.results.map(entry => entry.name)).to.deep.equal(['test.eth', 'mail.test.eth']);
+    expect(result.results[1].error).to.include('not the domain owner');
+
+    const document = JSON.parse((await contentStore.get(result.results[0].cid)).toString());
+    expect(document).to.include({ domain: 'test.eth', ttl: 600 });
+    expect(document.ttls).to.deep.equal({ NS: 86400 });
+    expect(document.records.MX).to.deep.equal([{ preference: 10, exchange: 'mail.test.eth' }]);
+  });
+
+  it('should reject malformed records before uploading or sending anything', async function () {
+    const error = await manager.setRecords('test.eth', { A: ['999.0.0.1'] }).catch(e => e);
+
+    expect(error).to.include({ name: 'InvalidDocumentError' });
+    expect(contentStore.blocks.size).to.equal(0);
+    expect(mockL1Registry.updateDomain.called).to.be.false;
+  });
+
+  it('should not publish documents the store keeps under another CID', async function () {
+    manager.contentStore = { put: sinon.stub().resolves('bafybeigdyrzt5sfp7udm7hu76uh7y26nf3efuylqabf3oclgtqy55fbzdi') };
+
+    const error = await manager.setRecords('test.eth', { A: ['192.0.2.1'] }).catch(e => e);
+
+    expect(error.message).to.include('must store a raw sha2-256 block');
+    expect(mockL1Registry.updateDomain.called).to.be.false;
+  });
+
+  it('should renew paying the fee and transfer to checksummed addresses', async function () {
+    const renewal = await manager.renew('test.eth');
+    expect(mockL1Registry.renewDomain.firstCall.args[1]).to.deep.equal({ value: fee });
+    expect(renewal.expiryDate).to.equal(1930000000);
+
+    await manager.transfer('test.eth', '0xabcdef0123456789abcdef0123456789abcdef01');
+    expect(mockL1Registry.transferDomain.firstCall.args[1]).to.equal('0xabCDeF0123456789AbcdEf0123456789aBCDEF01');
+  });
+
+  it('should list the signer\'s domains', async function () {
+    const domains = await manager.listMyDomains();
+
+    expect(mockL1Registry.getUserDomains.firstCall.args[0]).to.equal(ownerAddress);
+    expect(domains).to.deep.equal([{
+      domainHash: namehash('test.eth'),
+      owner: ownerAddress,
+      contentHash: ethers.constants.HashZero,
+      lastUpdated: 1700000000,
+      expiryDate: 1000,
+      expired: true
+    }]);
+  });
+});
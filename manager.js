@@ -0,0 +1,243 @@
+// DDNSManager.js - Signer-backed domain management (register, publish records, renew, transfer)
+const ethers = require('ethers');
+const DDNSRegistryABI = require('./abis/DDNSRegistry.json');
+const { IPFSContentStore } = require('./content-stores');
+const { encodeContentHash, decodeContentHash } = require('./content-hash');
+const { encodeRecordSets } = require('./record-types');
+const { parseZone } = require('./zone-file');
+const { signDocument } = require('./document-signing');
+const { namehash } = require('./namehash');
+const { normalizeName } = require('./normalize');
+
+/**
+ * DDNS Manager
+ * Write-side counterpart of DDNSClient: sends the owner's transactions to the L1 registry
+ * and publishes record documents, which the bridge then mirrors to L2
+ */
+class DDNSManager {
+  /**
+   * Constructor
+   * @param {Object} config Configuration object
+   * @param {Object} config.signer ethers Signer of the domain owner (connected to an L1 provider)
+   * @param {string} config.l1RegistryAddress DDNSRegistry address
+   * @param {Object} [config.contentStore] Store for record documents (see content-stores.js; default: local IPFS node)
+   * @param {number} [config.confirmations] Confirmations to wait for after each transaction
+   * @param {boolean} [config.signDocuments] Sign record documents with the signer (EIP-712, default true)
+   * @param {number} [config.chainId] L1 chain ID for signatures (default: the signer's network)
+   */
+  constructor(config) {
+    if (!config.signer) {
+      throw new Error('DDNSManager requires a signer');
+    }
+
+    this.signer = config.signer;
+    this.l1RegistryAddress = config.l1RegistryAddress;
+    this.contentStore = config.contentStore || new IPFSContentStore(); // Local IPFS node by default
+    this.confirmations = config.confirmations !== undefined ? config.confirmations : 1;
+    this.signDocuments = config.signDocuments !== undefined ? config.signDocuments : true;
+    this.chainId = config.chainId || null;
+
+    this.l1Registry = new ethers.Contract(this.l1RegistryAddress, DDNSRegistryABI, this.signer);
+  }
+
+  /**
+   * Register a domain, paying the current registration fee
+   * @param {string} domainName Domain name
+   * @returns {Promise<Object>} { name, domainHash, fee, expiryDate, transactionHash }
+   */
+  async register(domainName) {
+    const { name, domainHash } = toDomain(domainName);
+    const fee = await this.l1Registry.registrationFee();
+
+    const receipt = await this._send(this.l1Registry.registerDomain(name, { value: fee }));
+    const event = findEvent(receipt, 'DomainRegistered');
+
+    return {
+      name,
+      domainHash,
+      fee,
+      expiryDate: event ? event.args.expiryDate : null,
+      transactionHash: receipt.transactionHash
+    };
+  }
+
+  /**
+   * Publish the records of a domain
+   * Builds the records document, checks it like the bridge will, signs it as the owner, uploads
+   * it to the content store and points the domain at it
+   * @param {string} domainName Domain name
+   * @param {Object} records Record values by type (e.g. { A: ['192.0.2.1'], MX: '10 mail.example.eth' })
+   * @param {Object} [options] Options
+   * @param {number} [options.ttl] Default TTL of the record sets in seconds
+   * @param {Object} [options.ttls] TTLs overriding the default by record type (e.g. { MX: 86400 })
+   * @returns {Promise<Object>} { name, domainHash, contentHash, cid, transactionHash }
+   * @throws {InvalidDocumentError} If any record is malformed (nothing is uploaded or sent)
+   */
+  async setRecords(domainName, records, options = {}) {
+    const { name, domainHash } = toDomain(domainName);
+
+    const document = {
+      domain: name,
+      records,
+      ttl: options.ttl || 3600, // Default 1 hour
+      timestamp: Math.floor(Date.now() / 1000)
+    };
+
+    if (options.ttls && Object.keys(options.ttls).length > 0) {
+      document.ttls = options.ttls;
+    }
+
+    // The bridge rejects documents with malformed records, so fail before paying for the update
+    encodeRecordSets(document);
+
+    const published = this.signDocuments ?
+      await signDocument(this.signer, document, { chainId: await this._getChainId(), registryAddress: this.l1RegistryAddress }) :
+      document;
+
+    const bytes = Buffer.from(JSON.stringify(published));
+    const contentHash = encodeContentHash(bytes);
+    const { cid } = decodeContentHash(contentHash);
+
+    // Resolvers fetch the document by the CID derived from the on-chain hash
+    const storedCid = await this.contentStore.put(bytes);
+    if (storedCid && storedCid !== cid) {
+      throw new Error(`Content store returned CID ${storedCid} for document ${cid}; it must store a raw sha2-256 block`);
+    }
+
+    const receipt = await this._send(this.l1Registry.updateDomain(domainHash, contentHash));
+
+    return { name, domainHash, contentHash, cid, transactionHash: receipt.transactionHash };
+  }
+
+  /**
+   * Publish the records of a BIND zone file, one records document per owner name
+   * The whole file is checked before anything is sent. Every owner name must already be
+   * registered to the signer; failures are reported per name and do not stop the import.
+   * @param {string} text Zone file text
+   * @param {Object} [options] Options (as for parseZone: origin, defaultTTL)
+   * @returns {Promise<Object>} { origin, results: [{ name, cid, transactionHash } or { name, error }], warnings }
+   * @throws {ZoneFileError} If the zone file has problems
+   */
+  async importZone(text, options = {}) {
+    const { origin, documents, warnings } = parseZone(text, options);
+    const results = [];
+
+    // One at a time, so transactions from the signer keep their nonce order
+    for (const document of documents) {
+      try {
+        results.push(await this.setRecords(document.domain, document.records, { ttl: document.ttl, ttls: document.ttls }));
+      } catch (error) {
+        console.error(`Failed to publish records for ${document.domain}:`, error.message);
+        results.push({ name: document.domain, error: error.message });
+      }
+    }
+
+    return { origin, results, warnings };
+  }
+
+  /**
+   * Renew a domain for another renewal period, paying the registration fee
+   * @param {string} domainName Domain name
+   * @returns {Promise<Object>} { name, domainHash, fee, expiryDate, transactionHash }
+   */
+  async renew(domainName) {
+    const { name, domainHash } = toDomain(domainName);
+    const fee = await this.l1Registry.registrationFee();
+
+    const receipt = await this._send(this.l1Registry.renewDomain(domainHash, { value: fee }));
+    const event = findEvent(receipt, 'DomainRenewed');
+
+    return {
+      name,
+      domainHash,
+      fee,
+      expiryDate: event ? event.args.newExpiryDate : null,
+      transactionHash: receipt.transactionHash
+    };
+  }
+
+  /**
+   * Transfer a domain to a new owner
+   * @param {string} domainName Domain name
+   * @param {string} newOwner Address of the new owner
+   * @returns {Promise<Object>} { name, domainHash, newOwner, transactionHash }
+   */
+  async transfer(domainName, newOwner) {
+    const { name, domainHash } = toDomain(domainName);
+    const owner = ethers.utils.getAddress(newOwner);
+
+    const receipt = await this._send(this.l1Registry.transferDomain(domainHash, owner));
+
+    return { name, domainHash, newOwner: owner, transactionHash: receipt.transactionHash };
+  }
+
+  /**
+   * List the domains owned by the signer
+   * The registry stores hashes only, so names are not part of the result
+   * @returns {Promise<Object[]>} { domainHash, owner, contentHash, lastUpdated, expiryDate, expired }
+   */
+  async listMyDomains() {
+    const address = await this.signer.getAddress();
+    const domainHashes = await this.l1Registry.getUserDomains(address);
+    const now = Math.floor(Date.now() / 1000);
+
+    return Promise.all(domainHashes.map(async domainHash => {
+      const [owner, contentHash, lastUpdated, expiryDate] = await this.l1Registry.getDomain(domainHash);
+
+      return {
+        domainHash,
+        owner,
+        contentHash,
+        lastUpdated: Number(lastUpdated.toString()),
+        expiryDate: Number(expiryDate.toString()),
+        expired: Number(expiryDate.toString()) <= now
+      };
+    }));
+  }
+
+  /**
+   * Get the L1 chain ID that document signatures are bound to
+   * @returns {Promise<number>} Chain ID
+   * @private
+   */
+  async _getChainId() {
+    if (!this.chainId) {
+      this.chainId = await this.signer.getChainId();
+    }
+
+    return this.chainId;
+  }
+
+  /**
+   * Wait for a transaction to be mined
+   * @param {Promise<Object>} sending Promise of the sent transaction
+   * @returns {Promise<Object>} Receipt
+   * @private
+   */
+  async _send(sending) {
+    const tx = await sending;
+    return tx.wait(this.confirmations);
+  }
+}
+
+/**
+ * Normalize a domain name and compute its hash
+ * @param {string} domainName Domain name
+ * @returns {Object} { name, domainHash }
+ */
+function toDomain(domainName) {
+  const name = normalizeName(domainName);
+  return { name, domainHash: namehash(name) };
+}
+
+/**
+ * Find a decoded event in a receipt
+ * @param {Object} receipt Transaction receipt
+ * @param {string} eventName Event name
+ * @returns {Object|undefined} Event
+ */
+function findEvent(receipt, eventName) {
+  return (receipt.events || []).find(event => event.event === eventName);
+}
+
+module.exports = DDNSManager;
@@ -0,0 +1,167 @@
+// metrics-tests.js - Unit tests for latency histograms and the Prometheus metrics handler
+const { expect } = require('chai');
+const sinon = require('sinon');
+const http = require('http');
+const DDNSClient = require('../DDNSClient');
+const DDNSBridge = require('../DDNSBridge');
+const { LatencyHistogram, renderMetrics, createMetricsHandler } = require('./metrics');
+
+describe('DDNS Metrics', function () {
+  const contentHash = '0x0000000000000000000000000000000000000000000000000000000000000123';
+
+  let client;
+  let bridge;
+
+  beforeEach(function () {
+    sinon.stub(console, 'log');
+    sinon.stub(console, 'warn');
+
+    client = new DDNSClient({
+      l1RpcUrl: 'http://fake-l1-url',
+      l2RpcUrl: 'http://fake-l2-url',
+      l1RegistryAddress: '0x1234567890123456789012345678901234567890',
+      l2ResolverAddress: '0x0987654321098765432109876543210987654321',
+      useCache: true
+    });
+    client.l2Resolver = {
+      getRecordSet: sinon.stub().resolves([['192.168.1.1'], 3600, Math.floor(Date.now() / 1000), contentHash]),
+      getDomainInfo: sinon.stub().resolves(['0x0000000000000000000000000000000000000000', 0])
+    };
+
+    bridge = new DDNSBridge({
+      l1RpcUrl: 'http://fake-l1-url',
+      l2RpcUrl: 'http://fake-l2-url',
+      l1RegistryAddress: '0x1234567890123456789012345678901234567890',
+      l2ResolverAddress: '0x0987654321098765432109876543210987654321',
+      privateKey: '0x1234567890123456789012345678901234567890123456789012345678901234',
+      requireSignedDocuments: false
+    });
+    bridge.l2Resolver = {
+      setBatchRecordSets: sinon.stub().resolves({ wait: sinon.stub().resolves() })
+    };
+    bridge.ipfs = {
+      fetch: sinon.stub().resolves(Buffer.from(JSON.stringify({ records: { A: ['192.168.1.1'] }, ttl: 3600 })))
+    };
+  });
+
+  afterEach(function () {
+    sinon.restore();
+  });
+
+  describe('LatencyHistogram', function () {
+    it('should estimate percentiles from bucket counts', function () {
+      const histogram = new LatencyHistogram();
+      for (let latency = 1; latency <= 100; latency++) {
+        histogram.observe(latency);
+      }
+
+      const snapshot = histogram.snapshot();
+      expect(snapshot.count).to.equal(100);
+      expect(snapshot.avg).to.equal(50.5);
+      expect(snapshot.p50).to.equal(50);
+      expect(snapshot.p95).to.equal(95);
+      expect(snapshot.p99).to.equal(99);
+    });
+
+    it('should not report percentiles above the largest observation', function () {
+      const histogram = new LatencyHistogram();
+      histogram.observe(20);
+      histogram.observe(30000);
+
+      expect(histogram.percentile(0.5)).to.be.at.most(25);
+      expect(histogram.percentile(0.99)).to.be.at.most(30000);
+      expect(new LatencyHistogram().percentile(0.99)).to.equal(0);
+    });
+  });
+
+  describe('renderMetrics()', function () {
+    it('should render counters, labelled gauges and cumulative histogram buckets', function () {
+      const histogram = new LatencyHistogram([10, 100]);
+      histogram.observe(5);
+      histogram.observe(50);
+      histogram.observe(500);
+
+      const text = renderMetrics('ddns_test', {
+        counters: { totalQueries: 3 },
+        gauges: { rpcCircuitOpen: [{ labels: { layer: 'l1', url: 'http://a"b' }, value: 1 }] },
+        histograms: { resolutionLatency: { l2: histogram } }
+      });
+
+      expect(text).to.include('# TYPE ddns_test_total_queries_total counter\nddns_test_total_queries_total 3\n');
+      expect(text).to.include('ddns_test_rpc_circuit_open{layer="l1",url="http://a\\"b"} 1');
+      expect(text).to.include('ddns_test_resolution_latency_seconds_bucket{source="l2",le="0.01"} 1');
+      expect(text).to.include('ddns_test_resolution_latency_seconds_bucket{source="l2",le="0.1"} 2');
+      expect(text).to.include('ddns_test_resolution_latency_seconds_bucket{source="l2",le="+Inf"} 3');
+      expect(text).to.include('ddns_test_resolution_latency_seconds_sum{source="l2"} 0.555');
+      expect(text).to.include('ddns_test_resolution_latency_seconds_count{source="l2"} 3');
+    });
+  });
+
+  describe('latency recording', function () {
+    it('should record client latency per source', async function () {
+      await client.resolveDomain('test.eth', 'A');
+      await client.resolveDomain('test.eth', 'A');
+
+      const { latency } = client.getStats();
+      expect(latency.l2.count).to.equal(1);
+      expect(latency.cache.count).to.equal(1);
+      expect(latency.l1.count).to.equal(0);
+      expect(latency.cache).to.have.all.keys('count', 'avg', 'p50', 'p95', 'p99', 'max');
+    });
+
+    it('should record bridge retrieval and submission latency', async function () {
+      await bridge.processDomainUpdate(contentHash, contentHash);
+
+      const { latency } = bridge.getStats();
+      expect(latency.ipfs.count).to.equal(1);
+      expect(latency.l2.count).to.equal(1);
+    });
+  });
+
+  describe('createMetricsHandler()', function () {
+    let server;
+
+    afterEach(function () {
+      if (server) {
+        server.close();
+        server = null;
+      }
+    });
+
+    /**
+     * Serve the handler on an ephemeral port
+     * @param {Function} handler Request handler
+     * @returns {Promise<string>} Base URL
+     */
+    async function serve(handler) {
+      server = http.createServer(handler);
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      return `http://127.0.0.1:${server.address().port}`;
+    }
+
+    it('should serve client and bridge metrics in the Prometheus text format', async function () {
+      await client.resolveDomain('test.eth', 'A');
+      const baseUrl = await serve(createMetricsHandler([client, bridge]));
+
+      const response = await fetch(`${baseUrl}/metrics`);
+      const text = await response.text();
+
+      expect(response.status).to.equal(200);
+      expect(response.headers.get('content-type')).to.include('version=0.0.4');
+      expect(text).to.include('ddns_client_total_queries_total 1');
+      expect(text).to.include('ddns_client_resolution_latency_seconds_count{source="l2"} 1');
+      expect(text).to.match(/^ddns_client_rpc_requests_total\{layer="l1",endpoint="0",host="fake-l1-url"\} \d+$/m);
+      expect(text).to.not.include('http://fake-l1-url');
+      expect(text).to.include('ddns_bridge_updates_synced_total 0');
+      expect(text).to.include('# TYPE ddns_bridge_sync_latency_seconds histogram');
+      expect(text).to.not.include('latency_sum_total');
+    });
+
+    it('should reject other paths and methods', async function () {
+      const baseUrl = await serve(createMetricsHandler([client]));
+
+      expect((await fetch(`${baseUrl}/stats`)).status).to.equal(404);
+      expect((await fetch(`${baseUrl}/metrics`, { method: 'POST' })).status).to.equal(405);
+    });
+  });
+});
@@ -0,0 +1,272 @@
+// metrics.js - Latency histograms and Prometheus text exposition for client and bridge
+const { URL } = require('url');
+
+// Histogram bucket upper bounds in milliseconds
+const DEFAULT_BUCKETS = [5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000];
+
+// Prometheus text exposition format version
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+/**
+ * Latency histogram
+ * Counts observations into fixed buckets so percentiles can be estimated without keeping samples
+ */
+class LatencyHistogram {
+  /**
+   * Constructor
+   * @param {number[]} [buckets] Ascending bucket upper bounds in milliseconds
+   */
+  constructor(buckets = DEFAULT_BUCKETS) {
+    this.buckets = buckets;
+    this.counts = new Array(buckets.length + 1).fill(0); // Last slot is +Inf
+    this.count = 0;
+    this.sum = 0;
+    this.max = 0;
+  }
+
+  /**
+   * Record one observation
+   * @param {number} latency Latency in milliseconds
+   */
+  observe(latency) {
+    let index = this.buckets.findIndex(bound => latency <= bound);
+    if (index === -1) {
+      index = this.buckets.length;
+    }
+
+    this.counts[index]++;
+    this.count++;
+    this.sum += latency;
+    this.max = Math.max(this.max, latency);
+  }
+
+  /**
+   * Estimate a percentile by interpolating inside the bucket that contains it
+   * @param {number} quantile Quantile between 0 and 1 (e.g. 0.95)
+   * @returns {number} Estimated latency in milliseconds (0 without observations)
+   */
+  percentile(quantile) {
+    if (this.count === 0) {
+      return 0;
+    }
+
+    const rank = quantile * this.count;
+    let cumulative = 0;
+
+    for (let i = 0; i < this.counts.length; i++) {
+      if (this.counts[i] === 0 || cumulative + this.counts[i] < rank) {
+        cumulative += this.counts[i];
+        continue;
+      }
+
+      const lower = i === 0 ? 0 : this.buckets[i - 1];
+      const upper = i < this.buckets.length ? this.buckets[i] : this.max;
+      const estimate = lower + (upper - lower) * ((rank - cumulative) / this.counts[i]);
+
+      // Never report more than was actually observed
+      return Math.min(estimate, this.max);
+    }
+
+    return this.max;
+  }
+
+  /**
+   * Summarize the histogram
+   * @returns {Object} Count, average, p50/p95/p99 and maximum in milliseconds
+   */
+  snapshot() {
+    return {
+      count: this.count,
+      avg: this.count > 0 ? this.sum / this.count : 0,
+      p50: this.percentile(0.5),
+      p95: this.percentile(0.95),
+      p99: this.percentile(0.99),
+      max: this.max
+    };
+  }
+}
+
+/**
+ * Create one latency histogram per resolution source
+ * @param {string[]} sources Source names (e.g. l1, l2, cache, ipfs)
+ * @returns {Object} Histograms keyed by source
+ */
+function createLatencyHistograms(sources) {
+  return Object.fromEntries(sources.map(source => [source, new LatencyHistogram()]));
+}
+
+/**
+ * Summarize per-source latency histograms
+ * @param {Object} histograms Histograms keyed by source
+ * @returns {Object} Snapshots keyed by source
+ */
+function summarizeLatency(histograms) {
+  return Object.fromEntries(Object.entries(histograms).map(([source, histogram]) => [source, histogram.snapshot()]));
+}
+
+/**
+ * Per-endpoint RPC counters and gauges, labelled by layer, endpoint index and host
+ * Full URLs are never exposed: they usually carry provider API keys
+ * @param {Object} rpcStats Endpoint stats per layer (see getRpcStats)
+ * @returns {Object} Counters and gauges for renderMetrics
+ */
+function endpointMetrics(rpcStats) {
+  const series = field => Object.entries(rpcStats).flatMap(([layer, endpoints]) =>
+    endpoints.map(endpoint => ({ labels: { layer, endpoint: String(endpoint.index), host: endpoint.host }, value: field(endpoint) })));
+
+  return {
+    counters: {
+      rpcRequests: series(endpoint => endpoint.requests),
+      rpcErrors: series(endpoint => endpoint.errors),
+      rpcFailovers: series(endpoint => endpoint.failovers),
+      rpcCircuitOpens: series(endpoint => endpoint.circuitOpens)
+    },
+    gauges: {
+      rpcCircuitOpen: series(endpoint => (endpoint.state === 'open' ? 1 : 0)),
+      rpcLagging: series(endpoint => (endpoint.lagging ? 1 : 0)),
+      rpcBlockNumber: series(endpoint => endpoint.blockNumber).filter(sample => sample.value !== null)
+    }
+  };
+}
+
+/**
+ * Render metrics in the Prometheus text exposition format
+ * Counter and gauge values are numbers or lists of { labels, value } samples;
+ * histograms are keyed by metric name, then by source
+ * @param {string} prefix Metric name prefix (e.g. ddns_client)
+ * @param {Object} metrics Metrics to render
+ * @param {Object} [metrics.counters] Monotonic counters
+ * @param {Object} [metrics.gauges] Gauges
+ * @param {Object} [metrics.histograms] Latency histograms
+ * @returns {string} Exposition text
+ */
+function renderMetrics(prefix, { counters = {}, gauges = {}, histograms = {} }) {
+  const lines = [];
+
+  const family = (name, type, samples) => {
+    const list = Array.isArray(samples) ? samples : [{ labels: {}, value: samples }];
+    if (list.length === 0) {
+      return;
+    }
+
+    lines.push(`# TYPE ${name} ${type}`);
+    for (const { labels, value } of list) {
+      lines.push(`${name}${formatLabels(labels)} ${formatValue(value)}`);
+    }
+  };
+
+  for (const [name, samples] of Object.entries(counters)) {
+    family(`${prefix}_${toSnakeCase(name)}_total`, 'counter', samples);
+  }
+
+  for (const [name, samples] of Object.entries(gauges)) {
+    family(`${prefix}_${toSnakeCase(name)}`, 'gauge', samples);
+  }
+
+  // Latency is exposed in seconds, the Prometheus base unit
+  for (const [name, bySource] of Object.entries(histograms)) {
+    const metric = `${prefix}_${toSnakeCase(name)}_seconds`;
+    lines.push(`# TYPE ${metric} histogram`);
+
+    for (const [source, histogram] of Object.entries(bySource)) {
+      let cumulative = 0;
+
+      histogram.buckets.forEach((bound, i) => {
+        cumulative += histogram.counts[i];
+        lines.push(`${metric}_bucket${formatLabels({ source, le: formatValue(bound / 1000) })} ${cumulative}`);
+      });
+
+      lines.push(`${metric}_bucket${formatLabels({ source, le: '+Inf' })} ${histogram.count}`);
+      lines.push(`${metric}_sum${formatLabels({ source })} ${formatValue(histogram.sum / 1000)}`);
+      lines.push(`${metric}_count${formatLabels({ source })} ${histogram.count}`);
+    }
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Create an HTTP request handler serving the metrics of several components
+ * Usable directly with http.createServer or mounted in an existing server
+ * @param {Object[]} components Components with a getMetrics() method (DDNSClient, DDNSBridge)
+ * @param {string} [path] Metrics path
+ * @returns {Function} Request handler (req, res)
+ */
+function createMetricsHandler(components, path = '/metrics') {
+  return (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (url.pathname !== path) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      return res.end('Not found');
+    }
+
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      res.writeHead(405, { 'Content-Type': 'text/plain', Allow: 'GET, HEAD' });
+      return res.end('Method not allowed');
+    }
+
+    let body;
+    try {
+      body = components.map(component => component.getMetrics()).join('');
+    } catch (error) {
+      console.error('Failed to collect metrics:', error);
+      res.writeHead(500, { 'Content-Type': 'text/plain' });
+      return res.end('Internal error');
+    }
+
+    res.writeHead(200, {
+      'Content-Type': CONTENT_TYPE,
+      'Content-Length': Buffer.byteLength(body)
+    });
+    res.end(req.method === 'HEAD' ? undefined : body);
+  };
+}
+
+/**
+ * Convert a camelCase stat name to a snake_case metric name
+ * @param {string} name Stat name
+ * @returns {string} Metric name
+ */
+function toSnakeCase(name) {
+  return name.replace(/([a-z0-9])([A-Z])/g, '$1_$2').replace(/[^a-zA-Z0-9_]/g, '_').toLowerCase();
+}
+
+/**
+ * Format a label set
+ * @param {Object} labels Label names and values
+ * @returns {string} Label block, empty without labels
+ */
+function formatLabels(labels = {}) {
+  const pairs = Object.entries(labels).map(([name, value]) =>
+    `${name}="${String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"')}"`);
+
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Format a sample value
+ * @param {number|boolean|Object} value Value (BigNumbers are converted)
+ * @returns {string} Sample value
+ */
+function formatValue(value) {
+  if (typeof value === 'boolean') {
+    return value ? '1' : '0';
+  }
+
+  const number = Number(value && value._isBigNumber ? value.toString() : value);
+  if (Number.isNaN(number)) {
+    return 'NaN';
+  }
+
+  return Number.isFinite(number) ? String(number) : (number > 0 ? '+Inf' : '-Inf');
+}
+
+module.exports = {
+  LatencyHistogram,
+  createLatencyHistograms,
+  summarizeLatency,
+  endpointMetrics,
+  renderMetrics,
+  createMetricsHandler
+};
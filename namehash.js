@@ -0,0 +1,65 @@
+// namehash.js - EIP-137 name hashing for hierarchical DDNS names
+const ethers = require('ethers');
+
+// Label that marks a wildcard record set (e.g. *.example.eth)
+const WILDCARD_LABEL = '*';
+
+/**
+ * Hash a single label
+ * @param {string} label Label (e.g. "example")
+ * @returns {string} keccak256 of the label
+ */
+function labelhash(label) {
+  return ethers.utils.keccak256(ethers.utils.toUtf8Bytes(label));
+}
+
+/**
+ * Calculate the EIP-137 namehash of a domain name
+ * namehash('') = 0x0, namehash(label.parent) = keccak256(namehash(parent) ++ labelhash(label)),
+ * so every name is derived from its parent. Unlike ethers.utils.namehash the wildcard label is allowed.
+ * @param {string} name Domain name (e.g. www.example.eth)
+ * @returns {string} Domain hash
+ */
+function namehash(name) {
+  let node = ethers.constants.HashZero;
+  const trimmed = String(name || '').replace(/\.$/, '');
+
+  if (trimmed === '') {
+    return node;
+  }
+
+  const labels = trimmed.split('.');
+
+  for (let i = labels.length - 1; i >= 0; i--) {
+    if (labels[i] === '') {
+      throw new Error(`Invalid domain name "${name}": empty label`);
+    }
+
+    node = ethers.utils.keccak256(ethers.utils.concat([node, labelhash(labels[i])]));
+  }
+
+  return node;
+}
+
+/**
+ * Get the wildcard name covering a domain name
+ * Only the immediate parent's wildcard applies, and never directly below a top-level name
+ * @param {string} name Domain name (e.g. shop.example.eth)
+ * @returns {string|null} Wildcard name (e.g. *.example.eth), or null when none applies
+ */
+function wildcardName(name) {
+  const labels = String(name || '').replace(/\.$/, '').split('.');
+
+  if (labels.length < 3 || labels[0] === WILDCARD_LABEL) {
+    return null;
+  }
+
+  return [WILDCARD_LABEL, ...labels.slice(1)].join('.');
+}
+
+module.exports = {
+  WILDCARD_LABEL,
+  labelhash,
+  namehash,
+  wildcardName
+};
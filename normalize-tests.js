@@ -0,0 +1,68 @@
+// normalize-tests.js - Unit tests for name normalization
+const { expect } = require('chai');
+const sinon = require('sinon');
+const DDNSClient = require('../DDNSClient');
+const { normalizeName, isNormalized, InvalidNameError } = require('./normalize');
+const { namehash } = require('./namehash');
+
+describe('DDNS Name Normalization', function () {
+  describe('normalizeName()', function () {
+    it('should fold case and drop the root dot', function () {
+      expect(normalizeName('Example.ETH')).to.equal('example.eth');
+      expect(normalizeName('example.eth.')).to.equal('example.eth');
+      expect(normalizeName('ⓔxample.eth')).to.equal('example.eth');
+    });
+
+    it('should keep a leading wildcard label', function () {
+      expect(normalizeName('*.Example.eth')).to.equal('*.example.eth');
+    });
+
+    it('should reject invalid and confusable names', function () {
+      for (const name of ['', 'ex ample.eth', 'a..eth', 'раypal.eth', 'www.*.eth']) {
+        expect(() => normalizeName(name)).to.throw(InvalidNameError, `Invalid domain name "${name}"`);
+      }
+    });
+
+    it('should report whether a name is already normalized', function () {
+      expect(isNormalized('example.eth')).to.be.true;
+      expect(isNormalized('Example.eth')).to.be.false;
+      expect(isNormalized('a..eth')).to.be.false;
+    });
+  });
+
+  describe('DDNSClient', function () {
+    let client;
+
+    beforeEach(function () {
+      client = new DDNSClient({
+        l1RpcUrl: 'http://fake-l1-url',
+        l2RpcUrl: 'http://fake-l2-url',
+        l1RegistryAddress: '0x1234567890123456789012345678901234567890',
+        l2ResolverAddress: '0x0987654321098765432109876543210987654321'
+      });
+      client.l2Resolver = {
+        getRecordSet: sinon.stub().resolves([['192.168.1.1'], 3600, 0, '0x' + '12'.repeat(32)]),
+        getDomainInfo: sinon.stub().resolves(['0x0000000000000000000000000000000000000000', 0])
+      };
+      sinon.stub(console, 'error');
+    });
+
+    afterEach(function () {
+      sinon.restore();
+    });
+
+    it('should resolve equivalent spellings to the same domain', async function () {
+      await client.resolveDomain('Example.ETH.', 'A', { skipCache: true });
+
+      expect(client.l2Resolver.getRecordSet.firstCall.args[0]).to.equal(namehash('example.eth'));
+    });
+
+    it('should reject invalid names before querying', async function () {
+      const result = await client.resolveDomain('раypal.eth', 'A');
+
+      expect(result.source).to.equal('error');
+      expect(result.error).to.include('Invalid domain name "раypal.eth"');
+      expect(client.l2Resolver.getRecordSet.called).to.be.false;
+    });
+  });
+});
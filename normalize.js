@@ -0,0 +1,77 @@
+// normalize.js - ENSIP-15 (UTS-46) name normalization shared by the client, test utilities and the front end
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(name => require('@adraffy/ens-normalize').ens_normalize(name));
+  } else {
+    // The front end loads @adraffy/ens-normalize as a module that publishes ens_normalize on window
+    root.DDNSNormalize = factory(name => root.ens_normalize(name));
+  }
+}(typeof self !== 'undefined' ? self : this, function (ensNormalize) {
+  // Label that marks a wildcard record set; ENSIP-15 itself disallows "*"
+  const WILDCARD_LABEL = '*';
+
+  /**
+   * Error thrown for names that cannot be normalized
+   */
+  class InvalidNameError extends Error {
+    /**
+     * Constructor
+     * @param {string} domainName Name as given
+     * @param {string} reason Why the name was rejected
+     */
+    constructor(domainName, reason) {
+      super(`Invalid domain name "${domainName}": ${reason}`);
+      this.name = 'InvalidNameError';
+      this.domainName = domainName;
+    }
+  }
+
+  /**
+   * Normalize a domain name so that equivalent spellings hash to the same domain
+   * Case is folded and compatibility characters are mapped (Example.ETH -> example.eth), a single
+   * trailing root dot is dropped, and confusable or disallowed names are rejected
+   * @param {string} domainName Domain name as entered or queried
+   * @returns {string} Normalized name
+   * @throws {InvalidNameError} If the name is empty or not valid under ENSIP-15
+   */
+  function normalizeName(domainName) {
+    if (typeof domainName !== 'string' || domainName.length === 0) {
+      throw new InvalidNameError(domainName, 'name is empty');
+    }
+
+    // Fully qualified names end with the root label
+    const name = domainName.endsWith('.') ? domainName.slice(0, -1) : domainName;
+    const labels = name.split('.');
+    const wildcard = labels[0] === WILDCARD_LABEL && labels.length > 1;
+
+    try {
+      const normalized = ensNormalize(wildcard ? labels.slice(1).join('.') : name);
+      if (normalized.length === 0) {
+        throw new Error('name is empty');
+      }
+
+      return wildcard ? `${WILDCARD_LABEL}.${normalized}` : normalized;
+    } catch (error) {
+      throw new InvalidNameError(domainName, error.message.replace(/\u200e/g, ''));
+    }
+  }
+
+  /**
+   * Check whether a name is valid and already in normalized form
+   * @param {string} domainName Domain name
+   * @returns {boolean} True if normalizeName would return the name unchanged
+   */
+  function isNormalized(domainName) {
+    try {
+      return normalizeName(domainName) === domainName;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  return {
+    InvalidNameError,
+    normalizeName,
+    isNormalized
+  };
+}));
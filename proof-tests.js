@@ -0,0 +1,324 @@
+// proof-tests.js - Unit tests for storage proofs and light-client resolution
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { ethers } = require('ethers');
+const DDNSClient = require('../DDNSClient');
+const { verifyMerkleProof, recordSlot } = require('./proof');
+const { namehash } = require('./namehash');
+
+const { keccak256, RLP, hexZeroPad, hexlify, stripZeros, toUtf8Bytes, defaultAbiCoder, concat } = ethers.utils;
+const { BigNumber } = ethers;
+
+/**
+ * Build a Merkle-Patricia trie from hashed-key entries
+ * @param {Object[]} entries Entries with hex key (hashed before insertion) and RLP-encoded value
+ * @returns {Object} Trie root and a proof function
+ */
+function buildTrie(entries) {
+  const nodes = new Map();
+
+  const toNibbles = hex => Array.from(hex.slice(2), char => parseInt(char, 16));
+  const encodePath = (nibbles, leaf) => {
+    const flag = (leaf ? 2 : 0) + (nibbles.length % 2);
+    const all = flag % 2 ? [flag, ...nibbles] : [flag, 0, ...nibbles];
+    return '0x' + all.map(nibble => nibble.toString(16)).join('');
+  };
+  const reference = node => {
+    const encoded = RLP.encode(node);
+    if ((encoded.length - 2) / 2 < 32) {
+      return node;
+    }
+    const hash = keccak256(encoded);
+    nodes.set(hash, node);
+    return hash;
+  };
+  const build = (items, depth) => {
+    if (items.length === 1) {
+      return [encodePath(items[0].path.slice(depth), true), items[0].value];
+    }
+
+    let shared = 0;
+    while (items.every(item => item.path[depth + shared] === items[0].path[depth + shared])) {
+      shared++;
+    }
+    if (shared > 0) {
+      return [encodePath(items[0].path.slice(depth, depth + shared), false), reference(build(items, depth + shared))];
+    }
+
+    const branch = Array(17).fill('0x');
+    for (let nibble = 0; nibble < 16; nibble++) {
+      const group = items.filter(item => item.path[depth] === nibble);
+      if (group.length > 0) {
+        branch[nibble] = reference(build(group, depth + 1));
+      }
+    }
+    return branch;
+  };
+
+  const items = entries.map(entry => ({ path: toNibbles(keccak256(entry.key)), value: entry.value }));
+  const rootNode = build(items, 0);
+  const encodedRoot = RLP.encode(rootNode);
+  const root = keccak256(encodedRoot);
+
+  /**
+   * Collect the hashed nodes on the path to a key
+   * @param {string} key Trie key
+   * @returns {string[]} Proof nodes
+   */
+  const prove = key => {
+    const path = toNibbles(keccak256(key));
+    const proof = [encodedRoot];
+    let node = rootNode;
+    let depth = 0;
+
+    while (node) {
+      let next;
+      if (node.length === 17) {
+        next = node[path[depth++]];
+      } else {
+        const nibbles = toNibbles(node[0]);
+        const skip = nibbles[0] % 2 ? 1 : 2;
+        if (nibbles[0] >= 2) {
+          break;
+        }
+        depth += nibbles.length - skip;
+        next = node[1];
+      }
+
+      if (!next || next === '0x') {
+        break;
+      }
+      if (Array.isArray(next)) {
+        node = next;
+      } else {
+        node = nodes.get(next);
+        proof.push(RLP.encode(node));
+      }
+    }
+
+    return proof;
+  };
+
+  return { root, prove };
+}
+
+/**
+ * Mock L2 node serving eth_getProof from in-memory contract storage
+ * @param {string} address Resolver address
+ * @param {Map<string, string>} storage Slot to bytes32 value
+ * @returns {Object} Provider with send() and the state root
+ */
+function createProofProvider(address, storage) {
+  const storageTrie = buildTrie(Array.from(storage.entries())
+    .filter(([, value]) => !BigNumber.from(value).isZero())
+    .map(([slot, value]) => ({ key: slot, value: RLP.encode(stripZeros(value)) })));
+
+  const account = RLP.encode(['0x01', '0x', storageTrie.root, keccak256('0x')]);
+  const otherAccount = RLP.encode(['0x', '0x01', keccak256(RLP.encode('0x')), keccak256('0x')]);
+  const stateTrie = buildTrie([
+    { key: address.toLowerCase(), value: account },
+    { key: '0x000000000000000000000000000000000000dead', value: otherAccount }
+  ]);
+
+  return {
+    stateRoot: stateTrie.root,
+    send: sinon.spy(async (method, [, slots]) => ({
+      accountProof: stateTrie.prove(address.toLowerCase()),
+      storageProof: slots.map(slot => ({ key: slot, proof: storageTrie.prove(slot) }))
+    }))
+  };
+}
+
+/**
+ * Lay out a DDNSResolver record set in a storage map
+ * @param {Map<string, string>} storage Storage map
+ * @param {string} domainHash Domain hash
+ * @param {string} recordType Record type
+ * @param {string[]} values Record values
+ * @param {number} ttl TTL
+ * @param {string} contentHash Synced content hash
+ */
+function writeRecordSet(storage, domainHash, recordType, values, ttl, contentHash) {
+  const slot = offset => hexZeroPad(BigNumber.from(recordSlot(domainHash, recordType)).add(offset).toHexString(), 32);
+  const word = value => hexZeroPad(BigNumber.from(value).toHexString(), 32);
+
+  storage.set(slot(1), word(values.length));
+  storage.set(slot(2), word(ttl));
+  storage.set(slot(3), word(1700000000));
+  storage.set(slot(4), contentHash);
+
+  values.forEach((value, i) => {
+    const bytes = toUtf8Bytes(value);
+    const elementSlot = hexZeroPad(BigNumber.from(keccak256(slot(1))).add(i).toHexString(), 32);
+
+    if (bytes.length < 32) {
+      storage.set(elementSlot, hexlify(concat([bytes, new Uint8Array(31 - bytes.length), [bytes.length * 2]])));
+      return;
+    }
+
+    storage.set(elementSlot, word(bytes.length * 2 + 1));
+    for (let chunk = 0; chunk * 32 < bytes.length; chunk++) {
+      const data = bytes.slice(chunk * 32, chunk * 32 + 32);
+      const dataSlot = hexZeroPad(BigNumber.from(keccak256(elementSlot)).add(chunk).toHexString(), 32);
+      storage.set(dataSlot, hexlify(concat([data, new Uint8Array(32 - data.length)])));
+    }
+  });
+
+  // contentHashes[domainHash]
+  storage.set(keccak256(defaultAbiCoder.encode(['bytes32', 'uint256'], [domainHash, 2])), contentHash);
+}
+
+describe('DDNS Storage Proofs', function () {
+  const resolverAddress = '0x0987654321098765432109876543210987654321';
+  const domainHash = namehash('test.eth');
+  const contentHash = '0x0000000000000000000000000000000000000000000000000000000000000123';
+  const longTxt = 'v=spf1 include:_spf.example.com include:mail.example.com ~all';
+
+  let storage;
+
+  beforeEach(function () {
+    storage = new Map();
+    writeRecordSet(storage, domainHash, 'A', ['192.168.1.1', '192.168.1.2'], 600, contentHash);
+    writeRecordSet(storage, domainHash, 'TXT', [longTxt], 300, contentHash);
+  });
+
+  afterEach(function () {
+    sinon.restore();
+  });
+
+  describe('verifyMerkleProof()', function () {
+    it('should return proven values and null for absent keys', function () {
+      const trie = buildTrie([
+        { key: '0x01', value: RLP.encode('0x2a') },
+        { key: '0x02', value: RLP.encode('0x2b') },
+        { key: '0x03', value: RLP.encode('0x2c') }
+      ]);
+
+      expect(RLP.decode(verifyMerkleProof(trie.root, '0x02', trie.prove('0x02')))).to.equal('0x2b');
+      expect(verifyMerkleProof(trie.root, '0x04', trie.prove('0x04'))).to.be.null;
+    });
+
+    it('should reject proofs that do not lead to the trusted root', function () {
+      const trie = buildTrie([{ key: '0x01', value: RLP.encode('0x2a') }]);
+      const forged = buildTrie([{ key: '0x01', value: RLP.encode('0x2b') }]);
+
+      expect(() => verifyMerkleProof(trie.root, '0x01', forged.prove('0x01')))
+        .to.throw('Storage proof does not match the trusted root');
+    });
+  });
+
+  describe('light-client resolution', function () {
+    let client;
+    let provider;
+    let mockL1Registry;
+
+    beforeEach(function () {
+      provider = createProofProvider(resolverAddress, storage);
+
+      mockL1Registry = {
+        getDomain: sinon.stub().resolves([
+          '0x1234567890123456789012345678901234567890',
+          contentHash,
+          Math.floor(Date.now() / 1000),
+          Math.floor(Date.now() / 1000) + 31536000
+        ])
+      };
+
+      client = new DDNSClient({
+        l1RpcUrl: 'http://fake-l1-url',
+        l2RpcUrl: 'http://fake-l2-url',
+        l1RegistryAddress: '0x1234567890123456789012345678901234567890',
+        l2ResolverAddress: resolverAddress,
+        lightClient: true,
+        requireSignedDocuments: false,
+        getL2StateRoot: async () => ({ stateRoot: provider.stateRoot, blockNumber: 42 })
+      });
+
+      client.l2Provider = provider;
+      client.l1Registry = mockL1Registry;
+      client.l2Resolver = { getRecordSet: sinon.stub().rejects(new Error('L2 contract calls must not be used')) };
+      sinon.stub(client, '_getRecordsFromIPFS').resolves({
+        records: { A: ['10.0.0.1'] },
+        ttl: 3600
+      });
+    });
+
+    it('should resolve record sets from verified storage proofs', async function () {
+      const result = await client.resolveDomain('test.eth', 'A');
+
+      expect(result.source).to.equal('l2');
+      expect(result.proven).to.be.true;
+      expect(result.values).to.deep.equal(['192.168.1.1', '192.168.1.2']);
+      expect(Number(result.ttl)).to.equal(600);
+      expect(result.blockNumber).to.equal(42);
+      expect(provider.send.firstCall.args[1][2]).to.equal('0x2a');
+      expect(client.stats.provenQueries).to.equal(1);
+    });
+
+    it('should decode strings stored across several slots', async function () {
+      const result = await client.resolveBatch('test.eth', ['A', 'TXT', 'MX']);
+
+      expect(result.proven).to.be.true;
+      expect(result.valueSets).to.deep.equal([['192.168.1.1', '192.168.1.2'], [longTxt], []]);
+      expect(result.contentHashes).to.deep.equal([contentHash, contentHash, contentHash]);
+    });
+
+    it('should prove against a caller supplied state root', async function () {
+      const result = await client.resolveDomain('test.eth', 'A', {
+        stateRoot: { stateRoot: provider.stateRoot, blockNumber: 7 }
+      });
+
+      expect(result.proven).to.be.true;
+      expect(result.blockNumber).to.equal(7);
+    });
+
+    it('should not trust values the RPC cannot prove', async function () {
+      sinon.stub(console, 'error');
+      sinon.stub(console, 'warn');
+
+      // The RPC answers from tampered storage that does not match the trusted root
+      const tampered = new Map(storage);
+      writeRecordSet(tampered, domainHash, 'A', ['6.6.6.6'], 600, contentHash);
+      client.l2Provider = createProofProvider(resolverAddress, tampered);
+
+      const result = await client.resolveDomain('test.eth', 'A');
+
+      expect(result.source).to.equal('l1');
+      expect(result.values).to.deep.equal(['10.0.0.1']);
+      expect(result.proven).to.be.undefined;
+      expect(client.stats.proofFailures).to.equal(1);
+    });
+
+    it('should prove mirrored expiry through the parent domain', async function () {
+      const owner = '0x1234567890123456789012345678901234567890';
+      const subHash = namehash('www.test.eth');
+      const domainSlot = hash => keccak256(defaultAbiCoder.encode(['bytes32', 'uint256'], [hash, 5]));
+      const offset = (slot, n) => hexZeroPad(BigNumber.from(slot).add(n).toHexString(), 32);
+      const word = value => hexZeroPad(BigNumber.from(value).toHexString(), 32);
+
+      // domains[www.test.eth] = { owner, 0, test.eth }; domains[test.eth] = { owner, expired, 0 }
+      writeRecordSet(storage, subHash, 'A', ['192.168.1.3'], 600, contentHash);
+      storage.set(domainSlot(subHash), word(owner));
+      storage.set(offset(domainSlot(subHash), 2), domainHash);
+      storage.set(domainSlot(domainHash), word(owner));
+      storage.set(offset(domainSlot(domainHash), 1), word(Math.floor(Date.now() / 1000) - 86400));
+      provider = createProofProvider(resolverAddress, storage);
+      client.l2Provider = provider;
+
+      const result = await client.resolveDomain('www.test.eth', 'A');
+
+      expect(result).to.include({ source: 'l2', status: 'EXPIRED', value: null, owner });
+    });
+
+    it('should fail without a trusted state root', async function () {
+      sinon.stub(console, 'error');
+      sinon.stub(console, 'warn');
+      client.getL2StateRoot = null;
+
+      const result = await client.resolveDomain('test.eth', 'A', { forceL2: true });
+
+      expect(result.source).to.equal('error');
+      expect(result.error).to.include('No trusted L2 state root');
+    });
+  });
+});
@@ -0,0 +1,354 @@
+// proof.js - Merkle-Patricia storage proofs for reading DDNSResolver state without trusting the RPC
+const ethers = require('ethers');
+
+const { keccak256, RLP, hexZeroPad, hexValue, hexDataSlice, getAddress, arrayify, defaultAbiCoder, concat, toUtf8Bytes, toUtf8String } = ethers.utils;
+const { BigNumber } = ethers;
+
+// DDNSResolver storage layout (see `solc --storage-layout layer2.sol`)
+const RECORDS_SLOT = 0;
+const CONTENT_HASHES_SLOT = 2;
+const DOMAINS_SLOT = 5;
+
+// Field offsets inside the DNSRecord struct
+const RECORD_VALUES_OFFSET = 1;
+const RECORD_TTL_OFFSET = 2;
+const RECORD_TIMESTAMP_OFFSET = 3;
+const RECORD_CONTENT_HASH_OFFSET = 4;
+
+// Field offsets inside the DomainInfo struct (owner is at offset 0)
+const DOMAIN_EXPIRY_OFFSET = 1;
+const DOMAIN_PARENT_OFFSET = 2;
+
+// Deepest subdomain chain followed when looking up the top-level expiry (MAX_DOMAIN_DEPTH in the contracts)
+const MAX_DOMAIN_DEPTH = 32;
+
+/**
+ * Verify a Merkle-Patricia trie proof
+ * @param {string} rootHash Trie root hash
+ * @param {string} key Trie key (hex, hashed before lookup)
+ * @param {string[]} proof RLP-encoded trie nodes from root to leaf
+ * @returns {string|null} RLP-encoded value, or null if the proof shows the key is absent
+ * @throws {Error} If the proof does not match the root
+ */
+function verifyMerkleProof(rootHash, key, proof) {
+  const path = toNibbles(keccak256(key));
+  let expected = rootHash;
+  let position = 0;
+  let index = 0;
+
+  for (;;) {
+    let node;
+
+    // Children shorter than 32 bytes are embedded in their parent instead of hashed
+    if (Array.isArray(expected)) {
+      node = expected;
+    } else {
+      if (index >= proof.length) {
+        throw new Error('Storage proof is incomplete');
+      }
+      if (keccak256(proof[index]) !== expected.toLowerCase()) {
+        throw new Error('Storage proof does not match the trusted root');
+      }
+      node = RLP.decode(proof[index++]);
+    }
+
+    if (node.length === 17) {
+      // Branch node
+      if (position === path.length) {
+        return node[16] === '0x' ? null : node[16];
+      }
+
+      expected = node[path[position++]];
+      if (expected === '0x') {
+        return null;
+      }
+    } else if (node.length === 2) {
+      // Leaf or extension node with a hex-prefix encoded path
+      const { nibbles, leaf } = decodeHexPrefix(node[0]);
+      const remaining = path.slice(position, position + nibbles.length);
+
+      if (!nibbles.every((nibble, i) => nibble === remaining[i]) || remaining.length !== nibbles.length) {
+        return null;
+      }
+
+      position += nibbles.length;
+
+      if (leaf) {
+        return position === path.length ? node[1] : null;
+      }
+
+      expected = node[1];
+    } else {
+      throw new Error('Storage proof contains an invalid trie node');
+    }
+  }
+}
+
+/**
+ * Verify an account proof against a state root
+ * @param {string} stateRoot Trusted state root
+ * @param {string} address Account address
+ * @param {string[]} accountProof Account proof from eth_getProof
+ * @returns {Object|null} Account fields, or null if the account does not exist
+ */
+function verifyAccountProof(stateRoot, address, accountProof) {
+  const encoded = verifyMerkleProof(stateRoot, address.toLowerCase(), accountProof);
+
+  if (!encoded) {
+    return null;
+  }
+
+  const [nonce, balance, storageHash, codeHash] = RLP.decode(encoded);
+  return { nonce, balance, storageHash, codeHash };
+}
+
+/**
+ * Verify a storage proof against an account storage root
+ * @param {string} storageHash Trusted storage root
+ * @param {string} slot Storage slot (bytes32 hex)
+ * @param {string[]} proof Storage proof from eth_getProof
+ * @returns {string} Slot value as bytes32 hex (zero if unset)
+ */
+function verifyStorageProof(storageHash, slot, proof) {
+  const encoded = verifyMerkleProof(storageHash, slot, proof);
+
+  if (!encoded) {
+    return ethers.constants.HashZero;
+  }
+
+  return hexZeroPad(RLP.decode(encoded), 32);
+}
+
+/**
+ * Storage reader that checks every slot against a trusted state root
+ */
+class StorageProver {
+  /**
+   * Constructor
+   * @param {ethers.providers.JsonRpcProvider} provider Untrusted RPC provider
+   * @param {string} address Contract address
+   */
+  constructor(provider, address) {
+    this.provider = provider;
+    this.address = address;
+  }
+
+  /**
+   * Read storage slots with eth_getProof and verify them
+   * @param {string[]} slots Storage slots (bytes32 hex)
+   * @param {Object} anchor Trusted state root
+   * @param {string} anchor.stateRoot L2 state root
+   * @param {number} anchor.blockNumber L2 block the state root belongs to
+   * @returns {Promise<Map<string, string>>} Slot to bytes32 value
+   */
+  async getStorage(slots, anchor) {
+    const response = await this.provider.send('eth_getProof', [
+      this.address,
+      slots,
+      hexValue(anchor.blockNumber)
+    ]);
+
+    const account = verifyAccountProof(anchor.stateRoot, this.address, response.accountProof);
+    if (!account) {
+      throw new Error(`Resolver contract ${this.address} does not exist at the trusted state root`);
+    }
+
+    const values = new Map();
+
+    for (const slot of slots) {
+      const storageProof = response.storageProof.find(entry => hexZeroPad(entry.key, 32).toLowerCase() === slot);
+      if (!storageProof) {
+        throw new Error(`Missing storage proof for slot ${slot}`);
+      }
+
+      values.set(slot, verifyStorageProof(account.storageHash, slot, storageProof.proof));
+    }
+
+    return values;
+  }
+}
+
+/**
+ * Read one DDNSResolver record set through verified storage proofs
+ * Mirrors DDNSResolver.getRecordSet
+ * @param {StorageProver} prover Storage prover for the resolver contract
+ * @param {string} domainHash Domain hash
+ * @param {string} recordType Record type
+ * @param {Object} anchor Trusted state root and block number
+ * @returns {Promise<Object>} Values, TTL, timestamp and synced content hash
+ */
+async function proveRecordSet(prover, domainHash, recordType, anchor) {
+  const base = recordSlot(domainHash, recordType);
+  const lengthSlot = offsetSlot(base, RECORD_VALUES_OFFSET);
+  const ttlSlot = offsetSlot(base, RECORD_TTL_OFFSET);
+  const timestampSlot = offsetSlot(base, RECORD_TIMESTAMP_OFFSET);
+  const contentHashSlot = offsetSlot(base, RECORD_CONTENT_HASH_OFFSET);
+  const domainContentHashSlot = mappingSlot(domainHash, CONTENT_HASHES_SLOT);
+
+  const header = await prover.getStorage(
+    [lengthSlot, ttlSlot, timestampSlot, contentHashSlot, domainContentHashSlot],
+    anchor
+  );
+
+  const length = BigNumber.from(header.get(lengthSlot)).toNumber();
+
+  // Empty sets report the last synced document of the domain, like the contract getter
+  if (length === 0) {
+    return {
+      values: [],
+      ttl: BigNumber.from(header.get(ttlSlot)),
+      timestamp: BigNumber.from(header.get(timestampSlot)),
+      contentHash: header.get(domainContentHashSlot)
+    };
+  }
+
+  // Each array element holds a string header (short strings are stored inline)
+  const elementSlots = Array.from({ length }, (_, i) => offsetSlot(keccak256(lengthSlot), i));
+  const elements = await prover.getStorage(elementSlots, anchor);
+
+  // Long strings keep their bytes in consecutive slots starting at keccak256(headerSlot)
+  const dataSlots = [];
+  for (const slot of elementSlots) {
+    const stringHeader = BigNumber.from(elements.get(slot));
+    if (stringHeader.and(1).eq(1)) {
+      const byteLength = stringHeader.sub(1).div(2).toNumber();
+      for (let i = 0; i < Math.ceil(byteLength / 32); i++) {
+        dataSlots.push(offsetSlot(keccak256(slot), i));
+      }
+    }
+  }
+  const data = dataSlots.length > 0 ? await prover.getStorage(dataSlots, anchor) : new Map();
+
+  const values = elementSlots.map(slot => decodeStorageString(slot, elements.get(slot), data));
+
+  return {
+    values,
+    ttl: BigNumber.from(header.get(ttlSlot)),
+    timestamp: BigNumber.from(header.get(timestampSlot)),
+    contentHash: header.get(contentHashSlot)
+  };
+}
+
+/**
+ * Read the mirrored owner and effective expiry of a domain through verified storage proofs
+ * Mirrors DDNSResolver.getDomainInfo, following parents to the top-level domain
+ * @param {StorageProver} prover Storage prover for the resolver contract
+ * @param {string} domainHash Domain hash
+ * @param {Object} anchor Trusted state root and block number
+ * @returns {Promise<Array>} Owner address and expiry date
+ */
+async function proveDomainInfo(prover, domainHash, anchor) {
+  let owner = null;
+  let node = domainHash;
+
+  for (let depth = 0; depth < MAX_DOMAIN_DEPTH; depth++) {
+    const base = mappingSlot(node, DOMAINS_SLOT);
+    const expirySlot = offsetSlot(base, DOMAIN_EXPIRY_OFFSET);
+    const parentSlot = offsetSlot(base, DOMAIN_PARENT_OFFSET);
+    const info = await prover.getStorage([base, expirySlot, parentSlot], anchor);
+
+    if (owner === null) {
+      owner = getAddress(hexDataSlice(info.get(base), 12));
+    }
+
+    if (BigNumber.from(info.get(parentSlot)).isZero()) {
+      return [owner, BigNumber.from(info.get(expirySlot))];
+    }
+
+    node = info.get(parentSlot);
+  }
+
+  throw new Error(`Domain ${domainHash} is nested more than ${MAX_DOMAIN_DEPTH} levels deep`);
+}
+
+/**
+ * Storage slot of records[domainHash][recordType]
+ * @param {string} domainHash Domain hash
+ * @param {string} recordType Record type
+ * @returns {string} Slot of the DNSRecord struct
+ */
+function recordSlot(domainHash, recordType) {
+  const inner = mappingSlot(domainHash, RECORDS_SLOT);
+
+  // String mapping keys are hashed unpadded, followed by the mapping slot
+  return keccak256(concat([toUtf8Bytes(recordType), inner]));
+}
+
+/**
+ * Storage slot of a bytes32-keyed mapping entry
+ * @param {string} key Mapping key
+ * @param {number|string} slot Mapping slot
+ * @returns {string} Entry slot
+ */
+function mappingSlot(key, slot) {
+  return keccak256(defaultAbiCoder.encode(['bytes32', 'uint256'], [key, slot]));
+}
+
+/**
+ * Add an offset to a storage slot
+ * @param {string} slot Base slot
+ * @param {number} offset Offset
+ * @returns {string} Slot as bytes32 hex
+ */
+function offsetSlot(slot, offset) {
+  return hexZeroPad(BigNumber.from(slot).add(offset).toHexString(), 32);
+}
+
+/**
+ * Decode a string stored in Solidity storage
+ * @param {string} slot Header slot
+ * @param {string} header Header slot value
+ * @param {Map<string, string>} data Proven data slots of long strings
+ * @returns {string} Decoded string
+ */
+function decodeStorageString(slot, header, data) {
+  const headerValue = BigNumber.from(header);
+
+  // Short strings: data left-aligned, lowest byte is length * 2
+  if (headerValue.and(1).eq(0)) {
+    const length = headerValue.and(0xff).toNumber() / 2;
+    return toUtf8String(arrayify(header).slice(0, length));
+  }
+
+  const length = headerValue.sub(1).div(2).toNumber();
+  const chunks = [];
+  for (let i = 0; i < Math.ceil(length / 32); i++) {
+    chunks.push(arrayify(data.get(offsetSlot(keccak256(slot), i))));
+  }
+
+  return toUtf8String(concat(chunks).slice(0, length));
+}
+
+/**
+ * Split a hex string into nibbles
+ * @param {string} hex Hex string
+ * @returns {number[]} Nibbles
+ */
+function toNibbles(hex) {
+  return Array.from(hex.slice(2), char => parseInt(char, 16));
+}
+
+/**
+ * Decode a hex-prefix encoded trie path
+ * @param {string} encoded Encoded path
+ * @returns {Object} Path nibbles and whether the node is a leaf
+ */
+function decodeHexPrefix(encoded) {
+  const nibbles = toNibbles(encoded);
+  const flag = nibbles[0];
+
+  return {
+    leaf: flag >= 2,
+    nibbles: nibbles.slice(flag % 2 === 1 ? 1 : 2)
+  };
+}
+
+module.exports = {
+  StorageProver,
+  proveRecordSet,
+  proveDomainInfo,
+  recordSlot,
+  verifyMerkleProof,
+  verifyAccountProof,
+  verifyStorageProof
+};
@@ -0,0 +1,142 @@
+// record-cache-tests.js - Unit tests for the client resolution cache and its stores
+const { expect } = require('chai');
+const sinon = require('sinon');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const RecordCache = require('./record-cache');
+const { MemoryCacheStore, FileCacheStore } = require('./cache-stores');
+
+describe('DDNS Record Cache', function () {
+  let clock;
+  let cache;
+
+  beforeEach(function () {
+    clock = sinon.useFakeTimers({ now: 1000000, toFake: ['Date'] });
+    cache = new RecordCache({ maxEntries: 3, minTTL: 10, maxTTL: 300, negativeTTL: 30, staleTTL: 60 });
+  });
+
+  afterEach(function () {
+    sinon.restore();
+  });
+
+  const positive = ttl => ({ value: '192.168.1.1', values: ['192.168.1.1'], ttl });
+
+  describe('RecordCache', function () {
+    it('should clamp TTLs to the configured bounds', async function () {
+      await cache.set('low', positive(1));
+      await cache.set('high', positive(86400));
+
+      expect((await cache.get('low')).ttl).to.equal(10);
+      expect((await cache.get('high')).ttl).to.equal(300);
+    });
+
+    it('should report the remaining TTL', async function () {
+      await cache.set('key', positive(100));
+      clock.tick(40000);
+
+      const entry = await cache.get('key');
+      expect(entry.ttl).to.equal(60);
+      expect(entry.stale).to.be.false;
+    });
+
+    it('should cache empty results negatively with the negative TTL', async function () {
+      await cache.set('missing', { value: null, values: [], ttl: 0 });
+
+      const entry = await cache.get('missing');
+      expect(entry.negative).to.be.true;
+      expect(entry.ttl).to.equal(30);
+      expect(cache.getStats().negativeHits).to.equal(1);
+    });
+
+    it('should serve expired entries as stale within the stale window', async function () {
+      await cache.set('key', positive(100));
+
+      clock.tick(130000);
+      const stale = await cache.get('key');
+      expect(stale.stale).to.be.true;
+      expect(stale.result.value).to.equal('192.168.1.1');
+
+      clock.tick(40000);
+      expect(await cache.get('key')).to.be.null;
+    });
+
+    it('should store BigNumber fields as plain numbers', async function () {
+      await cache.set('key', { ...positive(0), ttl: { _isBigNumber: true, toString: () => '120' } });
+
+      const entry = await cache.get('key');
+      expect(entry.result.ttl).to.equal(120);
+    });
+
+    it('should delete every entry of one domain', async function () {
+      await cache.set('0xaa-A', positive(120));
+      await cache.set('0xaa-TXT', positive(120));
+      await cache.set('0xbb-A', positive(120));
+
+      expect(await cache.deleteDomain('0xaa')).to.equal(2);
+      expect(await cache.get('0xaa-A')).to.be.null;
+      expect(await cache.get('0xbb-A')).to.not.be.null;
+    });
+  });
+
+  describe('MemoryCacheStore', function () {
+    it('should evict the least recently used entry', async function () {
+      const store = new MemoryCacheStore({ maxEntries: 3 });
+      await store.set('a', 1);
+      await store.set('b', 2);
+      await store.set('c', 3);
+
+      // Touch "a" so "b" becomes the oldest
+      await store.get('a');
+      await store.set('d', 4);
+
+      expect(await store.get('b')).to.be.undefined;
+      expect(await store.get('a')).to.equal(1);
+      expect(store.size).to.equal(3);
+      expect(store.stats.evictions).to.equal(1);
+    });
+  });
+
+  describe('FileCacheStore', function () {
+    let filePath;
+
+    beforeEach(function () {
+      filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'ddns-cache-')), 'cache.json');
+    });
+
+    afterEach(function () {
+      fs.rmSync(path.dirname(filePath), { recursive: true, force: true });
+    });
+
+    it('should persist entries across instances', async function () {
+      const store = new FileCacheStore({ filePath });
+      const persistent = new RecordCache({ store, maxTTL: 300 });
+
+      await persistent.set('key', positive(100));
+      await store.close();
+
+      const restarted = new RecordCache({ store: new FileCacheStore({ filePath }), maxTTL: 300 });
+      const entry = await restarted.get('key');
+
+      expect(entry.result.values).to.deep.equal(['192.168.1.1']);
+      expect(entry.ttl).to.equal(100);
+    });
+
+    it('should write pending entries when the cache is closed', async function () {
+      const persistent = new RecordCache({ store: new FileCacheStore({ filePath, flushInterval: 60000 }), maxTTL: 300 });
+
+      await persistent.set('key', positive(100));
+      expect(fs.existsSync(filePath)).to.be.false;
+
+      await persistent.close();
+      expect(JSON.parse(fs.readFileSync(filePath, 'utf8')).entries).to.have.length(1);
+    });
+
+    it('should start empty when the cache file is missing', async function () {
+      const store = new FileCacheStore({ filePath });
+
+      expect(await store.get('key')).to.be.undefined;
+      expect(store.size).to.equal(0);
+    });
+  });
+});
@@ -0,0 +1,182 @@
+// record-cache.js - Resolution cache policy for the client adapter
+const { MemoryCacheStore } = require('./cache-stores');
+
+// TTL handed out with stale answers while a refresh is in flight (RFC 8767 4)
+const STALE_ANSWER_TTL = 30;
+
+/**
+ * Record cache
+ * Applies TTL clamping, negative caching and a serve-stale window
+ * on top of a pluggable cache store
+ */
+class RecordCache {
+  /**
+   * Constructor
+   * @param {Object} config Configuration object
+   * @param {Object} [config.store] Cache store with async get/set/delete/clear
+   * @param {number} [config.maxEntries] Maximum entries for the default in-memory store
+   * @param {number} [config.minTTL] Lower TTL bound in seconds
+   * @param {number} [config.maxTTL] Upper TTL bound in seconds
+   * @param {number} [config.negativeTTL] TTL for empty results in seconds
+   * @param {number} [config.staleTTL] How long expired entries may still be served in seconds
+   */
+  constructor(config = {}) {
+    this.store = config.store || new MemoryCacheStore({ maxEntries: config.maxEntries });
+    this.maxTTL = config.maxTTL || 300; // Default 5 minutes
+    this.minTTL = Math.min(config.minTTL !== undefined ? config.minTTL : 5, this.maxTTL);
+    this.negativeTTL = Math.min(config.negativeTTL !== undefined ? config.negativeTTL : 60, this.maxTTL);
+    this.staleTTL = config.staleTTL !== undefined ? config.staleTTL : 60;
+
+    // Cache statistics
+    this.stats = {
+      hits: 0,
+      misses: 0,
+      staleHits: 0,
+      negativeHits: 0
+    };
+  }
+
+  /**
+   * Look up a cached result
+   * @param {string} key Cache key
+   * @returns {Promise<Object|null>} Cached result with its remaining TTL, or null on a miss
+   */
+  async get(key) {
+    const entry = await this.store.get(key);
+    const now = Date.now();
+
+    if (!entry || entry.staleUntil <= now) {
+      if (entry) {
+        await this.store.delete(key);
+      }
+      this.stats.misses++;
+      return null;
+    }
+
+    const stale = entry.expiresAt <= now;
+
+    this.stats.hits++;
+    if (stale) {
+      this.stats.staleHits++;
+    }
+    if (entry.negative) {
+      this.stats.negativeHits++;
+    }
+
+    return {
+      result: entry.result,
+      negative: entry.negative,
+      stale,
+      ttl: stale ? STALE_ANSWER_TTL : Math.ceil((entry.expiresAt - now) / 1000)
+    };
+  }
+
+  /**
+   * Cache a resolution result
+   * Results without values are cached negatively
+   * @param {string} key Cache key
+   * @param {Object} result Resolution result
+   */
+  async set(key, result) {
+    const negative = !result.values || result.values.length === 0;
+    const ttl = negative ? this.negativeTTL : this.clampTTL(result.ttl);
+
+    if (ttl <= 0) {
+      return;
+    }
+
+    const now = Date.now();
+
+    await this.store.set(key, {
+      result: toPlainResult(result),
+      negative,
+      expiresAt: now + ttl * 1000,
+      staleUntil: now + (ttl + this.staleTTL) * 1000
+    });
+  }
+
+  /**
+   * Clamp a record TTL to the configured bounds
+   * @param {number|Object} ttl Record TTL (number or BigNumber)
+   * @returns {number} Clamped TTL in seconds
+   */
+  clampTTL(ttl) {
+    return Math.min(this.maxTTL, Math.max(this.minTTL, Number(ttl) || 0));
+  }
+
+  /**
+   * Remove a cached result
+   * @param {string} key Cache key
+   */
+  async delete(key) {
+    await this.store.delete(key);
+  }
+
+  /**
+   * Remove every cached result of a domain
+   * Stores without keys() cannot be searched, so they are cleared entirely
+   * @param {string} domainHash Domain hash (cache key prefix)
+   * @returns {Promise<number>} Number of removed entries, or -1 if the cache was cleared
+   */
+  async deleteDomain(domainHash) {
+    if (typeof this.store.keys !== 'function') {
+      await this.store.clear();
+      return -1;
+    }
+
+    const prefix = `${domainHash}-`;
+    const keys = (await this.store.keys()).filter(key => key.startsWith(prefix));
+
+    for (const key of keys) {
+      await this.store.delete(key);
+    }
+
+    return keys.length;
+  }
+
+  /**
+   * Remove all cached results
+   */
+  async clear() {
+    await this.store.clear();
+  }
+
+  /**
+   * Close the store, letting persistent stores write pending entries
+   * Stores without close() need no cleanup
+   */
+  async close() {
+    if (typeof this.store.close === 'function') {
+      await this.store.close();
+    }
+  }
+
+  /**
+   * Get cache statistics
+   * @returns {Object} Statistics object
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      ...(this.store.stats || {}),
+      size: this.store.size
+    };
+  }
+}
+
+/**
+ * Convert BigNumber fields of a result to numbers so persistent stores can serialize it
+ * @param {Object} result Resolution result
+ * @returns {Object} Result with plain number fields
+ */
+function toPlainResult(result) {
+  const plain = {};
+
+  for (const [field, value] of Object.entries(result)) {
+    plain[field] = value && value._isBigNumber ? Number(value.toString()) : value;
+  }
+
+  return plain;
+}
+
+module.exports = RecordCache;
@@ -0,0 +1,120 @@
+// record-types-tests.js - Unit tests for record validation and encoding
+const { expect } = require('chai');
+const {
+  InvalidRecordError,
+  InvalidDocumentError,
+  decodeRecord,
+  encodeRecord,
+  encodeRecordSets
+} = require('./record-types');
+const { encodeEIP1577 } = require('./content-hash');
+
+describe('DDNS Record Types', function () {
+  describe('encodeRecord()', function () {
+    it('should encode addresses canonically', function () {
+      expect(encodeRecord('A', ' 192.0.2.1 ')).to.equal('192.0.2.1');
+      expect(encodeRecord('AAAA', '2001:0DB8:0:0:0:0:0:1')).to.equal('2001:db8::1');
+      expect(encodeRecord('AAAA', '2001:db8:0:1:0:0:0:0')).to.equal('2001:db8:0:1::');
+      expect(encodeRecord('AAAA', '::ffff:192.0.2.1')).to.equal('::ffff:c000:201');
+    });
+
+    it('should reject malformed addresses', function () {
+      for (const value of ['300.1.1.1', '192.168.1', '01.2.3.4', '2001:db8::1', 10]) {
+        expect(() => encodeRecord('A', value)).to.throw(InvalidRecordError, 'Invalid A record');
+      }
+      expect(() => encodeRecord('AAAA', '192.0.2.1')).to.throw(InvalidRecordError, 'not an IPv6 address');
+    });
+
+    it('should normalize host names', function () {
+      expect(encodeRecord('CNAME', 'Alias.Example.ETH.')).to.equal('alias.example.eth');
+      expect(encodeRecord('NS', 'ns1.example.eth')).to.equal('ns1.example.eth');
+      expect(() => encodeRecord('CNAME', 'bad name.eth')).to.throw(InvalidRecordError);
+    });
+
+    it('should store structured types as JSON with a fixed key order', function () {
+      expect(encodeRecord('MX', '10 Mail.example.eth')).to.equal('{"preference":10,"exchange":"mail.example.eth"}');
+      expect(encodeRecord('SRV', { target: 'sip.example.eth', port: 5060, weight: 5, priority: 1 }))
+        .to.equal('{"priority":1,"weight":5,"port":5060,"target":"sip.example.eth"}');
+      expect(encodeRecord('CAA', '0 ISSUE "letsencrypt.org"'))
+        .to.equal('{"flags":0,"tag":"issue","value":"letsencrypt.org"}');
+    });
+
+    it('should check field ranges', function () {
+      expect(() => encodeRecord('MX', { preference: 70000, exchange: 'mail.example.eth' }))
+        .to.throw(InvalidRecordError, 'preference must be an integer from 0 to 65535');
+      expect(() => encodeRecord('SRV', '1 5 mail.example.eth')).to.throw(InvalidRecordError, 'expected priority');
+      expect(() => encodeRecord('CAA', { flags: 0, tag: 'is-sue', value: 'x' })).to.throw(InvalidRecordError, 'tag');
+    });
+
+    it('should validate content hashes', function () {
+      const contentHash = encodeEIP1577({ records: {} });
+
+      expect(encodeRecord('CONTENTHASH', contentHash.toUpperCase().replace('0X', '0x'))).to.equal(contentHash);
+      expect(() => encodeRecord('CONTENTHASH', '0x1234')).to.throw(InvalidRecordError);
+    });
+
+    it('should reject unsupported types', function () {
+      expect(() => encodeRecord('HINFO', 'x')).to.throw(InvalidRecordError, 'unsupported record type');
+    });
+  });
+
+  describe('decodeRecord()', function () {
+    it('should decode stored strings into typed values', function () {
+      expect(decodeRecord('MX', '{"preference":10,"exchange":"mail.example.eth"}'))
+        .to.deep.equal({ preference: 10, exchange: 'mail.example.eth' });
+      expect(decodeRecord('SRV', '1 5 5060 sip.example.eth'))
+        .to.deep.equal({ priority: 1, weight: 5, port: 5060, target: 'sip.example.eth' });
+      expect(decodeRecord('CONTENTHASH', encodeEIP1577('doc')).cid).to.match(/^b/);
+    });
+  });
+
+  describe('encodeRecordSets()', function () {
+    it('should encode every non-empty set with the document TTL', function () {
+      const sets = encodeRecordSets({
+        records: { A: ['192.0.2.1', '192.0.2.2'], TXT: 'hello', MX: [] },
+        ttl: 600
+      });
+
+      expect(sets).to.deep.equal({
+        recordTypes: ['A', 'TXT'],
+        values: [['192.0.2.1', '192.0.2.2'], ['hello']],
+        ttls: [600, 600]
+      });
+    });
+
+    it('should apply per-type TTL overrides', function () {
+      const sets = encodeRecordSets({
+        records: { A: ['192.0.2.1'], MX: ['10 mail.example.eth'] },
+        ttl: 600,
+        ttls: { MX: 86400 }
+      });
+
+      expect(sets.ttls).to.deep.equal([600, 86400]);
+      expect(() => encodeRecordSets({ records: { A: ['192.0.2.1'] }, ttls: { A: -1 } }))
+        .to.throw('invalid A ttl -1');
+    });
+
+    it('should report every malformed record', function () {
+      try {
+        encodeRecordSets({ records: { A: ['192.0.2.1', '999.0.0.1'], AAAA: ['nope'] } });
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error).to.be.instanceOf(InvalidDocumentError);
+        expect(error.problems).to.have.length(2);
+        expect(error.message).to.include('"999.0.0.1"');
+      }
+    });
+
+    it('should store values of types without a codec as given', function () {
+      const sets = encodeRecordSets({
+        records: { A: ['192.0.2.1'], PTR: ['host.example.eth'], SSHFP: ['1 1 abcdef'] },
+        ttl: 600
+      });
+
+      expect(sets.recordTypes).to.deep.equal(['A', 'PTR', 'SSHFP']);
+      expect(sets.values).to.deep.equal([['192.0.2.1'], ['host.example.eth'], ['1 1 abcdef']]);
+      expect(() => encodeRecordSets({ records: { SSHFP: [{ algorithm: 1 }] } }))
+        .to.throw(InvalidDocumentError, 'Invalid SSHFP record');
+    });
+  });
+});
@@ -0,0 +1,375 @@
+// record-types.js - Record type validation, canonical L2 encoding and decoding
+const net = require('net');
+const { decodeContentHash } = require('./content-hash');
+const { normalizeName } = require('./normalize');
+const { expandIPv6 } = require('./reverse');
+const { STATUS, DDNSError } = require('./errors');
+
+// Dotted-quad IPv4 without leading zeros
+const IPV4_PATTERN = /^(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)(\.(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)){3}$/;
+
+// CAA property tags (RFC 8659 4.1)
+const CAA_TAG_PATTERN = /^[a-z0-9]{1,15}$/;
+
+/**
+ * Error thrown for record values that do not match their type
+ */
+class InvalidRecordError extends DDNSError {
+  /**
+   * Constructor
+   * @param {string} recordType Record type
+   * @param {*} value Value as given
+   * @param {string} reason Why the value was rejected
+   */
+  constructor(recordType, value, reason) {
+    super(`Invalid ${recordType} record ${JSON.stringify(value)}: ${reason}`, STATUS.SERVFAIL);
+    this.name = 'InvalidRecordError';
+    this.recordType = recordType;
+    this.value = value;
+  }
+}
+
+/**
+ * Error thrown for records documents with malformed records
+ */
+class InvalidDocumentError extends DDNSError {
+  /**
+   * Constructor
+   * @param {string[]} problems Every problem found in the document
+   */
+  constructor(problems) {
+    super(`Invalid records document: ${problems.join('; ')}`, STATUS.SERVFAIL);
+    this.name = 'InvalidDocumentError';
+    this.problems = problems;
+  }
+}
+
+/**
+ * Record type codecs
+ * parse() accepts a stored string (canonical or presentation form) or a structured value from a
+ * records document and returns the typed value; format() returns the canonical string stored on L2.
+ * Structured types are stored as JSON with a fixed key order.
+ */
+const RECORD_TYPES = {
+  A: {
+    parse: value => {
+      const address = requireString(value).trim();
+      if (!IPV4_PATTERN.test(address)) {
+        throw new Error('not an IPv4 address');
+      }
+      return address;
+    },
+    format: address => address
+  },
+
+  AAAA: {
+    parse: value => {
+      const address = requireString(value).trim();
+      if (!net.isIPv6(address) || address.includes('%')) {
+        throw new Error('not an IPv6 address');
+      }
+      return compressIPv6(expandIPv6(address));
+    },
+    format: address => address
+  },
+
+  CNAME: {
+    parse: value => parseHostname(value),
+    format: name => name
+  },
+
+  NS: {
+    parse: value => parseHostname(value),
+    format: name => name
+  },
+
+  MX: {
+    parse: value => {
+      const fields = parseFields(value, ['preference', 'exchange']);
+      return {
+        preference: parseUint(fields.preference, 0xffff, 'preference'),
+        exchange: parseHostname(fields.exchange)
+      };
+    },
+    format: mx => JSON.stringify({ preference: mx.preference, exchange: mx.exchange })
+  },
+
+  TXT: {
+    parse: value => {
+      const text = requireString(value);
+      if (Buffer.byteLength(text) > 0xffff) {
+        throw new Error('longer than 65535 bytes');
+      }
+      return text;
+    },
+    format: text => text
+  },
+
+  SRV: {
+    parse: value => {
+      const fields = parseFields(value, ['priority', 'weight', 'port', 'target']);
+      return {
+        priority: parseUint(fields.priority, 0xffff, 'priority'),
+        weight: parseUint(fields.weight, 0xffff, 'weight'),
+        port: parseUint(fields.port, 0xffff, 'port'),
+        target: parseHostname(fields.target)
+      };
+    },
+    format: srv => JSON.stringify({ priority: srv.priority, weight: srv.weight, port: srv.port, target: srv.target })
+  },
+
+  CAA: {
+    parse: value => {
+      const fields = parseFields(value, ['flags', 'tag', 'value']);
+      const tag = requireString(fields.tag).toLowerCase();
+      if (!CAA_TAG_PATTERN.test(tag)) {
+        throw new Error('tag must be 1-15 letters or digits');
+      }
+      return {
+        flags: parseUint(fields.flags, 0xff, 'flags'),
+        tag,
+        value: requireString(fields.value).replace(/^"(.*)"$/, '$1')
+      };
+    },
+    format: caa => JSON.stringify({ flags: caa.flags, tag: caa.tag, value: caa.value })
+  },
+
+  CONTENTHASH: {
+    parse: value => {
+      const contentHash = requireString(typeof value === 'object' && value ? value.contentHash : value).trim().toLowerCase();
+      if (!/^0x([0-9a-f]{2})+$/.test(contentHash)) {
+        throw new Error('not a hex string');
+      }
+      return { contentHash, cid: decodeContentHash(contentHash).cid };
+    },
+    format: value => value.contentHash
+  }
+};
+
+/**
+ * Check whether a record type is supported
+ * @param {string} recordType Record type
+ * @returns {boolean} True if the type has a codec
+ */
+function isSupportedType(recordType) {
+  return Object.prototype.hasOwnProperty.call(RECORD_TYPES, recordType);
+}
+
+/**
+ * Validate a record value and return its typed form
+ * @param {string} recordType Record type
+ * @param {*} value Stored string or structured value
+ * @returns {*} Typed value (string for address and name types, object for MX, SRV, CAA and CONTENTHASH)
+ * @throws {InvalidRecordError} If the type is unsupported or the value is malformed
+ */
+function decodeRecord(recordType, value) {
+  if (!isSupportedType(recordType)) {
+    throw new InvalidRecordError(recordType, value, 'unsupported record type');
+  }
+
+  try {
+    return RECORD_TYPES[recordType].parse(value);
+  } catch (error) {
+    throw new InvalidRecordError(recordType, value, error.message);
+  }
+}
+
+/**
+ * Validate a record value and encode it in its canonical L2 form
+ * @param {string} recordType Record type
+ * @param {*} value Stored string or structured value
+ * @returns {string} Canonical string
+ * @throws {InvalidRecordError} If the type is unsupported or the value is malformed
+ */
+function encodeRecord(recordType, value) {
+  const typed = decodeRecord(recordType, value);
+  return RECORD_TYPES[recordType].format(typed);
+}
+
+/**
+ * Get the TTL of one record set of a records document
+ * Documents carry a default `ttl` and may override it per record type in `ttls`
+ * @param {Object} document Records document ({ records, ttl, ttls })
+ * @param {string} recordType Record type
+ * @returns {number} TTL in seconds
+ */
+function recordSetTTL(document, recordType) {
+  if (document.ttls && document.ttls[recordType] !== undefined) {
+    return document.ttls[recordType];
+  }
+
+  return document.ttl || 3600; // Default 1 hour
+}
+
+/**
+ * Validate a records document and encode it as L2 record sets
+ * Values of types without a codec (PTR, SSHFP, ...) must be strings and are stored as given,
+ * the same way the client returns them
+ * @param {Object} document Records document ({ records: { A: [...], ... }, ttl, ttls })
+ * @returns {Object} { recordTypes, values, ttls } with one canonical set per non-empty type
+ * @throws {InvalidDocumentError} With every problem in the document, if there is any
+ */
+function encodeRecordSets(document) {
+  const recordTypes = [];
+  const values = [];
+  const ttls = [];
+  const problems = [];
+
+  for (const [type, recordValues] of Object.entries(document.records || {})) {
+    const recordSet = [];
+    const ttl = recordSetTTL(document, type);
+
+    if (!Number.isInteger(ttl) || ttl < 0 || ttl > 0x7fffffff) {
+      problems.push(`invalid ${type} ttl ${JSON.stringify(ttl)}`);
+    }
+
+    (Array.isArray(recordValues) ? recordValues : [recordValues]).forEach(value => {
+      try {
+        recordSet.push(isSupportedType(type) ? encodeRecord(type, value) : encodeOpaqueRecord(type, value));
+      } catch (error) {
+        problems.push(error.message);
+      }
+    });
+
+    if (recordSet.length > 0) {
+      recordTypes.push(type);
+      values.push(recordSet);
+      ttls.push(ttl);
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new InvalidDocumentError(problems);
+  }
+
+  return { recordTypes, values, ttls };
+}
+
+/**
+ * Encode a value of a type without a codec, which is stored as given
+ * @param {string} recordType Record type
+ * @param {*} value Value
+ * @returns {string} The value
+ * @throws {InvalidRecordError} If the value is not a string
+ * @private
+ */
+function encodeOpaqueRecord(recordType, value) {
+  if (typeof value !== 'string') {
+    throw new InvalidRecordError(recordType, value, 'expected a string');
+  }
+  return value;
+}
+
+/**
+ * Require a string value
+ * @param {*} value Value
+ * @returns {string} The value
+ * @private
+ */
+function requireString(value) {
+  if (typeof value !== 'string') {
+    throw new Error('expected a string');
+  }
+  return value;
+}
+
+/**
+ * Parse and normalize a host name
+ * @param {*} value Host name (a trailing root dot is dropped)
+ * @returns {string} Normalized name
+ * @private
+ */
+function parseHostname(value) {
+  return normalizeName(requireString(value).trim());
+}
+
+/**
+ * Parse an unsigned integer field
+ * @param {*} value Number or decimal string
+ * @param {number} max Largest allowed value
+ * @param {string} field Field name for errors
+ * @returns {number} The integer
+ * @private
+ */
+function parseUint(value, max, field) {
+  const number = typeof value === 'string' && /^\d+$/.test(value) ? Number(value) : value;
+  if (!Number.isInteger(number) || number < 0 || number > max) {
+    throw new Error(`${field} must be an integer from 0 to ${max}`);
+  }
+  return number;
+}
+
+/**
+ * Get the fields of a structured record from an object, a JSON string or the presentation form
+ * @param {*} value Object, JSON string or space-separated fields (e.g. "10 mail.example.eth")
+ * @param {string[]} names Field names in presentation order; the last one takes the rest of the line
+ * @returns {Object} Fields by name
+ * @private
+ */
+function parseFields(value, names) {
+  if (value && typeof value === 'object') {
+    return value;
+  }
+
+  const text = requireString(value).trim();
+
+  if (text.startsWith('{')) {
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      throw new Error('malformed JSON');
+    }
+  }
+
+  const parts = text.split(/\s+/);
+  if (parts.length < names.length) {
+    throw new Error(`expected ${names.join(', ')}`);
+  }
+
+  const fields = {};
+  names.forEach((name, i) => {
+    fields[name] = i < names.length - 1 ? parts[i] : parts.slice(i).join(' ');
+  });
+  return fields;
+}
+
+/**
+ * Compress eight IPv6 groups to the RFC 5952 text form (lowercase, longest zero run as "::")
+ * @param {string[]} groups Eight 4-digit groups
+ * @returns {string} Compressed address
+ * @private
+ */
+function compressIPv6(groups) {
+  const short = groups.map(group => parseInt(group, 16).toString(16));
+
+  let bestStart = -1;
+  let bestLength = 1; // A single zero group is not compressed
+  for (let i = 0; i < 8; i++) {
+    let length = 0;
+    while (i + length < 8 && short[i + length] === '0') {
+      length++;
+    }
+    if (length > bestLength) {
+      bestStart = i;
+      bestLength = length;
+    }
+    i += length;
+  }
+
+  if (bestStart < 0) {
+    return short.join(':');
+  }
+
+  return `${short.slice(0, bestStart).join(':')}::${short.slice(bestStart + bestLength).join(':')}`;
+}
+
+module.exports = {
+  RECORD_TYPES,
+  InvalidRecordError,
+  InvalidDocumentError,
+  isSupportedType,
+  decodeRecord,
+  encodeRecord,
+  encodeRecordSets,
+  recordSetTTL
+};
@@ -0,0 +1,116 @@
+// reverse-tests.js - Unit tests for reverse resolution
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { ethers } = require('ethers');
+const DDNSClient = require('../DDNSClient');
+const { toReverseName, sameIp } = require('./reverse');
+const { namehash } = require('./namehash');
+
+describe('DDNS Reverse Resolution', function () {
+  describe('toReverseName()', function () {
+    it('should map addresses under addr.reverse', function () {
+      expect(toReverseName('0xabcdef0123456789abcdef0123456789abcdef01'))
+        .to.equal('abcdef0123456789abcdef0123456789abcdef01.addr.reverse');
+    });
+
+    it('should map IPv4 addresses under in-addr.arpa', function () {
+      expect(toReverseName('192.0.2.10')).to.equal('10.2.0.192.in-addr.arpa');
+    });
+
+    it('should map IPv6 addresses to nibbles under ip6.arpa', function () {
+      expect(toReverseName('2001:db8::1')).to.equal(
+        '1.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.8.b.d.0.1.0.0.2.ip6.arpa'
+      );
+      expect(toReverseName('::ffff:192.0.2.1')).to.equal(
+        '1.0.2.0.0.0.0.c.f.f.f.f.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.ip6.arpa'
+      );
+    });
+
+    it('should reject other targets', function () {
+      expect(() => toReverseName('example.eth')).to.throw('Invalid reverse lookup target "example.eth"');
+    });
+
+    it('should compare IPs regardless of notation', function () {
+      expect(sameIp('2001:db8::1', '2001:0DB8:0:0:0:0:0:1')).to.be.true;
+      expect(sameIp('192.0.2.1', '192.0.2.10')).to.be.false;
+    });
+  });
+
+  describe('DDNSClient.reverseResolve()', function () {
+    const address = '0x1234567890123456789012345678901234567890';
+    const future = Math.floor(Date.now() / 1000) + 3600;
+    let client;
+
+    beforeEach(function () {
+      client = new DDNSClient({
+        l1RpcUrl: 'http://fake-l1-url',
+        l2RpcUrl: 'http://fake-l2-url',
+        l1RegistryAddress: '0x1234567890123456789012345678901234567890',
+        l2ResolverAddress: '0x0987654321098765432109876543210987654321',
+        wildcards: false
+      });
+      client.l1Registry = {
+        getDomain: sinon.stub().resolves([address, ethers.constants.HashZero, 0, future]),
+        reverseRecords: sinon.stub().resolves([ethers.constants.AddressZero, ethers.constants.HashZero, ''])
+      };
+      client.l2Resolver = {
+        reverseNames: sinon.stub().resolves(''),
+        getRecordSet: sinon.stub().resolves([['192.0.2.10'], 600, 0, '0x' + '12'.repeat(32)]),
+        getDomainInfo: sinon.stub().resolves([ethers.constants.AddressZero, 0])
+      };
+      sinon.stub(console, 'error');
+      sinon.stub(console, 'warn');
+    });
+
+    afterEach(function () {
+      sinon.restore();
+    });
+
+    it('should return an address name its owner controls', async function () {
+      client.l2Resolver.reverseNames.withArgs(namehash(toReverseName(address))).resolves('Test.eth');
+
+      const result = await client.reverseResolve(address);
+
+      expect(result).to.include({ name: 'test.eth', claimedName: 'Test.eth', verified: true, source: 'l2' });
+      expect(client.l1Registry.getDomain.firstCall.args[0]).to.equal(namehash('test.eth'));
+    });
+
+    it('should not trust names claimed for an address that does not own them', async function () {
+      client.l2Resolver.reverseNames.resolves('test.eth');
+      client.l1Registry.getDomain.resolves([ethers.constants.AddressZero, ethers.constants.HashZero, 0, 0]);
+
+      const result = await client.reverseResolve(address);
+
+      expect(result).to.include({ name: null, claimedName: 'test.eth', verified: false });
+      expect(client.stats.reverseUnverified).to.equal(1);
+    });
+
+    it('should forward-check IP claims against address records', async function () {
+      client.l2Resolver.reverseNames.resolves('test.eth');
+
+      const matching = await client.reverseResolve('192.0.2.10');
+      const spoofed = await client.reverseResolve('192.0.2.99');
+
+      expect(matching).to.include({ name: 'test.eth', verified: true, ttl: 600 });
+      expect(spoofed).to.include({ name: null, claimedName: 'test.eth', verified: false });
+    });
+
+    it('should fall back to L1 claims that are not synced yet', async function () {
+      client.l1Registry.reverseRecords.resolves([address, namehash('test.eth'), 'test.eth']);
+
+      const result = await client.reverseResolve(address);
+
+      expect(result).to.include({ name: 'test.eth', source: 'l1' });
+    });
+
+    it('should cache verified results', async function () {
+      client.l2Resolver.reverseNames.resolves('test.eth');
+
+      await client.reverseResolve(address);
+      const result = await client.reverseResolve(address);
+
+      expect(result).to.include({ name: 'test.eth', source: 'cache' });
+      expect(client.l2Resolver.reverseNames.calledOnce).to.be.true;
+    });
+  });
+});
@@ -0,0 +1,99 @@
+// reverse.js - Reverse names for addresses and IPs (addr.reverse, in-addr.arpa, ip6.arpa)
+const net = require('net');
+const ethers = require('ethers');
+
+// Parent names of the reverse namespaces
+const ADDR_REVERSE = 'addr.reverse';
+const IPV4_REVERSE = 'in-addr.arpa';
+const IPV6_REVERSE = 'ip6.arpa';
+
+/**
+ * Expand an IPv6 address to eight zero-padded groups (e.g. 2001:0db8:0000:...)
+ * @param {string} ip IPv6 address, optionally with an embedded IPv4 tail
+ * @returns {string[]} Eight lowercase 4-digit groups
+ */
+function expandIPv6(ip) {
+  let address = ip.split('%')[0].toLowerCase();
+
+  // ::ffff:192.0.2.1 carries its last 32 bits in dotted form
+  const tail = address.match(/(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+  if (tail) {
+    const [a, b, c, d] = tail.slice(1).map(Number);
+    address = address.slice(0, tail.index) + ((a << 8) | b).toString(16) + ':' + ((c << 8) | d).toString(16);
+  }
+
+  const [head, rest] = address.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const restGroups = rest ? rest.split(':') : [];
+  const zeros = rest !== undefined ? Array(8 - headGroups.length - restGroups.length).fill('0') : [];
+
+  return [...headGroups, ...zeros, ...restGroups].map(group => group.padStart(4, '0'));
+}
+
+/**
+ * Classify a reverse lookup target
+ * @param {string} target Ethereum address, IPv4 or IPv6 address
+ * @returns {Object} { kind: 'address'|'ipv4'|'ipv6', value, reverseName }
+ * @throws {Error} If the target is none of these
+ */
+function parseReverseTarget(target) {
+  const value = String(target || '').trim();
+
+  if (ethers.utils.isAddress(value)) {
+    const address = ethers.utils.getAddress(value);
+    return { kind: 'address', value: address, reverseName: `${address.slice(2).toLowerCase()}.${ADDR_REVERSE}` };
+  }
+
+  if (net.isIPv4(value)) {
+    const octets = value.split('.').map(Number);
+    return { kind: 'ipv4', value: octets.join('.'), reverseName: `${octets.reverse().join('.')}.${IPV4_REVERSE}` };
+  }
+
+  if (net.isIPv6(value)) {
+    const groups = expandIPv6(value);
+    const nibbles = groups.join('').split('').reverse();
+    return { kind: 'ipv6', value: groups.join(':'), reverseName: `${nibbles.join('.')}.${IPV6_REVERSE}` };
+  }
+
+  throw new Error(`Invalid reverse lookup target "${target}": expected an address or IP`);
+}
+
+/**
+ * Get the reverse name of an address or IP
+ * @param {string} target Ethereum address, IPv4 or IPv6 address
+ * @returns {string} Reverse name (e.g. 4.3.2.1.in-addr.arpa)
+ */
+function toReverseName(target) {
+  return parseReverseTarget(target).reverseName;
+}
+
+/**
+ * Check whether two IP addresses of the same family are equal, ignoring notation
+ * @param {string} a IP address
+ * @param {string} b IP address
+ * @returns {boolean} True if both denote the same address
+ */
+function sameIp(a, b) {
+  const x = String(a || '').trim();
+  const y = String(b || '').trim();
+
+  if (net.isIPv4(x) && net.isIPv4(y)) {
+    return x.split('.').map(Number).join('.') === y.split('.').map(Number).join('.');
+  }
+
+  if (net.isIPv6(x) && net.isIPv6(y)) {
+    return expandIPv6(x).join(':') === expandIPv6(y).join(':');
+  }
+
+  return false;
+}
+
+module.exports = {
+  ADDR_REVERSE,
+  IPV4_REVERSE,
+  IPV6_REVERSE,
+  expandIPv6,
+  parseReverseTarget,
+  toReverseName,
+  sameIp
+};
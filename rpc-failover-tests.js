@@ -0,0 +1,180 @@
+// rpc-failover-tests.js - Unit tests for multi-endpoint RPC failover
+const { expect } = require('chai');
+const sinon = require('sinon');
+const http = require('http');
+const DDNSClient = require('../DDNSClient');
+const { FailoverProvider } = require('./rpc-failover');
+
+describe('DDNS RPC Failover', function () {
+  const servers = [];
+
+  // A static network keeps chain id detection out of the request counts
+  const network = { name: 'test', chainId: 1337 };
+
+  /**
+   * Start a local JSON-RPC endpoint
+   * @param {Object} behavior Mutable behavior: status (HTTP), blockNumber, rpcError
+   * @returns {Promise<Object>} Endpoint URL, behavior and received requests
+   */
+  async function startEndpoint(behavior) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        const request = JSON.parse(body);
+        requests.push(request.method);
+
+        if (behavior.status) {
+          res.writeHead(behavior.status);
+          return res.end('unavailable');
+        }
+
+        const response = behavior.rpcError ?
+          { jsonrpc: '2.0', id: request.id, error: behavior.rpcError } :
+          { jsonrpc: '2.0', id: request.id, result: `0x${behavior.blockNumber.toString(16)}` };
+
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(response));
+      });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    servers.push(server);
+    return { url: `http://127.0.0.1:${server.address().port}/`, behavior, requests };
+  }
+
+  beforeEach(function () {
+    sinon.stub(console, 'log');
+    sinon.stub(console, 'warn');
+  });
+
+  afterEach(function () {
+    servers.forEach(server => server.close());
+    servers.length = 0;
+    sinon.restore();
+  });
+
+  it('should fail over to the next endpoint when one is down', async function () {
+    const primary = await startEndpoint({ status: 503 });
+    const secondary = await startEndpoint({ blockNumber: 100 });
+    const provider = new FailoverProvider([primary.url, secondary.url], { healthCheckInterval: 0, network });
+
+    const result = await provider.send('eth_blockNumber', []);
+
+    expect(result).to.equal('0x64');
+    const [primaryStats, secondaryStats] = provider.getEndpointStats();
+    expect(primaryStats.errors).to.equal(1);
+    expect(secondaryStats.failovers).to.equal(1);
+  });
+
+  it('should pass JSON-RPC errors through without failing over', async function () {
+    const primary = await startEndpoint({ rpcError: { code: 3, message: 'execution reverted' } });
+    const secondary = await startEndpoint({ blockNumber: 100 });
+    const provider = new FailoverProvider([primary.url, secondary.url], { healthCheckInterval: 0, network });
+
+    try {
+      await provider.send('eth_call', [{}, 'latest']);
+      expect.fail('Should have thrown an error');
+    } catch (error) {
+      expect(error.error.code).to.equal(3);
+      expect(secondary.requests).to.have.length(0);
+      expect(provider.getEndpointStats()[0].state).to.equal('closed');
+    }
+  });
+
+  it('should open the circuit after repeated failures and close it after a successful trial', async function () {
+    const primary = await startEndpoint({ status: 502 });
+    const secondary = await startEndpoint({ blockNumber: 100 });
+    const provider = new FailoverProvider([primary.url, secondary.url], {
+      healthCheckInterval: 0,
+      network,
+      failureThreshold: 2,
+      resetTimeout: 50
+    });
+
+    await provider.send('eth_blockNumber', []);
+    await provider.send('eth_blockNumber', []);
+    expect(provider.getEndpointStats()[0].state).to.equal('open');
+
+    // Open circuits are skipped entirely
+    await provider.send('eth_blockNumber', []);
+    expect(primary.requests).to.have.length(2);
+
+    // After the reset timeout a single trial request goes through
+    primary.behavior.status = 0;
+    primary.behavior.blockNumber = 100;
+    await new Promise(resolve => setTimeout(resolve, 60));
+    await provider.send('eth_blockNumber', []);
+
+    const [primaryStats] = provider.getEndpointStats();
+    expect(primary.requests).to.have.length(3);
+    expect(primaryStats.state).to.equal('closed');
+    expect(primaryStats.circuitOpens).to.equal(1);
+
+    // Failed requests do not dilute the average latency of the answered one
+    expect(primaryStats).to.include({ requests: 3, errors: 2 });
+    expect(primaryStats.avgLatency).to.equal(primaryStats.lastLatency);
+  });
+
+  it('should fail when every circuit is open', async function () {
+    const only = await startEndpoint({ status: 503 });
+    const provider = new FailoverProvider([only.url], { healthCheckInterval: 0, network, failureThreshold: 1 });
+
+    await provider.send('eth_blockNumber', []).catch(() => null);
+
+    try {
+      await provider.send('eth_blockNumber', []);
+      expect.fail('Should have thrown an error');
+    } catch (error) {
+      expect(error.message).to.include('All RPC endpoints are unavailable');
+      expect(only.requests).to.have.length(1);
+    }
+  });
+
+  it('should keep endpoint URLs out of stats, logs and errors', async function () {
+    const only = await startEndpoint({ status: 503 });
+    const url = `${only.url}v3/secret-api-key`;
+    const provider = new FailoverProvider([url], { healthCheckInterval: 0, network, failureThreshold: 1 });
+
+    const error = await provider.send('eth_blockNumber', []).catch(failure => failure);
+    const [stats] = provider.getEndpointStats();
+
+    expect(stats).to.include({ index: 0, host: only.url.split('/')[2] });
+    expect(JSON.stringify(stats)).to.not.include('secret-api-key');
+    expect(error.message).to.not.include('secret-api-key');
+    expect(console.warn.firstCall.args.join(' ')).to.include('RPC endpoint #0').and.not.include('secret-api-key');
+  });
+
+  it('should deprioritize endpoints lagging behind the chain head', async function () {
+    const stale = await startEndpoint({ blockNumber: 90 });
+    const current = await startEndpoint({ blockNumber: 100 });
+    const provider = new FailoverProvider([stale.url, current.url], { healthCheckInterval: 0, network, maxBlockLag: 5 });
+
+    const stats = await provider.checkHealth();
+    expect(stats[0].lagging).to.be.true;
+    expect(stats[0].blockNumber).to.equal(90);
+    expect(stats[1].lastLatency).to.be.a('number');
+
+    await provider.send('eth_blockNumber', []);
+    expect(stale.requests).to.deep.equal(['eth_blockNumber']);
+    expect(current.requests).to.deep.equal(['eth_blockNumber', 'eth_blockNumber']);
+  });
+
+  it('should report per-endpoint stats from the client', async function () {
+    const client = new DDNSClient({
+      l1RpcUrls: ['http://l1-a.example', 'http://l1-b.example'],
+      l2RpcUrl: 'http://l2.example',
+      l1RegistryAddress: '0x1234567890123456789012345678901234567890',
+      l2ResolverAddress: '0x0987654321098765432109876543210987654321',
+      rpcFailover: { healthCheckInterval: 0 }
+    });
+
+    const { rpc } = client.getStats();
+
+    expect(rpc.l1.map(endpoint => endpoint.host)).to.deep.equal(['l1-a.example', 'l1-b.example']);
+    expect(rpc.l1[0]).to.include({ index: 0 }).and.not.have.property('url');
+    expect(rpc.l2).to.have.length(1);
+    expect(rpc.l2[0].state).to.equal('closed');
+  });
+});
@@ -0,0 +1,347 @@
+// rpc-failover.js - JSON-RPC provider that fails over between several endpoints
+const ethers = require('ethers');
+
+// Circuit breaker states
+const CLOSED = 'closed';
+const OPEN = 'open';
+const HALF_OPEN = 'half-open';
+
+// JSON-RPC "limit exceeded" error used by most vendors for rate limiting
+const RPC_LIMIT_EXCEEDED = -32005;
+
+/**
+ * Failover JSON-RPC provider
+ * Sends each request to the first available endpoint in priority order, skipping endpoints
+ * whose circuit breaker is open or whose block height lags behind the others
+ */
+class FailoverProvider extends ethers.providers.JsonRpcProvider {
+  /**
+   * Constructor
+   * @param {string|string[]} urls Endpoint URLs in priority order
+   * @param {Object} [config] Configuration object
+   * @param {number} [config.requestTimeout] Per-request timeout in milliseconds
+   * @param {number} [config.failureThreshold] Consecutive failures that open a circuit
+   * @param {number} [config.resetTimeout] Time an open circuit waits before a trial request in milliseconds
+   * @param {number} [config.healthCheckInterval] Interval between health probes in milliseconds (0 disables)
+   * @param {number} [config.maxBlockLag] Blocks an endpoint may trail the highest one before it is deprioritized
+   */
+  constructor(urls, config = {}) {
+    const endpointUrls = (Array.isArray(urls) ? urls : [urls]).filter(Boolean);
+    if (endpointUrls.length === 0) {
+      throw new Error('At least one RPC endpoint is required');
+    }
+
+    super(endpointUrls[0], config.network);
+
+    this.requestTimeout = config.requestTimeout || 10000; // Default 10 seconds
+    this.failureThreshold = config.failureThreshold || 3;
+    this.resetTimeout = config.resetTimeout || 30000; // Default 30 seconds
+    this.maxBlockLag = config.maxBlockLag !== undefined ? config.maxBlockLag : 5;
+
+    // Endpoint providers only forward raw requests; a fixed network stops each of them
+    // from probing eth_chainId on construction (this provider still detects the real one)
+    const endpointNetwork = config.network || { name: 'unspecified', chainId: 0 };
+
+    // Endpoint URLs usually carry API keys, so stats, metrics and logs only name the index and host
+    this.endpoints = endpointUrls.map((url, index) => ({
+      url,
+      index,
+      host: endpointHost(url),
+      provider: new ethers.providers.JsonRpcProvider({ url, timeout: this.requestTimeout }, endpointNetwork),
+      state: CLOSED,
+      consecutiveFailures: 0,
+      openedAt: 0,
+      trialInFlight: false,
+      lagging: false,
+      stats: {
+        requests: 0,
+        errors: 0,
+        failovers: 0,
+        circuitOpens: 0,
+        latencySum: 0,
+        lastLatency: null,
+        blockNumber: null,
+        lastError: null
+      }
+    }));
+
+    // Health probes only matter when there is something to fail over to
+    const healthCheckInterval = config.healthCheckInterval !== undefined ? config.healthCheckInterval : 15000;
+    this.healthTimer = null;
+
+    if (healthCheckInterval > 0 && this.endpoints.length > 1) {
+      this.healthTimer = setInterval(() => {
+        this.checkHealth().catch(error => console.error('RPC health check failed:', error));
+      }, healthCheckInterval);
+
+      // Do not keep the process alive just to probe endpoints
+      if (this.healthTimer.unref) {
+        this.healthTimer.unref();
+      }
+    }
+  }
+
+  /**
+   * Send a JSON-RPC request, failing over to the next endpoint on transport errors
+   * Errors returned by the node itself (such as reverts) are passed through unchanged
+   * @param {string} method JSON-RPC method
+   * @param {Array} params JSON-RPC parameters
+   * @returns {Promise<*>} Result
+   */
+  async send(method, params) {
+    let lastError = null;
+    let attempts = 0;
+
+    for (const endpoint of this._candidates()) {
+      if (!this._acquire(endpoint)) {
+        continue;
+      }
+
+      if (attempts++ > 0) {
+        endpoint.stats.failovers++;
+      }
+
+      const startTime = Date.now();
+      endpoint.stats.requests++;
+
+      try {
+        const result = await endpoint.provider.send(method, params);
+        this._recordSuccess(endpoint, Date.now() - startTime);
+        return result;
+      } catch (error) {
+        if (!isEndpointFailure(error)) {
+          // The endpoint answered; the request itself failed
+          this._recordSuccess(endpoint, Date.now() - startTime);
+          throw error;
+        }
+
+        this._recordFailure(endpoint, error);
+        lastError = error;
+      }
+    }
+
+    throw lastError || new Error(`All RPC endpoints are unavailable: ${this.endpoints.map(describeEndpoint).join(', ')}`);
+  }
+
+  /**
+   * Probe every endpoint for block height and latency
+   * @returns {Promise<Object[]>} Per-endpoint stats after the probe
+   */
+  async checkHealth() {
+    await Promise.all(this.endpoints.map(async endpoint => {
+      // Open circuits are only probed once their reset timeout has passed
+      if (!this._acquire(endpoint)) {
+        return;
+      }
+
+      const startTime = Date.now();
+      endpoint.stats.requests++;
+
+      try {
+        const blockNumber = await endpoint.provider.send('eth_blockNumber', []);
+        endpoint.stats.blockNumber = ethers.BigNumber.from(blockNumber).toNumber();
+        this._recordSuccess(endpoint, Date.now() - startTime);
+      } catch (error) {
+        this._recordFailure(endpoint, error);
+      }
+    }));
+
+    // Endpoints far behind the chain head would serve outdated records
+    const heights = this.endpoints.map(e => e.stats.blockNumber).filter(height => height !== null);
+    const highest = Math.max(...heights);
+
+    for (const endpoint of this.endpoints) {
+      endpoint.lagging = endpoint.stats.blockNumber !== null && highest - endpoint.stats.blockNumber > this.maxBlockLag;
+    }
+
+    return this.getEndpointStats();
+  }
+
+  /**
+   * Get per-endpoint statistics
+   * @returns {Object[]} Endpoint stats
+   */
+  getEndpointStats() {
+    return this.endpoints.map(endpoint => {
+      // Latency is only recorded for answered requests
+      const answered = endpoint.stats.requests - endpoint.stats.errors;
+
+      return {
+        index: endpoint.index,
+        host: endpoint.host,
+        state: endpoint.state,
+        lagging: endpoint.lagging,
+        ...endpoint.stats,
+        avgLatency: answered > 0 ? endpoint.stats.latencySum / answered : 0
+      };
+    });
+  }
+
+  /**
+   * Stop health probes and release the provider
+   */
+  destroy() {
+    if (this.healthTimer) {
+      clearInterval(this.healthTimer);
+      this.healthTimer = null;
+    }
+
+    if (super.destroy) {
+      super.destroy();
+    }
+  }
+
+  /**
+   * Endpoints in the order they should be tried
+   * In-sync endpoints keep their configured priority; lagging ones go last
+   * @returns {Object[]} Endpoints
+   * @private
+   */
+  _candidates() {
+    return [
+      ...this.endpoints.filter(endpoint => !endpoint.lagging),
+      ...this.endpoints.filter(endpoint => endpoint.lagging)
+    ];
+  }
+
+  /**
+   * Check whether an endpoint may receive a request, moving open circuits to half-open
+   * once their reset timeout has passed (one trial request at a time)
+   * @param {Object} endpoint Endpoint
+   * @returns {boolean} True if the request may be sent
+   * @private
+   */
+  _acquire(endpoint) {
+    if (endpoint.state === OPEN && Date.now() - endpoint.openedAt >= this.resetTimeout) {
+      endpoint.state = HALF_OPEN;
+    }
+
+    if (endpoint.state === OPEN) {
+      return false;
+    }
+
+    if (endpoint.state === HALF_OPEN) {
+      if (endpoint.trialInFlight) {
+        return false;
+      }
+      endpoint.trialInFlight = true;
+    }
+
+    return true;
+  }
+
+  /**
+   * Record a successful request and close the circuit
+   * @param {Object} endpoint Endpoint
+   * @param {number} latency Request latency in milliseconds
+   * @private
+   */
+  _recordSuccess(endpoint, latency) {
+    endpoint.stats.latencySum += latency;
+    endpoint.stats.lastLatency = latency;
+    endpoint.consecutiveFailures = 0;
+    endpoint.trialInFlight = false;
+
+    if (endpoint.state !== CLOSED) {
+      console.log(`RPC endpoint ${describeEndpoint(endpoint)} recovered`);
+      endpoint.state = CLOSED;
+    }
+  }
+
+  /**
+   * Record a failed request and open the circuit when the threshold is reached
+   * @param {Object} endpoint Endpoint
+   * @param {Error} error Failure
+   * @private
+   */
+  _recordFailure(endpoint, error) {
+    // Transport errors quote the request URL; it is replaced before the error goes anywhere
+    error.message = this._redact(error.message);
+
+    endpoint.stats.errors++;
+    endpoint.stats.lastError = error.message;
+    endpoint.consecutiveFailures++;
+    endpoint.trialInFlight = false;
+
+    // A failed trial reopens the circuit immediately
+    if (endpoint.state === HALF_OPEN || endpoint.consecutiveFailures >= this.failureThreshold) {
+      if (endpoint.state !== OPEN) {
+        endpoint.stats.circuitOpens++;
+        console.warn(`RPC endpoint ${describeEndpoint(endpoint)} unavailable, opening circuit: ${error.message}`);
+      }
+      endpoint.state = OPEN;
+      endpoint.openedAt = Date.now();
+    }
+  }
+
+  /**
+   * Replace endpoint URLs in a message with their descriptions
+   * @param {string} message Message
+   * @returns {string} Message without endpoint URLs
+   * @private
+   */
+  _redact(message) {
+    return this.endpoints.reduce((text, endpoint) => text.split(endpoint.url).join(describeEndpoint(endpoint)), String(message));
+  }
+}
+
+/**
+ * Get the host of an endpoint URL, without credentials, path or query
+ * @param {string} url Endpoint URL
+ * @returns {string} Host (with port)
+ */
+function endpointHost(url) {
+  try {
+    return new URL(url).host;
+  } catch (error) {
+    return 'invalid-url';
+  }
+}
+
+/**
+ * Describe an endpoint for logs and errors without its URL
+ * @param {Object} endpoint Endpoint
+ * @returns {string} Description (e.g. #0 mainnet.example.com)
+ */
+function describeEndpoint(endpoint) {
+  return `#${endpoint.index} ${endpoint.host}`;
+}
+
+/**
+ * Check whether an error means the endpoint itself is unavailable
+ * @param {Error} error Error thrown by JsonRpcProvider.send
+ * @returns {boolean} True for transport failures, timeouts, HTTP errors and rate limiting
+ */
+function isEndpointFailure(error) {
+  // Any HTTP error status (outage, rate limit, rejected API key) is specific to the endpoint
+  if (error.status) {
+    return true;
+  }
+
+  // JSON-RPC error responses carry the node's numeric error code
+  if (error.error && typeof error.error.code === 'number') {
+    return error.error.code === RPC_LIMIT_EXCEEDED;
+  }
+
+  return true;
+}
+
+/**
+ * Collect per-endpoint RPC statistics of both layers
+ * @param {Object} l1Provider L1 provider
+ * @param {Object} l2Provider L2 provider
+ * @returns {Object} Endpoint stats per layer
+ */
+function getRpcStats(l1Provider, l2Provider) {
+  const endpointStats = provider => (typeof provider.getEndpointStats === 'function' ? provider.getEndpointStats() : []);
+
+  return {
+    l1: endpointStats(l1Provider),
+    l2: endpointStats(l2Provider)
+  };
+}
+
+module.exports = {
+  FailoverProvider,
+  getRpcStats
+};
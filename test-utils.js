@@ -1,6 +1,8 @@
 // test-utils.js - Testing utilities
 const { ethers } = require('hardhat');
 const IPFS = require('ipfs-http-client');
+const { namehash, labelhash, WILDCARD_LABEL } = require('./namehash');
+const { normalizeName } = require('./normalize');
 
 /**
  * Deploy contracts for testing
@@ -55,12 +57,21 @@ async function createMockIPFSRecords(domain, records) {
 }
 
 /**
- * Helper to calculate domain hash
+ * Helper to calculate domain hash (EIP-137 namehash of the normalized name, as the client computes it)
  * @param {string} domainName Domain name
  * @returns {string} Domain hash
  */
 function calculateDomainHash(domainName) {
-  return ethers.utils.keccak256(ethers.utils.toUtf8Bytes(domainName));
+  return namehash(normalizeName(domainName));
+}
+
+/**
+ * Helper to calculate the hash of a single label (for DDNSRegistry.registerSubdomain)
+ * @param {string} label Label
+ * @returns {string} Label hash
+ */
+function calculateLabelHash(label) {
+  return labelhash(label === WILDCARD_LABEL ? label : normalizeName(label));
 }
 
 /**
@@ -76,5 +87,6 @@ module.exports = {
   deployContracts,
   createMockIPFSRecords,
   calculateDomainHash,
+  calculateLabelHash,
   sleep
 };
\ No newline at end of file
@@ -0,0 +1,152 @@
+// zone-file-tests.js - Unit tests for BIND zone file import and export
+const { expect } = require('chai');
+const { parseZone, formatZone } = require('./zone-file');
+
+describe('Zone files', function () {
+  const zone = [
+    '$ORIGIN example.eth.',
+    '$TTL 1h',
+    '@   IN SOA ns1 hostmaster ( 2024010101 ; serial',
+    '        7200 3600 1209600 300 )',
+    '@         IN A     192.0.2.1',
+    '          IN A     192.0.2.2',
+    '          300 IN AAAA 2001:DB8::1',
+    '          IN MX    10 mail',
+    '          IN TXT   "v=spf1 " "-all"  ; joined strings',
+    '          IN CAA   0 issue "letsencrypt.org"',
+    'www       1d CNAME @',
+    '_sip._tcp 600 IN SRV 1 5 5060 sip.other.eth.',
+    'mail      IN PTR  host',
+    '$ORIGIN sub.example.eth.',
+    'host      IN A     192.0.2.20'
+  ].join('\n');
+
+  describe('parseZone()', function () {
+    it('should build one document per owner name with relative names expanded', function () {
+      const { origin, documents } = parseZone(zone);
+
+      expect(origin).to.equal('example.eth');
+      expect(documents.map(document => document.domain))
+        .to.deep.equal(['example.eth', 'www.example.eth', '_sip._tcp.example.eth', 'mail.example.eth', 'host.sub.example.eth']);
+
+      expect(documents[0].records).to.deep.equal({
+        A: ['192.0.2.1', '192.0.2.2'],
+        AAAA: ['2001:db8::1'],
+        MX: [{ preference: 10, exchange: 'mail.example.eth' }],
+        TXT: ['v=spf1 -all'],
+        CAA: [{ flags: 0, tag: 'issue', value: 'letsencrypt.org' }]
+      });
+      expect(documents[1].records.CNAME).to.deep.equal(['example.eth']);
+      expect(documents[2].records.SRV).to.deep.equal([{ priority: 1, weight: 5, port: 5060, target: 'sip.other.eth' }]);
+    });
+
+    it('should keep per-record TTLs', function () {
+      const { documents } = parseZone(zone);
+
+      expect(documents[0]).to.include({ ttl: 3600 });
+      expect(documents[0].ttls).to.deep.equal({ AAAA: 300 });
+      expect(documents[1]).to.include({ ttl: 86400 }).and.not.have.property('ttls');
+      expect(documents[2]).to.include({ ttl: 600 });
+    });
+
+    it('should skip SOA records with a warning', function () {
+      const { warnings } = parseZone(zone);
+
+      expect(warnings).to.have.length(1);
+      expect(warnings[0]).to.match(/^line 3: SOA record skipped/);
+    });
+
+    it('should keep records of types without a codec as written', function () {
+      const { documents } = parseZone(zone + '\n@ IN SSHFP 1 1 ABCDEF\n@ IN HINFO "Intel x86" Linux\n');
+      const recordsOf = domain => documents.find(document => document.domain === domain).records;
+
+      expect(recordsOf('mail.example.eth')).to.deep.equal({ PTR: ['host'] });
+      expect(recordsOf('sub.example.eth')).to.deep.equal({ SSHFP: ['1 1 ABCDEF'], HINFO: ['"Intel x86" Linux'] });
+    });
+
+    it('should use the given origin and the last explicit TTL without $TTL', function () {
+      const { documents } = parseZone('@ 120 IN A 192.0.2.1\nwww IN A 192.0.2.2\n', { origin: 'test.eth' });
+
+      expect(documents).to.deep.equal([
+        { domain: 'test.eth', records: { A: ['192.0.2.1'] }, ttl: 120 },
+        { domain: 'www.test.eth', records: { A: ['192.0.2.2'] }, ttl: 120 }
+      ]);
+    });
+
+    it('should report every problem with its line', function () {
+      try {
+        parseZone('www IN A 192.0.2.1\n$TTL 60\n@ IN A 999.0.0.1\n@ IN MX 10\n$INCLUDE other.zone\n');
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.name).to.equal('ZoneFileError');
+        expect(error.problems).to.deep.equal([
+          'line 1: relative name www used without an origin',
+          'line 3: @ used without an origin',
+          'line 4: @ used without an origin',
+          'line 5: $INCLUDE is not supported'
+        ]);
+      }
+
+      try {
+        parseZone('@ IN A 999.0.0.1\n@ IN MX 10\n', { origin: 'test.eth', defaultTTL: 60 });
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.problems).to.have.length(2);
+        expect(error.problems[0]).to.match(/^line 1: Invalid A record "999.0.0.1"/);
+        expect(error.problems[1]).to.equal('line 2: MX record needs 2 rdata fields, got 1');
+      }
+    });
+  });
+
+  describe('formatZone()', function () {
+    it('should write names relative to the origin with every TTL', function () {
+      const text = formatZone([
+        {
+          domain: 'example.eth',
+          records: { A: ['192.0.2.1'], MX: ['10 mail.example.eth'], TXT: ['say "hi"'] },
+          ttl: 3600,
+          ttls: { MX: 86400 }
+        },
+        { domain: 'www.example.eth', records: { CNAME: 'other.eth' }, ttl: 300 }
+      ]);
+
+      expect(text).to.equal([
+        '$ORIGIN example.eth.',
+        '$TTL 3600',
+        '@\t3600\tIN\tA\t192.0.2.1',
+        '@\t86400\tIN\tMX\t10 mail',
+        '@\t3600\tIN\tTXT\t"say \\"hi\\""',
+        'www\t300\tIN\tCNAME\tother.eth.',
+        ''
+      ].join('\n'));
+    });
+
+    it('should split long TXT records into character-strings', function () {
+      const text = formatZone({ domain: 'example.eth', records: { TXT: ['k'.repeat(300)] }, ttl: 60 });
+
+      expect(text).to.include(`"${'k'.repeat(255)}" "${'k'.repeat(45)}"`);
+    });
+
+    it('should write records of types without a codec as stored', function () {
+      const text = formatZone({ domain: 'example.eth', records: { SSHFP: ['1 1 abcdef'] }, ttl: 60 });
+
+      expect(text).to.include('@\t60\tIN\tSSHFP\t1 1 abcdef');
+    });
+
+    it('should read its own output back into the same documents', function () {
+      const { documents } = parseZone(zone);
+
+      expect(parseZone(formatZone(documents)).documents).to.deep.equal(documents);
+    });
+
+    it('should round-trip records of types without a codec', function () {
+      const documents = [{
+        domain: 'example.eth',
+        records: { A: ['192.0.2.1'], PTR: ['host.example.eth.'], SSHFP: ['1 1 abcdef', '2 1 123456'] },
+        ttl: 600
+      }];
+
+      expect(parseZone(formatZone(documents)).documents).to.deep.equal(documents);
+    });
+  });
+});
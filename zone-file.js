@@ -0,0 +1,604 @@
+// zone-file.js - Conversion between BIND master files and records documents
+const { normalizeName } = require('./normalize');
+const { isSupportedType, decodeRecord, encodeRecord, recordSetTTL } = require('./record-types');
+
+// Classes allowed in the class field; only IN records are imported
+const CLASSES = ['IN', 'CH', 'HS', 'CS'];
+
+// BIND TTL unit multipliers (e.g. 1h30m)
+const TTL_UNITS = { w: 604800, d: 86400, h: 3600, m: 60, s: 1 };
+
+// Longest character-string in TXT rdata (RFC 1035 3.3)
+const MAX_CHARACTER_STRING = 255;
+
+/**
+ * Error thrown for zone files that cannot be converted
+ */
+class ZoneFileError extends Error {
+  /**
+   * Constructor
+   * @param {string[]} problems Every problem found in the zone file, prefixed with its line
+   */
+  constructor(problems) {
+    super(`Invalid zone file: ${problems.join('; ')}`);
+    this.name = 'ZoneFileError';
+    this.problems = problems;
+  }
+}
+
+/**
+ * Parse a BIND master file into records documents
+ * Each owner name becomes one document. Record sets keep their TTLs: the most common one is the
+ * document `ttl` and the others go to `ttls`. SOA records are skipped (DNS servers synthesize
+ * them) and reported in `warnings`. Records of types without a codec (PTR, SSHFP, ...) keep their
+ * rdata as written, names included, the way records documents store them.
+ * @param {string} text Zone file text
+ * @param {Object} [options] Options
+ * @param {string} [options.origin] Origin until the first $ORIGIN directive (e.g. example.eth)
+ * @param {number} [options.defaultTTL] TTL of records before any $TTL directive or explicit TTL
+ * @returns {Object} { origin, documents, warnings }
+ * @throws {ZoneFileError} With every problem in the file, if there is any
+ */
+function parseZone(text, options = {}) {
+  const problems = [];
+  const warnings = [];
+  const owners = new Map();
+
+  let origin = null;
+  let defaultTTL = options.defaultTTL !== undefined ? options.defaultTTL : null;
+  let lastTTL = null;
+  let lastOwner = null;
+
+  try {
+    origin = options.origin ? normalizeName(options.origin) : null;
+  } catch (error) {
+    throw new ZoneFileError([error.message]);
+  }
+
+  // Reported origin: the given one, else the first $ORIGIN of the file
+  let zoneOrigin = origin;
+
+  for (const entry of tokenize(String(text), problems)) {
+    const at = `line ${entry.line}`;
+
+    try {
+      const [first] = entry.tokens;
+
+      // Directives
+      if (!first.quoted && first.text.startsWith('$')) {
+        const directive = first.text.toUpperCase();
+
+        if (directive === '$ORIGIN') {
+          origin = absoluteName(requireToken(entry.tokens, 1, 'origin name'), origin);
+          zoneOrigin = zoneOrigin || origin;
+        } else if (directive === '$TTL') {
+          defaultTTL = parseTTL(requireToken(entry.tokens, 1, 'TTL'));
+        } else {
+          throw new Error(`${first.text} is not supported`);
+        }
+        continue;
+      }
+
+      let index = 0;
+      let owner = lastOwner;
+
+      if (!entry.indented) {
+        owner = absoluteName(first.text, origin);
+        index = 1;
+      } else if (!owner) {
+        throw new Error('record without an owner name');
+      }
+      lastOwner = owner;
+
+      // TTL and class come in either order before the type
+      let ttl = null;
+      let recordClass = 'IN';
+
+      for (let field = 0; field < 2 && index < entry.tokens.length; field++) {
+        const token = entry.tokens[index].text;
+
+        if (ttl === null && isTTL(token)) {
+          ttl = parseTTL(token);
+        } else if (CLASSES.includes(token.toUpperCase())) {
+          recordClass = token.toUpperCase();
+        } else {
+          break;
+        }
+        index++;
+      }
+
+      const type = requireToken(entry.tokens, index, 'record type').toUpperCase();
+      const rdata = entry.tokens.slice(index + 1);
+
+      // Without $TTL, records inherit the last explicit TTL (RFC 1035 5.1)
+      if (ttl === null) {
+        ttl = defaultTTL !== null ? defaultTTL : lastTTL;
+      } else {
+        lastTTL = ttl;
+      }
+
+      if (recordClass !== 'IN') {
+        warnings.push(`${at}: ${recordClass} class record skipped`);
+        continue;
+      }
+
+      if (type === 'SOA') {
+        if (lastTTL === null && rdata.length === 7 && isTTL(rdata[6].text)) {
+          lastTTL = parseTTL(rdata[6].text);
+        }
+        warnings.push(`${at}: SOA record skipped (DDNS zones get a synthesized SOA)`);
+        continue;
+      }
+
+      if (ttl === null) {
+        throw new Error('no TTL (add a $TTL directive)');
+      }
+
+      const value = isSupportedType(type) ?
+        decodeRecord(type, toDocumentValue(type, rdata, origin)) :
+        opaqueValue(type, rdata);
+
+      addRecord(owners, owner, type, ttl, value, at, warnings);
+    } catch (error) {
+      problems.push(`${at}: ${error.message}`);
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new ZoneFileError(problems);
+  }
+
+  return {
+    origin: zoneOrigin,
+    documents: Array.from(owners.entries()).map(([domain, sets]) => toDocument(domain, sets)),
+    warnings
+  };
+}
+
+/**
+ * Format records documents as a BIND master file
+ * Names under the origin are written relative to it, and every record carries its set's TTL.
+ * CONTENTHASH records are DDNS-specific and written as such, so only DDNS tools read them back.
+ * @param {Object|Object[]} documents Records documents ({ domain, records, ttl, ttls })
+ * @param {Object} [options] Options
+ * @param {string} [options.origin] $ORIGIN of the file (default: the shortest domain all others are under)
+ * @returns {string} Zone file text
+ * @throws {InvalidRecordError} If a document holds a malformed record
+ */
+function formatZone(documents, options = {}) {
+  const list = (Array.isArray(documents) ? documents : [documents])
+    .map(document => ({ ...document, domain: normalizeName(document.domain) }));
+
+  const origin = options.origin ? normalizeName(options.origin) : inferOrigin(list.map(document => document.domain));
+  const lines = [];
+
+  if (origin) {
+    lines.push(`$ORIGIN ${origin}.`);
+  }
+  if (list.length > 0) {
+    lines.push(`$TTL ${list[0].ttl || 3600}`);
+  }
+
+  for (const document of list) {
+    const owner = relativeName(document.domain, origin);
+
+    for (const [type, recordValues] of Object.entries(document.records || {})) {
+      const ttl = recordSetTTL(document, type);
+
+      for (const value of Array.isArray(recordValues) ? recordValues : [recordValues]) {
+        // Types without a codec are written as stored
+        const typed = isSupportedType(type) ? decodeRecord(type, value) : value;
+        lines.push(`${owner}\t${ttl}\tIN\t${type}\t${formatRdata(type, typed, origin)}`);
+      }
+    }
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Split a zone file into entries of tokens
+ * Handles comments, parentheses spanning lines, quoted strings and backslash escapes
+ * @param {string} text Zone file text
+ * @param {string[]} problems Problems found so far (appended to)
+ * @returns {Object[]} Entries ({ line, indented, tokens: [{ text, quoted }] })
+ * @private
+ */
+function tokenize(text, problems) {
+  const entries = [];
+  let tokens = [];
+  let depth = 0;
+  let line = 1;
+  let entryLine = 1;
+  let indented = false;
+  let lineStart = true;
+
+  const endEntry = () => {
+    if (tokens.length > 0) {
+      entries.push({ line: entryLine, indented, tokens });
+    }
+    tokens = [];
+  };
+
+  let i = 0;
+  while (i < text.length) {
+    const char = text[i];
+
+    if (lineStart && depth === 0) {
+      entryLine = line;
+      indented = char === ' ' || char === '\t';
+    }
+    lineStart = false;
+
+    if (char === '\n') {
+      line++;
+      i++;
+      lineStart = true;
+      if (depth === 0) {
+        endEntry();
+      }
+    } else if (char === ';') {
+      while (i < text.length && text[i] !== '\n') {
+        i++;
+      }
+    } else if (char === ' ' || char === '\t' || char === '\r') {
+      i++;
+    } else if (char === '(') {
+      depth++;
+      i++;
+    } else if (char === ')') {
+      if (depth === 0) {
+        problems.push(`line ${line}: unbalanced ")"`);
+      } else {
+        depth--;
+      }
+      i++;
+    } else {
+      const quoted = char === '"';
+      const bytes = [];
+
+      if (quoted) {
+        i++;
+      }
+
+      while (i < text.length) {
+        const current = text[i];
+
+        if (quoted ? current === '"' : /[\s;()"]/.test(current)) {
+          break;
+        }
+        if (current === '\n') {
+          break;
+        }
+
+        if (current === '\\' && /^\d{3}/.test(text.slice(i + 1, i + 4))) {
+          bytes.push(Number(text.slice(i + 1, i + 4)));
+          i += 4;
+        } else if (current === '\\' && i + 1 < text.length) {
+          bytes.push(...Buffer.from(text[i + 1]));
+          i += 2;
+        } else {
+          bytes.push(...Buffer.from(current));
+          i++;
+        }
+      }
+
+      if (quoted) {
+        if (text[i] !== '"') {
+          problems.push(`line ${line}: unterminated quoted string`);
+        }
+        i++;
+      }
+
+      tokens.push({ text: Buffer.from(bytes).toString('utf8'), quoted });
+    }
+  }
+
+  if (depth > 0) {
+    problems.push(`line ${entryLine}: unbalanced "("`);
+  }
+  endEntry();
+
+  return entries;
+}
+
+/**
+ * Build the records document value of one record from its rdata tokens
+ * @param {string} type Record type
+ * @param {Object[]} rdata Rdata tokens
+ * @param {string|null} origin Current origin
+ * @returns {*} Document value (string or structured value)
+ * @private
+ */
+function toDocumentValue(type, rdata, origin) {
+  const fields = count => {
+    if (rdata.length !== count) {
+      throw new Error(`${type} record needs ${count} rdata field${count > 1 ? 's' : ''}, got ${rdata.length}`);
+    }
+    return rdata.map(token => token.text);
+  };
+
+  switch (type) {
+    case 'CNAME':
+    case 'NS':
+      return absoluteName(fields(1)[0], origin);
+    case 'MX': {
+      const [preference, exchange] = fields(2);
+      return { preference, exchange: absoluteName(exchange, origin) };
+    }
+    case 'SRV': {
+      const [priority, weight, port, target] = fields(4);
+      return { priority, weight, port, target: absoluteName(target, origin) };
+    }
+    case 'CAA': {
+      const [flags, tag, value] = fields(3);
+      return { flags, tag, value };
+    }
+    case 'TXT':
+      // Character-strings are joined, as resolvers do for long (e.g. DKIM) records
+      if (rdata.length === 0) {
+        throw new Error('TXT record needs at least one string');
+      }
+      return rdata.map(token => token.text).join('');
+    default:
+      return fields(1)[0];
+  }
+}
+
+/**
+ * Get the stored value of a record of a type without a codec
+ * Quoted character-strings stay quoted, so formatZone writes the same rdata back
+ * @param {string} type Record type
+ * @param {Object[]} rdata Rdata tokens
+ * @returns {string} Rdata as written
+ * @private
+ */
+function opaqueValue(type, rdata) {
+  if (rdata.length === 0) {
+    throw new Error(`${type} record needs rdata`);
+  }
+
+  return rdata.map(token => token.quoted ? quote(token.text) : token.text).join(' ');
+}
+
+/**
+ * Add a typed record to the record sets of its owner
+ * @param {Map} owners Record sets by owner name
+ * @param {string} owner Owner name
+ * @param {string} type Record type
+ * @param {number} ttl Record TTL
+ * @param {*} value Typed value
+ * @param {string} at Position for warnings
+ * @param {string[]} warnings Warnings (appended to)
+ * @private
+ */
+function addRecord(owners, owner, type, ttl, value, at, warnings) {
+  if (!owners.has(owner)) {
+    owners.set(owner, new Map());
+  }
+
+  const sets = owners.get(owner);
+  if (!sets.has(type)) {
+    sets.set(type, { ttl, values: [], encoded: new Set() });
+  }
+
+  const set = sets.get(type);
+
+  // RFC 2181 5.2: a record set has one TTL, the lowest one wins
+  if (ttl !== set.ttl) {
+    warnings.push(`${at}: ${owner} ${type} records have different TTLs, using ${Math.min(ttl, set.ttl)}`);
+    set.ttl = Math.min(ttl, set.ttl);
+  }
+
+  // Duplicate records collapse into one, as in DNS
+  const encoded = isSupportedType(type) ? encodeRecord(type, value) : value;
+  if (!set.encoded.has(encoded)) {
+    set.encoded.add(encoded);
+    set.values.push(type === 'CONTENTHASH' ? value.contentHash : value);
+  }
+}
+
+/**
+ * Build the records document of one owner
+ * @param {string} domain Owner name
+ * @param {Map} sets Record sets by type
+ * @returns {Object} { domain, records, ttl[, ttls] }
+ * @private
+ */
+function toDocument(domain, sets) {
+  const counts = new Map();
+  for (const { ttl } of sets.values()) {
+    counts.set(ttl, (counts.get(ttl) || 0) + 1);
+  }
+
+  // The most common set TTL is the document default
+  const ttl = Array.from(counts.entries()).reduce((best, entry) => (entry[1] > best[1] ? entry : best))[0];
+
+  const records = {};
+  const ttls = {};
+
+  for (const [type, set] of sets) {
+    records[type] = set.values;
+    if (set.ttl !== ttl) {
+      ttls[type] = set.ttl;
+    }
+  }
+
+  return Object.keys(ttls).length > 0 ? { domain, records, ttl, ttls } : { domain, records, ttl };
+}
+
+/**
+ * Format the rdata of a typed record in presentation form
+ * Names are written relative to the origin, or fully qualified without one
+ * @param {string} type Record type
+ * @param {*} value Typed value
+ * @param {string|null} [origin] Origin
+ * @returns {string} Rdata
+ */
+function formatRdata(type, value, origin = null) {
+  switch (type) {
+    case 'CNAME':
+    case 'NS':
+      return relativeName(value, origin);
+    case 'MX':
+      return `${value.preference} ${relativeName(value.exchange, origin)}`;
+    case 'SRV':
+      return `${value.priority} ${value.weight} ${value.port} ${relativeName(value.target, origin)}`;
+    case 'CAA':
+      return `${value.flags} ${value.tag} ${quote(value.value)}`;
+    case 'TXT':
+      return splitCharacterStrings(value).map(quote).join(' ');
+    case 'CONTENTHASH':
+      return value.contentHash;
+    default:
+      return value;
+  }
+}
+
+/**
+ * Resolve a zone file name against the origin
+ * @param {string} name Name as written (@, relative or fully qualified)
+ * @param {string|null} origin Current origin
+ * @returns {string} Normalized absolute name
+ * @private
+ */
+function absoluteName(name, origin) {
+  if (name === '@') {
+    if (!origin) {
+      throw new Error('@ used without an origin');
+    }
+    return origin;
+  }
+
+  if (name.endsWith('.')) {
+    return normalizeName(name);
+  }
+
+  if (!origin) {
+    throw new Error(`relative name ${name} used without an origin`);
+  }
+
+  return normalizeName(`${name}.${origin}`);
+}
+
+/**
+ * Write a name relative to the origin when it is under it
+ * @param {string} name Normalized name
+ * @param {string|null} origin Origin
+ * @returns {string} @, relative name or fully qualified name
+ * @private
+ */
+function relativeName(name, origin) {
+  if (origin && name === origin) {
+    return '@';
+  }
+
+  if (origin && name.endsWith(`.${origin}`)) {
+    return name.slice(0, -origin.length - 1);
+  }
+
+  return `${name}.`;
+}
+
+/**
+ * Find the shortest name that every other name is under
+ * @param {string[]} names Normalized names
+ * @returns {string|null} Origin, or null if the names do not share one
+ * @private
+ */
+function inferOrigin(names) {
+  const candidates = [...names].sort((a, b) => a.length - b.length);
+
+  return candidates.find(candidate =>
+    names.every(name => name === candidate || name.endsWith(`.${candidate}`))) || null;
+}
+
+/**
+ * Check whether a token is a TTL
+ * @param {string} token Token
+ * @returns {boolean} True for plain seconds or BIND unit notation
+ * @private
+ */
+function isTTL(token) {
+  return /^\d+$/.test(token) || /^(\d+[wdhms])+$/i.test(token);
+}
+
+/**
+ * Parse a TTL in seconds or BIND unit notation (e.g. 1h30m)
+ * @param {string} token TTL token
+ * @returns {number} TTL in seconds
+ * @private
+ */
+function parseTTL(token) {
+  if (!isTTL(token)) {
+    throw new Error(`invalid TTL ${token}`);
+  }
+
+  const ttl = /^\d+$/.test(token) ? Number(token) :
+    token.toLowerCase().match(/\d+[wdhms]/g)
+      .reduce((sum, part) => sum + Number(part.slice(0, -1)) * TTL_UNITS[part.slice(-1)], 0);
+
+  if (ttl > 0x7fffffff) {
+    throw new Error(`TTL ${token} is too large`);
+  }
+
+  return ttl;
+}
+
+/**
+ * Get a required token
+ * @param {Object[]} tokens Tokens
+ * @param {number} index Token index
+ * @param {string} what Description for errors
+ * @returns {string} Token text
+ * @private
+ */
+function requireToken(tokens, index, what) {
+  if (index >= tokens.length) {
+    throw new Error(`missing ${what}`);
+  }
+
+  return tokens[index].text;
+}
+
+/**
+ * Split text into character-strings of at most 255 bytes without breaking UTF-8 sequences
+ * @param {string} text Text
+ * @returns {string[]} Character-strings
+ * @private
+ */
+function splitCharacterStrings(text) {
+  const strings = [];
+  let current = '';
+
+  for (const char of text) {
+    if (Buffer.byteLength(current + char) > MAX_CHARACTER_STRING) {
+      strings.push(current);
+      current = '';
+    }
+    current += char;
+  }
+
+  strings.push(current);
+  return strings;
+}
+
+/**
+ * Quote a character-string, escaping quotes, backslashes and control characters
+ * @param {string} text Text
+ * @returns {string} Quoted string
+ * @private
+ */
+function quote(text) {
+  const escaped = text.replace(/["\\]/g, '\\$&')
+    .replace(/[\x00-\x1f\x7f]/g, char => `\\${String(char.charCodeAt(0)).padStart(3, '0')}`);
+
+  return `"${escaped}"`;
+}
+
+module.exports = {
+  ZoneFileError,
+  parseZone,
+  formatZone,
+  formatRdata
+};